@@ -1,26 +1,30 @@
-// EmailJS Configuration
-export const EMAILJS_CONFIG = {
-  serviceId: process.env.REACT_APP_EMAILJS_SERVICE_ID,
-  templateId: process.env.REACT_APP_EMAILJS_TEMPLATE_ID,
-  publicKey: process.env.REACT_APP_EMAILJS_PUBLIC_KEY,
-};
+require('dotenv').config();
 
+// SMTP Configuration
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  from: process.env.EMAIL_FROM || 'CBDA Exam Simulator <no-reply@cbda.local>'
+};
 
 // Email templates
-export const EMAIL_TEMPLATES = {
+const EMAIL_TEMPLATES = {
   verification: {
     subject: 'Verify Your CBDA Exam Account',
     getBody: (name, code) => `
       Hi ${name},
-      
+
       Welcome to CBDA Exam Simulator!
-      
+
       Your verification code is: ${code}
-      
+
       Please enter this code to complete your registration.
-      
+
       This code expires in 15 minutes.
-      
+
       Best regards,
       Blossom Academy Team
     `
@@ -29,13 +33,13 @@ export const EMAIL_TEMPLATES = {
     subject: 'Admin Account Verification - CBDA',
     getBody: (name, code) => `
       Hi ${name},
-      
+
       Admin account verification request.
-      
+
       Your verification code is: ${code}
-      
+
       This code expires in 15 minutes.
-      
+
       Best regards,
       Blossom Academy Team
     `
@@ -44,15 +48,61 @@ export const EMAIL_TEMPLATES = {
     subject: 'Verify Your New Email Address',
     getBody: (name, code) => `
       Hi ${name},
-      
+
       You requested to change your email address.
-      
+
       Verification code: ${code}
-      
+
       This code expires in 15 minutes.
-      
+
+      Best regards,
+      Blossom Academy Team
+    `
+  },
+  emailChangeNotice: {
+    subject: 'Your CBDA Exam Email Address Was Changed',
+    getBody: (name, newEmail) => `
+      Hi ${name},
+
+      The email address on your CBDA Exam Simulator account was changed to ${newEmail}.
+
+      If you didn't make this change, contact an administrator right away.
+
+      Best regards,
+      Blossom Academy Team
+    `
+  },
+  passwordReset: {
+    subject: 'Reset Your CBDA Exam Password',
+    getBody: (name, link) => `
+      Hi ${name},
+
+      We received a request to reset your password.
+
+      Reset it here: ${link}
+
+      This link expires in 1 hour and can only be used once.
+      If you didn't ask for this, you can ignore this email.
+
+      Best regards,
+      Blossom Academy Team
+    `
+  },
+  invite: {
+    subject: "You're Invited to CBDA Exam Simulator",
+    getBody: (name, link) => `
+      Hi ${name},
+
+      An account has been created for you on CBDA Exam Simulator.
+
+      Set your password here: ${link}
+
+      This link expires in 7 days and can only be used once.
+
       Best regards,
       Blossom Academy Team
     `
   }
-};
\ No newline at end of file
+};
+
+module.exports = { SMTP_CONFIG, EMAIL_TEMPLATES };
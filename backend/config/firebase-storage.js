@@ -63,93 +63,16 @@ const initializeFirebaseStorage = () => {
   }
 };
 
-// Upload CSV to Firebase Storage
-const uploadCSVToFirebase = async (csvContent, filename) => {
-  try {
-    const { bucket } = initializeFirebaseStorage();
-    if (!bucket) {
-      return { success: false, error: 'Firebase Storage not initialized' };
-    }
-
-    const file = bucket.file(`exports/${filename}`);
-    
-    await file.save(csvContent, {
-      metadata: {
-        contentType: 'text/csv',
-        metadata: {
-          uploadedAt: new Date().toISOString()
-        }
-      }
-    });
-
-    // Make file publicly accessible (or keep private for admin only)
-    await file.makePublic();
-
-    const publicUrl = `https://storage.googleapis.com/${bucket.name}/exports/${filename}`;
-
-    console.log(`✅ CSV uploaded to Firebase Storage: ${filename}`);
-    return { 
-      success: true, 
-      url: publicUrl,
-      filename,
-      message: 'CSV uploaded to cloud storage'
-    };
-  } catch (error) {
-    console.error('❌ Error uploading to Firebase Storage:', error);
-    return { success: false, error: error.message };
-  }
-};
-
-// List all uploaded CSVs
-const listCSVFiles = async () => {
-  try {
-    const { bucket } = initializeFirebaseStorage();
-    if (!bucket) {
-      return { success: false, error: 'Firebase Storage not initialized' };
-    }
+// The bucket, initializing Firebase Storage on first use (null when it isn't
+// configured or failed to start)
+const getBucket = () => (isInitialized ? bucket : initializeFirebaseStorage().bucket);
 
-    const [files] = await bucket.getFiles({ prefix: 'exports/' });
-    
-    const csvFiles = await Promise.all(
-      files.map(async (file) => {
-        const [metadata] = await file.getMetadata();
-        return {
-          name: file.name,
-          size: metadata.size,
-          created: metadata.timeCreated,
-          url: `https://storage.googleapis.com/${bucket.name}/${file.name}`
-        };
-      })
-    );
-
-    return { success: true, files: csvFiles };
-  } catch (error) {
-    console.error('❌ Error listing CSV files:', error);
-    return { success: false, error: error.message };
-  }
-};
-
-// Delete CSV file
-const deleteCSVFile = async (filename) => {
-  try {
-    const { bucket } = initializeFirebaseStorage();
-    if (!bucket) {
-      return { success: false, error: 'Firebase Storage not initialized' };
-    }
-
-    await bucket.file(`exports/${filename}`).delete();
-
-    console.log(`✅ CSV deleted from Firebase Storage: ${filename}`);
-    return { success: true, message: 'File deleted successfully' };
-  } catch (error) {
-    console.error('❌ Error deleting CSV file:', error);
-    return { success: false, error: error.message };
-  }
-};
+// Whether credentials are available, without initializing the SDK
+const isFirebaseConfigured = () =>
+  fs.existsSync(path.join(__dirname, '..', 'firebase-service-account.json')) || Boolean(process.env.FIREBASE_PROJECT_ID);
 
 module.exports = {
   initializeFirebaseStorage,
-  uploadCSVToFirebase,
-  listCSVFiles,
-  deleteCSVFile
-};
\ No newline at end of file
+  getBucket,
+  isFirebaseConfigured
+};
@@ -0,0 +1,41 @@
+require('dotenv').config();
+
+const flag = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+// Password strength policy, configurable through backend/.env
+const PASSWORD_POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireNumber: flag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false)
+};
+
+// Returns a list of unmet requirements (empty when the password is acceptable)
+const validatePassword = (password) => {
+  const value = typeof password === 'string' ? password : '';
+  const problems = [];
+
+  if (value.length < PASSWORD_POLICY.minLength) {
+    problems.push(`at least ${PASSWORD_POLICY.minLength} characters`);
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(value)) {
+    problems.push('an uppercase letter');
+  }
+  if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(value)) {
+    problems.push('a lowercase letter');
+  }
+  if (PASSWORD_POLICY.requireNumber && !/[0-9]/.test(value)) {
+    problems.push('a number');
+  }
+  if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    problems.push('a symbol');
+  }
+
+  return problems;
+};
+
+// Error message for a failed validatePassword() result
+const describePasswordProblems = (problems) => `Password must contain ${problems.join(', ')}`;
+
+module.exports = { PASSWORD_POLICY, validatePassword, describePasswordProblems };
@@ -0,0 +1,8 @@
+const path = require('path');
+require('dotenv').config();
+
+// Where the backend keeps its data files (users, results, question sets,
+// settings, audit log, ...). DATA_DIR moves all of it, e.g. for the tests.
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data');
+
+module.exports = { DATA_DIR };
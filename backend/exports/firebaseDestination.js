@@ -0,0 +1,80 @@
+const { getBucket, isFirebaseConfigured } = require('../config/firebase-storage');
+
+// Firebase Storage, using the service account from firebase-service-account.json
+// or the FIREBASE_* environment variables
+const createFirebaseDestination = ({ prefix }) => {
+  const requireBucket = () => {
+    const bucket = getBucket();
+    if (!bucket) {
+      throw new Error('Firebase Storage could not be initialized');
+    }
+    return bucket;
+  };
+
+  return {
+    name: 'firebase',
+    label: 'Firebase Storage',
+    detail: isFirebaseConfigured() ? 'Service account configured' : 'Add firebase-service-account.json or FIREBASE_* variables to enable',
+    isConfigured: isFirebaseConfigured,
+
+    upload: async (filename, content, contentType) => {
+      const file = requireBucket().file(`${prefix}${filename}`);
+
+      // Files stay private; admins get short-lived signed URLs from getDownloadUrl
+      await file.save(content, {
+        metadata: {
+          contentType,
+          metadata: {
+            uploadedAt: new Date().toISOString()
+          }
+        }
+      });
+
+      return { filename };
+    },
+
+    list: async () => {
+      const [files] = await requireBucket().getFiles({ prefix });
+      return Promise.all(files.map(async (file) => {
+        const [metadata] = await file.getMetadata();
+        return {
+          name: file.name.slice(prefix.length),
+          size: Number(metadata.size),
+          created: metadata.timeCreated
+        };
+      }));
+    },
+
+    getDownloadUrl: async (filename, expiresIn) => {
+      const [url] = await requireBucket().file(`${prefix}${filename}`).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: Date.now() + expiresIn * 1000,
+        responseDisposition: `attachment; filename="${filename}"`
+      });
+      return url;
+    },
+
+    download: async (filename) => {
+      const file = requireBucket().file(`${prefix}${filename}`);
+      const [exists] = await file.exists();
+      if (!exists) {
+        return null;
+      }
+      const [content] = await file.download();
+      return content;
+    },
+
+    remove: async (filename) => {
+      const file = requireBucket().file(`${prefix}${filename}`);
+      const [exists] = await file.exists();
+      if (!exists) {
+        return false;
+      }
+      await file.delete();
+      return true;
+    }
+  };
+};
+
+module.exports = { createFirebaseDestination };
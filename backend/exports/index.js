@@ -0,0 +1,143 @@
+const path = require('path');
+const { createLocalDestination } = require('./localDestination');
+const { createS3Destination } = require('./s3Destination');
+const { createFirebaseDestination } = require('./firebaseDestination');
+const { getSettings } = require('../utils/settings');
+const { appendAuditEntry } = require('../utils/auditLog');
+const { signToken } = require('../middleware/auth');
+const { DATA_DIR } = require('../config/paths');
+require('dotenv').config();
+
+// Every export destination exposes the same interface:
+//
+//   name, label, detail   identification for the admin UI
+//   isConfigured()        whether its credentials/settings are present
+//   upload(filename, content, contentType) -> { filename }
+//   list()                -> [{ name, size, created }]
+//   download(filename)    -> Buffer, or null if there is no such file
+//   remove(filename)      -> true if a file was deleted
+//   getDownloadUrl(filename, expiresIn)  optional; a signed URL valid for `expiresIn` seconds
+//
+// Exports hold student names, emails and scores, so nothing is ever public.
+// Admins pick the active destination in Settings (`exportDestination`).
+
+const EXPORT_PREFIX = 'exports/';
+const DOWNLOAD_LINK_TTL_SECONDS = 15 * 60;
+const RETENTION_CHECK_MS = 60 * 60 * 1000;
+
+const destinations = {
+  local: createLocalDestination(process.env.EXPORT_DIR || path.join(DATA_DIR, 'exports')),
+  s3: createS3Destination({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO and most other S3-compatible servers need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    prefix: process.env.S3_PREFIX || EXPORT_PREFIX
+  }),
+  firebase: createFirebaseDestination({ prefix: EXPORT_PREFIX })
+};
+
+const EXPORT_DESTINATIONS = Object.keys(destinations);
+
+// Export file names are generated by the server; anything else is rejected
+// before it reaches a destination
+const isValidExportName = (filename) => /^[\w-]+(\.[\w-]+)*$/.test(filename || '');
+
+const describeDestination = (destination) => ({
+  name: destination.name,
+  label: destination.label,
+  detail: destination.detail,
+  configured: destination.isConfigured()
+});
+
+const listExportDestinations = () => EXPORT_DESTINATIONS.map(name => describeDestination(destinations[name]));
+
+// The destination chosen in Settings. Throws if it isn't configured, so exports
+// fail loudly instead of silently going somewhere else.
+const getExportDestination = () => {
+  const destination = destinations[getSettings().exportDestination] || destinations.local;
+  if (!destination.isConfigured()) {
+    throw Object.assign(new Error(`${destination.label} is selected for exports but is not configured. ${destination.detail}.`), { status: 503 });
+  }
+  return destination;
+};
+
+// A short-lived link to one export. Destinations that can sign URLs do so; for
+// the others the link points back at the backend with a signed download token.
+const createDownloadLink = async (destination, filename) => {
+  const expiresAt = new Date(Date.now() + DOWNLOAD_LINK_TTL_SECONDS * 1000).toISOString();
+
+  if (destination.getDownloadUrl) {
+    return { url: await destination.getDownloadUrl(filename, DOWNLOAD_LINK_TTL_SECONDS), expiresAt };
+  }
+
+  const token = signToken('export-download', { file: filename, dest: destination.name }, DOWNLOAD_LINK_TTL_SECONDS);
+  return { url: `/api/exports/download/${token}`, expiresAt };
+};
+
+// Look up the destination named in a download token, even if Settings have changed since
+const getDestinationByName = (name) => {
+  const destination = destinations[name];
+  return destination && destination.isConfigured() ? destination : null;
+};
+
+// Delete exports older than `exportRetentionDays` (0 keeps them forever) from
+// every configured destination, not just the active one
+const purgeExpiredExports = async () => {
+  const { exportRetentionDays } = getSettings();
+  if (!exportRetentionDays) {
+    return [];
+  }
+
+  const cutoff = Date.now() - exportRetentionDays * 24 * 60 * 60 * 1000;
+  const purged = [];
+
+  for (const destination of Object.values(destinations).filter(d => d.isConfigured())) {
+    try {
+      const expired = (await destination.list()).filter(file => new Date(file.created).getTime() < cutoff);
+      for (const file of expired) {
+        if (await destination.remove(file.name)) {
+          purged.push({ destination: destination.name, name: file.name });
+          appendAuditEntry({
+            action: 'results.csv_expired',
+            actor: null,
+            target: file.name,
+            details: { destination: destination.name, retentionDays: exportRetentionDays }
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Export cleanup failed for ${destination.label}:`, error.message);
+    }
+  }
+
+  if (purged.length > 0) {
+    console.log(`🧹 Deleted ${purged.length} export(s) older than ${exportRetentionDays} days`);
+  }
+  return purged;
+};
+
+const startExportRetention = () => {
+  const check = () => purgeExpiredExports().catch(error => {
+    console.error('❌ Export cleanup failed:', error.message);
+  });
+  check();
+  setInterval(check, RETENTION_CHECK_MS).unref();
+};
+
+module.exports = {
+  EXPORT_DESTINATIONS,
+  isValidExportName,
+  describeDestination,
+  listExportDestinations,
+  getExportDestination,
+  getDestinationByName,
+  createDownloadLink,
+  purgeExpiredExports,
+  startExportRetention
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+// Exports kept on the server's own disk. Always available, but on hosts that
+// wipe the disk on redeploy EXPORT_DIR should point at a persistent volume.
+// There is no getDownloadUrl: the backend streams these files itself.
+const createLocalDestination = (exportDir) => {
+  const filePath = (filename) => path.join(exportDir, filename);
+
+  return {
+    name: 'local',
+    label: 'Server disk',
+    detail: exportDir,
+    isConfigured: () => true,
+
+    upload: async (filename, content) => {
+      writeFileAtomic(filePath(filename), content);
+      return { filename };
+    },
+
+    list: async () => {
+      if (!fs.existsSync(exportDir)) {
+        return [];
+      }
+      return fs.readdirSync(exportDir)
+        .filter(name => !name.endsWith('.tmp') && !name.endsWith('.lock'))
+        .map(name => {
+          const stats = fs.statSync(filePath(name));
+          return { name, size: stats.size, created: stats.mtime.toISOString() };
+        });
+    },
+
+    download: async (filename) => {
+      if (!fs.existsSync(filePath(filename))) {
+        return null;
+      }
+      return fs.readFileSync(filePath(filename));
+    },
+
+    remove: async (filename) => {
+      if (!fs.existsSync(filePath(filename))) {
+        return false;
+      }
+      fs.unlinkSync(filePath(filename));
+      return true;
+    }
+  };
+};
+
+module.exports = { createLocalDestination };
@@ -0,0 +1,86 @@
+const {
+  S3Client, PutObjectCommand, ListObjectsV2Command, GetObjectCommand, DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Any S3-compatible service: AWS itself, or MinIO / R2 / Spaces via S3_ENDPOINT
+const createS3Destination = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) => {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+      });
+    }
+    return client;
+  };
+
+  const key = (filename) => `${prefix}${filename}`;
+  const isMissing = (error) => error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+    label: 'S3-compatible storage',
+    detail: bucket ? `${endpoint || 'AWS'} / ${bucket}` : 'Set S3_BUCKET (and S3_ENDPOINT for MinIO) to enable',
+    isConfigured: () => Boolean(bucket),
+
+    upload: async (filename, content, contentType) => {
+      await getClient().send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key(filename),
+        Body: content,
+        ContentType: contentType
+      }));
+      return { filename };
+    },
+
+    list: async () => {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const page = await getClient().send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        (page.Contents || []).forEach(object => files.push({
+          name: object.Key.slice(prefix.length),
+          size: object.Size,
+          created: object.LastModified.toISOString()
+        }));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+
+    download: async (filename) => {
+      try {
+        const object = await getClient().send(new GetObjectCommand({ Bucket: bucket, Key: key(filename) }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (isMissing(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    // Presigned GET that stops working after `expiresIn` seconds; the bucket itself stays private
+    getDownloadUrl: async (filename, expiresIn) => getSignedUrl(getClient(), new GetObjectCommand({
+      Bucket: bucket,
+      Key: key(filename),
+      ResponseContentDisposition: `attachment; filename="${filename}"`
+    }), { expiresIn }),
+
+    // S3 deletes succeed whether or not the key exists, so check first
+    remove: async (filename) => {
+      const files = await getClient().send(new ListObjectsV2Command({ Bucket: bucket, Prefix: key(filename), MaxKeys: 1 }));
+      if (!(files.Contents || []).some(object => object.Key === key(filename))) {
+        return false;
+      }
+      await getClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: key(filename) }));
+      return true;
+    }
+  };
+};
+
+module.exports = { createS3Destination };
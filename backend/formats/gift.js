@@ -0,0 +1,251 @@
+const { ASSET_URL_PREFIX } = require('../utils/questionAssets');
+const { htmlToMarkdown, comparable, excerpt } = require('../importers/common');
+const {
+  tagsFor, categoryPath, feedbackWithReference, relinkAssets, storeDataUri, rewriteImageSources, buildCandidate
+} = require('./shared');
+
+// Moodle GIFT: plain text, one question per paragraph.
+//
+//   $CATEGORY: $course$/top/CBDA Chapter 1/Data Governance
+//   // [tag:Data Governance] [tag:difficulty-medium]
+//   ::Q1::[markdown]What is data governance?{
+//   =Managing data quality and compliance
+//   ~Storing data
+//   ####Explanation shown after answering
+//   }
+//
+// Multiple-response questions weight their answers (~%50%A ~%-50%B), and
+// true/false ones are {TRUE} or {FALSE}. GIFT can't carry files, so exported
+// images point at this server.
+
+// Characters with a meaning in GIFT are escaped with a backslash
+const escapeGift = (text) => text
+  .replace(/\\/g, '\\\\')
+  .replace(/[~=#{}:]/g, '\\$&')
+  .replace(/\n/g, '\\n');
+
+const unescapeGift = (text) => text.replace(/\\(n|[~=#{}:\\])/g, (match, char) => (char === 'n' ? '\n' : char));
+
+// Position of `token` outside escapes, or -1
+const indexOfUnescaped = (text, token, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Moodle only accepts certain weights; shares of 100 rounded like Moodle's own
+const weight = (value) => Number(value.toFixed(5));
+
+const giftTag = (tag) => `[tag:${tag.replace(/[[\]]/g, '')}]`;
+
+const writeQuestion = (question, baseUrl) => {
+  const text = (markdown) => escapeGift(relinkAssets(markdown, `${baseUrl}${ASSET_URL_PREFIX}`));
+  const feedback = feedbackWithReference(question);
+  const generalFeedback = feedback ? `\n####${text(feedback)}` : '';
+  const isTrueFalse = question.type === 'truefalse'
+    && question.options.every((o, i) => comparable(o) === ['true', 'false'][i]);
+
+  let answers;
+  if (isTrueFalse) {
+    answers = `{${question.correctAnswer === 0 ? 'TRUE' : 'FALSE'}${generalFeedback}\n}`;
+  } else if (question.type === 'multiple') {
+    const share = 100 / question.correctAnswers.length;
+    const lines = question.options.map((option, i) => (
+      `~%${weight(question.correctAnswers.includes(i) ? share : -share)}%${text(option)}`
+    ));
+    answers = `{\n${lines.join('\n')}${generalFeedback}\n}`;
+  } else {
+    const lines = question.options.map((option, i) => `${i === question.correctAnswer ? '=' : '~'}${text(option)}`);
+    answers = `{\n${lines.join('\n')}${generalFeedback}\n}`;
+  }
+
+  return [
+    `// ${tagsFor(question).map(giftTag).join(' ')}`,
+    `::Q${question.id}::[markdown]${text(question.question)}${answers}`
+  ].join('\n');
+};
+
+// The questions of a set as a GIFT file. `baseUrl` is where this server is
+// reached, for image links.
+const write = (questions, { setName, baseUrl }) => {
+  const blocks = [`// ${setName}, exported from the CBDA Exam Simulator`];
+  let category = null;
+
+  questions.forEach(question => {
+    const path = categoryPath(['$course$', 'top', setName, question.domain || 'General']);
+    if (path !== category) {
+      blocks.push(`$CATEGORY: ${path}`);
+      category = path;
+    }
+    blocks.push(writeQuestion(question, baseUrl));
+  });
+
+  return Buffer.from(`${blocks.join('\n\n')}\n`, 'utf8');
+};
+
+// ---- Reading ----
+
+// Answer types GIFT has that the app doesn't
+const UNSUPPORTED_TYPES = {
+  essay: 'Essay',
+  numerical: 'Numerical',
+  shortanswer: 'Short answer',
+  matching: 'Matching',
+  description: 'Description (text without answers)'
+};
+
+// The answers between { and }: { type, options, correct, weights, multiple, trueFalse, feedback, answerFeedback }
+const parseAnswers = (body) => {
+  const generalAt = indexOfUnescaped(body, '####');
+  const feedback = generalAt === -1 ? '' : body.slice(generalAt + 4).trim();
+  const answerText = (generalAt === -1 ? body : body.slice(0, generalAt)).trim();
+
+  if (!answerText) {
+    return { type: 'essay' };
+  }
+  if (answerText.startsWith('#')) {
+    return { type: 'numerical' };
+  }
+
+  const trueFalse = answerText.match(/^(T|F|TRUE|FALSE)\s*(#|$)/i);
+  if (trueFalse) {
+    return { type: 'truefalse', trueFalse: /^t/i.test(trueFalse[1]), feedback, answerFeedback: trueFalse[2] === '#' };
+  }
+
+  // Each answer starts at an unescaped = or ~
+  const starts = [];
+  for (let i = 0; i < answerText.length; i++) {
+    if (answerText[i] === '\\') {
+      i++;
+    } else if (answerText[i] === '=' || answerText[i] === '~') {
+      starts.push(i);
+    }
+  }
+
+  const answers = starts.map((start, i) => {
+    let content = answerText.slice(start + 1, starts[i + 1]).trim();
+    const percent = content.match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (percent) {
+      content = content.slice(percent[0].length);
+    }
+    const feedbackAt = indexOfUnescaped(content, '#');
+    return {
+      marker: answerText[start],
+      weight: percent ? Number(percent[1]) : null,
+      text: (feedbackAt === -1 ? content : content.slice(0, feedbackAt)).trim(),
+      hasFeedback: feedbackAt !== -1
+    };
+  });
+
+  if (answers.some(answer => indexOfUnescaped(answer.text, '->') !== -1)) {
+    return { type: 'matching' };
+  }
+  if (!answers.some(answer => answer.marker === '~')) {
+    return { type: 'shortanswer' };
+  }
+
+  const isCorrect = (answer) => (answer.marker === '=' ? answer.weight === null || answer.weight > 0 : answer.weight > 0);
+  const multiple = answers.some(answer => answer.marker === '~' && answer.weight > 0);
+
+  return {
+    type: 'multichoice',
+    options: answers.map(answer => answer.text),
+    correct: answers.map((answer, i) => (isCorrect(answer) ? i : null)).filter(i => i !== null),
+    weights: multiple ? answers.map(answer => answer.weight || 0) : null,
+    multiple,
+    feedback,
+    answerFeedback: answers.some(answer => answer.hasFeedback)
+  };
+};
+
+// Read a GIFT file: { entries, notes } (see ./index.js)
+const read = (buffer, { imageStore }) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const entries = [];
+  let category = '';
+
+  // Questions are separated by blank lines; comment lines are dropped
+  const blocks = text.split(/\n\s*\n/);
+  blocks.forEach(block => {
+    const tags = [];
+    const lines = [];
+    block.split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('//')) {
+        tags.push(...[...trimmed.matchAll(/\[tag:([^\]]+)\]/g)].map(match => match[1].trim()));
+      } else if (/^\$CATEGORY:/i.test(trimmed)) {
+        category = trimmed.replace(/^\$CATEGORY:\s*/i, '');
+      } else {
+        lines.push(line);
+      }
+    });
+
+    let rest = lines.join('\n').trim();
+    if (!rest) {
+      return;
+    }
+
+    const number = entries.length + 1;
+    const entry = { number, label: `Question ${number}`, name: `question ${number}` };
+
+    if (rest.startsWith('::')) {
+      const end = indexOfUnescaped(rest, '::', 2);
+      rest = end === -1 ? rest : rest.slice(end + 2).trim();
+    }
+
+    let format = 'moodle';
+    const marker = rest.match(/^\[(html|moodle|plain|markdown)\]/i);
+    if (marker) {
+      format = marker[1].toLowerCase();
+      rest = rest.slice(marker[0].length);
+    }
+
+    const open = indexOfUnescaped(rest, '{');
+    const close = open === -1 ? -1 : indexOfUnescaped(rest, '}', open + 1);
+    if (open === -1 || close === -1) {
+      entries.push({ ...entry, excerpt: excerpt(unescapeGift(rest)), unsupportedType: UNSUPPORTED_TYPES.description });
+      return;
+    }
+
+    // Text after the answers makes it a "missing word" question
+    const after = rest.slice(close + 1).trim();
+    const questionText = after ? `${rest.slice(0, open).trim()} _____ ${after}` : rest.slice(0, open).trim();
+    const answers = parseAnswers(rest.slice(open + 1, close));
+
+    const convert = (value) => {
+      const plain = unescapeGift(value || '');
+      return format === 'html'
+        ? htmlToMarkdown(rewriteImageSources(plain, src => (src.startsWith('data:') ? storeDataUri(src, imageStore) : src)))
+        : plain;
+    };
+
+    entry.excerpt = excerpt(convert(questionText));
+    if (UNSUPPORTED_TYPES[answers.type]) {
+      entries.push({ ...entry, unsupportedType: UNSUPPORTED_TYPES[answers.type] });
+      return;
+    }
+
+    const warnings = answers.answerFeedback ? ['Feedback on individual answers was left out'] : [];
+    const parsed = buildCandidate({
+      question: convert(questionText),
+      options: (answers.options || []).map(convert),
+      correct: answers.correct,
+      multiple: answers.multiple,
+      weights: answers.weights,
+      trueFalse: answers.trueFalse,
+      explanation: convert(answers.feedback),
+      category,
+      tags
+    }, warnings);
+    entries.push({ ...entry, ...parsed });
+  });
+
+  return { entries, notes: [] };
+};
+
+module.exports = { read, write };
@@ -0,0 +1,92 @@
+const path = require('path');
+const { excerpt, createCollector, countStatuses } = require('../importers/common');
+const { createImageStore } = require('./shared');
+const gift = require('./gift');
+const moodleXml = require('./moodleXml');
+const qti = require('./qti');
+
+// Question bank formats other tools (Moodle, LMSs, item banks) exchange. Each
+// format module has:
+//   write(questions, { setName, fileBase, baseUrl }) -> Buffer
+//   read(buffer, { fileName, imageStore }) -> { entries, notes }
+// where each entry is one question of the file, either
+//   { number, label, name, excerpt, problems, warnings, candidate } or
+//   { number, label, name, excerpt, unsupportedType } for a question type the
+//   app has no equivalent for.
+
+const FORMATS = {
+  gift: { label: 'GIFT', suffix: 'gift.txt', contentType: 'text/plain; charset=utf-8', ...gift },
+  moodle: { label: 'Moodle XML', suffix: 'moodle.xml', contentType: 'application/xml; charset=utf-8', ...moodleXml },
+  qti: { label: 'QTI 2.1', suffix: 'qti.zip', contentType: 'application/zip', ...qti }
+};
+
+const BANK_EXTENSIONS = ['.gift', '.txt', '.xml', '.zip'];
+
+const isQuestionBankFile = (fileName) => BANK_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+
+// The format of an uploaded file: .gift/.txt are GIFT, .zip a QTI package, and
+// .xml Moodle XML or a QTI item depending on its root element
+const detectFormat = (fileName, buffer) => {
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension === '.gift' || extension === '.txt') return 'gift';
+  if (extension === '.zip') return 'qti';
+
+  const start = buffer.slice(0, 4096).toString('utf8');
+  if (/<quiz[\s>]/.test(start)) return 'moodle';
+  if (/<assessmentItem[\s>]/.test(start)) return 'qti';
+  if (/<questestinterop[\s>]/.test(start)) {
+    throw Object.assign(new Error('This is a QTI 1.2 file; only QTI 2.1 can be imported'), { status: 400 });
+  }
+  throw Object.assign(new Error('The XML file is neither Moodle XML nor a QTI 2.1 item'), { status: 400 });
+};
+
+// Read a GIFT, Moodle XML or QTI file. With `dryRun` nothing is stored (image
+// URLs are the ones the images would get).
+//
+// Returns { format, questions, report } with the report the other importers
+// give (see importers/common.js). Question types the app can't represent are
+// skipped, and counted in a note.
+const importQuestionBank = (buffer, fileName, { dryRun = false } = {}) => {
+  const format = detectFormat(fileName, buffer);
+  const imageStore = createImageStore({ dryRun });
+  const { entries, notes } = FORMATS[format].read(buffer, { fileName, imageStore });
+  const { questions, items, add } = createCollector();
+  const unsupported = {};
+
+  entries.forEach(entry => {
+    if (entry.unsupportedType) {
+      unsupported[entry.unsupportedType] = (unsupported[entry.unsupportedType] || 0) + 1;
+      add({
+        ...entry,
+        excerpt: entry.excerpt || '',
+        problems: [`${entry.unsupportedType} questions can't be converted; only multiple choice, multiple response and true/false are supported`],
+        warnings: []
+      });
+      return;
+    }
+    add({ ...entry, excerpt: entry.excerpt || excerpt(entry.question || '') });
+  });
+
+  const skippedTypes = Object.entries(unsupported).map(([type, count]) => `${type} (${count})`);
+  if (skippedTypes.length > 0) {
+    notes.push(`Question types that can't be converted were skipped: ${skippedTypes.join(', ')}`);
+  }
+  if (entries.length === 0 && notes.length === 0) {
+    notes.push('No questions were found in the file');
+  }
+
+  return {
+    format: FORMATS[format].label,
+    questions,
+    report: { ...countStatuses(items), images: imageStore.images, notes, items }
+  };
+};
+
+// A set's questions in one of FORMATS: { content, fileName, contentType }
+const exportQuestionBank = (format, questions, { setName, fileBase, baseUrl }) => ({
+  content: FORMATS[format].write(questions, { setName, fileBase, baseUrl }),
+  fileName: `${fileBase}-${FORMATS[format].suffix}`,
+  contentType: FORMATS[format].contentType
+});
+
+module.exports = { FORMATS, isQuestionBankFile, importQuestionBank, exportQuestionBank };
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-bank-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { importQuestionBank, exportQuestionBank } = require('.');
+
+const questions = [
+  {
+    id: 1,
+    type: 'single',
+    question: 'What is **2 + 2**?',
+    options: ['3', '4', 'Five: {5}', '6'],
+    correctAnswer: 1,
+    domain: 'Maths',
+    difficulty: 'easy',
+    explanation: 'Basic sum.',
+    reference: 'https://example.com/sums'
+  },
+  { id: 2, type: 'multiple', question: 'Which are colours?', options: ['Red', 'Blue', 'Square'], correctAnswers: [0, 1], scoring: 'partial', domain: 'Art', difficulty: 'medium' },
+  { id: 3, type: 'multiple', question: 'Pick both', options: ['A', 'B', 'C'], correctAnswers: [0, 2], scoring: 'all-or-nothing', domain: 'Art', difficulty: 'hard' },
+  { id: 4, type: 'truefalse', question: 'The sky is blue', options: ['True', 'False'], correctAnswer: 0, domain: 'Science', difficulty: 'medium' }
+];
+
+const roundTrip = (format) => {
+  const { content, fileName } = exportQuestionBank(format, questions, {
+    setName: 'CBDA Chapter 1',
+    fileBase: 'cbda-chapter-1',
+    baseUrl: 'http://localhost:5000'
+  });
+  return importQuestionBank(content, fileName, { dryRun: true });
+};
+
+// GIFT and Moodle XML only have answer weights, so all-or-nothing comes back as partial credit
+const expectedScoring = { gift: 'partial', moodle: 'partial', qti: 'all-or-nothing' };
+
+Object.entries(expectedScoring).forEach(([format, allOrNothingScoring]) => {
+  test(`${format} export imports back unchanged`, () => {
+    const { questions: imported, report } = roundTrip(format);
+
+    assert.deepEqual(
+      { total: report.total, imported: report.imported, skipped: report.skipped, suspicious: report.suspicious },
+      { total: 4, imported: 4, skipped: 0, suspicious: 0 }
+    );
+    assert.deepEqual(imported, questions.map(q => (q.id === 3 ? { ...q, scoring: allOrNothingScoring } : q)));
+  });
+});
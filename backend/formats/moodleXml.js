@@ -0,0 +1,202 @@
+const fs = require('fs');
+const { assetPath } = require('../utils/questionAssets');
+const { htmlToMarkdown, comparable, excerpt } = require('../importers/common');
+const {
+  tagsFor, categoryPath, feedbackWithReference, escapeXml, cdata, markdownToHtml, assetsIn, relinkAssets,
+  storeDataUri, rewriteImageSources, parseXml, childElements, firstChild, textOf, buildCandidate
+} = require('./shared');
+
+// Moodle XML: a <quiz> of <question> elements. Category "questions" set the
+// category of the ones after them, text is HTML, and images travel inside the
+// file as base64 <file> elements referred to as @@PLUGINFILE@@/<name>.
+
+const PLUGINFILE = '@@PLUGINFILE@@/';
+
+// <text>...</text> plus a <file> for each image, for some question Markdown
+const htmlContent = (markdown) => {
+  const files = assetsIn(markdown).map(name => (
+    `<file name="${name}" path="/" encoding="base64">${fs.readFileSync(assetPath(name)).toString('base64')}</file>`
+  ));
+  return `<text>${cdata(relinkAssets(markdownToHtml(markdown), PLUGINFILE))}</text>${files.join('')}`;
+};
+
+const weight = (value) => Number(value.toFixed(5));
+
+const writeQuestion = (question) => {
+  const isTrueFalse = question.type === 'truefalse'
+    && question.options.every((o, i) => comparable(o) === ['true', 'false'][i]);
+  const feedback = feedbackWithReference(question);
+
+  const lines = [
+    `  <question type="${isTrueFalse ? 'truefalse' : 'multichoice'}">`,
+    `    <name><text>${escapeXml(`Q${question.id}. ${excerpt(question.question, 60)}`)}</text></name>`,
+    `    <questiontext format="html">${htmlContent(question.question)}</questiontext>`,
+    `    <generalfeedback format="html">${htmlContent(feedback)}</generalfeedback>`,
+    '    <defaultgrade>1</defaultgrade>',
+    '    <penalty>0</penalty>',
+    '    <hidden>0</hidden>'
+  ];
+
+  if (isTrueFalse) {
+    ['true', 'false'].forEach((value, i) => {
+      lines.push(`    <answer fraction="${question.correctAnswer === i ? 100 : 0}" format="moodle_auto_format"><text>${value}</text><feedback format="html"><text></text></feedback></answer>`);
+    });
+  } else {
+    const multiple = question.type === 'multiple';
+    const share = multiple ? 100 / question.correctAnswers.length : 100;
+    const fraction = (i) => {
+      if (multiple) return weight(question.correctAnswers.includes(i) ? share : -share);
+      return i === question.correctAnswer ? 100 : 0;
+    };
+
+    lines.push(
+      `    <single>${multiple ? 'false' : 'true'}</single>`,
+      '    <shuffleanswers>false</shuffleanswers>',
+      '    <answernumbering>ABCD</answernumbering>'
+    );
+    question.options.forEach((option, i) => {
+      lines.push(`    <answer fraction="${fraction(i)}" format="html">${htmlContent(option)}<feedback format="html"><text></text></feedback></answer>`);
+    });
+  }
+
+  lines.push(
+    `    <tags>${tagsFor(question).map(tag => `<tag><text>${escapeXml(tag)}</text></tag>`).join('')}</tags>`,
+    '  </question>'
+  );
+  return lines.join('\n');
+};
+
+// The questions of a set as a Moodle XML file
+const write = (questions, { setName }) => {
+  const blocks = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+  let category = null;
+
+  questions.forEach(question => {
+    const path = categoryPath(['$course$', 'top', setName, question.domain || 'General']);
+    if (path !== category) {
+      blocks.push(`  <question type="category">\n    <category><text>${escapeXml(path)}</text></category>\n  </question>`);
+      category = path;
+    }
+    blocks.push(writeQuestion(question));
+  });
+
+  blocks.push('</quiz>');
+  return Buffer.from(`${blocks.join('\n')}\n`, 'utf8');
+};
+
+// ---- Reading ----
+
+// Moodle question types the app has no equivalent for
+const UNSUPPORTED_TYPES = {
+  shortanswer: 'Short answer',
+  essay: 'Essay',
+  matching: 'Matching',
+  numerical: 'Numerical',
+  multianswer: 'Embedded answers (Cloze)',
+  description: 'Description (text without answers)',
+  calculated: 'Calculated',
+  calculatedsimple: 'Calculated',
+  calculatedmulti: 'Calculated multichoice',
+  ddwtos: 'Drag and drop into text',
+  ddimageortext: 'Drag and drop onto image',
+  ddmarker: 'Drag and drop markers',
+  gapselect: 'Select missing words',
+  randomsamatch: 'Random short-answer matching',
+  ordering: 'Ordering'
+};
+
+// The Markdown of a text element (<questiontext>, <answer>, ...). HTML is
+// converted, and its @@PLUGINFILE@@ images are taken from the <file> elements
+// next to it.
+const readText = (node, imageStore) => {
+  if (!node) {
+    return '';
+  }
+  const text = textOf(firstChild(node, 'text'));
+  if ((node.getAttribute('format') || 'html') !== 'html') {
+    return text;
+  }
+
+  const files = {};
+  childElements(node, 'file').forEach(file => {
+    files[file.getAttribute('name')] = Buffer.from(file.textContent.replace(/\s+/g, ''), 'base64');
+  });
+
+  return htmlToMarkdown(rewriteImageSources(text, src => {
+    if (src.startsWith(PLUGINFILE)) {
+      const name = decodeURIComponent(src.slice(PLUGINFILE.length).split('?')[0]).replace(/^.*\//, '');
+      return imageStore.store(files[name] || null, files[name] ? name.split('.').pop() : 'missing file');
+    }
+    return src.startsWith('data:') ? storeDataUri(src, imageStore) : src;
+  }));
+};
+
+// Read a Moodle XML file: { entries, notes } (see ./index.js)
+const read = (buffer, { imageStore }) => {
+  const doc = parseXml(buffer.toString('utf8'));
+  if (doc.documentElement.localName !== 'quiz') {
+    throw Object.assign(new Error('This is not a Moodle XML file (it has no <quiz> element)'), { status: 400 });
+  }
+
+  const entries = [];
+  let category = '';
+
+  childElements(doc.documentElement, 'question').forEach(node => {
+    const type = node.getAttribute('type');
+    if (type === 'category') {
+      category = textOf(firstChild(firstChild(node, 'category'), 'text'));
+      return;
+    }
+
+    const number = entries.length + 1;
+    const question = readText(firstChild(node, 'questiontext'), imageStore);
+    const entry = { number, label: `Question ${number}`, name: `question ${number}`, excerpt: excerpt(question || textOf(firstChild(firstChild(node, 'name'), 'text'))) };
+
+    if (type !== 'multichoice' && type !== 'truefalse') {
+      entries.push({ ...entry, unsupportedType: UNSUPPORTED_TYPES[type] || type || 'Unknown' });
+      return;
+    }
+
+    const answers = childElements(node, 'answer').map(answer => ({
+      text: readText(answer, imageStore),
+      fraction: Number(answer.getAttribute('fraction')) || 0,
+      hasFeedback: textOf(firstChild(firstChild(answer, 'feedback'), 'text')) !== ''
+    }));
+    const warnings = answers.some(answer => answer.hasFeedback) ? ['Feedback on individual answers was left out'] : [];
+    const tags = childElements(firstChild(node, 'tags'), 'tag').map(tag => textOf(firstChild(tag, 'text')));
+    const shared = { question, explanation: readText(firstChild(node, 'generalfeedback'), imageStore), category, tags };
+
+    if (type === 'truefalse') {
+      const right = answers.find(answer => answer.fraction === 100);
+      const parts = right
+        ? { ...shared, trueFalse: comparable(right.text) === 'true' }
+        : { ...shared, options: answers.map(answer => answer.text), correct: [] };
+      entries.push({ ...entry, ...buildCandidate(parts, warnings) });
+      return;
+    }
+
+    const multiple = /^(false|0)$/i.test(textOf(firstChild(node, 'single')));
+    const correct = answers
+      .map((answer, i) => ((multiple ? answer.fraction > 0 : answer.fraction === 100) ? i : null))
+      .filter(i => i !== null);
+    const partial = answers.filter(answer => !multiple && answer.fraction > 0 && answer.fraction < 100);
+    if (partial.length > 0) {
+      warnings.push(`Partial credit for ${partial.length} answer(s) was left out; only the fully correct answer scores`);
+    }
+
+    entries.push({
+      ...entry,
+      ...buildCandidate({
+        ...shared,
+        options: answers.map(answer => answer.text),
+        correct,
+        multiple,
+        weights: multiple ? answers.map(answer => answer.fraction) : null
+      }, warnings)
+    });
+  });
+
+  return { entries, notes: [] };
+};
+
+module.exports = { read, write };
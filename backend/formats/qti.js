@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { assetPath } = require('../utils/questionAssets');
+const { LETTERS, htmlToMarkdown, excerpt } = require('../importers/common');
+const {
+  feedbackWithReference, escapeXml, markdownToHtml, assetsIn, relinkAssets, storeDataUri, rewriteImageSources,
+  parseXml, childElements, firstChild, findElements, textOf, innerXml, buildCandidate
+} = require('./shared');
+
+// IMS QTI 2.1: a content package (.zip) with one assessmentItem file per
+// question, listed in imsmanifest.xml. Each item is a choiceInteraction; the
+// domain is the item's LOM keyword and the difficulty its LOM difficulty, both
+// in the manifest. Images are packaged under images/.
+
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const ITEM_TYPE = 'imsqti_item_xmlv2p1';
+
+// LOM's difficulty vocabulary and the app's levels
+const LOM_DIFFICULTY = { easy: 'easy', medium: 'medium', hard: 'difficult' };
+const FROM_LOM_DIFFICULTY = { 'very easy': 'easy', easy: 'easy', medium: 'medium', difficult: 'hard', 'very difficult': 'hard' };
+
+// Question Markdown as the XHTML QTI uses, with images pointing into the package
+const itemHtml = (markdown) => relinkAssets(markdownToHtml(markdown), '../images/');
+
+const writeItem = (question) => {
+  const multiple = question.type === 'multiple';
+  const correct = multiple ? question.correctAnswers : [question.correctAnswer];
+  const partial = multiple && question.scoring === 'partial';
+  const share = 1 / correct.length;
+  const feedback = feedbackWithReference(question);
+
+  const mapping = partial
+    ? [
+      '    <mapping lowerBound="0" upperBound="1" defaultValue="0">',
+      ...question.options.map((option, i) => (
+        `      <mapEntry mapKey="${LETTERS[i]}" mappedValue="${Number((correct.includes(i) ? share : -share).toFixed(5))}"/>`
+      )),
+      '    </mapping>'
+    ]
+    : [];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `  xsi:schemaLocation="${QTI_NS} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"`,
+    `  identifier="Q${question.id}" title="${escapeXml(excerpt(question.question, 60))}" adaptive="false" timeDependent="false">`,
+    `  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">`,
+    `    <correctResponse>${correct.map(i => `<value>${LETTERS[i]}</value>`).join('')}</correctResponse>`,
+    ...mapping,
+    '  </responseDeclaration>',
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>',
+    ...(feedback ? ['  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>'] : []),
+    '  <itemBody>',
+    `    <div>${itemHtml(question.question)}</div>`,
+    `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? question.options.length : 1}">`,
+    ...question.options.map((option, i) => `      <simpleChoice identifier="${LETTERS[i]}">${itemHtml(option)}</simpleChoice>`),
+    '    </choiceInteraction>',
+    '  </itemBody>',
+    `  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/${partial ? 'map_response' : 'match_correct'}"/>`,
+    ...(feedback ? [`  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${itemHtml(feedback)}</modalFeedback>`] : []),
+    '</assessmentItem>',
+    ''
+  ].join('\n');
+};
+
+// <resource> metadata: the domain as a keyword, and the difficulty
+const lomMetadata = (question) => [
+  '      <metadata>',
+  '        <imsmd:lom>',
+  `          <imsmd:general><imsmd:keyword><imsmd:string>${escapeXml(question.domain || 'General')}</imsmd:string></imsmd:keyword></imsmd:general>`,
+  `          <imsmd:educational><imsmd:difficulty><imsmd:source>LOMv1.0</imsmd:source><imsmd:value>${LOM_DIFFICULTY[question.difficulty] || 'medium'}</imsmd:value></imsmd:difficulty></imsmd:educational>`,
+  '        </imsmd:lom>',
+  '      </metadata>'
+];
+
+// The questions of a set as a QTI 2.1 content package
+const write = (questions, { setName, fileBase }) => {
+  const zip = new AdmZip();
+  const resources = [];
+
+  questions.forEach(question => {
+    const href = `items/Q${question.id}.xml`;
+    const texts = [question.question, ...question.options, feedbackWithReference(question)].join('\n');
+    const images = [...new Set(assetsIn(texts))];
+
+    zip.addFile(href, Buffer.from(writeItem(question), 'utf8'));
+    images.forEach(name => zip.addFile(`images/${name}`, fs.readFileSync(assetPath(name))));
+
+    resources.push(
+      `    <resource identifier="RES-Q${question.id}" type="${ITEM_TYPE}" href="${href}">`,
+      ...lomMetadata(question),
+      `      <file href="${href}"/>`,
+      ...images.map(name => `      <file href="images/${name}"/>`),
+      '    </resource>'
+    );
+  });
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" identifier="MANIFEST-${escapeXml(fileBase)}">`,
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    `    <imsmd:lom><imsmd:general><imsmd:title><imsmd:string>${escapeXml(setName)}</imsmd:string></imsmd:title></imsmd:general></imsmd:lom>`,
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    ...resources,
+    '  </resources>',
+    '</manifest>',
+    ''
+  ].join('\n');
+  zip.addFile('imsmanifest.xml', Buffer.from(manifest, 'utf8'));
+
+  return zip.toBuffer();
+};
+
+// ---- Reading ----
+
+// QTI interactions other than choice, by name
+const UNSUPPORTED_INTERACTIONS = {
+  textEntryInteraction: 'Text entry',
+  extendedTextInteraction: 'Extended text (essay)',
+  matchInteraction: 'Matching',
+  associateInteraction: 'Associate',
+  orderInteraction: 'Ordering',
+  gapMatchInteraction: 'Gap match',
+  inlineChoiceInteraction: 'Inline choice',
+  hottextInteraction: 'Hot text',
+  hotspotInteraction: 'Hotspot',
+  selectPointInteraction: 'Select point',
+  graphicOrderInteraction: 'Graphic ordering',
+  graphicAssociateInteraction: 'Graphic associate',
+  graphicGapMatchInteraction: 'Graphic gap match',
+  positionObjectInteraction: 'Position object',
+  sliderInteraction: 'Slider',
+  drawingInteraction: 'Drawing',
+  uploadInteraction: 'File upload',
+  mediaInteraction: 'Media',
+  customInteraction: 'Custom'
+};
+
+// Tags from a resource's LOM metadata: its keywords and difficulty
+const readLom = (resource) => {
+  const keywords = findElements(resource, name => name === 'keyword').map(textOf).filter(Boolean);
+  const difficulty = findElements(resource, name => name === 'difficulty')
+    .map(node => textOf(findElements(node, name => name === 'value')[0]).toLowerCase())[0];
+  return [...keywords, ...(FROM_LOM_DIFFICULTY[difficulty] ? [`difficulty-${FROM_LOM_DIFFICULTY[difficulty]}`] : [])];
+};
+
+// One assessmentItem as an entry. `readFile(href)` returns a file of the
+// package relative to the item (null when there is none).
+const readItem = (doc, { entry, tags, readFile, imageStore }) => {
+  const root = doc.documentElement;
+  const itemBody = firstChild(root, 'itemBody');
+  const interactions = findElements(itemBody, name => /Interaction$/.test(name));
+
+  const toMarkdown = (node) => htmlToMarkdown(rewriteImageSources(node ? innerXml(node) : '', src => {
+    if (/^https?:/i.test(src)) return src;
+    if (src.startsWith('data:')) return storeDataUri(src, imageStore);
+    const file = readFile(src);
+    return imageStore.store(file, file ? path.extname(src).slice(1) || 'unknown' : 'missing file');
+  }));
+
+  if (interactions.length !== 1 || interactions[0].localName !== 'choiceInteraction') {
+    const names = interactions.map(node => UNSUPPORTED_INTERACTIONS[node.localName] || node.localName);
+    return {
+      ...entry,
+      excerpt: excerpt(toMarkdown(itemBody) || root.getAttribute('title') || ''),
+      unsupportedType: interactions.length === 0 ? 'Item without an interaction' : [...new Set(names)].join(' + ')
+    };
+  }
+
+  const interaction = interactions[0];
+  const prompt = firstChild(interaction, 'prompt');
+  const choices = childElements(interaction, 'simpleChoice');
+  interaction.parentNode.removeChild(interaction);
+  const question = [toMarkdown(itemBody), toMarkdown(prompt)].filter(Boolean).join('\n\n');
+
+  const declaration = childElements(root, 'responseDeclaration')
+    .find(node => node.getAttribute('identifier') === interaction.getAttribute('responseIdentifier'));
+  const ids = choices.map(choice => choice.getAttribute('identifier'));
+  const correctIds = childElements(firstChild(declaration, 'correctResponse'), 'value').map(textOf);
+  const unknown = correctIds.filter(id => !ids.includes(id));
+
+  const mapping = firstChild(declaration, 'mapping');
+  const multiple = (declaration && declaration.getAttribute('cardinality')) === 'multiple';
+  let weights = null;
+  if (multiple && mapping) {
+    const values = ids.map(id => {
+      const mapEntry = childElements(mapping, 'mapEntry').find(node => node.getAttribute('mapKey') === id);
+      return mapEntry ? Number(mapEntry.getAttribute('mappedValue')) || 0 : Number(mapping.getAttribute('defaultValue')) || 0;
+    });
+    const total = Number(mapping.getAttribute('upperBound')) || values.filter(value => value > 0).reduce((sum, value) => sum + value, 0) || 1;
+    weights = values.map(value => (value / total) * 100);
+  }
+
+  const feedback = childElements(root, 'modalFeedback').map(toMarkdown).filter(Boolean).join('\n\n');
+  const parsed = buildCandidate({
+    question,
+    options: choices.map(toMarkdown),
+    correct: correctIds.map(id => ids.indexOf(id)).filter(i => i !== -1),
+    multiple,
+    weights,
+    explanation: feedback,
+    tags
+  });
+
+  if (unknown.length > 0) {
+    parsed.problems.unshift(`The correct response names choices that don't exist (${unknown.join(', ')})`);
+  }
+
+  return { ...entry, excerpt: excerpt(question), ...parsed };
+};
+
+// Read a QTI package (.zip) or a single assessmentItem (.xml): { entries, notes }
+const read = (buffer, { fileName, imageStore }) => {
+  const entries = [];
+  const notes = [];
+  const next = () => {
+    const number = entries.length + 1;
+    return { number, label: `Question ${number}`, name: `question ${number}` };
+  };
+
+  if (path.extname(fileName).toLowerCase() === '.xml') {
+    const doc = parseXml(buffer.toString('utf8'));
+    if (doc.documentElement.localName !== 'assessmentItem') {
+      throw Object.assign(new Error('This XML file is not a QTI 2.1 assessmentItem'), { status: 400 });
+    }
+    notes.push('A single QTI item was read; images it refers to can only be imported from a package (.zip)');
+    entries.push(readItem(doc, { entry: next(), tags: [], readFile: () => null, imageStore }));
+    return { entries, notes };
+  }
+
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw Object.assign(new Error('The file is not a valid zip archive'), { status: 400 });
+  }
+  const files = {};
+  zip.getEntries().filter(file => !file.isDirectory).forEach(file => {
+    files[file.entryName.replace(/\\/g, '/')] = file;
+  });
+  const fileData = (name) => (files[name] ? files[name].getData() : null);
+
+  // Items in manifest order; without a manifest, every item file in the zip
+  const manifestName = Object.keys(files).find(name => /(^|\/)imsmanifest\.xml$/i.test(name));
+  let items;
+  if (manifestName) {
+    const base = path.posix.dirname(manifestName);
+    const manifest = parseXml(fileData(manifestName).toString('utf8'));
+    const resources = findElements(manifest.documentElement, name => name === 'resource');
+    items = resources
+      .filter(resource => /^imsqti_item_xmlv2p/.test(resource.getAttribute('type') || ''))
+      .map(resource => ({ href: path.posix.join(base, resource.getAttribute('href') || ''), tags: readLom(resource) }));
+
+    if (items.length === 0 && resources.some(resource => /^imsqti_xmlv1p/.test(resource.getAttribute('type') || ''))) {
+      throw Object.assign(new Error('This is a QTI 1.2 package; only QTI 2.1 can be imported'), { status: 400 });
+    }
+  } else {
+    items = Object.keys(files).filter(name => /\.xml$/i.test(name)).sort()
+      .filter(name => /<assessmentItem[\s>]/.test(fileData(name).toString('utf8')))
+      .map(href => ({ href, tags: [] }));
+  }
+
+  items.forEach(({ href, tags }) => {
+    const entry = next();
+    const data = fileData(href);
+    if (!data) {
+      entries.push({ ...entry, excerpt: href, problems: [`The package has no file ${href}`], warnings: [] });
+      return;
+    }
+    let doc;
+    try {
+      doc = parseXml(data.toString('utf8'));
+    } catch (error) {
+      entries.push({ ...entry, excerpt: href, problems: [`${href}: ${error.message}`], warnings: [] });
+      return;
+    }
+    const readFile = (src) => fileData(path.posix.normalize(path.posix.join(path.posix.dirname(href), decodeURIComponent(src.split(/[?#]/)[0]))));
+    entries.push(readItem(doc, { entry, tags, readFile, imageStore }));
+  });
+
+  if (items.length === 0) {
+    notes.push('No QTI 2.1 items were found in the package');
+  }
+  return { entries, notes };
+};
+
+module.exports = { read, write };
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const { marked } = require('marked');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { validateQuestion } = require('../utils/questionValidator');
+const { ASSET_URL_PREFIX, assetPath, describeAsset, saveAsset } = require('../utils/questionAssets');
+const { comparable, takeUnsupportedImages, readDifficulty } = require('../importers/common');
+
+// Pieces shared by the question bank formats (GIFT, Moodle XML, QTI): how
+// domain and difficulty become categories and tags, Markdown <-> HTML, images,
+// XML helpers, and turning what a reader found into a question.
+
+// ---- Domain and difficulty ----
+// Categories are "<set>/<domain>", and each question is tagged with its domain
+// and "difficulty-<level>". Reading goes the other way: the last category
+// level is the domain (falling back to a tag), and a difficulty tag the level.
+
+const DIFFICULTY_TAG = /^(?:difficulty[-:_ ]?)?(easy|medium|hard)$/i;
+
+const tagsFor = (question) => [question.domain, `difficulty-${question.difficulty || 'medium'}`].filter(Boolean);
+
+// Moodle category paths use "/" between levels and "//" for a slash in a name
+const categoryPath = (levels) => levels.map(level => String(level).replace(/\//g, '//')).join('/');
+
+const categoryLevels = (path) => (path || '').split(/(?<!\/)\/(?!\/)/).map(level => level.replace(/\/\//g, '/').trim()).filter(Boolean);
+
+// Levels that say nothing about the subject: "$course$", "top", "Default for ..."
+const isGenericCategory = (level) => /^\$\w+\$$|^top$|^default for /i.test(level);
+
+// { domain, difficulty } from a category path and tags
+const classify = ({ category, tags = [] }) => {
+  const levels = categoryLevels(category).filter(level => !isGenericCategory(level));
+  const difficultyTag = tags.find(tag => DIFFICULTY_TAG.test(tag));
+  const otherTags = tags.filter(tag => !DIFFICULTY_TAG.test(tag));
+
+  return {
+    domain: levels.length > 0 ? levels[levels.length - 1] : (otherTags[0] || ''),
+    difficulty: difficultyTag ? difficultyTag.match(DIFFICULTY_TAG)[1].toLowerCase() : ''
+  };
+};
+
+// ---- Explanations ----
+// The formats have no reference field, so it travels as the explanation's last
+// paragraph ("Reference: ...") and is split off again on import.
+
+const feedbackWithReference = (question) => [question.explanation, question.reference && `Reference: ${question.reference}`]
+  .filter(Boolean)
+  .join('\n\n');
+
+const splitReference = (feedback) => {
+  const match = (feedback || '').match(/(?:^|\n\n)\**Reference:?\**:?\s*([^\n]+)\s*$/i);
+  if (!match) {
+    return { explanation: (feedback || '').trim(), reference: '' };
+  }
+  // HTML formats turn a bare URL into a link; keep just the URL
+  const link = match[1].trim().match(/^\[[^\]]*\]\((\S+?)\)$/);
+  return { explanation: feedback.slice(0, match.index).trim(), reference: link ? link[1] : match[1].trim() };
+};
+
+// ---- Text ----
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const cdata = (text) => `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Raw HTML in question text is shown as text in the app, so it is escaped here too
+const renderer = new marked.Renderer();
+renderer.html = (html) => escapeXml(html);
+
+// Question Markdown as well-formed (X)HTML, with line breaks kept as in the app
+const markdownToHtml = (markdown) => marked.parse(markdown || '', {
+  renderer,
+  gfm: true,
+  breaks: true,
+  xhtml: true,
+  headerIds: false,
+  mangle: false
+}).trim();
+
+// Names of the uploaded images a piece of Markdown uses (that still exist)
+const ASSET_URL = new RegExp(`${ASSET_URL_PREFIX.replace(/\//g, '\\/')}([\\w.-]+)`, 'g');
+const assetsIn = (markdown) => [...new Set([...(markdown || '').matchAll(ASSET_URL)].map(match => match[1]))]
+  .filter(name => assetPath(name) && fs.existsSync(assetPath(name)));
+
+// Point image URLs at `prefix + name` (a file in the export, or this server)
+const relinkAssets = (text, prefix) => text.replace(ASSET_URL, (url, name) => `${prefix}${name}`);
+
+// ---- Images on import ----
+// Images found in a file are stored as question assets (not in a dry run).
+// The ones the app can't show become the unsupported: placeholder, reported
+// on their question.
+
+const createImageStore = ({ dryRun }) => {
+  const images = { stored: 0, unsupported: 0 };
+
+  const store = (buffer, description = 'unknown') => {
+    const asset = buffer && describeAsset(buffer);
+    if (!asset) {
+      images.unsupported++;
+      return `unsupported:${description}`;
+    }
+    if (!dryRun) {
+      saveAsset(buffer);
+    }
+    images.stored++;
+    return asset.url;
+  };
+
+  return { images, store };
+};
+
+// Image in a data: URI, stored as an asset
+const storeDataUri = (src, imageStore) => {
+  const match = src.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+  if (!match || !match[2]) {
+    return imageStore.store(null, (match && match[1]) || 'data URI');
+  }
+  return imageStore.store(Buffer.from(match[3], 'base64'), match[1] || 'unknown');
+};
+
+// Rewrite every <img src> in some HTML with `resolve(src)`
+const rewriteImageSources = (html, resolve) => html.replace(
+  /(<img\b[^>]*?\bsrc\s*=\s*)(["'])([\s\S]*?)\2/gi,
+  (match, start, quote, src) => `${start}${quote}${escapeXml(resolve(src.replace(/&amp;/g, '&')))}${quote}`
+);
+
+// ---- XML ----
+
+const parseXml = (text) => {
+  let failure = null;
+  const doc = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: (message) => { failure = failure || message; },
+      fatalError: (message) => { failure = failure || message; }
+    }
+  }).parseFromString(text, 'text/xml');
+
+  if (failure || !doc || !doc.documentElement) {
+    throw Object.assign(new Error(`The file is not well-formed XML${failure ? ` (${String(failure).split('\n')[0]})` : ''}`), { status: 400 });
+  }
+  return doc;
+};
+
+// Child elements by local name (namespace prefixes ignored)
+const childElements = (node, name) => Array.from((node && node.childNodes) || [])
+  .filter(child => child.nodeType === 1 && (!name || child.localName === name));
+
+const firstChild = (node, name) => childElements(node, name)[0] || null;
+
+// Elements anywhere below `node` whose local name passes `test`
+const findElements = (node, test) => childElements(node).flatMap(child => [
+  ...(test(child.localName) ? [child] : []),
+  ...findElements(child, test)
+]);
+
+const textOf = (node) => (node ? node.textContent.trim() : '');
+
+const serializer = new XMLSerializer();
+const innerXml = (node) => Array.from(node.childNodes).map(child => serializer.serializeToString(child)).join('');
+
+// ---- Reading questions ----
+
+// Turn what a format reader found into a question for the importer:
+//   { question, options, correct: [indexes], multiple, weights (percent per
+//     option, when the format scores by weight), trueFalse (true/false value of
+//     a native true/false question), explanation, category, tags }
+// Returns { problems, warnings, question, candidate } like the other importers.
+const buildCandidate = (parts, warnings = []) => {
+  const problems = [];
+
+  const texts = [parts.question, ...(parts.options || []), parts.explanation || ''].map(takeUnsupportedImages);
+  const unsupported = texts.flatMap(text => text.unsupported);
+  if (unsupported.length > 0) {
+    warnings.push(`${unsupported.length} image(s) the app can't show (${[...new Set(unsupported)].join(', ')}) were left out`);
+  }
+  const [question, ...rest] = texts.map(text => text.text);
+  let options = rest.slice(0, (parts.options || []).length);
+  const { explanation, reference } = splitReference(rest[rest.length - 1]);
+
+  if (!question) {
+    problems.push('The question has no text');
+  }
+
+  let type;
+  let answer;
+  const correct = parts.correct || [];
+
+  if (parts.trueFalse !== undefined) {
+    type = 'truefalse';
+    options = ['True', 'False'];
+    answer = { correctAnswer: parts.trueFalse ? 0 : 1 };
+  } else if (parts.multiple && correct.length > 1) {
+    type = 'multiple';
+    // Partial credit only when a correct pick earns part of the marks;
+    // otherwise the app's default, all-or-nothing
+    const fractional = Boolean(parts.weights) && correct.some(i => parts.weights[i] > 0 && parts.weights[i] < 100);
+    answer = { correctAnswers: correct, scoring: fractional ? 'partial' : 'all-or-nothing' };
+
+    // The app's partial credit: a share per correct pick, minus one per wrong pick
+    if (fractional) {
+      const share = 100 / correct.length;
+      const matches = parts.weights.every((weight, i) => Math.abs(weight - (correct.includes(i) ? share : -share)) < 0.01);
+      if (!matches) {
+        warnings.push('The answer weights were replaced by the app\'s partial credit (a share for each correct pick, minus one for each wrong pick)');
+      }
+    } else if (parts.weights) {
+      warnings.push('Each correct answer is worth full marks, so the question was imported as all-or-nothing');
+    }
+  } else if (correct.length === 1) {
+    const isTrueFalse = options.length === 2 && options.every((o, i) => comparable(o) === ['true', 'false'][i]);
+    type = isTrueFalse ? 'truefalse' : 'single';
+    answer = { correctAnswer: correct[0] };
+    if (parts.multiple) {
+      warnings.push('Only one answer is correct, so it was imported as a single-answer question');
+    }
+  } else if (correct.length === 0) {
+    problems.push('No answer is marked correct');
+  } else {
+    problems.push(`${correct.length} answers are marked fully correct, but only one can be chosen`);
+  }
+
+  const { domain, difficulty } = classify(parts);
+
+  if (problems.length > 0) {
+    return { problems, warnings, question };
+  }
+
+  const candidate = {
+    type,
+    question,
+    options,
+    ...answer,
+    domain: domain || 'General',
+    difficulty: readDifficulty(difficulty, warnings),
+    explanation: explanation || undefined,
+    reference: reference || undefined
+  };
+
+  return { problems: validateQuestion(candidate), warnings, question, candidate };
+};
+
+module.exports = {
+  tagsFor,
+  categoryPath,
+  categoryLevels,
+  classify,
+  feedbackWithReference,
+  escapeXml,
+  cdata,
+  markdownToHtml,
+  assetsIn,
+  relinkAssets,
+  createImageStore,
+  storeDataUri,
+  rewriteImageSources,
+  parseXml,
+  childElements,
+  firstChild,
+  findElements,
+  textOf,
+  innerXml,
+  buildCandidate
+};
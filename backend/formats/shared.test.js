@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-formats-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { buildCandidate, classify } = require('./shared');
+
+const multipleResponse = (weights) => ({
+  question: 'Which are colours?',
+  options: ['Red', 'Blue', 'Square', 'Circle'],
+  correct: [0, 1],
+  multiple: true,
+  weights,
+  category: '$course$/top/Set/Art'
+});
+
+test('fractional weights import as partial credit', () => {
+  const { problems, warnings, candidate } = buildCandidate(multipleResponse([50, 50, -50, -50]));
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(warnings, []);
+  assert.equal(candidate.type, 'multiple');
+  assert.deepEqual(candidate.correctAnswers, [0, 1]);
+  assert.equal(candidate.scoring, 'partial');
+});
+
+test('other fractional weights are replaced by the app\'s partial credit, with a warning', () => {
+  const { warnings, candidate } = buildCandidate(multipleResponse([70, 30, 0, 0]));
+
+  assert.equal(candidate.scoring, 'partial');
+  assert.match(warnings[0], /answer weights were replaced/);
+});
+
+test('without fractional weights a multiple-response question is all-or-nothing', () => {
+  assert.equal(buildCandidate(multipleResponse(null)).candidate.scoring, 'all-or-nothing');
+
+  const fullMarks = buildCandidate(multipleResponse([100, 100, 0, 0]));
+  assert.equal(fullMarks.candidate.scoring, 'all-or-nothing');
+  assert.match(fullMarks.warnings[0], /imported as all-or-nothing/);
+});
+
+test('a multiple-response question with one correct answer becomes single answer', () => {
+  const { warnings, candidate } = buildCandidate({ ...multipleResponse([100, 0, 0, 0]), correct: [0] });
+
+  assert.equal(candidate.type, 'single');
+  assert.equal(candidate.correctAnswer, 0);
+  assert.equal(candidate.scoring, undefined);
+  assert.match(warnings[0], /imported as a single-answer question/);
+});
+
+test('the domain comes from the last specific category level and difficulty from a tag', () => {
+  assert.deepEqual(classify({ category: '$course$/top/CBDA Chapter 1/Data//Analytics', tags: ['difficulty-hard'] }), {
+    domain: 'Data/Analytics',
+    difficulty: 'hard'
+  });
+  assert.deepEqual(classify({ category: '$course$/top', tags: ['Security', 'easy'] }), { domain: 'Security', difficulty: 'easy' });
+});
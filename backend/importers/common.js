@@ -0,0 +1,163 @@
+// Helpers shared by the question importers (Word, spreadsheets).
+//
+// Every importer returns { questions, report }. The report lists each question
+// block or row as an item:
+//
+//   { number, label, status, questionId, excerpt, messages }
+//
+// where status is 'imported', 'suspicious' (imported, but worth a look) or
+// 'skipped' (not imported; `messages` says why).
+
+const TurndownService = require('turndown');
+const { DIFFICULTIES, normalizeQuestion } = require('../utils/questionValidator');
+
+const LETTERS = 'ABCDEF';
+
+// Images in formats the app can't show (EMF, TIFF, ...) are replaced by this
+// placeholder during conversion and reported on the question they were in
+// (Markdown puts it in <> when the description has spaces)
+const UNSUPPORTED_IMAGE = /!\[[^\]]*\]\(<?unsupported:([^)>]*)>?\)/g;
+
+const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-', emDelimiter: '*' });
+// Tables become GFM tables with the first row as the header
+turndown.addRule('table', {
+  filter: 'table',
+  replacement: (content, table) => {
+    const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell => (
+      turndown.turndown(cell.innerHTML).replace(/\s*\n+\s*/g, ' ').replace(/\|/g, '\\|').trim()
+    )));
+    if (rows.length === 0) return '';
+    const width = Math.max(...rows.map(row => row.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (v, i) => cells[i] || '').join(' | ')} |`;
+    return `\n\n${[line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n')}\n\n`;
+  }
+});
+
+// HTML as the Markdown that question text uses
+const htmlToMarkdown = (html) => turndown.turndown(html);
+
+// Text without its unsupported-image placeholders: { text, unsupported: [content types] }
+const takeUnsupportedImages = (markdown) => ({
+  text: markdown.replace(UNSUPPORTED_IMAGE, '').trim(),
+  unsupported: [...markdown.matchAll(UNSUPPORTED_IMAGE)].map(match => match[1] || 'unknown')
+});
+
+// A line without its Markdown: emphasis and code markers dropped, escapes undone
+const plainText = (markdown) => markdown.replace(/\\(.)|\*\*|__|[*_`]/g, (match, escaped) => escaped || '').trim();
+
+const comparable = (text) => plainText(text).toLowerCase().replace(/\s+/g, ' ');
+
+const excerpt = (text, length = 80) => {
+  const plain = plainText(text).replace(/!\[[^\]]*\]\([^)]*\)/g, '[image]').replace(/\s+/g, ' ');
+  return plain.length > length ? `${plain.slice(0, length - 1)}…` : plain;
+};
+
+// "B", "a, c", "A and D", "C & E", "(b)"; the whole answer must be letters
+const LETTER_LIST = /^\(?[A-F]\)?(?:\s*(?:,|&|\/|\band\b)?\s*\(?[A-F]\)?)*$/i;
+
+// The option indexes an Answer line points at: { answers } or { error }, plus
+// an optional warning when the answer is readable but looks off
+const parseAnswer = (value, options) => {
+  const text = value.replace(/^options?\s+/i, '').replace(/[.;]$/, '').trim();
+
+  if (!text) {
+    return { error: 'The Answer line is empty' };
+  }
+  if (LETTER_LIST.test(text)) {
+    const letters = text.replace(/\band\b/gi, ' ').toUpperCase().match(/[A-F]/g);
+    return { answers: [...new Set(letters.map(letter => LETTERS.indexOf(letter)))] };
+  }
+
+  // "B) Managing data quality": the letter decides, the text is checked
+  const lettered = text.match(/^\(?([A-F])[).]\s+([\s\S]+)$/i);
+  if (lettered) {
+    const index = LETTERS.indexOf(lettered[1].toUpperCase());
+    const warning = options[index] !== undefined && comparable(options[index]) !== comparable(lettered[2])
+      ? `The answer "${excerpt(text, 40)}" names ${lettered[1].toUpperCase()}, but option ${lettered[1].toUpperCase()} is "${excerpt(options[index], 40)}"`
+      : null;
+    return { answers: [index], warning };
+  }
+
+  // The text of one of the options
+  const byText = options.findIndex(option => comparable(option) === comparable(text));
+  if (byText !== -1) {
+    return { answers: [byText] };
+  }
+
+  if (/^(true|false)$/i.test(text)) {
+    return { trueFalse: text.toLowerCase() === 'true' };
+  }
+
+  return { error: `The answer "${excerpt(text, 40)}" doesn't name an option letter (A-F) or match an option` };
+};
+
+// easy/medium/hard from a Difficulty value; anything else is medium, with a warning
+const readDifficulty = (value, warnings) => {
+  if (!value) {
+    return 'medium';
+  }
+  const level = value.toLowerCase();
+  if (DIFFICULTIES.includes(level)) {
+    return level;
+  }
+  warnings.push(`Difficulty "${value}" isn't easy, medium or hard; it was set to medium`);
+  return 'medium';
+};
+
+// Collects parsed blocks into the questions to save and the report items.
+// `add` takes { number, label, name, excerpt, problems, warnings, candidate }:
+// blocks with problems are skipped, the rest are numbered in order, and text
+// already seen is flagged as "Same question text as <name of the first>".
+const createCollector = () => {
+  const questions = [];
+  const items = [];
+  const seenText = new Map();
+
+  const add = ({ number, label, name, excerpt: text, problems, warnings, candidate }) => {
+    const item = { number, label, excerpt: text, messages: [...problems, ...warnings] };
+
+    if (problems.length > 0) {
+      items.push({ ...item, status: 'skipped', questionId: null });
+      return;
+    }
+
+    const key = comparable(candidate.question);
+    if (seenText.has(key)) {
+      warnings.push(`Same question text as ${seenText.get(key)}`);
+      item.messages = warnings;
+    } else {
+      seenText.set(key, name);
+    }
+
+    const saved = normalizeQuestion(candidate, questions.length + 1);
+    questions.push(saved);
+    items.push({ ...item, status: warnings.length > 0 ? 'suspicious' : 'imported', questionId: saved.id });
+  };
+
+  return { questions, items, add };
+};
+
+// total/imported/suspicious/skipped counts for a list of report items
+const countStatuses = (items) => {
+  const count = (status) => items.filter(item => item.status === status).length;
+  return {
+    total: items.length,
+    imported: count('imported') + count('suspicious'),
+    suspicious: count('suspicious'),
+    skipped: count('skipped')
+  };
+};
+
+module.exports = {
+  LETTERS,
+  UNSUPPORTED_IMAGE,
+  htmlToMarkdown,
+  takeUnsupportedImages,
+  plainText,
+  comparable,
+  excerpt,
+  parseAnswer,
+  readDifficulty,
+  createCollector,
+  countStatuses
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAnswer, readDifficulty, createCollector, countStatuses } = require('./common');
+
+const OPTIONS = ['Storing data', 'Managing data quality', 'Deleting data', 'Copying data'];
+
+test('parseAnswer reads letters in the usual spellings', () => {
+  assert.deepEqual(parseAnswer('B', OPTIONS), { answers: [1] });
+  assert.deepEqual(parseAnswer('b.', OPTIONS), { answers: [1] });
+  assert.deepEqual(parseAnswer('(c)', OPTIONS), { answers: [2] });
+  assert.deepEqual(parseAnswer('Option D', OPTIONS), { answers: [3] });
+  assert.deepEqual(parseAnswer('A, C', OPTIONS), { answers: [0, 2] });
+  assert.deepEqual(parseAnswer('a and d', OPTIONS), { answers: [0, 3] });
+  assert.deepEqual(parseAnswer('A & B', OPTIONS), { answers: [0, 1] });
+});
+
+test('parseAnswer reads an option by its text', () => {
+  assert.deepEqual(parseAnswer('managing data  quality', OPTIONS), { answers: [1] });
+});
+
+test('parseAnswer checks the text after a letter', () => {
+  assert.deepEqual(parseAnswer('B) Managing data quality', OPTIONS), { answers: [1], warning: null });
+  const { answers, warning } = parseAnswer('B) Deleting data', OPTIONS);
+  assert.deepEqual(answers, [1]);
+  assert.match(warning, /option B is "Managing data quality"/);
+});
+
+test('parseAnswer reads True and False', () => {
+  assert.deepEqual(parseAnswer('True', []), { trueFalse: true });
+  assert.deepEqual(parseAnswer('false', []), { trueFalse: false });
+});
+
+test('parseAnswer reports answers it cannot read', () => {
+  assert.deepEqual(parseAnswer('', OPTIONS), { error: 'The Answer line is empty' });
+  assert.match(parseAnswer('the second one', OPTIONS).error, /doesn't name an option letter/);
+});
+
+test('readDifficulty falls back to medium with a warning', () => {
+  const warnings = [];
+  assert.equal(readDifficulty('', warnings), 'medium');
+  assert.equal(readDifficulty('Hard', warnings), 'hard');
+  assert.deepEqual(warnings, []);
+  assert.equal(readDifficulty('tricky', warnings), 'medium');
+  assert.equal(warnings.length, 1);
+});
+
+test('the collector numbers kept questions and skips ones with problems', () => {
+  const { questions, items, add } = createCollector();
+  const candidate = (question) => ({ type: 'single', question, options: ['A', 'B'], correctAnswer: 0, domain: 'General', difficulty: 'medium' });
+
+  add({ number: 1, label: 'Row 2', name: 'row 2', excerpt: 'One', problems: [], warnings: [], candidate: candidate('One') });
+  add({ number: 2, label: 'Row 3', name: 'row 3', excerpt: '', problems: ['The question has no text'], warnings: [] });
+  add({ number: 3, label: 'Row 4', name: 'row 4', excerpt: 'One', problems: [], warnings: [], candidate: candidate('one') });
+
+  assert.deepEqual(questions.map(q => q.id), [1, 2]);
+  assert.deepEqual(items.map(item => item.status), ['imported', 'skipped', 'suspicious']);
+  assert.deepEqual(items[2].messages, ['Same question text as row 2']);
+  assert.deepEqual(countStatuses(items), { total: 3, imported: 2, suspicious: 1, skipped: 1 });
+});
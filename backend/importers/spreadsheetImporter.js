@@ -0,0 +1,233 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { validateQuestion } = require('../utils/questionValidator');
+const { parseCSV } = require('../utils/csv');
+const { LETTERS, comparable, excerpt, parseAnswer, readDifficulty, createCollector, countStatuses } = require('./common');
+
+// Reads questions from a CSV or Excel (.xlsx) sheet with one question per row.
+// The first row holds the column headings; a mapping says which column fills
+// which field. Only the first worksheet of an .xlsx file is read.
+//
+// The answer is a letter ("B"), several letters for a multiple-response
+// question ("A, C"), the text of an option, or True/False. Every data row is
+// reported by its row number in the sheet, so writers can find it again.
+
+// Fields a column can be mapped to, in the order they are shown
+const SPREADSHEET_FIELDS = [
+  { key: 'question', label: 'Question', required: true },
+  ...LETTERS.split('').map(letter => ({ key: `option${letter}`, label: `Option ${letter}`, required: false })),
+  { key: 'answer', label: 'Answer', required: true },
+  { key: 'domain', label: 'Domain', required: false },
+  { key: 'difficulty', label: 'Difficulty', required: false },
+  { key: 'explanation', label: 'Explanation', required: false },
+  { key: 'reference', label: 'Reference', required: false }
+];
+
+const FIELD_KEYS = SPREADSHEET_FIELDS.map(field => field.key);
+
+// Headings recognised for each field when guessing the mapping
+const HEADER_NAMES = {
+  question: ['question', 'question text', 'stem', 'prompt'],
+  answer: ['answer', 'answers', 'correct', 'correct answer', 'correct answers', 'correct option', 'answer letter', 'key'],
+  domain: ['domain', 'topic', 'category', 'section'],
+  difficulty: ['difficulty', 'level'],
+  explanation: ['explanation', 'rationale', 'feedback'],
+  reference: ['reference', 'source']
+};
+LETTERS.split('').forEach(letter => {
+  const lower = letter.toLowerCase();
+  HEADER_NAMES[`option${letter}`] = [`option ${lower}`, `option${lower}`, `choice ${lower}`, `answer ${lower}`, lower];
+});
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const isSpreadsheetFile = (fileName) => ['.csv', '.xlsx'].includes(path.extname(fileName || '').toLowerCase());
+
+// { field: column index } for every heading that names a field
+const guessMapping = (headers) => {
+  const mapping = {};
+  headers.forEach((header, column) => {
+    const name = normalizeHeader(header);
+    const key = FIELD_KEYS.find(field => HEADER_NAMES[field].includes(name));
+    if (key && mapping[key] === undefined) {
+      mapping[key] = column;
+    }
+  });
+  return mapping;
+};
+
+// Keep only known fields pointing at existing columns. Returns { mapping } or
+// { error } when a required field is left unmapped.
+const checkMapping = (input, headers) => {
+  const mapping = {};
+  Object.entries(input || {}).forEach(([key, value]) => {
+    const column = Number(value);
+    if (FIELD_KEYS.includes(key) && value !== null && value !== '' && Number.isInteger(column) && column >= 0 && column < headers.length) {
+      mapping[key] = column;
+    }
+  });
+
+  const missing = SPREADSHEET_FIELDS.filter(field => field.required && mapping[field.key] === undefined);
+  if (missing.length > 0) {
+    return { mapping, error: `Choose the column that holds the ${missing.map(field => field.label.toLowerCase()).join(' and the ')}` };
+  }
+  return { mapping };
+};
+
+// A cell as the text Excel shows (formula results, rich text, links), with
+// dates as YYYY-MM-DD
+const cellText = (cell) => (cell.value instanceof Date ? cell.value.toISOString().slice(0, 10) : cell.text || '');
+
+// Rows of strings from a CSV or the first sheet of an .xlsx file
+const readRows = async (buffer, fileName) => {
+  if (path.extname(fileName).toLowerCase() === '.csv') {
+    return parseCSV(buffer.toString('utf8'), { keepBlankRows: true });
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw Object.assign(new Error('The file could not be read as an Excel (.xlsx) workbook'), { status: 400 });
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  // Blank rows are kept so row numbers stay right
+  const rows = [];
+  for (let r = 1; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    rows.push(Array.from({ length: sheet.columnCount }, (v, c) => cellText(row.getCell(c + 1))));
+  }
+  return rows;
+};
+
+// Turn one row into a question: { problems, warnings, question, candidate }
+const parseRow = (values) => {
+  const problems = [];
+  const warnings = [];
+  const question = values.question || '';
+
+  if (!question) {
+    problems.push('The question is empty');
+  }
+
+  // Options are read up to the last filled one; a gap before it is an error
+  const optionValues = LETTERS.split('').map(letter => values[`option${letter}`] || '');
+  const lastFilled = optionValues.reduce((last, value, i) => (value ? i : last), -1);
+  const options = optionValues.slice(0, lastFilled + 1);
+  const gaps = options.map((value, i) => (value ? null : LETTERS[i])).filter(Boolean);
+  if (gaps.length > 0) {
+    problems.push(`Option ${gaps.join(', ')} ${gaps.length === 1 ? 'is' : 'are'} empty but a later option is filled in`);
+  }
+
+  let type = null;
+  let answers = [];
+  if (!values.answer) {
+    problems.push('The answer is empty');
+  } else {
+    const answer = parseAnswer(values.answer, options);
+    if (answer.error) {
+      problems.push(answer.error);
+    } else if (answer.trueFalse !== undefined) {
+      type = 'truefalse';
+      answers = [answer.trueFalse ? 0 : 1];
+    } else {
+      answers = answer.answers;
+      if (answer.warning) warnings.push(answer.warning);
+    }
+  }
+
+  const isTrueFalse = options.length === 2 && options.every((o, i) => comparable(o) === ['true', 'false'][i]);
+  if (type === 'truefalse' && options.length > 0 && !isTrueFalse) {
+    problems.push(`The answer is ${values.answer}, but the options aren't True and False`);
+  }
+  type = type || (answers.length > 1 ? 'multiple' : isTrueFalse ? 'truefalse' : 'single');
+
+  // True/false questions may leave the option columns empty
+  if (type === 'truefalse' && options.length === 0) {
+    options.push('True', 'False');
+  }
+
+  const outOfRange = answers.filter(index => index >= options.length);
+  if (outOfRange.length > 0) {
+    problems.push(`The answer names ${outOfRange.map(index => LETTERS[index]).join(', ')}, but there ${options.length === 1 ? 'is only 1 option' : `are only ${options.length} options`}`);
+  }
+
+  const difficulty = readDifficulty(values.difficulty, warnings);
+
+  if (problems.length > 0) {
+    return { problems, warnings, question };
+  }
+
+  const candidate = {
+    type,
+    question,
+    options,
+    ...(type === 'multiple' ? { correctAnswers: answers, scoring: 'all-or-nothing' } : { correctAnswer: answers[0] }),
+    domain: values.domain || 'General',
+    difficulty,
+    explanation: values.explanation || undefined,
+    reference: values.reference || undefined
+  };
+
+  return { problems: validateQuestion(candidate), warnings, question, candidate };
+};
+
+// Read a .csv or .xlsx buffer. Without a `mapping` the columns are matched by
+// their headings. Nothing is stored here, so it doubles as the dry run.
+//
+// Returns { headers, mapping, mappingError, questions, report } where report
+// has the same shape as the Word importer's (see ./common.js)
+const importSpreadsheet = async (buffer, fileName, { mapping: requested } = {}) => {
+  const rows = await readRows(buffer, fileName);
+
+  // The header row is the first non-blank one
+  const headerIndex = rows.findIndex(row => row.some(value => value.trim() !== ''));
+  const headers = headerIndex === -1 ? [] : rows[headerIndex].map(value => value.trim());
+  const { mapping, error: mappingError } = checkMapping(requested || guessMapping(headers), headers);
+
+  const notes = [];
+  const { questions, items, add } = createCollector();
+
+  if (headers.length === 0) {
+    notes.push('The sheet is empty');
+  } else if (mappingError) {
+    notes.push(mappingError);
+  }
+
+  if (headers.length === 0 || mappingError) {
+    return { headers, mapping, mappingError, questions, report: { ...countStatuses(items), images: { stored: 0, unsupported: 0 }, notes, items } };
+  }
+
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    if (!row.some(value => value.trim() !== '')) {
+      return;
+    }
+
+    const number = headerIndex + i + 2;
+    const values = {};
+    Object.entries(mapping).forEach(([key, column]) => {
+      values[key] = (row[column] || '').trim();
+    });
+
+    const { problems, warnings, question, candidate } = parseRow(values);
+    add({ number, label: `Row ${number}`, name: `row ${number}`, excerpt: excerpt(question || ''), problems, warnings, candidate });
+  });
+
+  if (items.length === 0) {
+    notes.push('There are no question rows under the header row');
+  }
+
+  return {
+    headers,
+    mapping,
+    mappingError: null,
+    questions,
+    report: { ...countStatuses(items), images: { stored: 0, unsupported: 0 }, notes, items }
+  };
+};
+
+module.exports = { SPREADSHEET_FIELDS, isSpreadsheetFile, importSpreadsheet };
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { importSpreadsheet } = require('./spreadsheetImporter');
+
+const HEADERS = ['Question', 'Option A', 'Option B', 'Option C', 'Option D', 'Answer', 'Domain', 'Difficulty'];
+
+const csv = (rows) => Buffer.from(rows.map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',')).join('\n'));
+
+const xlsx = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Questions');
+  rows.forEach((row, i) => {
+    sheet.getRow(i + 1).values = row;
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+test('reads a CSV with its headings matched to fields', async () => {
+  const { headers, mapping, questions, report } = await importSpreadsheet(csv([
+    HEADERS,
+    ['What is data governance?', 'Storing data', 'Managing data quality', 'Deleting data', 'Copying data', 'B', 'Governance', 'easy'],
+    ['Pick two', 'One', 'Two', 'Three', 'Four', 'A, C', '', '']
+  ]), 'questions.csv');
+
+  assert.deepEqual(headers, HEADERS);
+  assert.equal(mapping.question, 0);
+  assert.equal(mapping.answer, 5);
+  assert.equal(report.imported, 2);
+  assert.equal(questions[0].correctAnswer, 1);
+  assert.equal(questions[0].domain, 'Governance');
+  assert.equal(questions[0].difficulty, 'easy');
+  assert.deepEqual(questions[1].correctAnswers, [0, 2]);
+  assert.equal(questions[1].scoring, 'all-or-nothing');
+});
+
+test('reads the first sheet of an .xlsx workbook, reporting rows by their sheet number', async () => {
+  const buffer = await xlsx([
+    HEADERS,
+    ['Which one?', 'One', 'Two', 'Three', '', 'C', 'General', 'medium'],
+    [],
+    ['Sums', 1, 2, 3, 4, 'D', 'General', 'hard'],
+    ['No answer', 'One', 'Two', '', '', '', '', '']
+  ]);
+  const { questions, report } = await importSpreadsheet(buffer, 'questions.xlsx');
+
+  assert.deepEqual(report.items.map(item => [item.label, item.status]), [
+    ['Row 2', 'imported'],
+    ['Row 4', 'imported'],
+    ['Row 5', 'skipped']
+  ]);
+  assert.deepEqual(questions[0].options, ['One', 'Two', 'Three']);
+  assert.deepEqual(questions[1].options, ['1', '2', '3', '4']);
+  assert.deepEqual(report.items[2].messages, ['The answer is empty']);
+});
+
+test('a mapping can be given instead of the headings', async () => {
+  const { mapping, questions } = await importSpreadsheet(csv([
+    ['Q', 'First', 'Second', 'Key'],
+    ['Pick the second', 'One', 'Two', 'B']
+  ]), 'questions.csv', { mapping: { question: 0, optionA: 1, optionB: 2, answer: 3 } });
+
+  assert.deepEqual(mapping, { question: 0, optionA: 1, optionB: 2, answer: 3 });
+  assert.equal(questions[0].correctAnswer, 1);
+});
+
+test('an unmapped answer column stops the import with a note', async () => {
+  const { mappingError, questions, report } = await importSpreadsheet(csv([
+    ['Question', 'Option A', 'Option B'],
+    ['Which one?', 'One', 'Two']
+  ]), 'questions.csv');
+
+  assert.match(mappingError, /answer/);
+  assert.equal(questions.length, 0);
+  assert.deepEqual(report.notes, [mappingError]);
+});
+
+test('a gap in the options is reported', async () => {
+  const { report } = await importSpreadsheet(csv([
+    HEADERS,
+    ['Which one?', 'One', '', 'Three', '', 'A', '', '']
+  ]), 'questions.csv');
+
+  assert.equal(report.skipped, 1);
+  assert.deepEqual(report.items[0].messages, ['Option B is empty but a later option is filled in']);
+});
+
+test('a file that is not a workbook is a 400 error', async () => {
+  await assert.rejects(importSpreadsheet(Buffer.from('not a zip'), 'questions.xlsx'), { status: 400 });
+});
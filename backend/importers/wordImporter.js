@@ -0,0 +1,310 @@
+const mammoth = require('mammoth');
+const { validateQuestion } = require('../utils/questionValidator');
+const { describeAsset, saveAsset } = require('../utils/questionAssets');
+const {
+  LETTERS, htmlToMarkdown, takeUnsupportedImages, plainText, comparable, excerpt, parseAnswer, readDifficulty, createCollector, countStatuses
+} = require('./common');
+
+// Reads questions from a Word (.docx) document laid out like this:
+//
+//   Question 1: Which ...?        also "Question 1.", "Q1:", "Q1)"
+//   (paragraphs, tables or images that belong to the question)
+//   A) ...                        also "A.", "(a)", "a)"
+//   Answer: B                     also "Correct answer:", several letters ("A, C"),
+//                                 the option's text, or True/False
+//   Type: / Scoring: / Domain: / Difficulty: / Explanation: / Reference:
+//
+// Formatting is kept as the Markdown that question text uses, and embedded
+// images are stored as question assets. Nothing is dropped silently: every
+// question block is reported as imported, suspicious (imported, but worth a
+// look) or skipped, with the reasons.
+
+// "Question 12:" / "**Question 12.**" / "## Q12)" at the start of a line
+const QUESTION_HEADING = /^(?:#{1,6} )?(?:\*\*|__)?(?:Question\s*|Q)(\d+)(?:\*\*|__)?\s*[:.)–-](?:\*\*|__)?[ \t]*/gim;
+
+// "Label:" lines and the field each label fills
+const FIELD_NAMES = {
+  answer: 'answer',
+  answers: 'answer',
+  'correct answer': 'answer',
+  'correct answers': 'answer',
+  'correct answer(s)': 'answer',
+  'correct option': 'answer',
+  type: 'type',
+  'question type': 'type',
+  scoring: 'scoring',
+  domain: 'domain',
+  topic: 'domain',
+  difficulty: 'difficulty',
+  explanation: 'explanation',
+  rationale: 'explanation',
+  reference: 'reference'
+};
+
+// { field, value, markdown } for a "Label: value" line with a known label
+const parseField = (line) => {
+  const match = plainText(line).match(/^([A-Za-z][A-Za-z ()]{0,24}?)\s*:\s*([\s\S]*)$/);
+  const field = match && FIELD_NAMES[match[1].toLowerCase().replace(/\s+/g, ' ')];
+  if (!field) {
+    return null;
+  }
+  return {
+    field,
+    value: match[2].trim(),
+    // The value with its formatting, for explanations
+    markdown: line.replace(/^(?:\*\*|__)?[^:]*:(?:\*\*|__)?\s*/, '').trim()
+  };
+};
+
+// { letter, text } for an option line: "A) ...", "A. ...", "(a) ...", "a) ..."
+const OPTION_LINE = /^(?:\(([A-F])\)\s*|([A-F])\)\s*|([A-F])\.\s+)([\s\S]*)$/i;
+const parseOption = (line) => {
+  const match = line.match(OPTION_LINE) || plainText(line).match(OPTION_LINE);
+  if (!match) {
+    return null;
+  }
+  return { letter: (match[1] || match[2] || match[3]).toUpperCase(), text: match[4].trim() };
+};
+
+// Split one question block into its parts and build the question, collecting
+// the reasons it can't be imported (`problems`) and anything odd (`warnings`)
+const parseBlock = (body) => {
+  const problems = [];
+  const warnings = [];
+
+  const { text, unsupported } = takeUnsupportedImages(body);
+  if (unsupported.length > 0) {
+    warnings.push(`${unsupported.length} image(s) in an unsupported format (${[...new Set(unsupported)].join(', ')}) were left out`);
+  }
+
+  // One entry per paragraph, so tables, lists and code stay together. A
+  // paragraph using line breaks for its options and fields is split up.
+  const lines = text
+    .split(/\n{2,}/)
+    .flatMap(paragraph => {
+      const parts = paragraph.split('\n');
+      return parts.some(part => parseOption(part.trim()) || parseField(part.trim())) ? parts : [paragraph];
+    })
+    .map(line => line.replace(/ {2,}$/gm, '').trim())
+    .filter(line => line);
+
+  if (lines.length === 0 || parseOption(lines[0]) || parseField(lines[0])) {
+    return { problems: ['The question has no text'], warnings, question: '' };
+  }
+
+  // Paragraphs between the question and its first option (a chart, a table,
+  // a code sample) belong to the question
+  const questionParts = [lines[0]];
+  let start = 1;
+  while (start < lines.length && !parseOption(lines[start]) && !parseField(lines[start])) {
+    questionParts.push(lines[start]);
+    start++;
+  }
+
+  const options = [];
+  const letters = [];
+
+  // Options typed as a Word numbered or bulleted list lose their letters in
+  // conversion; a list closing the question is taken as its options
+  const lastPart = questionParts[questionParts.length - 1];
+  const listItem = /^(?:\d+\.|-)\s+(.*)$/;
+  if (questionParts.length > 1 && start < lines.length && !parseOption(lines[start])
+    && lastPart.split('\n').every(line => listItem.test(line))) {
+    questionParts.pop().split('\n').forEach((line, i) => {
+      options.push(line.match(listItem)[1].trim());
+      letters.push(LETTERS[i] || '?');
+    });
+  }
+  const question = questionParts.join('\n\n');
+  const fields = {};
+  const ignored = [];
+  let inExplanation = false;
+
+  lines.slice(start).forEach(line => {
+    const field = parseField(line);
+
+    // An explanation runs on over following paragraphs until the next field
+    if (inExplanation && !field) {
+      fields.explanation += `\n\n${line}`;
+      return;
+    }
+    inExplanation = false;
+
+    if (field) {
+      if (field.field === 'answer' && fields.answer !== undefined) {
+        problems.push('There is more than one Answer line. Is a "Question N:" heading missing?');
+      }
+      fields[field.field] = field.field === 'explanation' ? field.markdown : field.value;
+      inExplanation = field.field === 'explanation';
+      return;
+    }
+
+    const option = parseOption(line);
+    if (option && fields.answer === undefined) {
+      options.push(option.text);
+      letters.push(option.letter);
+      return;
+    }
+
+    // An image on its own line under an option belongs to that option
+    if (/^!\[[^\]]*\]\([^)]*\)$/.test(line) && options.length > 0 && fields.answer === undefined) {
+      options[options.length - 1] = `${options[options.length - 1]} ${line}`.trim();
+      return;
+    }
+
+    ignored.push(line);
+  });
+
+  ignored.forEach(line => {
+    warnings.push(`Ignored "${excerpt(line, 60)}" (not an option or a known "Field:" line)`);
+  });
+
+  // Options must run A, B, C, ... A restart usually means a missing heading.
+  const expected = LETTERS.slice(0, letters.length).split('');
+  if (letters.some((letter, i) => letter !== expected[i])) {
+    const restart = letters.indexOf('A', 1);
+    problems.push(restart > 0
+      ? `The options start again at A after ${letters[restart - 1]}. Is a "Question N:" heading missing?`
+      : `The options are lettered ${letters.join(', ')} instead of ${expected.join(', ')}`);
+  }
+
+  // Type: the declared one, or inferred from the options and answer
+  const declaredType = fields.type === undefined ? null : fields.type.toLowerCase();
+  let type = null;
+  if (declaredType) {
+    type = /^(true|tf\b|t\/f)/.test(declaredType) ? 'truefalse'
+      : /^(multi|select)/.test(declaredType) ? 'multiple'
+        : /^single/.test(declaredType) ? 'single' : null;
+    if (!type) {
+      warnings.push(`Type "${fields.type}" isn't recognised; the type was worked out from the answer instead`);
+    }
+  }
+
+  let answers = [];
+  if (fields.answer === undefined) {
+    problems.push('There is no Answer line');
+  } else {
+    const answer = parseAnswer(fields.answer, options);
+    if (answer.error) {
+      problems.push(answer.error);
+    } else if (answer.trueFalse !== undefined) {
+      type = type || 'truefalse';
+      if (type !== 'truefalse') {
+        problems.push(`The answer is ${fields.answer}, but the question isn't true/false`);
+      }
+      answers = [answer.trueFalse ? 0 : 1];
+    } else {
+      answers = answer.answers;
+      if (answer.warning) warnings.push(answer.warning);
+    }
+  }
+
+  const isTrueFalse = options.length === 2 && options.every((o, i) => comparable(o) === ['true', 'false'][i]);
+  type = type || (answers.length > 1 ? 'multiple' : isTrueFalse ? 'truefalse' : 'single');
+
+  // True/false questions may skip the options
+  if (type === 'truefalse' && options.length === 0) {
+    options.push('True', 'False');
+  }
+
+  const outOfRange = answers.filter(index => index >= options.length);
+  if (outOfRange.length > 0) {
+    problems.push(`The answer names ${outOfRange.map(index => LETTERS[index]).join(', ')}, but there ${options.length === 1 ? 'is only 1 option' : `are only ${options.length} options`}`);
+  }
+  if (type === 'single' && answers.length > 1) {
+    problems.push(`The question is single-answer but the answer lists ${answers.length} options`);
+  }
+
+  const difficulty = readDifficulty(fields.difficulty, warnings);
+
+  if (problems.length > 0) {
+    return { problems, warnings, question };
+  }
+
+  const candidate = {
+    type,
+    question,
+    options,
+    ...(type === 'multiple'
+      ? { correctAnswers: answers, scoring: (fields.scoring || '').toLowerCase().startsWith('partial') ? 'partial' : 'all-or-nothing' }
+      : { correctAnswer: answers[0] }),
+    domain: fields.domain || 'General',
+    difficulty,
+    explanation: fields.explanation,
+    reference: fields.reference
+  };
+
+  return { problems: validateQuestion(candidate), warnings, question, candidate };
+};
+
+// Convert a .docx buffer. With `dryRun` nothing is stored (image URLs are the
+// ones the images would get), so the report can be shown before importing.
+//
+// Returns { questions, report } where report is
+//   { total, imported, suspicious, skipped, images: { stored, unsupported },
+//     notes: [document-level messages],
+//     items: [{ number, label, status: 'imported'|'suspicious'|'skipped', questionId, excerpt, messages }] }
+const importWordDocument = async (buffer, { dryRun = false } = {}) => {
+  const images = { stored: 0, unsupported: 0 };
+
+  const { value: html } = await mammoth.convertToHtml({ buffer }, {
+    convertImage: mammoth.images.imgElement(async (image) => {
+      const data = await image.read();
+      const asset = describeAsset(data);
+      if (!asset) {
+        images.unsupported++;
+        return { src: `unsupported:${image.contentType || ''}` };
+      }
+      if (!dryRun) {
+        saveAsset(data);
+      }
+      images.stored++;
+      return { src: asset.url };
+    })
+  });
+  const markdown = htmlToMarkdown(html);
+
+  const headings = [...markdown.matchAll(QUESTION_HEADING)];
+  const notes = [];
+
+  if (headings.length === 0) {
+    notes.push('No "Question 1:" style headings were found, so nothing could be imported');
+  } else if (markdown.slice(0, headings[0].index).split('\n').some(line => parseOption(line.trim()))) {
+    notes.push('The text before the first "Question N:" heading has options in it and was not imported. Is its heading missing?');
+  }
+
+  const { questions, items, add } = createCollector();
+  const seenNumbers = new Set();
+
+  headings.forEach((heading, i) => {
+    const number = Number(heading[1]);
+    const body = markdown.slice(heading.index + heading[0].length, i + 1 < headings.length ? headings[i + 1].index : undefined);
+    const { problems, warnings, question, candidate } = parseBlock(body);
+
+    // Numbering that jumps or repeats often means a heading was mistyped
+    const previous = i > 0 ? Number(headings[i - 1][1]) : null;
+    if (seenNumbers.has(number)) {
+      warnings.push(`Question ${number} appears more than once in the document`);
+    } else if (previous !== null && number !== previous + 1) {
+      warnings.push(`Numbered ${number} after question ${previous}. Check nothing between them was lost.`);
+    }
+    seenNumbers.add(number);
+
+    add({
+      number,
+      label: `Question ${number}`,
+      name: `question ${number}`,
+      excerpt: excerpt((question || '').split('\n\n')[0]),
+      problems,
+      warnings,
+      candidate
+    });
+  });
+
+  return {
+    questions,
+    report: { ...countStatuses(items), images, notes, items }
+  };
+};
+
+module.exports = { importWordDocument };
@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { importWordDocument } = require('./wordImporter');
+
+// A minimal .docx with one paragraph per line
+const docx = (lines) => {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const zip = new AdmZip();
+  zip.addFile('[Content_Types].xml', Buffer.from([
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>',
+    '</Types>'
+  ].join('')));
+  zip.addFile('_rels/.rels', Buffer.from([
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>',
+    '</Relationships>'
+  ].join('')));
+  zip.addFile('word/document.xml', Buffer.from([
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>',
+    ...lines.map(line => `<w:p><w:r><w:t xml:space="preserve">${escape(line)}</w:t></w:r></w:p>`),
+    '</w:body></w:document>'
+  ].join('')));
+  return zip.toBuffer();
+};
+
+const importLines = (lines) => importWordDocument(docx(lines), { dryRun: true });
+
+test('reads A) options and an Answer line', async () => {
+  const { questions, report } = await importLines([
+    'Question 1: What is data governance?',
+    'A) Storing data',
+    'B) Managing data quality and compliance',
+    'C) Deleting data',
+    'D) Copying data',
+    'Answer: B'
+  ]);
+
+  assert.equal(report.imported, 1);
+  assert.equal(questions[0].question, 'What is data governance?');
+  assert.deepEqual(questions[0].options, ['Storing data', 'Managing data quality and compliance', 'Deleting data', 'Copying data']);
+  assert.equal(questions[0].correctAnswer, 1);
+});
+
+test('reads A. options', async () => {
+  const { questions } = await importLines([
+    'Question 1: Pick C',
+    'A. One',
+    'B. Two',
+    'C. Three',
+    'D. Four',
+    'Answer: C'
+  ]);
+
+  assert.deepEqual(questions[0].options, ['One', 'Two', 'Three', 'Four']);
+  assert.equal(questions[0].correctAnswer, 2);
+});
+
+test('reads (a) options and a Correct answer: line', async () => {
+  const { questions, report } = await importLines([
+    'Q1) Pick the last one',
+    '(a) One',
+    '(b) Two',
+    '(c) Three',
+    '(d) Four',
+    'Correct answer: (d)'
+  ]);
+
+  assert.equal(report.skipped, 0);
+  assert.deepEqual(questions[0].options, ['One', 'Two', 'Three', 'Four']);
+  assert.equal(questions[0].correctAnswer, 3);
+});
+
+test('several answer letters make a multiple-response question scored all-or-nothing', async () => {
+  const { questions } = await importLines([
+    'Question 1: Pick two',
+    'A) One',
+    'B) Two',
+    'C) Three',
+    'D) Four',
+    'Answer: A, C'
+  ]);
+
+  assert.equal(questions[0].type, 'multiple');
+  assert.deepEqual(questions[0].correctAnswers, [0, 2]);
+  assert.equal(questions[0].scoring, 'all-or-nothing');
+});
+
+test('a missing Answer line is reported, not defaulted to A', async () => {
+  const { questions, report } = await importLines([
+    'Question 1: Which one?',
+    'A) One',
+    'B) Two',
+    'C) Three',
+    'D) Four'
+  ]);
+
+  assert.equal(questions.length, 0);
+  assert.equal(report.skipped, 1);
+  assert.equal(report.items[0].status, 'skipped');
+  assert.deepEqual(report.items[0].messages, ['There is no Answer line']);
+});
+
+test('questions with fewer or more than four options are imported', async () => {
+  const { questions, report } = await importLines([
+    'Question 1: Three options',
+    'A) One',
+    'B) Two',
+    'C) Three',
+    'Answer: C',
+    'Question 2: Six options',
+    'A) One',
+    'B) Two',
+    'C) Three',
+    'D) Four',
+    'E) Five',
+    'F) Six',
+    'Answer: F'
+  ]);
+
+  assert.equal(report.imported, 2);
+  assert.equal(questions[0].options.length, 3);
+  assert.equal(questions[0].correctAnswer, 2);
+  assert.equal(questions[1].options.length, 6);
+  assert.equal(questions[1].correctAnswer, 5);
+});
+
+test('a question with a single option is skipped', async () => {
+  const { report } = await importLines([
+    'Question 1: One option',
+    'A) Only',
+    'Answer: A'
+  ]);
+
+  assert.equal(report.skipped, 1);
+  assert.match(report.items[0].messages.join(' '), /Between 2 and 6 options/);
+});
+
+test('an answer past the last option is reported', async () => {
+  const { report } = await importLines([
+    'Question 1: Three options',
+    'A) One',
+    'B) Two',
+    'C) Three',
+    'Answer: D'
+  ]);
+
+  assert.equal(report.skipped, 1);
+  assert.deepEqual(report.items[0].messages, ['The answer names D, but there are only 3 options']);
+});
+
+test('the report counts imported, suspicious and skipped questions', async () => {
+  const { questions, report } = await importLines([
+    'Question 1: Clean',
+    'A) One',
+    'B) Two',
+    'Answer: A',
+    'Question 2: Unknown difficulty',
+    'A) One',
+    'B) Two',
+    'Answer: B',
+    'Difficulty: tricky',
+    'Question 3: No answer',
+    'A) One',
+    'B) Two',
+    'Question 4: Clean',
+    'A) One',
+    'B) Two',
+    'Answer: B'
+  ]);
+
+  assert.deepEqual(
+    { total: report.total, imported: report.imported, suspicious: report.suspicious, skipped: report.skipped },
+    { total: 4, imported: 3, suspicious: 2, skipped: 1 }
+  );
+  assert.deepEqual(report.items.map(item => item.status), ['imported', 'suspicious', 'skipped', 'suspicious']);
+  assert.match(report.items[3].messages.join(' '), /Same question text as question 1/);
+  assert.deepEqual(questions.map(q => q.id), [1, 2, 3]);
+  assert.equal(report.items[2].questionId, null);
+});
+
+test('a document without question headings is reported', async () => {
+  const { questions, report } = await importLines(['Just some text']);
+
+  assert.equal(questions.length, 0);
+  assert.equal(report.total, 0);
+  assert.equal(report.notes.length, 1);
+});
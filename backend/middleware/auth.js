@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const store = require('../storage');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(48).toString('hex');
+  console.log('⚠️  JWT_SECRET not set - using a random secret, sessions will not survive a restart');
+}
+
+// Sign a short-lived token of the given type
+const signToken = (type, payload, expiresIn) => jwt.sign({ ...payload, type }, jwtSecret, { expiresIn });
+
+// Verify a token and make sure it was issued for the expected purpose
+const verifySignedToken = (token, type) => {
+  const payload = jwt.verify(token, jwtSecret);
+  if (payload.type !== type) {
+    throw new Error('Invalid token type');
+  }
+  return payload;
+};
+
+// Issue an access/refresh token pair for a user.
+// Bumping user.tokenVersion invalidates every session issued before it.
+const issueSession = (user) => {
+  const claims = { sub: user.id, tv: user.tokenVersion || 0 };
+  return {
+    accessToken: signToken('access', { ...claims, role: user.role }, ACCESS_TOKEN_TTL),
+    refreshToken: signToken('refresh', claims, REFRESH_TOKEN_TTL)
+  };
+};
+
+// Resolve the user behind a session token, rejecting revoked sessions
+const getSessionUser = (token, type) => {
+  const payload = verifySignedToken(token, type);
+  const user = store.users.findById(payload.sub);
+
+  if (!user || user.active === false || (user.tokenVersion || 0) !== payload.tv) {
+    throw new Error('Session is no longer valid');
+  }
+  return user;
+};
+
+const requireAuth = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    req.user = getSessionUser(token, 'access');
+    next();
+  } catch (error) {
+    res.status(401).json({ success: false, error: 'Invalid or expired session' });
+  }
+};
+
+// Usage: app.get('/route', requireRole('admin'), handler)
+const requireRole = (...roles) => [
+  requireAuth,
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'You do not have permission to do this' });
+    }
+    next();
+  }
+];
+
+const requireAdmin = requireRole('admin');
+
+module.exports = {
+  signToken,
+  verifySignedToken,
+  issueSession,
+  getSessionUser,
+  requireAuth,
+  requireRole,
+  requireAdmin
+};
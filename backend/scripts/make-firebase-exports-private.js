@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Earlier versions made every CSV export in Firebase Storage public. Run this
+// once to make the existing files under exports/ private again:
+//
+//   npm run exports:make-private
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { initializeFirebaseStorage } = require('../config/firebase-storage');
+
+const run = async () => {
+  const { bucket } = initializeFirebaseStorage();
+  if (!bucket) {
+    console.error('❌ Firebase Storage is not configured');
+    process.exit(1);
+  }
+
+  const [files] = await bucket.getFiles({ prefix: 'exports/' });
+  for (const file of files) {
+    await file.makePrivate();
+    console.log(`🔒 ${file.name}`);
+  }
+  console.log(`✅ ${files.length} export(s) are now private`);
+};
+
+run().catch(error => {
+  console.error('❌ Failed:', error.message);
+  process.exitCode = 1;
+});
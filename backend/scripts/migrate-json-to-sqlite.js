@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Copy users, results and question sets (with their version history) from the JSON files into SQLite.
+//
+//   npm run migrate:sqlite            # refuses to touch a database that already has data
+//   npm run migrate:sqlite -- --force # replace whatever is in the database
+//
+// Then start the server with STORAGE_DRIVER=sqlite. The JSON files are left untouched.
+
+const path = require('path');
+const { createJsonStorage } = require('../storage/jsonStorage');
+const { createSqliteStorage } = require('../storage/sqliteStorage');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { DATA_DIR } = require('../config/paths');
+
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'cbda.sqlite');
+const force = process.argv.includes('--force');
+
+const source = createJsonStorage(DATA_DIR);
+const target = createSqliteStorage(SQLITE_PATH);
+
+try {
+  const existing = target.users.list().length + target.results.list().length + target.questionSets.list().length;
+  if (existing > 0 && !force) {
+    console.error(`❌ ${SQLITE_PATH} already has data. Re-run with --force to replace it.`);
+    process.exit(1);
+  }
+
+  const users = source.users.list();
+  const results = source.results.list();
+  const questionSets = source.questionSets.list().map(set => ({
+    ...set,
+    questions: source.questionSets.get(set.testType, set.testId),
+    versions: source.questionVersions.list(set.testType, set.testId)
+  }));
+
+  target.transaction(() => {
+    target.users.list().forEach(u => target.users.remove(u.id));
+    target.results.list().forEach(r => target.results.remove(r.id));
+    target.questionSets.list().forEach(s => {
+      target.questionSets.remove(s.testType, s.testId);
+      target.questionVersions.remove(s.testType, s.testId);
+    });
+
+    users.forEach(user => target.users.insert(user));
+    results.forEach(result => target.results.insert(result));
+    questionSets.forEach(set => {
+      target.questionSets.save(set.testType, set.testId, set.questions);
+      // Versions are numbered from 1 without gaps, so re-adding them in order keeps their numbers
+      set.versions.forEach(({ version, ...record }) => target.questionVersions.add(set.testType, set.testId, record));
+    });
+  });
+
+  console.log(`✅ Migrated to ${SQLITE_PATH}`);
+  console.log(`   ${users.length} users, ${results.length} results, ${questionSets.length} question sets`);
+  console.log('   Set STORAGE_DRIVER=sqlite in backend/.env to use it');
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  target.close();
+}
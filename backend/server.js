@@ -4,13 +4,59 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 require('dotenv').config();
+const { signToken, verifySignedToken, issueSession, getSessionUser, requireAuth, requireAdmin } = require('./middleware/auth');
+const { toPublicUser } = require('./utils/users');
+const store = require('./storage');
+const STORAGE_LABEL = store.driver === 'sqlite' ? 'SQLite database' : 'Local JSON files';
+const { issueCode, checkCode } = require('./utils/verificationCodes');
+const { sendTemplate } = require('./utils/emailService');
+const { issueResetToken, isResetCoolingDown, consumeResetToken, buildResetLink } = require('./utils/passwordResets');
+const { PASSWORD_POLICY, validatePassword, describePasswordProblems } = require('./config/passwordPolicy');
+const { parseCSV } = require('./utils/csv');
+const { logAudit, queryAuditLog, listAuditActions } = require('./utils/auditLog');
+const {
+  getIpRetryAfter, recordIpFailure, clearIpFailures, getResetRequestRetryAfter, recordResetRequest,
+  getAccountRetryAfter, recordAccountFailure, clearAccountFailures, recordLockoutEvent
+} = require('./utils/loginThrottle');
+const { getSettings, updateSettings } = require('./utils/settings');
+const { generateId } = require('./utils/ids');
+const { validateQuestion, validateQuestionSet, normalizeQuestion, isValidSetKey } = require('./utils/questionValidator');
+const {
+  saveQuestionSet, listVersions, getVersion, currentVersion, compareVersions, rollbackQuestionSet
+} = require('./utils/questionVersions');
+const { saveAsset, assetPath, contentTypeFor } = require('./utils/questionAssets');
+const { importWordDocument } = require('./importers/wordImporter');
+const { SPREADSHEET_FIELDS, isSpreadsheetFile, importSpreadsheet } = require('./importers/spreadsheetImporter');
+const { FORMATS, isQuestionBankFile, importQuestionBank, exportQuestionBank } = require('./formats');
+const {
+  listActiveResults, listTrashedResults, trashResults, restoreResults, purgeResults, describeResult, startTrashPurge
+} = require('./utils/resultTrash');
+const { resultFromSubmission } = require('./utils/results');
+const {
+  createBackup, readBackup, restoreBackup, listSnapshots, snapshotPath,
+  createSnapshot, deleteSnapshot, startSnapshotScheduler
+} = require('./utils/backup');
+const {
+  EXPORT_DESTINATIONS, isValidExportName, describeDestination, listExportDestinations, getExportDestination,
+  getDestinationByName, createDownloadLink, startExportRetention
+} = require('./exports');
+const {
+  isTwoFactorEnabled, mustEnrollTwoFactor, beginEnrollment, completeEnrollment,
+  checkSecondFactor, regenerateBackupCodes, disableTwoFactor
+} = require('./utils/twoFactor');
 
 const app = express();
 
 // IMPORTANT: Set port from environment or default
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy (e.g. Render) req.ip must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? 1 : process.env.TRUST_PROXY);
+}
+
 
 const allowedOrigins = [
   process.env.FRONTEND_URL,
@@ -38,9 +84,14 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Ensure required directories exist
-const dirs = ['data', 'data/questions', 'data/results', 'data/users', 'uploads'];
-dirs.forEach(dir => {
-  const dirPath = path.join(__dirname, dir);
+const dirs = [
+  store.DATA_DIR,
+  path.join(store.DATA_DIR, 'questions'),
+  path.join(store.DATA_DIR, 'results'),
+  path.join(store.DATA_DIR, 'users'),
+  path.join(__dirname, 'uploads')
+];
+dirs.forEach(dirPath => {
   if (!fs.existsSync(dirPath)) {
     fs.mkdirSync(dirPath, { recursive: true });
   }
@@ -48,14 +99,15 @@ dirs.forEach(dir => {
 
 // Initialize default admin user
 const initializeAdmin = () => {
-  const usersPath = path.join(__dirname, 'data', 'users.json');
-  if (!fs.existsSync(usersPath)) {
+  if (store.users.list().length === 0) {
+    // Never ship a known admin password: use ADMIN_INITIAL_PASSWORD or generate one
+    const adminPassword = process.env.ADMIN_INITIAL_PASSWORD || crypto.randomBytes(9).toString('hex');
     const defaultUsers = [
       {
         id: 'admin_001',
         name: 'Admin User',
         email: 'victor@blossom.africa',
-        password: bcrypt.hashSync('admin123', 10),
+        password: bcrypt.hashSync(adminPassword, 10),
         role: 'admin',
         createdAt: new Date().toISOString(),
         verified: true
@@ -70,8 +122,16 @@ const initializeAdmin = () => {
         verified: true
       }
     ];
-    fs.writeFileSync(usersPath, JSON.stringify(defaultUsers, null, 2));
+    defaultUsers.forEach(user => store.users.insert(user));
     console.log('✅ Default users created');
+    if (!process.env.ADMIN_INITIAL_PASSWORD) {
+      console.log(`🔑 Admin login: victor@blossom.africa / ${adminPassword} (shown once - change it after signing in)`);
+    }
+  } else {
+    const admin = store.users.findById('admin_001');
+    if (admin && bcrypt.compareSync('admin123', admin.password)) {
+      console.log('⚠️  The admin account still uses the old default password "admin123" - reset it now');
+    }
   }
 };
 
@@ -94,550 +154,2262 @@ const upload = multer({
   fileFilter: (req, file, cb) => {
     if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
       cb(null, true);
+    } else if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else if (/\.(docx|xlsx|gift|txt|xml|zip)$/i.test(file.originalname)) {
+      cb(null, true);
     } else if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only JSON and image files are allowed'));
+      cb(new Error('Only JSON, CSV, Excel (.xlsx), Word (.docx), GIFT, Moodle XML, QTI (.zip) and image files are allowed'));
+    }
+  }
+});
+
+// Backup archives get their own, larger limit
+const backupUpload = multer({
+  storage: storage,
+  limits: { fileSize: 200 * 1024 * 1024 }, // 200MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.zip')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Backups must be .zip files'));
     }
   }
 });
 
 // ==================== AUTHENTICATION ROUTES ====================
 
+// Issue a fresh registration code and email it to the user
+const sendVerificationCode = async (user) => {
+  const issued = issueCode(user.email, 'register');
+  if (!issued.success) {
+    return issued;
+  }
+  return sendTemplate(user.email, 'verification', user.name, issued.code);
+};
+
+// Lifetime of the token that carries a sign-in from the password step to the 2FA step
+const TWO_FACTOR_TOKEN_TTL = '10m';
+
 // Login
-app.post('/api/auth/login', (req, res) => {
+app.post('/api/auth/login', async (req, res) => {
   try {
     const { email, password } = req.body;
-    const usersPath = path.join(__dirname, 'data', 'users.json');
-    
-    if (!fs.existsSync(usersPath)) {
-      return res.status(404).json({ success: false, error: 'No users found' });
+
+    const ipRetryAfter = getIpRetryAfter(req.ip);
+    if (ipRetryAfter) {
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        success: false,
+        retryAfter: ipRetryAfter,
+        error: `Too many failed sign-in attempts. Try again in ${ipRetryAfter} seconds.`
+      });
     }
 
-    const users = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
-    const user = users.find(u => u.email === email);
+    const user = store.users.findByEmail(email);
 
     if (!user) {
+      recordIpFailure(req.ip);
+      logAudit(req, 'auth.login_failed', { actor: null, target: email, details: { reason: 'Unknown account' } });
       return res.status(401).json({ success: false, error: 'Invalid credentials' });
     }
 
-    const isValidPassword = bcrypt.compareSync(password, user.password);
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter) {
+      res.set('Retry-After', String(accountRetryAfter));
+      return res.status(429).json({
+        success: false,
+        retryAfter: accountRetryAfter,
+        error: user.lockedUntil && new Date(user.lockedUntil) > new Date()
+          ? `This account is temporarily locked. Try again in ${Math.ceil(accountRetryAfter / 60)} minutes or contact an administrator.`
+          : `Too many failed sign-in attempts. Try again in ${accountRetryAfter} seconds.`
+      });
+    }
+
+    const isValidPassword = bcrypt.compareSync(password || '', user.password);
+    if (isValidPassword && user.active === false) {
+      logAudit(req, 'auth.login_failed', { actor: null, target: user.email, details: { reason: 'Account deactivated' } });
+      return res.status(403).json({ success: false, error: 'This account has been deactivated. Please contact an administrator.' });
+    }
+
     if (!isValidPassword) {
+      recordIpFailure(req.ip);
+      const locked = recordAccountFailure(user, req.ip);
+      store.users.update(user);
+      logAudit(req, 'auth.login_failed', { actor: null, target: user.email, details: { reason: 'Wrong password' } });
+
+      if (locked) {
+        return res.status(429).json({
+          success: false,
+          error: 'Too many failed sign-in attempts. This account is temporarily locked.'
+        });
+      }
       return res.status(401).json({ success: false, error: 'Invalid credentials' });
     }
 
+    clearIpFailures(req.ip);
+    if (user.failedLoginAttempts || user.lockedUntil) {
+      clearAccountFailures(user);
+      store.users.update(user);
+    }
+
+    // No session until the email address is verified
+    if (!user.verified) {
+      await sendVerificationCode(user);
+      return res.status(403).json({
+        success: false,
+        requiresVerification: true,
+        email: user.email,
+        error: 'Please verify your email first. Check your inbox for verification code.'
+      });
+    }
+
+    // Password accepted - a second factor is still needed before any session
+    if (isTwoFactorEnabled(user)) {
+      return res.json({
+        success: true,
+        requiresTwoFactor: true,
+        challengeToken: signToken('2fa', { sub: user.id, tv: user.tokenVersion || 0 }, TWO_FACTOR_TOKEN_TTL)
+      });
+    }
+    if (mustEnrollTwoFactor(user)) {
+      return res.json({
+        success: true,
+        requiresTwoFactorSetup: true,
+        setupToken: signToken('2fa-setup', { sub: user.id, tv: user.tokenVersion || 0 }, TWO_FACTOR_TOKEN_TTL)
+      });
+    }
+
+    logAudit(req, 'auth.login', { actor: user, target: user.email });
+
     // Don't send password back
-    const { password: _, ...userWithoutPassword } = user;
-    res.json({ success: true, user: userWithoutPassword });
+    res.json({ success: true, user: toPublicUser(user), session: issueSession(user) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Register
-app.post('/api/auth/register', (req, res) => {
+// Exchange a refresh token for a new session
+app.post('/api/auth/refresh', (req, res) => {
   try {
-    const { name, email, password } = req.body;
-    const usersPath = path.join(__dirname, 'data', 'users.json');
-
-    let users = [];
-    if (fs.existsSync(usersPath)) {
-      users = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, error: 'Refresh token is required' });
     }
 
-    // Check if user exists
-    if (users.find(u => u.email === email)) {
-      return res.status(400).json({ success: false, error: 'Email already registered' });
+    let user;
+    try {
+      user = getSessionUser(refreshToken, 'refresh');
+    } catch (tokenError) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired session' });
     }
 
-    const newUser = {
-      id: `student_${Date.now()}`,
-      name,
-      email,
-      password: bcrypt.hashSync(password, 10),
-      role: 'student',
-      createdAt: new Date().toISOString(),
-      verified: false
-    };
-
-    users.push(newUser);
-    fs.writeFileSync(usersPath, JSON.stringify(users, null, 2));
-
-    const { password: _, ...userWithoutPassword } = newUser;
-    res.json({ success: true, user: userWithoutPassword });
+    res.json({ success: true, user: toPublicUser(user), session: issueSession(user) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== QUESTION ROUTES ====================
+// Current user for a session
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ success: true, user: toPublicUser(req.user) });
+});
 
-// Upload questions for a specific test (chapter or mock)
-app.post('/api/questions/upload/:testType/:testId', upload.single('file'), (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
-    }
+// Password requirements, so forms can show them up front
+app.get('/api/auth/password-policy', (req, res) => {
+  res.json({ success: true, policy: PASSWORD_POLICY });
+});
 
-    const { testType, testId } = req.params; // e.g., "chapter/1" or "mock/1"
-    const fileContent = fs.readFileSync(req.file.path, 'utf8');
-    let questions;
+// Wherever a password or 2FA code is checked for a signed-in user, wrong ones
+// count toward the account's sign-in backoff and lockout, so a stolen session
+// can't be used to guess them
 
-    try {
-      questions = JSON.parse(fileContent);
-    } catch (parseError) {
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json({ success: false, error: 'Invalid JSON format' });
-    }
+// Answer 429 when the account has to wait. Returns true if it did.
+const rejectThrottledAccount = (user, res) => {
+  const retryAfter = getAccountRetryAfter(user);
+  if (!retryAfter) {
+    return false;
+  }
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    retryAfter,
+    error: `Too many failed attempts. Try again in ${retryAfter} seconds.`
+  });
+  return true;
+};
 
-    // Validate questions
-    if (!Array.isArray(questions)) {
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json({ success: false, error: 'Questions must be an array' });
-    }
+// Count a wrong password or code and audit it as `action`. Returns true if this locked the account.
+const recordCheckFailure = (req, user, action, { actor, reason } = {}) => {
+  const locked = recordAccountFailure(user, req.ip);
+  store.users.update(user);
+  logAudit(req, action, { actor, target: user.email, details: reason ? { reason } : {} });
+  return locked;
+};
 
-    for (let i = 0; i < questions.length; i++) {
-      const q = questions[i];
-      if (!q.id || !q.question || !Array.isArray(q.options) || 
-          q.options.length !== 4 || typeof q.correctAnswer !== 'number') {
-        fs.unlinkSync(req.file.path);
-        return res.status(400).json({ 
-          success: false, 
-          error: `Invalid question format at index ${i}. Required: id, question, options (4), correctAnswer (0-3)` 
-        });
-      }
+// Answer a failed check on a signed-in route: 429 once it locked the account
+const sendCheckFailure = (res, locked, error) => res.status(locked ? 429 : 400).json({
+  success: false,
+  error: locked ? 'Too many failed attempts. This account is temporarily locked.' : error
+});
+
+// Change password (signed-in user). Other sessions are signed out.
+app.post('/api/auth/change-password', requireAuth, (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = store.users.findById(req.user.id);
+
+    if (rejectThrottledAccount(user, res)) {
+      return;
+    }
+    if (!bcrypt.compareSync(currentPassword || '', user.password)) {
+      const locked = recordCheckFailure(req, user, 'auth.password_check_failed', { reason: 'Wrong current password while changing it' });
+      return sendCheckFailure(res, locked, 'Current password is incorrect');
     }
 
-    // Save questions
-    const questionsDir = path.join(__dirname, 'data', 'questions');
-    const filename = `${testType}_${testId}.json`;
-    const questionsPath = path.join(questionsDir, filename);
+    const passwordProblems = validatePassword(newPassword);
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({ success: false, error: describePasswordProblems(passwordProblems) });
+    }
+    if (bcrypt.compareSync(newPassword, user.password)) {
+      return res.status(400).json({ success: false, error: 'New password must be different from the current one' });
+    }
 
-    fs.writeFileSync(questionsPath, JSON.stringify(questions, null, 2));
-    fs.unlinkSync(req.file.path); // Clean up uploaded file
+    user.password = bcrypt.hashSync(newPassword, 10);
+    user.passwordChangedAt = new Date().toISOString();
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    clearAccountFailures(user);
+    store.users.update(user);
+    logAudit(req, 'auth.password_change', { target: user.email });
 
-    console.log(`✅ ${questions.length} questions uploaded for ${testType} ${testId}`);
-    res.json({ 
-      success: true, 
-      message: 'Questions uploaded successfully',
-      count: questions.length,
-      testType,
-      testId
-    });
+    // The caller gets a fresh session; every other session is now invalid
+    res.json({ success: true, message: 'Password changed successfully', session: issueSession(user) });
   } catch (error) {
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get questions for a specific test
-app.get('/api/questions/:testType/:testId', (req, res) => {
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+// Enrolment works with a normal session, or with the setup token handed out
+// at login to an admin who has to enrol before getting a session
+const requireEnrollmentAuth = (req, res, next) => {
+  if (req.body && req.body.setupToken) {
+    try {
+      req.user = getSessionUser(req.body.setupToken, '2fa-setup');
+      req.viaSetupToken = true;
+      return next();
+    } catch (error) {
+      return res.status(401).json({ success: false, error: 'Your sign-in has expired. Please sign in again.' });
+    }
+  }
+  requireAuth(req, res, next);
+};
+
+// Second sign-in step: authenticator code or a backup code
+app.post('/api/auth/2fa/verify', (req, res) => {
   try {
-    const { testType, testId } = req.params;
-    const filename = `${testType}_${testId}.json`;
-    const questionsPath = path.join(__dirname, 'data', 'questions', filename);
+    const { challengeToken, code } = req.body;
 
-    if (!fs.existsSync(questionsPath)) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Questions not found for this test' 
+    let sessionUser;
+    try {
+      sessionUser = getSessionUser(challengeToken, '2fa');
+    } catch (tokenError) {
+      return res.status(401).json({ success: false, error: 'Your sign-in has expired. Please sign in again.' });
+    }
+
+    const user = store.users.findById(sessionUser.id);
+
+    if (rejectThrottledAccount(user, res)) {
+      return;
+    }
+
+    const method = checkSecondFactor(user, code);
+    if (!method) {
+      const locked = recordCheckFailure(req, user, 'auth.2fa_failed', { actor: null });
+      return res.status(locked ? 429 : 401).json({
+        success: false,
+        error: locked ? 'Too many failed attempts. This account is temporarily locked.' : 'Invalid authentication code'
       });
     }
 
-    const questions = JSON.parse(fs.readFileSync(questionsPath, 'utf8'));
-    
-    // Shuffle questions for randomization
-    const shuffled = questions.sort(() => Math.random() - 0.5);
+    clearAccountFailures(user);
+    store.users.update(user);
+    logAudit(req, 'auth.login', { actor: user, target: user.email, details: { secondFactor: method } });
 
-    res.json({ 
-      success: true, 
-      questions: shuffled,
-      count: shuffled.length 
+    res.json({
+      success: true,
+      user: toPublicUser(user),
+      session: issueSession(user),
+      ...(method === 'backup' ? { backupCodesRemaining: user.twoFactor.backupCodes.length } : {})
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get all available tests (admin)
-app.get('/api/questions/available', (req, res) => {
+// Start enrolment: new secret plus a QR code for the authenticator app
+app.post('/api/auth/2fa/setup', requireEnrollmentAuth, async (req, res) => {
   try {
-    const questionsDir = path.join(__dirname, 'data', 'questions');
-    const files = fs.readdirSync(questionsDir);
-    
-    const availableTests = files
-      .filter(f => f.endsWith('.json'))
-      .map(f => {
-        const [testType, testId] = f.replace('.json', '').split('_');
-        const content = JSON.parse(fs.readFileSync(path.join(questionsDir, f), 'utf8'));
-        return {
-          testType,
-          testId,
-          questionCount: content.length,
-          filename: f
-        };
-      });
+    const user = store.users.findById(req.user.id);
 
-    res.json({ success: true, tests: availableTests });
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await beginEnrollment(user);
+    store.users.update(user);
+
+    res.json({ success: true, ...enrollment });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== RESULTS ROUTES ====================
-
-// Save test result
-app.post('/api/results', (req, res) => {
+// Finish enrolment with a code from the app. Backup codes are only shown here.
+app.post('/api/auth/2fa/enable', requireEnrollmentAuth, (req, res) => {
   try {
-    const result = req.body;
+    const user = store.users.findById(req.user.id);
 
-    if (!result.userName || !result.testName || result.score === undefined) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields: userName, testName, score' 
-      });
+    const backupCodes = completeEnrollment(user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({ success: false, error: 'That code did not match. Check the time on your device and try again.' });
     }
+    store.users.update(user);
+    logAudit(req, 'auth.2fa_enabled', { actor: user, target: user.email });
 
-    const resultsPath = path.join(__dirname, 'data', 'results', 'all_results.json');
-    let results = [];
+    const response = { success: true, message: 'Two-factor authentication enabled', backupCodes, user: toPublicUser(user) };
 
-    if (fs.existsSync(resultsPath)) {
-      results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    // Enrolment forced at sign-in completes that sign-in
+    if (req.viaSetupToken) {
+      logAudit(req, 'auth.login', { actor: user, target: user.email, details: { secondFactor: 'enrollment' } });
+      response.session = issueSession(user);
     }
 
-    const newResult = {
-      ...result,
-      id: `result_${Date.now()}`,
-      timestamp: new Date().toISOString()
-    };
-
-    results.push(newResult);
-    fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
-
-    console.log(`✅ Result saved: ${result.userName} - ${result.testName} - ${result.score}%`);
-    res.json({ success: true, resultId: newResult.id });
+    res.json(response);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get results for a specific user
-app.get('/api/results/user/:userId', (req, res) => {
+// Turn 2FA off (needs the password and a current code)
+app.post('/api/auth/2fa/disable', requireAuth, (req, res) => {
   try {
-    const { userId } = req.params;
-    const resultsPath = path.join(__dirname, 'data', 'results', 'all_results.json');
+    const { password, code } = req.body;
+    const user = store.users.findById(req.user.id);
 
-    if (!fs.existsSync(resultsPath)) {
-      return res.json({ success: true, results: [], count: 0 });
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+    }
+    if (user.role === 'admin' && getSettings().enforceAdmin2FA) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is required for admin accounts' });
+    }
+    if (rejectThrottledAccount(user, res)) {
+      return;
+    }
+    if (!bcrypt.compareSync(password || '', user.password)) {
+      const locked = recordCheckFailure(req, user, 'auth.2fa_failed', { reason: 'Wrong password while disabling 2FA' });
+      return sendCheckFailure(res, locked, 'Password is incorrect');
+    }
+    if (!checkSecondFactor(user, code)) {
+      const locked = recordCheckFailure(req, user, 'auth.2fa_failed', { reason: 'Wrong code while disabling 2FA' });
+      return sendCheckFailure(res, locked, 'Invalid authentication code');
     }
 
-    let results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
-    results = results.filter(r => r.userId === userId);
-    results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    clearAccountFailures(user);
+    disableTwoFactor(user);
+    store.users.update(user);
+    logAudit(req, 'auth.2fa_disabled', { target: user.email });
 
-    res.json({ success: true, results, count: results.length });
+    res.json({ success: true, message: 'Two-factor authentication disabled', user: toPublicUser(user) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get all results (admin only)
-app.get('/api/results/admin/all', (req, res) => {
+// Replace the backup codes (needs a current code)
+app.post('/api/auth/2fa/backup-codes', requireAuth, (req, res) => {
   try {
-    const resultsPath = path.join(__dirname, 'data', 'results', 'all_results.json');
+    const user = store.users.findById(req.user.id);
 
-    if (!fs.existsSync(resultsPath)) {
-      return res.json({ success: true, results: [], count: 0 });
+    if (rejectThrottledAccount(user, res)) {
+      return;
+    }
+    if (!checkSecondFactor(user, req.body.code)) {
+      const locked = recordCheckFailure(req, user, 'auth.2fa_failed', { reason: 'Wrong code while replacing backup codes' });
+      return sendCheckFailure(res, locked, 'Invalid authentication code');
     }
 
-    const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
-    results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-    // Calculate stats
-    const stats = {
-      totalTests: results.length,
-      uniqueStudents: [...new Set(results.map(r => r.userId))].length,
-      averageScore: results.length > 0 
-        ? Math.round(results.reduce((acc, r) => acc + r.score, 0) / results.length) 
-        : 0,
-      passRate: results.length > 0
-        ? Math.round((results.filter(r => r.score >= 70).length / results.length) * 100)
-        : 0
-    };
+    clearAccountFailures(user);
+    const backupCodes = regenerateBackupCodes(user);
+    store.users.update(user);
+    logAudit(req, 'auth.2fa_backup_codes_regenerated', { target: user.email });
 
-    res.json({ success: true, results, count: results.length, stats });
+    res.json({ success: true, backupCodes, user: toPublicUser(user) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Export results to CSV
-app.get('/api/results/export/csv', (req, res) => {
+// ==================== EMAIL CHANGE ====================
+
+// Step 1: email a code to the new address (needs the current password)
+app.post('/api/auth/change-email/request', requireAuth, async (req, res) => {
   try {
-    const resultsPath = path.join(__dirname, 'data', 'results', 'all_results.json');
+    const { newEmail, password } = req.body;
+    const user = req.user;
 
-    if (!fs.existsSync(resultsPath)) {
-      return res.status(404).send('No results to export');
+    if (rejectThrottledAccount(user, res)) {
+      return;
+    }
+    if (!bcrypt.compareSync(password || '', user.password)) {
+      const locked = recordCheckFailure(req, user, 'auth.password_check_failed', { reason: 'Wrong password while changing email' });
+      return sendCheckFailure(res, locked, 'Password is incorrect');
+    }
+    if (user.failedLoginAttempts || user.lastFailedLoginAt) {
+      clearAccountFailures(user);
+      store.users.update(user);
+    }
+    if (!newEmail || !EMAIL_PATTERN.test(newEmail)) {
+      return res.status(400).json({ success: false, error: 'Please enter a valid email address' });
+    }
+    if (newEmail.toLowerCase() === user.email.toLowerCase()) {
+      return res.status(400).json({ success: false, error: 'Please enter a different email' });
+    }
+    if (store.users.findByEmail(newEmail)) {
+      return res.status(400).json({ success: false, error: 'Email already in use' });
     }
 
-    const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
-
-    // Create CSV
-    let csv = 'ID,User Name,User Email,Test Name,Test Type,Score (%),Date,Time Taken,Total Questions,Correct Answers,User ID,Timestamp\n';
+    // Keyed by the current address; the new one travels with the code
+    const issued = issueCode(user.email, 'email-change', { newEmail });
+    if (!issued.success) {
+      return res.status(429).json({ success: false, error: issued.error });
+    }
 
-    results.forEach(r => {
-      csv += `"${r.id}","${r.userName}","${r.userEmail || 'N/A'}","${r.testName}","${r.testType || 'N/A'}",${r.score},"${r.date}","${r.timeTaken}",${r.totalQuestions},${r.correctAnswers},"${r.userId}","${r.timestamp}"\n`;
-    });
+    const emailResult = await sendTemplate(newEmail, 'emailChange', user.name, issued.code);
+    if (!emailResult.success) {
+      return res.status(502).json({ success: false, error: 'Failed to send verification email' });
+    }
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=cbda-results-${Date.now()}.csv`);
-    res.send(csv);
+    logAudit(req, 'user.email_change_requested', { target: user.email, details: { to: newEmail } });
+    res.json({ success: true, message: `Verification code sent to ${newEmail}` });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Delete a result (admin only)
-app.delete('/api/results/:resultId', (req, res) => {
+// Step 2: the email only changes once the server has checked the code
+app.post('/api/auth/change-email/confirm', requireAuth, async (req, res) => {
   try {
-    const { resultId } = req.params;
-    const resultsPath = path.join(__dirname, 'data', 'results', 'all_results.json');
+    const check = checkCode(req.user.email, 'email-change', req.body.code);
+    if (!check.success) {
+      return res.status(400).json({ success: false, error: check.error });
+    }
 
-    if (!fs.existsSync(resultsPath)) {
-      return res.status(404).json({ success: false, error: 'No results found' });
+    const { newEmail } = check.data;
+    if (store.users.findByEmail(newEmail)) {
+      return res.status(400).json({ success: false, error: 'Email already in use' });
     }
 
-    let results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
-    const initialLength = results.length;
-    
-    results = results.filter(r => r.id !== resultId);
+    const user = store.users.findById(req.user.id);
+    const previousEmail = user.email;
+    user.email = newEmail;
+    user.verified = true;
+    user.verifiedAt = new Date().toISOString();
+    user.updatedAt = new Date().toISOString();
+    store.users.update(user);
 
-    if (results.length === initialLength) {
-      return res.status(404).json({ success: false, error: 'Result not found' });
-    }
+    logAudit(req, 'user.email_change', { target: user.id, details: { from: previousEmail, to: newEmail } });
+
+    // Let the old address know, in case the change wasn't theirs
+    await sendTemplate(previousEmail, 'emailChangeNotice', user.name, newEmail);
 
-    fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
-    res.json({ success: true, message: 'Result deleted successfully' });
+    console.log(`✅ Email changed: ${previousEmail} → ${newEmail}`);
+    res.json({ success: true, message: 'Email changed successfully', user: toPublicUser(user) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== ADMIN ROUTES ====================
-
-// Upload logo
-app.post('/api/admin/upload-logo', upload.single('logo'), (req, res) => {
+// Register
+app.post('/api/auth/register', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No logo uploaded' });
+    const { name, email, password } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ success: false, error: 'Name, email and password are required' });
     }
 
-    const publicDir = path.join(__dirname, '..', 'public');
-    const logoPath = path.join(publicDir, 'logo.png');
+    const passwordProblems = validatePassword(password);
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({ success: false, error: describePasswordProblems(passwordProblems) });
+    }
 
-    // Backup existing logo
-    if (fs.existsSync(logoPath)) {
-      const backupPath = path.join(publicDir, `logo-backup-${Date.now()}.png`);
-      fs.copyFileSync(logoPath, backupPath);
+    // Check if user exists
+    if (store.users.findByEmail(email)) {
+      return res.status(400).json({ success: false, error: 'Email already registered' });
     }
 
-    fs.copyFileSync(req.file.path, logoPath);
-    fs.unlinkSync(req.file.path);
+    const newUser = {
+      id: generateId('student'),
+      name,
+      email,
+      password: bcrypt.hashSync(password, 10),
+      role: 'student',
+      createdAt: new Date().toISOString(),
+      verified: false
+    };
 
-    console.log('✅ Logo uploaded successfully');
-    res.json({ success: true, message: 'Logo uploaded successfully' });
-  } catch (error) {
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    store.users.insert(newUser);
+    logAudit(req, 'auth.register', { actor: newUser, target: newUser.email });
+
+    const emailResult = await sendVerificationCode(newUser);
+    if (!emailResult.success) {
+      return res.status(502).json({ success: false, error: 'Account created but the verification email could not be sent. Please try resending.' });
     }
+
+    res.json({ success: true, requiresVerification: true, email: newUser.email });
+  } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get all users (admin only)
-app.get('/api/admin/users', (req, res) => {
+// Resend the registration verification code
+app.post('/api/auth/verification/resend', async (req, res) => {
   try {
-    const usersPath = path.join(__dirname, 'data', 'users.json');
-    
-    if (!fs.existsSync(usersPath)) {
-      return res.json({ success: true, users: [], count: 0 });
+    const { email } = req.body;
+    const user = store.users.findByEmail(email);
+
+    // Same response whether or not the account exists
+    if (user && !user.verified) {
+      const result = await sendVerificationCode(user);
+      if (!result.success) {
+        return res.status(429).json({ success: false, error: result.error });
+      }
+      logAudit(req, 'auth.verification_resent', { actor: user, target: user.email });
     }
 
-    let users = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
-    
-    // Remove passwords
-    users = users.map(({ password, ...user }) => user);
-
-    res.json({ success: true, users, count: users.length });
+    res.json({ success: true, message: 'If the account needs verification, a new code has been sent' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get dashboard stats (admin)
-app.get('/api/admin/stats', (req, res) => {
+// Verify an email address with the emailed code; only the server sets `verified`
+app.post('/api/auth/verification/verify', (req, res) => {
   try {
-    const resultsPath = path.join(__dirname, 'data', 'results', 'all_results.json');
-    const usersPath = path.join(__dirname, 'data', 'users.json');
-    const questionsDir = path.join(__dirname, 'data', 'questions');
-
-    let stats = {
-      totalStudents: 0,
-      totalTests: 0,
-      averageScore: 0,
-      passRate: 0,
-      totalQuestions: 0,
-      availableTests: 0
-    };
+    const { email, code } = req.body;
+    const check = checkCode(email || '', 'register', code);
 
-    // Count users
-    if (fs.existsSync(usersPath)) {
-      const users = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
-      stats.totalStudents = users.filter(u => u.role === 'student').length;
+    if (!check.success) {
+      return res.status(400).json({ success: false, error: check.error });
     }
 
-    // Count tests and calculate scores
-    if (fs.existsSync(resultsPath)) {
-      const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
-      stats.totalTests = results.length;
-      
-      if (results.length > 0) {
-        stats.averageScore = Math.round(
-          results.reduce((acc, r) => acc + r.score, 0) / results.length
-        );
-        stats.passRate = Math.round(
-          (results.filter(r => r.score >= 70).length / results.length) * 100
-        );
-      }
+    const user = store.users.findByEmail(email);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
     }
 
-    // Count available questions
-    if (fs.existsSync(questionsDir)) {
-      const files = fs.readdirSync(questionsDir).filter(f => f.endsWith('.json'));
-      stats.availableTests = files.length;
-      
-      files.forEach(file => {
-        const content = JSON.parse(fs.readFileSync(path.join(questionsDir, file), 'utf8'));
-        stats.totalQuestions += content.length;
-      });
-    }
+    user.verified = true;
+    user.verifiedAt = new Date().toISOString();
+    store.users.update(user);
+    logAudit(req, 'auth.email_verified', { actor: user, target: user.email });
 
-    res.json({ success: true, stats });
+    res.json({ success: true, user: toPublicUser(user), session: issueSession(user) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'Server running', 
-    timestamp: new Date().toISOString(),
-    storage: 'Local JSON files'
+// Email a password reset link to a user
+const sendPasswordResetEmail = (user) => {
+  const token = issueResetToken(user.id);
+  return sendTemplate(user.email, 'passwordReset', user.name, buildResetLink(token));
+};
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Email a new account holder a link to set their own password
+const sendInviteEmail = (user) => {
+  const token = issueResetToken(user.id, INVITE_TTL_MS);
+  return sendTemplate(user.email, 'invite', user.name, buildResetLink(token));
+};
+
+// Forgot password - always answers the same way so emails can't be probed
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const ipRetryAfter = getResetRequestRetryAfter(req.ip);
+    if (ipRetryAfter) {
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        success: false,
+        retryAfter: ipRetryAfter,
+        error: `Too many requests. Try again in ${ipRetryAfter} seconds.`
+      });
+    }
+    // Every request counts toward the IP's reset limit (not its sign-in limit)
+    recordResetRequest(req.ip);
+
+    // One link a minute per account. The answer is the same either way, so it
+    // doesn't tell whether the account exists.
+    const user = store.users.findByEmail(email);
+    const coolingDown = Boolean(user) && isResetCoolingDown(user.id);
+    const linkSent = Boolean(user && user.active !== false) && !coolingDown;
+
+    if (linkSent) {
+      await sendPasswordResetEmail(user);
+    }
+    logAudit(req, 'auth.password_reset_requested', {
+      actor: null,
+      target: email,
+      details: coolingDown ? { linkSent, reason: 'A link was sent less than a minute ago' } : { linkSent }
+    });
+
+    res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reset password with a token from the emailed link
+app.post('/api/auth/reset-password', (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const passwordProblems = validatePassword(password);
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({ success: false, error: describePasswordProblems(passwordProblems) });
+    }
+
+    const reset = consumeResetToken(token);
+    if (!reset.success) {
+      return res.status(400).json({ success: false, error: reset.error });
+    }
+
+    const user = store.users.findById(reset.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    user.password = bcrypt.hashSync(password, 10);
+    user.passwordChangedAt = new Date().toISOString();
+    // Receiving the link proves ownership of the address
+    user.verified = true;
+    // Sign out every existing session
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    store.users.update(user);
+    logAudit(req, 'auth.password_reset', { actor: user, target: user.email });
+
+    console.log(`✅ Password reset for ${user.email}`);
+    res.json({ success: true, message: 'Password reset successfully. You can now sign in.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== QUESTION ROUTES ====================
+
+// Upload questions for a specific test (chapter or mock)
+app.post('/api/questions/upload/:testType/:testId', requireAdmin, upload.single('file'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+
+    const { testType, testId } = req.params; // e.g., "chapter/1" or "mock/1"
+    const fileContent = fs.readFileSync(req.file.path, 'utf8');
+    let questions;
+
+    try {
+      questions = JSON.parse(fileContent);
+    } catch (parseError) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ success: false, error: 'Invalid JSON format' });
+    }
+
+    // Validate questions
+    if (!isValidSetKey(testType, testId)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ success: false, error: 'Invalid test type or ID' });
+    }
+
+    const problems = validateQuestionSet(questions);
+    if (problems.length > 0) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        success: false,
+        error: `Invalid question format. ${problems[0]}${problems.length > 1 ? ` (and ${problems.length - 1} more)` : ''}`,
+        errors: problems
+      });
+    }
+
+    // Save questions (the previous set stays in the version history)
+    const saved = saveQuestionSet(testType, testId, questions, {
+      actor: req.user,
+      source: 'upload',
+      note: req.file.originalname
+    });
+    fs.unlinkSync(req.file.path); // Clean up uploaded file
+
+    logAudit(req, 'questions.upload', {
+      target: `${testType} ${testId}`,
+      details: { count: questions.length, file: req.file.originalname, version: saved.version }
+    });
+
+    console.log(`✅ ${questions.length} questions uploaded for ${testType} ${testId}`);
+    res.json({ 
+      success: true, 
+      message: 'Questions uploaded successfully',
+      count: questions.length,
+      version: saved.version,
+      testType,
+      testId
+    });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set key check shared by the question routes
+const checkSetKey = (req, res) => {
+  if (!isValidSetKey(req.params.testType, req.params.testId)) {
+    res.status(400).json({ success: false, error: 'Invalid test type or ID' });
+    return false;
+  }
+  return true;
+};
+
+// Get questions for a specific test
+app.get('/api/questions/:testType/:testId', requireAuth, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId } = req.params;
+    const questions = store.questionSets.get(testType, testId);
+
+    if (!questions) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Questions not found for this test' 
+      });
+    }
+
+    
+    // Shuffle questions for randomization
+    const shuffled = questions.sort(() => Math.random() - 0.5);
+
+    res.json({ 
+      success: true, 
+      questions: shuffled,
+      count: shuffled.length,
+      // Sent back with the result so it records which version was taken
+      version: currentVersion(testType, testId)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get all available tests (admin)
+app.get('/api/questions/available', requireAuth, (req, res) => {
+  try {
+    const availableTests = store.questionSets.list().map(set => ({
+      testType: set.testType,
+      testId: set.testId,
+      questionCount: set.questionCount,
+      filename: `${set.testType}_${set.testId}.json`
+    }));
+
+    res.json({ success: true, tests: availableTests });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ---- Editing individual questions (admin) ----
+// A set is stored as one ordered array; these routes change one question at a
+// time instead of re-uploading the whole file.
+
+const questionSetLabel = (testType, testId) => `${testType} ${testId}`;
+
+// A question set in stored order, not shuffled
+app.get('/api/admin/questions/:testType/:testId', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId } = req.params;
+
+    const questions = store.questionSets.get(testType, testId) || [];
+    res.json({ success: true, questions, count: questions.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a question (creates the set if it doesn't exist). Body: the question, plus optional `position`
+app.post('/api/admin/questions/:testType/:testId', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId } = req.params;
+    const { position, ...input } = req.body;
+
+    const errors = validateQuestion(input);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], errors });
+    }
+
+    const questions = store.questionSets.get(testType, testId) || [];
+    // Numeric IDs, continuing after the highest one in the set
+    const nextId = questions.reduce((max, q) => Math.max(max, Number(q.id) || 0), 0) + 1;
+    const question = normalizeQuestion(input, nextId);
+
+    const index = Number.isInteger(position) ? Math.min(Math.max(position, 0), questions.length) : questions.length;
+    questions.splice(index, 0, question);
+    saveQuestionSet(testType, testId, questions, { actor: req.user, source: 'editor', note: `Added question ${question.id}` });
+
+    logAudit(req, 'questions.create', { target: questionSetLabel(testType, testId), details: { questionId: question.id } });
+    res.json({ success: true, message: 'Question added', question, questions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reorder a set. Body: { order: [questionId, ...] } containing every ID exactly once
+app.post('/api/admin/questions/:testType/:testId/reorder', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId } = req.params;
+    const { order } = req.body;
+
+    const questions = store.questionSets.get(testType, testId);
+    if (!questions) {
+      return res.status(404).json({ success: false, error: 'Question set not found' });
+    }
+
+    const byId = new Map(questions.map(q => [String(q.id), q]));
+    const ids = Array.isArray(order) ? order.map(String) : [];
+    if (ids.length !== questions.length || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+      return res.status(400).json({ success: false, error: 'order must list every question ID in the set exactly once' });
+    }
+
+    const reordered = ids.map(id => byId.get(id));
+    saveQuestionSet(testType, testId, reordered, { actor: req.user, source: 'editor', note: 'Reordered questions' });
+
+    logAudit(req, 'questions.reorder', { target: questionSetLabel(testType, testId), details: { count: reordered.length } });
+    res.json({ success: true, message: 'Order saved', questions: reordered });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Edit a question. Body: the full question; its ID can't change
+app.put('/api/admin/questions/:testType/:testId/:questionId', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId, questionId } = req.params;
+
+    const questions = store.questionSets.get(testType, testId) || [];
+    const index = questions.findIndex(q => String(q.id) === questionId);
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Question not found' });
+    }
+
+    const errors = validateQuestion(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], errors });
+    }
+
+    const before = questions[index];
+    const question = normalizeQuestion(req.body, before.id);
+    questions[index] = question;
+    saveQuestionSet(testType, testId, questions, { actor: req.user, source: 'editor', note: `Edited question ${question.id}` });
+
+    const changed = Object.keys(question).filter(key => JSON.stringify(question[key]) !== JSON.stringify(before[key]));
+    logAudit(req, 'questions.update', {
+      target: questionSetLabel(testType, testId),
+      details: { questionId: question.id, changed }
+    });
+    res.json({ success: true, message: 'Question saved', question, questions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a question
+app.delete('/api/admin/questions/:testType/:testId/:questionId', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId, questionId } = req.params;
+
+    const questions = store.questionSets.get(testType, testId) || [];
+    const removed = questions.find(q => String(q.id) === questionId);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Question not found' });
+    }
+
+    const remaining = questions.filter(q => q !== removed);
+    saveQuestionSet(testType, testId, remaining, { actor: req.user, source: 'editor', note: `Deleted question ${removed.id}` });
+
+    logAudit(req, 'questions.delete', {
+      target: questionSetLabel(testType, testId),
+      details: { questionId: removed.id, question: removed.question }
+    });
+    res.json({ success: true, message: 'Question deleted', questions: remaining });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ---- Importing ----
+// Importers (backend/importers/) turn a document into questions plus a report
+// of what was imported, what looks suspicious and what was skipped.
+
+// Import questions from a Word document (admin). Body: file (.docx), dryRun.
+// Answers with a report of every question block; a dry run stores nothing.
+app.post('/api/admin/questions/:testType/:testId/import/word', requireAdmin, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+    if (!checkSetKey(req, res)) return;
+    if (!req.file.originalname.toLowerCase().endsWith('.docx')) {
+      return res.status(400).json({ success: false, error: 'Word documents must be .docx files (save older .doc files as .docx first)' });
+    }
+
+    const { testType, testId } = req.params;
+    const dryRun = req.body.dryRun === 'true';
+    let imported;
+
+    try {
+      imported = await importWordDocument(fs.readFileSync(req.file.path), { dryRun });
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: 'Could not read the Word document. Is it a valid .docx file?' });
+    }
+
+    const { questions, report } = imported;
+    if (dryRun) {
+      return res.json({ success: true, dryRun, report });
+    }
+    if (questions.length === 0) {
+      return res.status(400).json({ success: false, error: 'No questions could be imported from this document', report });
+    }
+
+    // The previous set stays in the version history
+    const saved = saveQuestionSet(testType, testId, questions, {
+      actor: req.user,
+      source: 'upload',
+      note: req.file.originalname
+    });
+
+    logAudit(req, 'questions.import', {
+      target: questionSetLabel(testType, testId),
+      details: {
+        file: req.file.originalname,
+        format: 'word',
+        count: questions.length,
+        suspicious: report.suspicious,
+        skipped: report.skipped,
+        version: saved.version
+      }
+    });
+
+    console.log(`✅ ${questions.length} questions imported from Word for ${testType} ${testId} (${report.skipped} skipped)`);
+    res.json({
+      success: true,
+      message: `${questions.length} question(s) imported${report.skipped > 0 ? `, ${report.skipped} skipped` : ''}`,
+      count: questions.length,
+      version: saved.version,
+      report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// Import questions from a CSV or Excel sheet, one question per row (admin).
+// Body: file (.csv/.xlsx), mapping (JSON { field: column index }; guessed from
+// the headings when absent), dryRun. A dry run answers with the headings, the
+// mapping and a report of every row, and stores nothing.
+app.post('/api/admin/questions/:testType/:testId/import/spreadsheet', requireAdmin, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+    if (!checkSetKey(req, res)) return;
+    if (!isSpreadsheetFile(req.file.originalname)) {
+      return res.status(400).json({ success: false, error: 'Spreadsheets must be .csv or .xlsx files (save older .xls files as .xlsx first)' });
+    }
+
+    let mapping;
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (parseError) {
+        return res.status(400).json({ success: false, error: 'The column mapping is not valid JSON' });
+      }
+    }
+
+    const { testType, testId } = req.params;
+    const dryRun = req.body.dryRun === 'true';
+    const imported = await importSpreadsheet(fs.readFileSync(req.file.path), req.file.originalname, { mapping });
+    const { questions, report, headers, mappingError } = imported;
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun, headers, mapping: imported.mapping, fields: SPREADSHEET_FIELDS, report });
+    }
+    if (mappingError) {
+      return res.status(400).json({ success: false, error: mappingError });
+    }
+    if (questions.length === 0) {
+      return res.status(400).json({ success: false, error: 'No questions could be imported from this sheet', report });
+    }
+
+    // The previous set stays in the version history
+    const saved = saveQuestionSet(testType, testId, questions, {
+      actor: req.user,
+      source: 'upload',
+      note: req.file.originalname
+    });
+
+    logAudit(req, 'questions.import', {
+      target: questionSetLabel(testType, testId),
+      details: {
+        file: req.file.originalname,
+        format: 'spreadsheet',
+        count: questions.length,
+        suspicious: report.suspicious,
+        skipped: report.skipped,
+        version: saved.version
+      }
+    });
+
+    console.log(`✅ ${questions.length} questions imported from a spreadsheet for ${testType} ${testId} (${report.skipped} rows skipped)`);
+    res.json({
+      success: true,
+      message: `${questions.length} question(s) imported${report.skipped > 0 ? `, ${report.skipped} row(s) skipped` : ''}`,
+      count: questions.length,
+      version: saved.version,
+      report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// Import questions from another tool's question bank (admin): GIFT (.gift,
+// .txt), Moodle XML (.xml) or QTI 2.1 (.zip package, or one item as .xml).
+// Body: file, dryRun. Question types the app has no equivalent for are
+// reported and skipped.
+app.post('/api/admin/questions/:testType/:testId/import/bank', requireAdmin, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+    if (!checkSetKey(req, res)) return;
+    if (!isQuestionBankFile(req.file.originalname)) {
+      return res.status(400).json({ success: false, error: 'Question banks must be GIFT (.gift, .txt), Moodle XML (.xml) or QTI 2.1 (.zip, .xml) files' });
+    }
+
+    const { testType, testId } = req.params;
+    const dryRun = req.body.dryRun === 'true';
+    const { format, questions, report } = importQuestionBank(fs.readFileSync(req.file.path), req.file.originalname, { dryRun });
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun, format, report });
+    }
+    if (questions.length === 0) {
+      return res.status(400).json({ success: false, error: 'No questions could be imported from this file', report });
+    }
+
+    // The previous set stays in the version history
+    const saved = saveQuestionSet(testType, testId, questions, {
+      actor: req.user,
+      source: 'upload',
+      note: req.file.originalname
+    });
+
+    logAudit(req, 'questions.import', {
+      target: questionSetLabel(testType, testId),
+      details: {
+        file: req.file.originalname,
+        format,
+        count: questions.length,
+        suspicious: report.suspicious,
+        skipped: report.skipped,
+        version: saved.version
+      }
+    });
+
+    console.log(`✅ ${questions.length} questions imported from ${format} for ${testType} ${testId} (${report.skipped} skipped)`);
+    res.json({
+      success: true,
+      message: `${questions.length} question(s) imported${report.skipped > 0 ? `, ${report.skipped} skipped` : ''}`,
+      count: questions.length,
+      version: saved.version,
+      report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// ---- Exporting ----
+
+// Download a question set as GIFT, Moodle XML or a QTI 2.1 package (admin).
+// Domains become categories/keywords and tags; see formats/shared.js.
+app.get('/api/admin/questions/:testType/:testId/export/:format', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId, format } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+      return res.status(400).json({ success: false, error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    const questions = store.questionSets.get(testType, testId) || [];
+    if (questions.length === 0) {
+      return res.status(404).json({ success: false, error: 'This set has no questions to export' });
+    }
+
+    const setName = `CBDA ${testType === 'mock' ? 'Mock Exam' : testType === 'chapter' ? 'Chapter' : testType} ${testId}`;
+    const { content, fileName, contentType } = exportQuestionBank(format, questions, {
+      setName,
+      fileBase: `cbda-${testType}-${testId}`,
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+
+    logAudit(req, 'questions.export', {
+      target: questionSetLabel(testType, testId),
+      details: { format: FORMATS[format].label, count: questions.length }
+    });
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(content);
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ---- Version history ----
+// Every save is kept (see utils/questionVersions.js); rolling back saves an old
+// version again as the newest one.
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+app.get('/api/admin/questions/:testType/:testId/versions', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId } = req.params;
+
+    res.json({
+      success: true,
+      versions: listVersions(testType, testId),
+      current: currentVersion(testType, testId)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Two versions side by side: ?from=<version>&to=<version>
+app.get('/api/admin/questions/:testType/:testId/versions/compare', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId } = req.params;
+    const from = parseVersion(req.query.from);
+    const to = parseVersion(req.query.to);
+
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'from and to must be version numbers' });
+    }
+
+    res.json({ success: true, ...compareVersions(testType, testId, from, to) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/questions/:testType/:testId/versions/:version', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId } = req.params;
+    const version = parseVersion(req.params.version);
+
+    if (!version) {
+      return res.status(400).json({ success: false, error: 'Invalid version number' });
+    }
+
+    res.json({ success: true, version: getVersion(testType, testId, version) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/questions/:testType/:testId/versions/:version/rollback', requireAdmin, (req, res) => {
+  try {
+    if (!checkSetKey(req, res)) return;
+    const { testType, testId } = req.params;
+    const version = parseVersion(req.params.version);
+
+    if (!version) {
+      return res.status(400).json({ success: false, error: 'Invalid version number' });
+    }
+
+    const saved = rollbackQuestionSet(testType, testId, version, req.user);
+
+    logAudit(req, 'questions.rollback', {
+      target: questionSetLabel(testType, testId),
+      details: { restoredVersion: version, newVersion: saved.version, count: saved.questionCount }
+    });
+    console.log(`⏪ ${testType} ${testId} rolled back to version ${version}`);
+    res.json({
+      success: true,
+      message: `Rolled back to version ${version} (saved as version ${saved.version})`,
+      version: saved.version
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== QUESTION IMAGES ====================
+
+// Upload an image for use in question or option text
+app.post('/api/admin/assets', requireAdmin, upload.single('image'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No image uploaded' });
+    }
+
+    const asset = saveAsset(fs.readFileSync(req.file.path));
+    fs.unlinkSync(req.file.path);
+
+    logAudit(req, 'assets.upload', { target: asset.name, details: { file: req.file.originalname, bytes: asset.bytes } });
+    console.log(`🖼️ Question image stored: ${asset.name}`);
+    res.json({ success: true, ...asset, markup: `![${path.parse(req.file.originalname).name}](${asset.url})` });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Serve a question image. Not behind auth: <img> tags cannot send the token,
+// and names are content hashes that cannot be guessed or enumerated.
+app.get('/api/assets/:name', (req, res) => {
+  const filePath = assetPath(req.params.name);
+
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ success: false, error: 'Image not found' });
+  }
+
+  res.setHeader('Content-Type', contentTypeFor(req.params.name));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  // A name always refers to the same bytes, so browsers can keep it
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  fs.createReadStream(filePath).pipe(res);
+});
+
+// ==================== RESULTS ROUTES ====================
+
+// Save test result
+app.post('/api/results', requireAuth, (req, res) => {
+  try {
+    // Only the test's own fields are taken from the body; ids, timestamps and
+    // trash stamps are the server's
+    const result = resultFromSubmission(req.body, req.user);
+
+    if (!result.userName || !result.testName || result.score === undefined) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required fields: userName, testName, score' 
+      });
+    }
+
+    // The question set version the test was taken on. Clients send the one they
+    // were given; if it's missing, assume the current one.
+    if (!Number.isInteger(result.questionSetVersion)) {
+      result.questionSetVersion = result.testType && result.testId !== undefined && isValidSetKey(result.testType, result.testId)
+        ? currentVersion(result.testType, result.testId)
+        : null;
+    }
+
+    const newResult = {
+      ...result,
+      id: generateId('result'),
+      timestamp: new Date().toISOString()
+    };
+
+    store.results.insert(newResult);
+    logAudit(req, 'result.submit', {
+      target: newResult.id,
+      details: { testName: newResult.testName, score: newResult.score }
+    });
+
+    console.log(`✅ Result saved: ${result.userName} - ${result.testName} - ${result.score}%`);
+    res.json({ success: true, resultId: newResult.id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get results for a specific user
+app.get('/api/results/user/:userId', requireAuth, (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.role !== 'admin' && req.user.id !== userId) {
+      return res.status(403).json({ success: false, error: 'You can only view your own results' });
+    }
+
+    const results = listActiveResults({ userId });
+    results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    res.json({ success: true, results, count: results.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get all results (admin only)
+app.get('/api/results/admin/all', requireAdmin, (req, res) => {
+  try {
+    const results = listActiveResults();
+    results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    // Calculate stats
+    const stats = {
+      totalTests: results.length,
+      uniqueStudents: [...new Set(results.map(r => r.userId))].length,
+      averageScore: results.length > 0 
+        ? Math.round(results.reduce((acc, r) => acc + r.score, 0) / results.length) 
+        : 0,
+      passRate: results.length > 0
+        ? Math.round((results.filter(r => r.score >= 70).length / results.length) * 100)
+        : 0
+    };
+
+    res.json({ success: true, results, count: results.length, stats });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Export results to CSV
+// One row per result, shared by the download and the export destinations
+const buildResultsCsv = (results) => {
+  let csv = 'ID,User Name,User Email,Test Name,Test Type,Question Set Version,Score (%),Date,Time Taken,Total Questions,Correct Answers,User ID,Timestamp\n';
+
+  results.forEach(r => {
+    csv += `"${r.id}","${r.userName}","${r.userEmail || 'N/A'}","${r.testName}","${r.testType || 'N/A'}","${r.questionSetVersion || 'N/A'}",${r.score},"${r.date}","${r.timeTaken}",${r.totalQuestions},${r.correctAnswers},"${r.userId}","${r.timestamp}"\n`;
   });
+
+  return csv;
+};
+
+app.get('/api/results/export/csv', requireAdmin, (req, res) => {
+  try {
+    const results = listActiveResults();
+
+    if (results.length === 0) {
+      return res.status(404).send('No results to export');
+    }
+
+    logAudit(req, 'results.export_csv', { details: { rows: results.length } });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=cbda-results-${Date.now()}.csv`);
+    res.send(buildResultsCsv(results));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ---- Trash ----
+// Deleting moves results to the trash; they are purged by an admin or after
+// `trashRetentionDays`
+
+// `resultIds` from a request body, or null if it isn't a list of IDs
+const parseResultIds = (resultIds) => (
+  Array.isArray(resultIds) && resultIds.length > 0 && resultIds.every(id => typeof id === 'string')
+    ? resultIds
+    : null
+);
+
+// Move a result to the trash (admin only)
+app.delete('/api/results/:resultId', requireAdmin, (req, res) => {
+  try {
+    const { resultId } = req.params;
+    const [trashed] = trashResults([resultId], req.user);
+
+    if (!trashed) {
+      return res.status(404).json({ success: false, error: 'Result not found' });
+    }
+
+    // Keep enough of the result to answer "whose result was this?"
+    logAudit(req, 'result.delete', { target: resultId, details: describeResult(trashed) });
+    res.json({ success: true, message: 'Result moved to trash' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Move several results to the trash (admin only).
+// Body: { resultIds } or { userId } for every attempt by one account.
+app.post('/api/results/bulk-delete', requireAdmin, (req, res) => {
+  try {
+    const { userId } = req.body;
+    let resultIds = parseResultIds(req.body.resultIds);
+
+    if (!resultIds && typeof userId === 'string' && userId) {
+      resultIds = listActiveResults({ userId }).map(r => r.id);
+    }
+    if (!resultIds) {
+      return res.status(400).json({ success: false, error: 'Send a list of resultIds or a userId' });
+    }
+
+    const trashed = trashResults(resultIds, req.user);
+    if (trashed.length > 0) {
+      logAudit(req, 'result.delete', {
+        target: userId ? `all results of ${userId}` : `${trashed.length} result(s)`,
+        details: { results: trashed.map(describeResult) }
+      });
+    }
+
+    res.json({ success: true, message: `${trashed.length} result(s) moved to trash`, count: trashed.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Results in the trash, most recently deleted first (admin only)
+app.get('/api/results/trash', requireAdmin, (req, res) => {
+  try {
+    const results = listTrashedResults();
+    res.json({ success: true, results, count: results.length, retentionDays: getSettings().trashRetentionDays });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Put trashed results back (admin only). Body: { resultIds }
+app.post('/api/results/trash/restore', requireAdmin, (req, res) => {
+  try {
+    const resultIds = parseResultIds(req.body.resultIds);
+    if (!resultIds) {
+      return res.status(400).json({ success: false, error: 'Send a list of resultIds' });
+    }
+
+    const restored = restoreResults(resultIds);
+    if (restored.length > 0) {
+      logAudit(req, 'result.restore', {
+        target: restored.length === 1 ? restored[0].id : `${restored.length} result(s)`,
+        details: { results: restored.map(describeResult) }
+      });
+    }
+
+    res.json({ success: true, message: `${restored.length} result(s) restored`, count: restored.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete trashed results for good (admin only). Body: { resultIds } or { all: true }
+app.post('/api/results/trash/purge', requireAdmin, (req, res) => {
+  try {
+    const resultIds = req.body.all === true
+      ? listTrashedResults().map(r => r.id)
+      : parseResultIds(req.body.resultIds);
+    if (!resultIds) {
+      return res.status(400).json({ success: false, error: 'Send a list of resultIds or all: true' });
+    }
+
+    const purged = purgeResults(resultIds);
+    if (purged.length > 0) {
+      logAudit(req, 'result.purge', {
+        target: purged.length === 1 ? purged[0].id : `${purged.length} result(s)`,
+        details: { results: purged.map(describeResult) }
+      });
+    }
+
+    res.json({ success: true, message: `${purged.length} result(s) permanently deleted`, count: purged.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+// Upload logo
+app.post('/api/admin/upload-logo', requireAdmin, upload.single('logo'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No logo uploaded' });
+    }
+
+    const publicDir = path.join(__dirname, '..', 'public');
+    const logoPath = path.join(publicDir, 'logo.png');
+
+    // Backup existing logo
+    if (fs.existsSync(logoPath)) {
+      const backupPath = path.join(publicDir, `logo-backup-${Date.now()}.png`);
+      fs.copyFileSync(logoPath, backupPath);
+    }
+
+    fs.copyFileSync(req.file.path, logoPath);
+    fs.unlinkSync(req.file.path);
+
+    logAudit(req, 'logo.upload', { details: { file: req.file.originalname } });
+
+    console.log('✅ Logo uploaded successfully');
+    res.json({ success: true, message: 'Logo uploaded successfully' });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get all users (admin only)
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+  try {
+    // Remove passwords
+    const users = store.users.list().map(toPublicUser);
+
+    res.json({ success: true, users, count: users.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+const USER_ROLES = ['student', 'admin'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const countActiveAdmins = () => store.users.list().filter(u => u.role === 'admin' && u.active !== false).length;
+
+// Create a user (admin)
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const { name, email, role = 'student', password, verified = false, cohort } = req.body;
+
+    if (!name || !email || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ success: false, error: 'A name and a valid email are required' });
+    }
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    if (store.users.findByEmail(email)) {
+      return res.status(400).json({ success: false, error: 'Email already registered' });
+    }
+    if (password && validatePassword(password).length > 0) {
+      return res.status(400).json({ success: false, error: describePasswordProblems(validatePassword(password)) });
+    }
+
+    const newUser = {
+      id: generateId(role),
+      name,
+      email,
+      // Without a password the user chooses one through the emailed reset link
+      password: bcrypt.hashSync(password || crypto.randomBytes(32).toString('hex'), 10),
+      role,
+      createdAt: new Date().toISOString(),
+      verified: Boolean(verified),
+      active: true,
+      ...(cohort ? { cohort } : {})
+    };
+
+    store.users.insert(newUser);
+
+    let message = `${email} created`;
+    if (!password) {
+      const emailResult = await sendInviteEmail(newUser);
+      message += emailResult.success ? ' and sent a link to set their password' : ', but the set-password email failed';
+    }
+
+    logAudit(req, 'user.create', { target: email, details: { role, invited: !password } });
+
+    console.log(`✅ User ${email} created by ${req.user.email}`);
+    res.json({ success: true, message, user: toPublicUser(newUser) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import a roster CSV with columns name, email and optional cohort (admin).
+// Every row is reported as created, skipped (duplicate) or error.
+app.post('/api/admin/users/import', requireAdmin, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+
+    const rows = parseCSV(fs.readFileSync(req.file.path, 'utf8'));
+    fs.unlinkSync(req.file.path);
+
+    if (rows.length < 2) {
+      return res.status(400).json({ success: false, error: 'The CSV needs a header row and at least one student' });
+    }
+
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const column = {
+      name: header.indexOf('name'),
+      email: header.indexOf('email'),
+      cohort: header.indexOf('cohort')
+    };
+    if (column.name === -1 || column.email === -1) {
+      return res.status(400).json({ success: false, error: 'The CSV header must include "name" and "email" columns' });
+    }
+
+    const report = [];
+    const created = [];
+
+    // Passwords are hashed with the async bcrypt call, one row at a time, so a
+    // large roster doesn't hold up every other request while it imports
+    for (const [index, row] of rows.slice(1).entries()) {
+      const rowNumber = index + 2; // 1-based, after the header
+      const name = (row[column.name] || '').trim();
+      const email = (row[column.email] || '').trim().toLowerCase();
+      const cohort = column.cohort === -1 ? '' : (row[column.cohort] || '').trim();
+
+      let problem = null;
+      if (!name) {
+        problem = { status: 'error', reason: 'Missing name' };
+      } else if (!EMAIL_PATTERN.test(email)) {
+        problem = { status: 'error', reason: 'Invalid email' };
+      } else if (created.find(u => u.email === email)) {
+        problem = { status: 'skipped', reason: 'Duplicate of an earlier row' };
+      } else if (store.users.findByEmail(email)) {
+        problem = { status: 'skipped', reason: 'Already registered' };
+      }
+      if (problem) {
+        report.push({ row: rowNumber, email, ...problem });
+        continue;
+      }
+
+      const newUser = {
+        id: generateId('student'),
+        name,
+        email,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        role: 'student',
+        createdAt: new Date().toISOString(),
+        verified: false,
+        active: true,
+        ...(cohort ? { cohort } : {})
+      };
+
+      store.users.insert(newUser);
+      created.push(newUser);
+      report.push({ row: rowNumber, email, status: 'created' });
+    }
+
+    // Invite each new student to set a password
+    for (const newUser of created) {
+      const emailResult = await sendInviteEmail(newUser);
+      if (!emailResult.success) {
+        const entry = report.find(r => r.email === newUser.email);
+        entry.reason = 'Created, but the invite email failed';
+      }
+    }
+
+    const summary = {
+      created: report.filter(r => r.status === 'created').length,
+      skipped: report.filter(r => r.status === 'skipped').length,
+      errors: report.filter(r => r.status === 'error').length
+    };
+
+    logAudit(req, 'user.import', { target: req.file.originalname, details: summary });
+
+    console.log(`✅ Roster import by ${req.user.email}: ${summary.created} created, ${summary.skipped} skipped, ${summary.errors} errors`);
+    res.json({ success: true, summary, report });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
+// Update a user's details, role or active status (admin)
+app.put('/api/admin/users/:userId', requireAdmin, (req, res) => {
+  try {
+    const { name, email, role, active, cohort } = req.body;
+    const user = store.users.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    const emailOwner = email !== undefined ? store.users.findByEmail(email) : null;
+    if (email !== undefined && (!EMAIL_PATTERN.test(email) || (emailOwner && emailOwner.id !== user.id))) {
+      return res.status(400).json({ success: false, error: 'Email is invalid or already in use' });
+    }
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    const losesAdmin = user.role === 'admin' && ((role && role !== 'admin') || active === false);
+    if (losesAdmin && user.id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot demote or deactivate your own account' });
+    }
+    if (losesAdmin && countActiveAdmins() <= 1) {
+      return res.status(400).json({ success: false, error: 'At least one active admin is required' });
+    }
+
+    // Record what actually changed, as from/to pairs
+    const changes = {};
+    Object.entries({ name, email, role, cohort }).forEach(([field, value]) => {
+      if (value !== undefined && value !== user[field]) {
+        changes[field] = { from: user[field] === undefined ? null : user[field], to: value };
+      }
+    });
+    if (active !== undefined && Boolean(active) !== (user.active !== false)) {
+      changes.active = { from: user.active !== false, to: Boolean(active) };
+    }
+
+    if (name !== undefined) user.name = name;
+    if (email !== undefined) user.email = email;
+    if (cohort !== undefined) user.cohort = cohort;
+    if (role !== undefined && role !== user.role) {
+      user.role = role;
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+    }
+    if (active !== undefined && Boolean(active) !== (user.active !== false)) {
+      user.active = Boolean(active);
+      // Deactivation ends every open session
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+    }
+    user.updatedAt = new Date().toISOString();
+    store.users.update(user);
 
-const { uploadCSVToFirebase, listCSVFiles, deleteCSVFile } = require('./config/firebase-storage');
+    logAudit(req, 'user.update', { target: user.email, details: changes });
 
-// ==================== CSV CLOUD STORAGE ROUTES ====================
+    console.log(`✅ User ${user.email} updated by ${req.user.email}`);
+    res.json({ success: true, message: `${user.email} updated`, user: toPublicUser(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-// Export results to CSV and upload to cloud
-app.get('/api/results/export/csv-cloud', async (req, res) => {
+// Delete a user (admin). Their results are kept.
+app.delete('/api/admin/users/:userId', requireAdmin, (req, res) => {
   try {
-    const resultsPath = path.join(__dirname, 'data', 'results', 'all_results.json');
+    const user = store.users.findById(req.params.userId);
 
-    if (!fs.existsSync(resultsPath)) {
-      return res.status(404).json({ success: false, error: 'No results to export' });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+    }
+    if (user.role === 'admin' && countActiveAdmins() <= 1) {
+      return res.status(400).json({ success: false, error: 'At least one active admin is required' });
     }
 
-    const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    store.users.remove(user.id);
 
-    // Create CSV
-    let csv = 'ID,User Name,User Email,Test Name,Test Type,Score (%),Date,Time Taken,Total Questions,Correct Answers,User ID,Timestamp\n';
+    logAudit(req, 'user.delete', { target: user.email, details: { id: user.id, role: user.role } });
 
-    results.forEach(r => {
-      csv += `"${r.id}","${r.userName}","${r.userEmail || 'N/A'}","${r.testName}","${r.testType || 'N/A'}",${r.score},"${r.date}","${r.timeTaken}",${r.totalQuestions},${r.correctAnswers},"${r.userId}","${r.timestamp}"\n`;
-    });
+    console.log(`✅ User ${user.email} deleted by ${req.user.email}`);
+    res.json({ success: true, message: `${user.email} deleted` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Upload to Firebase Storage
-    const filename = `cbda-results-${Date.now()}.csv`;
-    const uploadResult = await uploadCSVToFirebase(csv, filename);
+// Mark a user's email as verified (admin)
+app.post('/api/admin/users/:userId/verify', requireAdmin, (req, res) => {
+  try {
+    const user = store.users.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
 
-    if (uploadResult.success) {
-      res.json({
-        success: true,
-        message: 'CSV uploaded to cloud storage',
-        url: uploadResult.url,
-        filename: uploadResult.filename
+    user.verified = true;
+    user.verifiedAt = new Date().toISOString();
+    store.users.update(user);
+    logAudit(req, 'user.verify', { target: user.email });
+
+    res.json({ success: true, message: `${user.email} marked as verified` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a password reset link to a user (admin).
+// With { force: true } the current password and sessions stop working immediately.
+app.post('/api/admin/users/:userId/reset-password', requireAdmin, async (req, res) => {
+  try {
+    const user = store.users.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (req.body && req.body.force) {
+      user.password = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10);
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+      store.users.update(user);
+    }
+
+    const emailResult = await sendPasswordResetEmail(user);
+    if (!emailResult.success) {
+      return res.status(502).json({ success: false, error: 'Failed to send reset email' });
+    }
+
+    logAudit(req, 'user.password_reset', { target: user.email, details: { force: Boolean(req.body && req.body.force) } });
+
+    console.log(`✅ Password reset link sent to ${user.email} by ${req.user.email}`);
+    res.json({ success: true, message: `Reset link sent to ${user.email}` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Unlock an account locked by failed sign-ins (admin)
+app.post('/api/admin/users/:userId/unlock', requireAdmin, (req, res) => {
+  try {
+    const user = store.users.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    clearAccountFailures(user);
+    store.users.update(user);
+    recordLockoutEvent({ type: 'account_unlocked', userId: user.id, email: user.email, by: req.user.email, ip: req.ip }, req.user);
+
+    res.json({ success: true, message: `${user.email} has been unlocked` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove 2FA from a user who lost their device (admin). They must enrol again if it is enforced.
+app.post('/api/admin/users/:userId/reset-2fa', requireAdmin, (req, res) => {
+  try {
+    const user = store.users.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'Manage your own two-factor authentication from your Profile page' });
+    }
+
+    disableTwoFactor(user);
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    store.users.update(user);
+    logAudit(req, 'user.2fa_reset', { target: user.email });
+
+    res.json({ success: true, message: `Two-factor authentication reset for ${user.email}` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// App settings (admin)
+app.get('/api/admin/settings', requireAdmin, (req, res) => {
+  res.json({ success: true, settings: getSettings(), exportDestinations: listExportDestinations() });
+});
+
+app.put('/api/admin/settings', requireAdmin, (req, res) => {
+  try {
+    const {
+      enforceAdmin2FA, backupIntervalHours, backupRetention, exportDestination, exportRetentionDays, trashRetentionDays
+    } = req.body;
+    const before = getSettings();
+
+    const isWholeNumber = (value, min, max) => Number.isInteger(Number(value)) && Number(value) >= min && Number(value) <= max;
+    if (backupIntervalHours !== undefined && !isWholeNumber(backupIntervalHours, 0, 720)) {
+      return res.status(400).json({ success: false, error: 'Snapshot interval must be between 0 and 720 hours' });
+    }
+    if (backupRetention !== undefined && !isWholeNumber(backupRetention, 1, 100)) {
+      return res.status(400).json({ success: false, error: 'Keep between 1 and 100 snapshots' });
+    }
+    if (exportRetentionDays !== undefined && !isWholeNumber(exportRetentionDays, 0, 3650)) {
+      return res.status(400).json({ success: false, error: 'Export retention must be between 0 and 3650 days' });
+    }
+    if (trashRetentionDays !== undefined && !isWholeNumber(trashRetentionDays, 0, 3650)) {
+      return res.status(400).json({ success: false, error: 'Trash retention must be between 0 and 3650 days' });
+    }
+    if (exportDestination !== undefined) {
+      const destination = listExportDestinations().find(d => d.name === exportDestination);
+      if (!destination) {
+        return res.status(400).json({ success: false, error: `Export destination must be one of: ${EXPORT_DESTINATIONS.join(', ')}` });
+      }
+      if (!destination.configured) {
+        return res.status(400).json({ success: false, error: `${destination.label} is not configured. ${destination.detail}.` });
+      }
+    }
+
+    if (enforceAdmin2FA && !before.enforceAdmin2FA) {
+      if (!isTwoFactorEnabled(req.user)) {
+        return res.status(400).json({ success: false, error: 'Turn on two-factor authentication for your own account first' });
+      }
+
+      // Sign out admins without 2FA so they have to enrol at their next sign-in
+      store.users.list().filter(u => u.role === 'admin' && !isTwoFactorEnabled(u)).forEach(u => {
+        u.tokenVersion = (u.tokenVersion || 0) + 1;
+        store.users.update(u);
       });
-    } else {
-      // If cloud upload fails, still allow local download
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
-      res.send(csv);
     }
+
+    const settings = updateSettings({
+      enforceAdmin2FA: enforceAdmin2FA === undefined ? undefined : Boolean(enforceAdmin2FA),
+      backupIntervalHours: backupIntervalHours === undefined ? undefined : Number(backupIntervalHours),
+      backupRetention: backupRetention === undefined ? undefined : Number(backupRetention),
+      exportDestination,
+      exportRetentionDays: exportRetentionDays === undefined ? undefined : Number(exportRetentionDays),
+      trashRetentionDays: trashRetentionDays === undefined ? undefined : Number(trashRetentionDays)
+    });
+
+    const changes = {};
+    Object.keys(settings).forEach(key => {
+      if (settings[key] !== before[key]) {
+        changes[key] = { from: before[key], to: settings[key] };
+      }
+    });
+    logAudit(req, 'settings.update', { details: changes });
+
+    res.json({ success: true, message: 'Settings saved', settings, exportDestinations: listExportDestinations() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// List all uploaded CSV files in cloud
-app.get('/api/results/csv-files', async (req, res) => {
+// Audit log, newest first (admin). Filters: action, actor, search, from, to, limit
+app.get('/api/admin/audit-log', requireAdmin, (req, res) => {
   try {
-    const result = await listCSVFiles();
-    res.json(result);
+    const { action, actor, search, from, to, limit } = req.query;
+    const { entries, total } = queryAuditLog({ action, actor, search, from, to, limit });
+
+    res.json({ success: true, entries, total, actions: listAuditActions() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Delete CSV file from cloud
-app.delete('/api/results/csv-cloud/:filename', async (req, res) => {
+// ==================== BACKUP & RESTORE ====================
+
+const BACKUP_MODES = ['replace', 'merge'];
+
+// Validate an archive and load it. A snapshot of the current data is taken first
+// so a bad restore can be undone.
+const runRestore = (req, buffer, mode, source) => {
+  const backup = readBackup(buffer);
+  const safety = createSnapshot('pre-restore');
+  const summary = restoreBackup(backup, mode);
+
+  logAudit(req, 'backup.restore', {
+    target: source,
+    details: { mode, createdAt: backup.manifest.createdAt, safetySnapshot: safety.name, summary }
+  });
+
+  return { summary, safetySnapshot: safety.name, backupCreatedAt: backup.manifest.createdAt };
+};
+
+// Download everything as one archive (admin)
+app.get('/api/admin/backup', requireAdmin, (req, res) => {
   try {
-    const { filename } = req.params;
-    const result = await deleteCSVFile(filename);
-    res.json(result);
+    const { buffer, manifest } = createBackup();
+    logAudit(req, 'backup.download', { details: manifest.counts });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="cbda-backup-${manifest.createdAt.slice(0, 10)}.zip"`);
+    res.send(buffer);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore from an uploaded archive (admin). Body: backup (file), mode (replace|merge)
+app.post('/api/admin/restore', requireAdmin, backupUpload.single('backup'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+
+    const buffer = fs.readFileSync(req.file.path);
+    fs.unlinkSync(req.file.path);
+
+    const mode = req.body.mode || 'merge';
+    if (!BACKUP_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: 'Mode must be "replace" or "merge"' });
+    }
+
+    const restored = runRestore(req, buffer, mode, req.file.originalname);
+    res.json({ success: true, message: `Backup restored (${mode})`, ...restored });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// List saved snapshots, newest first (admin)
+app.get('/api/admin/backups', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, snapshots: listSnapshots() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Take a snapshot now (admin)
+app.post('/api/admin/backups', requireAdmin, (req, res) => {
+  try {
+    const snapshot = createSnapshot('manual');
+    logAudit(req, 'backup.snapshot', { target: snapshot.name, details: { pruned: snapshot.pruned } });
+
+    res.json({ success: true, message: `Snapshot ${snapshot.name} saved`, snapshot: snapshot.name, snapshots: listSnapshots() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Download a snapshot (admin)
+app.get('/api/admin/backups/:name', requireAdmin, (req, res) => {
+  const filePath = snapshotPath(req.params.name);
+  if (!filePath) {
+    return res.status(404).json({ success: false, error: 'Snapshot not found' });
+  }
+  logAudit(req, 'backup.download', { target: req.params.name });
+  res.download(filePath, req.params.name);
+});
 
-app.post('/api/auth/change-email', (req, res) => {
+// Restore a snapshot (admin). Body: { mode }
+app.post('/api/admin/backups/:name/restore', requireAdmin, (req, res) => {
   try {
-    const { userId, newEmail } = req.body;
-    const usersPath = path.join(__dirname, 'data', 'users.json');
+    const filePath = snapshotPath(req.params.name);
+    if (!filePath) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
 
-    if (!fs.existsSync(usersPath)) {
-      return res.status(404).json({ success: false, error: 'Users not found' });
+    const mode = req.body.mode || 'merge';
+    if (!BACKUP_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: 'Mode must be "replace" or "merge"' });
     }
 
-    let users = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
-    
-    // Check if new email already exists
-    if (users.find(u => u.email === newEmail && u.id !== userId)) {
-      return res.status(400).json({ success: false, error: 'Email already in use' });
+    const restored = runRestore(req, fs.readFileSync(filePath), mode, req.params.name);
+    res.json({ success: true, message: `Snapshot restored (${mode})`, ...restored });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a snapshot (admin)
+app.delete('/api/admin/backups/:name', requireAdmin, (req, res) => {
+  try {
+    if (!deleteSnapshot(req.params.name)) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
     }
+    logAudit(req, 'backup.delete', { target: req.params.name });
 
-    // Update email
-    const userIndex = users.findIndex(u => u.id === userId);
-    if (userIndex === -1) {
-      return res.status(404).json({ success: false, error: 'User not found' });
+    res.json({ success: true, message: 'Snapshot deleted', snapshots: listSnapshots() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get dashboard stats (admin)
+app.get('/api/admin/stats', requireAdmin, (req, res) => {
+  try {
+    let stats = {
+      totalStudents: 0,
+      totalTests: 0,
+      averageScore: 0,
+      passRate: 0,
+      totalQuestions: 0,
+      availableTests: 0
+    };
+
+    // Count users
+    stats.totalStudents = store.users.list().filter(u => u.role === 'student').length;
+
+    // Count tests and calculate scores
+    const results = listActiveResults();
+    stats.totalTests = results.length;
+
+    if (results.length > 0) {
+      stats.averageScore = Math.round(
+        results.reduce((acc, r) => acc + r.score, 0) / results.length
+      );
+      stats.passRate = Math.round(
+        (results.filter(r => r.score >= 70).length / results.length) * 100
+      );
+    }
+
+    // Count available questions
+    const questionSets = store.questionSets.list();
+    stats.availableTests = questionSets.length;
+    stats.totalQuestions = questionSets.reduce((acc, set) => acc + set.questionCount, 0);
+
+    res.json({ success: true, stats });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'Server running', 
+    timestamp: new Date().toISOString(),
+    storage: STORAGE_LABEL
+  });
+});
+
+
+// ==================== CSV CLOUD STORAGE ROUTES ====================
+// The files go to whichever export destination is selected in Settings
+
+// Export results to CSV and upload to the export destination
+app.get('/api/results/export/csv-cloud', requireAdmin, async (req, res) => {
+  try {
+    const results = listActiveResults();
+
+    if (results.length === 0) {
+      return res.status(404).json({ success: false, error: 'No results to export' });
+    }
+
+    const destination = getExportDestination();
+    const filename = `cbda-results-${Date.now()}.csv`;
+    const uploaded = await destination.upload(filename, buildResultsCsv(results), 'text/csv');
+
+    logAudit(req, 'results.export_cloud', { target: filename, details: { rows: results.length, destination: destination.name } });
+
+    res.json({
+      success: true,
+      message: `CSV uploaded to ${destination.label}`,
+      filename: uploaded.filename,
+      url: uploaded.url,
+      destination: describeDestination(destination)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// List exported CSV files at the export destination
+app.get('/api/results/csv-files', requireAdmin, async (req, res) => {
+  try {
+    const destination = getExportDestination();
+    const files = await destination.list();
+    files.sort((a, b) => String(b.created).localeCompare(String(a.created)));
+
+    res.json({ success: true, files, destination: describeDestination(destination) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Download an exported CSV file, whichever destination holds it
+app.get('/api/results/csv-files/:filename', requireAdmin, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    if (!isValidExportName(filename)) {
+      return res.status(400).json({ success: false, error: 'Invalid file name' });
+    }
+
+    const content = await getExportDestination().download(filename);
+    if (!content) {
+      return res.status(404).json({ success: false, error: 'File not found' });
     }
 
-    users[userIndex].email = newEmail;
-    fs.writeFileSync(usersPath, JSON.stringify(users, null, 2));
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Short-lived download link for an exported CSV file (admin). Nothing is public:
+// the link is a signed URL from the bucket or a signed token for the route below.
+app.post('/api/results/csv-files/:filename/link', requireAdmin, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    if (!isValidExportName(filename)) {
+      return res.status(400).json({ success: false, error: 'Invalid file name' });
+    }
+
+    const destination = getExportDestination();
+    const files = await destination.list();
+    if (!files.some(f => f.name === filename)) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    const link = await createDownloadLink(destination, filename);
+    logAudit(req, 'results.csv_link', { target: filename, details: { destination: destination.name, expiresAt: link.expiresAt } });
+
+    res.json({ success: true, ...link });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Redeem a download token from a link above. The token is the credential, so
+// the link works in a new tab or from a colleague's browser until it expires.
+app.get('/api/exports/download/:token', async (req, res) => {
+  let payload;
+  try {
+    payload = verifySignedToken(req.params.token, 'export-download');
+  } catch (error) {
+    return res.status(401).json({ success: false, error: 'This download link is invalid or has expired' });
+  }
+
+  try {
+    const destination = getDestinationByName(payload.dest);
+    const content = destination && isValidExportName(payload.file) ? await destination.download(payload.file) : null;
+    if (!content) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
 
-    res.json({ success: true, message: 'Email updated successfully' });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${payload.file}"`);
+    res.send(content);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Delete CSV file from the export destination
+app.delete('/api/results/csv-cloud/:filename', requireAdmin, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    if (!isValidExportName(filename)) {
+      return res.status(400).json({ success: false, error: 'Invalid file name' });
+    }
+
+    const destination = getExportDestination();
+    const deleted = await destination.remove(filename);
+    logAudit(req, 'results.csv_delete', { target: filename, details: { deleted, destination: destination.name } });
 
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+    res.json({ success: true, message: 'File deleted successfully' });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -656,7 +2428,11 @@ app.listen(PORT, () => {
   console.log(`   CBDA Exam Simulator Backend`);
   console.log(`   ========================================`);
   console.log(`   ✅ Server running on http://localhost:${PORT}`);
-  console.log(`   💾 Storage: Local JSON files`);
-  console.log(`   📁 Data location: ${path.join(__dirname, 'data')}`);
+  console.log(`   💾 Storage: ${STORAGE_LABEL}`);
+  console.log(`   📁 Data location: ${store.driver === 'sqlite' ? store.SQLITE_PATH : store.DATA_DIR}`);
   console.log(`   ========================================\n`);
+
+  startSnapshotScheduler();
+  startExportRetention();
+  startTrashPurge();
 });
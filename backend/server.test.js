@@ -0,0 +1,269 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const { generateCode } = require('./utils/totp');
+
+// Route tests against a real server on a free port, with its own data directory
+
+const ADMIN = { email: 'victor@blossom.africa', password: 'Test-admin-password-1' };
+const STUDENT = { email: 'victorboladea@gmail.com', password: 'student123' };
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-server-test-'));
+let server;
+let baseUrl;
+// Sessions taken before any test runs, since some tests lock the accounts
+const tokens = {};
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+test.before(async () => {
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: __dirname,
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, ADMIN_INITIAL_PASSWORD: ADMIN.password, SMTP_HOST: '', EMAIL_DEV_MODE: 'true', TRUST_PROXY: 'true' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on('data', onData);
+    server.stderr.on('data', onData);
+    server.once('exit', () => reject(new Error(`Server exited:\n${output}`)));
+  });
+
+  tokens.admin = await signIn(ADMIN);
+  tokens.student = await signIn(STUDENT);
+});
+
+test.after(() => {
+  if (server) server.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// `ip` is sent as X-Forwarded-For, so per-IP limits in one test don't affect the others
+const request = async (method, route, { token, body, ip } = {}) => {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(ip ? { 'X-Forwarded-For': ip } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const signIn = async ({ email, password }) => {
+  const { body } = await request('POST', '/api/auth/login', { body: { email, password } });
+  assert.ok(body.session, `Sign-in failed: ${body.error}`);
+  return body.session.accessToken;
+};
+
+// A verified student of its own, for tests that lock or change the account
+const createStudent = async (email) => {
+  const password = 'Test-student-password-1';
+  const created = await request('POST', '/api/admin/users', {
+    token: tokens.admin,
+    body: { name: 'Test Student', email, password, verified: true }
+  });
+  assert.equal(created.status, 200, created.body.error);
+  return { email, password, token: await signIn({ email, password }) };
+};
+
+// A code that isn't valid in any step the server accepts
+const wrongCode = (secret) => {
+  const step = Math.floor(Date.now() / 30000);
+  const right = new Set([-1, 0, 1].map(offset => generateCode(secret, step + offset)));
+  return ['000000', '111111', '222222', '333333'].find(code => !right.has(code));
+};
+
+test('wrong codes on /2fa/backup-codes count toward the account lockout', async () => {
+  const token = tokens.admin;
+  const setup = await request('POST', '/api/auth/2fa/setup', { token });
+  assert.equal(setup.status, 200);
+  const enable = await request('POST', '/api/auth/2fa/enable', { token, body: { code: generateCode(setup.body.secret) } });
+  assert.equal(enable.status, 200);
+
+  const code = wrongCode(setup.body.secret);
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const response = await request('POST', '/api/auth/2fa/backup-codes', { token, body: { code } });
+    assert.equal(response.status, 400, `attempt ${attempt}`);
+  }
+
+  // Past the backoff threshold, even the right code has to wait
+  const throttled = await request('POST', '/api/auth/2fa/backup-codes', { token, body: { code: generateCode(setup.body.secret) } });
+  assert.equal(throttled.status, 429);
+  assert.ok(Number(throttled.headers.get('retry-after')) > 0);
+  assert.equal(throttled.body.backupCodes, undefined);
+});
+
+test('wrong codes on /2fa/disable count toward the account lockout', async () => {
+  const token = tokens.student;
+  const setup = await request('POST', '/api/auth/2fa/setup', { token });
+  await request('POST', '/api/auth/2fa/enable', { token, body: { code: generateCode(setup.body.secret) } });
+
+  const code = wrongCode(setup.body.secret);
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const response = await request('POST', '/api/auth/2fa/disable', { token, body: { password: STUDENT.password, code } });
+    assert.equal(response.status, 400, `attempt ${attempt}`);
+  }
+
+  const throttled = await request('POST', '/api/auth/2fa/disable', { token, body: { password: STUDENT.password, code } });
+  assert.equal(throttled.status, 429);
+});
+
+const auditEntries = (action) => fs.readFileSync(path.join(dataDir, 'audit_log.jsonl'), 'utf8')
+  .split('\n')
+  .filter(Boolean)
+  .map(line => JSON.parse(line))
+  .filter(entry => entry.action === action);
+
+test('forgot-password sends at most one link a minute per account', async () => {
+  const ip = '203.0.113.10';
+  const first = await request('POST', '/api/auth/forgot-password', { ip, body: { email: STUDENT.email } });
+  const second = await request('POST', '/api/auth/forgot-password', { ip, body: { email: STUDENT.email } });
+
+  // Same answer both times, so it doesn't reveal anything
+  assert.equal(first.status, 200);
+  assert.deepEqual(second.body, first.body);
+
+  const requests = auditEntries('auth.password_reset_requested').filter(entry => entry.target === STUDENT.email);
+  assert.deepEqual(requests.map(entry => entry.details.linkSent), [true, false]);
+});
+
+test('forgot-password is limited per IP', async () => {
+  const ip = '203.0.113.20';
+  const statuses = [];
+  for (let i = 0; i < 11; i++) {
+    const response = await request('POST', '/api/auth/forgot-password', { ip, body: { email: `nobody${i}@example.com` } });
+    statuses.push(response.status);
+  }
+
+  assert.deepEqual(statuses.slice(0, 10), Array(10).fill(200));
+  assert.equal(statuses[10], 429);
+
+  // Other addresses are not affected
+  const other = await request('POST', '/api/auth/forgot-password', { ip: '203.0.113.21', body: { email: 'someone@example.com' } });
+  assert.equal(other.status, 200);
+
+  // and the same IP can still sign in: a wrong password is a 401, not a 429
+  const login = await request('POST', '/api/auth/login', { ip, body: { email: 'nobody@example.com', password: 'wrong' } });
+  assert.equal(login.status, 401);
+});
+
+test('question sets are only read for valid set keys', async () => {
+  const token = tokens.student;
+
+  // "x_../../users.json" would resolve to the users file
+  const traversal = await request('GET', '/api/questions/x/..%2F..%2Fusers', { token });
+  assert.equal(traversal.status, 400);
+  assert.equal(traversal.body.questions, undefined);
+
+  const missing = await request('GET', '/api/questions/chapter/999', { token });
+  assert.equal(missing.status, 404);
+  assert.equal(fs.existsSync(path.join(dataDir, 'question-history', 'chapter_999.json')), false);
+});
+
+test('wrong current passwords on change-password count toward the account lockout', async () => {
+  const { password, token } = await createStudent('change-password@example.com');
+  const body = { currentPassword: 'not-my-password', newPassword: 'Another-password-2' };
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const response = await request('POST', '/api/auth/change-password', { token, body });
+    assert.equal(response.status, 400, `attempt ${attempt}`);
+  }
+
+  const throttled = await request('POST', '/api/auth/change-password', { token, body: { ...body, currentPassword: password } });
+  assert.equal(throttled.status, 429);
+  assert.equal(auditEntries('auth.password_check_failed').filter(e => e.target === 'change-password@example.com').length, 3);
+});
+
+test('wrong passwords on change-email count toward the account lockout', async () => {
+  const { password, token } = await createStudent('change-email@example.com');
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const response = await request('POST', '/api/auth/change-email/request', { token, body: { newEmail: 'attacker@example.com', password: 'guess' } });
+    assert.equal(response.status, 400, `attempt ${attempt}`);
+  }
+
+  const throttled = await request('POST', '/api/auth/change-email/request', { token, body: { newEmail: 'attacker@example.com', password } });
+  assert.equal(throttled.status, 429);
+  assert.equal(auditEntries('user.email_change_requested').filter(e => e.target === 'change-email@example.com').length, 0);
+});
+
+test('routes need a valid access token, and admin routes an admin', async () => {
+  assert.equal((await request('GET', '/api/auth/me')).status, 401);
+  assert.equal((await request('GET', '/api/auth/me', { token: 'not-a-token' })).status, 401);
+
+  const { token } = await createStudent('roles@example.com');
+  assert.equal((await request('GET', '/api/auth/me', { token })).status, 200);
+  assert.equal((await request('GET', '/api/admin/users', { token })).status, 403);
+  assert.equal((await request('GET', '/api/admin/users', { token: tokens.admin })).status, 200);
+});
+
+test('refresh issues a new session until the sessions are revoked', async () => {
+  const { email, password } = await createStudent('refresh@example.com');
+  const { body: login } = await request('POST', '/api/auth/login', { body: { email, password } });
+  const { accessToken, refreshToken } = login.session;
+
+  // A refresh token is not an access token
+  assert.equal((await request('GET', '/api/auth/me', { token: refreshToken })).status, 401);
+
+  const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.equal((await request('GET', '/api/auth/me', { token: refreshed.body.session.accessToken })).status, 200);
+
+  // Changing the password bumps tokenVersion, which revokes every earlier token
+  const changed = await request('POST', '/api/auth/change-password', {
+    token: accessToken,
+    body: { currentPassword: password, newPassword: 'Another-password-2' }
+  });
+  assert.equal(changed.status, 200);
+  assert.equal((await request('GET', '/api/auth/me', { token: accessToken })).status, 401);
+  assert.equal((await request('POST', '/api/auth/refresh', { body: { refreshToken } })).status, 401);
+  assert.equal((await request('GET', '/api/auth/me', { token: changed.body.session.accessToken })).status, 200);
+});
+
+test('a roster import does not hold up other requests', async () => {
+  const rows = Array.from({ length: 25 }, (_, i) => `Student ${i},roster${i}@example.com,2026`);
+  const csv = ['name,email,cohort', ...rows, 'Student 0,roster0@example.com,2026', ',nameless@example.com,'].join('\n');
+  const form = new FormData();
+  form.append('file', new Blob([csv], { type: 'text/csv' }), 'roster.csv');
+
+  const finished = [];
+  const importing = fetch(`${baseUrl}/api/admin/users/import`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${tokens.admin}` },
+    body: form
+  }).then(async response => {
+    finished.push('import');
+    return response.json();
+  });
+  await new Promise(resolve => setTimeout(resolve, 200));
+  await request('GET', '/api/auth/password-policy').then(() => finished.push('policy'));
+
+  const result = await importing;
+  assert.deepEqual(finished, ['policy', 'import']);
+  assert.deepEqual(result.summary, { created: 25, skipped: 1, errors: 1 });
+});
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const { createJsonStorage } = require('./jsonStorage');
+const { createSqliteStorage } = require('./sqliteStorage');
+const { DATA_DIR } = require('../config/paths');
+require('dotenv').config();
+
+// Every storage backend exposes the same repositories:
+//
+//   users         list(), findById(id), findByEmail(email), insert(user), update(user), remove(id)
+//   results       list({ userId }), findById(id), insert(result), update(result), remove(id)
+//   questionSets  list(), get(testType, testId), save(testType, testId, questions), remove(testType, testId)
+//   questionVersions  list(testType, testId), get(testType, testId, version),
+//                 latest(testType, testId) -> newest version number or null (without reading the history),
+//                 add(testType, testId, record) -> record with its new version number, remove(testType, testId)
+//
+// Pick one with STORAGE_DRIVER=json (default) or STORAGE_DRIVER=sqlite.
+
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'cbda.sqlite');
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'json') => {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  switch (driver.toLowerCase()) {
+    case 'json':
+      return createJsonStorage(DATA_DIR);
+    case 'sqlite':
+      return createSqliteStorage(SQLITE_PATH);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "sqlite")`);
+  }
+};
+
+const storage = createStorage();
+
+module.exports = { ...storage, createStorage, DATA_DIR, SQLITE_PATH };
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic, withFileLock, updateJsonFile } = require('../utils/atomicFile');
+
+// A collection kept as one JSON array of records with an `id`. Every change is
+// a locked read-modify-write followed by an atomic rename, so concurrent
+// writers can't drop each other's records or leave a half-written file.
+const createCollection = (filePath) => {
+  const list = () => readJson(filePath, []);
+
+  return {
+    list,
+    findById: (id) => list().find(r => r.id === id) || null,
+    insert: (record) => {
+      updateJsonFile(filePath, [], records => [...records, record]);
+      return record;
+    },
+    update: (record) => {
+      let found = false;
+      updateJsonFile(filePath, [], records => records.map(r => {
+        if (r.id !== record.id) {
+          return r;
+        }
+        found = true;
+        return record;
+      }));
+      return found ? record : null;
+    },
+    remove: (id) => {
+      let removed = false;
+      updateJsonFile(filePath, [], records => {
+        const remaining = records.filter(r => r.id !== id);
+        removed = remaining.length !== records.length;
+        return remaining;
+      });
+      return removed;
+    }
+  };
+};
+
+// The original layout: data/users.json, data/results/all_results.json and
+// one data/questions/<testType>_<testId>.json file per question set, plus its
+// saved versions in data/question-history/<testType>_<testId>.json and the
+// newest version number of each in data/question-history/latest.json
+const createJsonStorage = (dataDir) => {
+  const usersCollection = createCollection(path.join(dataDir, 'users.json'));
+  const resultsCollection = createCollection(path.join(dataDir, 'results', 'all_results.json'));
+  const questionsDir = path.join(dataDir, 'questions');
+  const questionSetPath = (testType, testId) => path.join(questionsDir, `${testType}_${testId}.json`);
+  const historyPath = (testType, testId) => path.join(dataDir, 'question-history', `${testType}_${testId}.json`);
+  // { "<testType>_<testId>": newest version } so reads don't load whole histories
+  const latestIndexPath = path.join(dataDir, 'question-history', 'latest.json');
+  const setKey = (testType, testId) => `${testType}_${testId}`;
+
+  const users = {
+    ...usersCollection,
+    findByEmail: (email) => {
+      const wanted = String(email || '').toLowerCase();
+      return usersCollection.list().find(u => u.email.toLowerCase() === wanted) || null;
+    }
+  };
+
+  const results = {
+    ...resultsCollection,
+    list: ({ userId } = {}) => resultsCollection.list().filter(r => !userId || r.userId === userId)
+  };
+
+  const questionSets = {
+    list: () => {
+      if (!fs.existsSync(questionsDir)) {
+        return [];
+      }
+      return fs.readdirSync(questionsDir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => {
+          const [testType, testId] = f.replace('.json', '').split('_');
+          const questions = readJson(path.join(questionsDir, f), []);
+          return {
+            testType,
+            testId,
+            questionCount: questions.length,
+            updatedAt: fs.statSync(path.join(questionsDir, f)).mtime.toISOString()
+          };
+        });
+    },
+    get: (testType, testId) => readJson(questionSetPath(testType, testId), null),
+    save: (testType, testId, questions) => {
+      const filePath = questionSetPath(testType, testId);
+      withFileLock(filePath, () => writeJsonAtomic(filePath, questions));
+      return questions;
+    },
+    remove: (testType, testId) => {
+      const filePath = questionSetPath(testType, testId);
+      return withFileLock(filePath, () => {
+        if (!fs.existsSync(filePath)) {
+          return false;
+        }
+        fs.unlinkSync(filePath);
+        return true;
+      });
+    }
+  };
+
+  const questionVersions = {
+    list: (testType, testId) => readJson(historyPath(testType, testId), []),
+    get: (testType, testId, version) => (
+      readJson(historyPath(testType, testId), []).find(v => v.version === version) || null
+    ),
+    // Histories saved before the index existed are read once to fill it in
+    latest: (testType, testId) => {
+      const key = setKey(testType, testId);
+      const indexed = readJson(latestIndexPath, {})[key];
+      if (indexed !== undefined) {
+        return indexed;
+      }
+      const versions = readJson(historyPath(testType, testId), []);
+      if (versions.length === 0) {
+        return null;
+      }
+      const { version } = versions[versions.length - 1];
+      updateJsonFile(latestIndexPath, {}, index => ({ ...index, [key]: Math.max(index[key] || 0, version) }));
+      return version;
+    },
+    // The version number is assigned under the file lock so concurrent saves can't share one
+    add: (testType, testId, record) => {
+      let added;
+      updateJsonFile(historyPath(testType, testId), [], versions => {
+        const last = versions[versions.length - 1];
+        added = { ...record, testType: String(testType), testId: String(testId), version: last ? last.version + 1 : 1 };
+        return [...versions, added];
+      });
+      const key = setKey(testType, testId);
+      updateJsonFile(latestIndexPath, {}, index => ({ ...index, [key]: Math.max(index[key] || 0, added.version) }));
+      return added;
+    },
+    remove: (testType, testId) => {
+      const filePath = historyPath(testType, testId);
+      const removed = withFileLock(filePath, () => {
+        if (!fs.existsSync(filePath)) {
+          return false;
+        }
+        fs.unlinkSync(filePath);
+        return true;
+      });
+      const key = setKey(testType, testId);
+      updateJsonFile(latestIndexPath, {}, index => {
+        const rest = { ...index };
+        delete rest[key];
+        return rest;
+      });
+      return removed;
+    }
+  };
+
+  return { driver: 'json', users, results, questionSets, questionVersions };
+};
+
+module.exports = { createJsonStorage };
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+
+// better-sqlite3 is an optional dependency so JSON-only installs don't need a native build
+const loadDriver = () => {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    role TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS users_email ON users (email COLLATE NOCASE);
+
+  CREATE TABLE IF NOT EXISTS results (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS results_user ON results (user_id);
+
+  CREATE TABLE IF NOT EXISTS question_sets (
+    test_type TEXT NOT NULL,
+    test_id TEXT NOT NULL,
+    questions TEXT NOT NULL,
+    question_count INTEGER NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (test_type, test_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS question_versions (
+    test_type TEXT NOT NULL,
+    test_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (test_type, test_id, version)
+  );
+`;
+
+// Records are stored whole as JSON; the extra columns are only there for lookups
+const createSqliteStorage = (dbPath) => {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+  const userStatements = {
+    list: db.prepare('SELECT data FROM users ORDER BY rowid'),
+    findById: db.prepare('SELECT data FROM users WHERE id = ?'),
+    findByEmail: db.prepare('SELECT data FROM users WHERE email = ? COLLATE NOCASE'),
+    insert: db.prepare('INSERT INTO users (id, email, role, data) VALUES (@id, @email, @role, @data)'),
+    update: db.prepare('UPDATE users SET email = @email, role = @role, data = @data WHERE id = @id'),
+    remove: db.prepare('DELETE FROM users WHERE id = ?')
+  };
+  const userRow = (user) => ({ id: user.id, email: user.email, role: user.role || null, data: JSON.stringify(user) });
+
+  const users = {
+    list: () => userStatements.list.all().map(parse),
+    findById: (id) => parse(userStatements.findById.get(id)),
+    findByEmail: (email) => parse(userStatements.findByEmail.get(String(email || ''))),
+    insert: (user) => {
+      userStatements.insert.run(userRow(user));
+      return user;
+    },
+    update: (user) => (userStatements.update.run(userRow(user)).changes ? user : null),
+    remove: (id) => userStatements.remove.run(id).changes > 0
+  };
+
+  const resultStatements = {
+    list: db.prepare('SELECT data FROM results ORDER BY rowid'),
+    listByUser: db.prepare('SELECT data FROM results WHERE user_id = ? ORDER BY rowid'),
+    findById: db.prepare('SELECT data FROM results WHERE id = ?'),
+    insert: db.prepare('INSERT INTO results (id, user_id, timestamp, data) VALUES (@id, @userId, @timestamp, @data)'),
+    update: db.prepare('UPDATE results SET user_id = @userId, timestamp = @timestamp, data = @data WHERE id = @id'),
+    remove: db.prepare('DELETE FROM results WHERE id = ?')
+  };
+  const resultRow = (result) => ({
+    id: result.id,
+    userId: result.userId || null,
+    timestamp: result.timestamp || null,
+    data: JSON.stringify(result)
+  });
+
+  const results = {
+    list: ({ userId } = {}) => (userId
+      ? resultStatements.listByUser.all(userId)
+      : resultStatements.list.all()).map(parse),
+    findById: (id) => parse(resultStatements.findById.get(id)),
+    insert: (result) => {
+      resultStatements.insert.run(resultRow(result));
+      return result;
+    },
+    update: (result) => (resultStatements.update.run(resultRow(result)).changes ? result : null),
+    remove: (id) => resultStatements.remove.run(id).changes > 0
+  };
+
+  const questionStatements = {
+    list: db.prepare('SELECT test_type, test_id, question_count, updated_at FROM question_sets ORDER BY test_type, test_id'),
+    get: db.prepare('SELECT questions FROM question_sets WHERE test_type = ? AND test_id = ?'),
+    save: db.prepare(`
+      INSERT INTO question_sets (test_type, test_id, questions, question_count, updated_at)
+      VALUES (@testType, @testId, @questions, @questionCount, @updatedAt)
+      ON CONFLICT (test_type, test_id) DO UPDATE SET
+        questions = excluded.questions,
+        question_count = excluded.question_count,
+        updated_at = excluded.updated_at
+    `),
+    remove: db.prepare('DELETE FROM question_sets WHERE test_type = ? AND test_id = ?')
+  };
+
+  const questionSets = {
+    list: () => questionStatements.list.all().map(row => ({
+      testType: row.test_type,
+      testId: row.test_id,
+      questionCount: row.question_count,
+      updatedAt: row.updated_at
+    })),
+    get: (testType, testId) => {
+      const row = questionStatements.get.get(String(testType), String(testId));
+      return row ? JSON.parse(row.questions) : null;
+    },
+    save: (testType, testId, questions) => {
+      questionStatements.save.run({
+        testType: String(testType),
+        testId: String(testId),
+        questions: JSON.stringify(questions),
+        questionCount: questions.length,
+        updatedAt: new Date().toISOString()
+      });
+      return questions;
+    },
+    remove: (testType, testId) => questionStatements.remove.run(String(testType), String(testId)).changes > 0
+  };
+
+  const versionStatements = {
+    list: db.prepare('SELECT data FROM question_versions WHERE test_type = ? AND test_id = ? ORDER BY version'),
+    get: db.prepare('SELECT data FROM question_versions WHERE test_type = ? AND test_id = ? AND version = ?'),
+    last: db.prepare('SELECT MAX(version) AS version FROM question_versions WHERE test_type = ? AND test_id = ?'),
+    insert: db.prepare('INSERT INTO question_versions (test_type, test_id, version, data) VALUES (@testType, @testId, @version, @data)'),
+    remove: db.prepare('DELETE FROM question_versions WHERE test_type = ? AND test_id = ?')
+  };
+
+  const questionVersions = {
+    list: (testType, testId) => versionStatements.list.all(String(testType), String(testId)).map(parse),
+    get: (testType, testId, version) => parse(versionStatements.get.get(String(testType), String(testId), version)),
+    latest: (testType, testId) => versionStatements.last.get(String(testType), String(testId)).version || null,
+    add: db.transaction((testType, testId, record) => {
+      const last = versionStatements.last.get(String(testType), String(testId)).version || 0;
+      const added = { ...record, testType: String(testType), testId: String(testId), version: last + 1 };
+      versionStatements.insert.run({ testType: added.testType, testId: added.testId, version: added.version, data: JSON.stringify(added) });
+      return added;
+    }),
+    remove: (testType, testId) => versionStatements.remove.run(String(testType), String(testId)).changes > 0
+  };
+
+  return {
+    driver: 'sqlite',
+    users,
+    results,
+    questionSets,
+    questionVersions,
+    // Run several writes atomically (used by the migration)
+    transaction: (fn) => db.transaction(fn)(),
+    close: () => db.close()
+  };
+};
+
+module.exports = { createSqliteStorage };
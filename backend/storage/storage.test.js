@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { createJsonStorage } = require('./jsonStorage');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-storage-test-'));
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+let createSqliteStorage = null;
+try {
+  require('better-sqlite3');
+  ({ createSqliteStorage } = require('./sqliteStorage'));
+} catch (error) {
+  // better-sqlite3 is optional
+}
+
+const drivers = {
+  json: () => {
+    const dir = tempDir();
+    dirs.push(dir);
+    return createJsonStorage(dir);
+  },
+  sqlite: () => {
+    const dir = tempDir();
+    dirs.push(dir);
+    return createSqliteStorage(path.join(dir, 'cbda.sqlite'));
+  }
+};
+
+Object.entries(drivers).forEach(([driver, create]) => {
+  const skip = driver === 'sqlite' && !createSqliteStorage ? 'better-sqlite3 is not installed' : false;
+
+  test(`${driver}: users are found by id and by email in any case`, { skip }, () => {
+    const store = create();
+    store.users.insert({ id: 'u1', email: 'Ada@Example.com', name: 'Ada', role: 'student' });
+    store.users.insert({ id: 'u2', email: 'grace@example.com', name: 'Grace', role: 'admin' });
+
+    assert.deepEqual(store.users.list().map(u => u.id), ['u1', 'u2']);
+    assert.equal(store.users.findById('u2').name, 'Grace');
+    assert.equal(store.users.findByEmail('ada@example.COM').id, 'u1');
+    assert.equal(store.users.findById('missing'), null);
+    assert.equal(store.users.findByEmail('missing@example.com'), null);
+
+    assert.equal(store.users.update({ id: 'u1', email: 'ada@example.com', name: 'Ada L.', role: 'student' }).name, 'Ada L.');
+    assert.equal(store.users.findById('u1').name, 'Ada L.');
+    assert.equal(store.users.update({ id: 'missing', email: 'x@example.com' }), null);
+
+    assert.equal(store.users.remove('u1'), true);
+    assert.equal(store.users.remove('u1'), false);
+    assert.deepEqual(store.users.list().map(u => u.id), ['u2']);
+  });
+
+  test(`${driver}: results are listed per user, updated and removed`, { skip }, () => {
+    const store = create();
+    store.results.insert({ id: 'r1', userId: 'u1', score: 50 });
+    store.results.insert({ id: 'r2', userId: 'u2', score: 70 });
+    store.results.insert({ id: 'r3', userId: 'u1', score: 90 });
+
+    assert.deepEqual(store.results.list().map(r => r.id), ['r1', 'r2', 'r3']);
+    assert.deepEqual(store.results.list({ userId: 'u1' }).map(r => r.id), ['r1', 'r3']);
+
+    store.results.update({ id: 'r1', userId: 'u1', score: 55, deletedAt: '2026-01-01T00:00:00.000Z' });
+    assert.deepEqual(store.results.findById('r1'), { id: 'r1', userId: 'u1', score: 55, deletedAt: '2026-01-01T00:00:00.000Z' });
+
+    assert.equal(store.results.remove('r2'), true);
+    assert.equal(store.results.findById('r2'), null);
+    assert.equal(store.results.remove('r2'), false);
+  });
+
+  test(`${driver}: question sets are saved, listed and removed`, { skip }, () => {
+    const store = create();
+    const questions = [{ id: 1, question: 'One' }, { id: 2, question: 'Two' }];
+    store.questionSets.save('mock', '1', questions);
+    store.questionSets.save('chapter', '2', questions.slice(0, 1));
+    store.questionSets.save('mock', '1', questions.slice(1));
+
+    assert.deepEqual(store.questionSets.get('mock', '1'), [{ id: 2, question: 'Two' }]);
+    assert.equal(store.questionSets.get('mock', '9'), null);
+    const listed = store.questionSets.list()
+      .map(({ testType, testId, questionCount }) => `${testType}_${testId}:${questionCount}`)
+      .sort();
+    assert.deepEqual(listed, ['chapter_2:1', 'mock_1:1']);
+
+    assert.equal(store.questionSets.remove('mock', '1'), true);
+    assert.equal(store.questionSets.remove('mock', '1'), false);
+    assert.equal(store.questionSets.get('mock', '1'), null);
+  });
+
+  test(`${driver}: versions are numbered and latest tracks the newest`, { skip }, () => {
+    const store = create();
+    assert.equal(store.questionVersions.latest('chapter', '1'), null);
+
+    store.questionVersions.add('chapter', '1', { questions: [], note: 'first' });
+    const second = store.questionVersions.add('chapter', '1', { questions: [], note: 'second' });
+    store.questionVersions.add('chapter', '2', { questions: [], note: 'other set' });
+
+    assert.equal(second.version, 2);
+    assert.equal(store.questionVersions.latest('chapter', '1'), 2);
+    assert.equal(store.questionVersions.latest('chapter', '2'), 1);
+    assert.equal(store.questionVersions.get('chapter', '1', 1).note, 'first');
+
+    store.questionVersions.remove('chapter', '1');
+    assert.equal(store.questionVersions.latest('chapter', '1'), null);
+    assert.deepEqual(store.questionVersions.list('chapter', '1'), []);
+  });
+});
+
+test('json: a history saved before the latest-version index is indexed on first read', () => {
+  const dir = tempDir();
+  dirs.push(dir);
+  fs.mkdirSync(path.join(dir, 'question-history'));
+  fs.writeFileSync(path.join(dir, 'question-history', 'mock_1.json'), JSON.stringify([{ version: 1 }, { version: 2 }]));
+
+  const store = createJsonStorage(dir);
+  assert.equal(store.questionVersions.latest('mock', '1'), 2);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'question-history', 'latest.json'), 'utf8')), { mock_1: 2 });
+});
+
+test('the migration script copies the JSON data into SQLite', { skip: !createSqliteStorage && 'better-sqlite3 is not installed' }, async () => {
+  const dir = tempDir();
+  dirs.push(dir);
+  const source = createJsonStorage(dir);
+  source.users.insert({ id: 'u1', email: 'ada@example.com', role: 'admin' });
+  source.results.insert({ id: 'r1', userId: 'u1', score: 80 });
+  source.questionSets.save('chapter', '1', [{ id: 1, question: 'Second' }]);
+  source.questionVersions.add('chapter', '1', { questions: [{ id: 1, question: 'First' }], note: 'upload' });
+  source.questionVersions.add('chapter', '1', { questions: [{ id: 1, question: 'Second' }], note: 'editor' });
+
+  const script = path.join(__dirname, '..', 'scripts', 'migrate-json-to-sqlite.js');
+  const env = { ...process.env, DATA_DIR: dir, SQLITE_PATH: path.join(dir, 'cbda.sqlite') };
+  await promisify(execFile)(process.execPath, [script], { env, timeout: 60000 });
+
+  const target = createSqliteStorage(env.SQLITE_PATH);
+  try {
+    assert.deepEqual(target.users.list(), source.users.list());
+    assert.deepEqual(target.results.list(), source.results.list());
+    assert.deepEqual(target.questionSets.get('chapter', '1'), source.questionSets.get('chapter', '1'));
+    assert.deepEqual(target.questionVersions.list('chapter', '1'), source.questionVersions.list('chapter', '1'));
+    assert.equal(target.questionVersions.latest('chapter', '1'), 2);
+  } finally {
+    target.close();
+  }
+
+  // A second run refuses to overwrite the data it just wrote
+  await assert.rejects(promisify(execFile)(process.execPath, [script], { env, timeout: 60000 }), /already has data/);
+});
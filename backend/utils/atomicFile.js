@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A lock older than STALE_LOCK_MS was left by a crashed process (writes hold
+// one for milliseconds) and is taken over. Waiting lasts longer than that, so a
+// left-behind lock never makes a write fail; it blocks the event loop, so both
+// are kept short.
+const STALE_LOCK_MS = 2000;
+const LOCK_TIMEOUT_MS = 3000;
+
+// Block the current thread for a few milliseconds while waiting on a lock
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// Write to a temp file in the same directory, flush it, then rename over the
+// target. Readers see either the old file or the new one, never half of one.
+const writeFileAtomic = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+};
+
+const writeJsonAtomic = (filePath, value) => writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+
+// Run `fn` while holding `<file>.lock`. The handlers are synchronous, so within
+// one process writes are already serialized; the lock file also keeps a second
+// process (e.g. a migration run or another server instance) from interleaving.
+const withFileLock = (filePath, fn) => {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // A crashed process can leave its lock behind
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(lockPath, { force: true });
+          continue;
+        }
+      } catch (statError) {
+        continue; // released between the open and the stat
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${path.basename(filePath)} to be unlocked`);
+      }
+      sleepSync(10);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+};
+
+const readJson = (filePath, fallback) => {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+// Locked read-modify-write of a JSON file. `mutate` receives the current value
+// and returns the value to save.
+const updateJsonFile = (filePath, fallback, mutate) => withFileLock(filePath, () => {
+  const next = mutate(readJson(filePath, fallback));
+  writeJsonAtomic(filePath, next);
+  return next;
+});
+
+module.exports = { writeFileAtomic, writeJsonAtomic, withFileLock, readJson, updateJsonFile };
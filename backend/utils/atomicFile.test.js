@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { writeJsonAtomic, withFileLock, readJson, updateJsonFile } = require('./atomicFile');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-atomic-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const filesIn = (folder) => fs.readdirSync(folder).sort();
+
+test('writes create missing folders and leave no temp files behind', () => {
+  const filePath = path.join(dir, 'nested', 'data.json');
+  writeJsonAtomic(filePath, { a: 1 });
+  writeJsonAtomic(filePath, { a: 2 });
+
+  assert.deepEqual(readJson(filePath, null), { a: 2 });
+  assert.deepEqual(filesIn(path.dirname(filePath)), ['data.json']);
+});
+
+test('a failed write keeps the old file and removes its temp file', (t) => {
+  const filePath = path.join(dir, 'kept.json');
+  writeJsonAtomic(filePath, { version: 1 });
+  t.mock.method(fs, 'renameSync', () => {
+    throw Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+  });
+
+  assert.throws(() => writeJsonAtomic(filePath, { version: 2 }), /disk full/);
+  t.mock.restoreAll();
+  assert.deepEqual(readJson(filePath, null), { version: 1 });
+  assert.deepEqual(filesIn(dir).filter(name => name.startsWith('kept.json')), ['kept.json']);
+});
+
+test('the lock is released even when the locked work throws', () => {
+  const filePath = path.join(dir, 'locked.json');
+
+  assert.throws(() => withFileLock(filePath, () => {
+    assert.ok(fs.existsSync(`${filePath}.lock`));
+    throw new Error('failed inside the lock');
+  }), /failed inside the lock/);
+  assert.equal(fs.existsSync(`${filePath}.lock`), false);
+});
+
+test('a lock left behind by a crashed process is taken over', () => {
+  const filePath = path.join(dir, 'stale.json');
+  fs.writeFileSync(`${filePath}.lock`, '');
+  const old = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(`${filePath}.lock`, old, old);
+
+  assert.equal(withFileLock(filePath, () => 'done'), 'done');
+});
+
+test('a lock left behind moments ago is waited out and taken over, not a timeout', () => {
+  const filePath = path.join(dir, 'fresh-stale.json');
+  fs.writeFileSync(`${filePath}.lock`, '');
+
+  const started = Date.now();
+  assert.equal(withFileLock(filePath, () => 'done'), 'done');
+  assert.ok(Date.now() - started < 3000);
+});
+
+test('updates from two processes are not lost', async () => {
+  const filePath = path.join(dir, 'counter.json');
+  const script = `
+    const { updateJsonFile } = require(${JSON.stringify(require.resolve('./atomicFile'))});
+    for (let i = 0; i < 50; i++) updateJsonFile(${JSON.stringify(filePath)}, { count: 0 }, c => ({ count: c.count + 1 }));
+  `;
+  const run = () => promisify(execFile)(process.execPath, ['-e', script], { timeout: 60000 });
+
+  await Promise.all([run(), run()]);
+
+  assert.deepEqual(updateJsonFile(filePath, { count: 0 }, c => c), { count: 100 });
+});
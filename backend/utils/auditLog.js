@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('../config/paths');
+
+// One JSON entry per line. Entries are only ever appended, never rewritten.
+const auditPath = path.join(DATA_DIR, 'audit_log.jsonl');
+
+const appendAuditEntry = (entry) => {
+  const record = {
+    id: crypto.randomBytes(8).toString('hex'),
+    timestamp: new Date().toISOString(),
+    action: null,
+    actor: null,
+    ip: null,
+    target: null,
+    details: {},
+    ...entry
+  };
+
+  try {
+    fs.appendFileSync(auditPath, JSON.stringify(record) + '\n');
+  } catch (error) {
+    // Never let audit logging break the request itself
+    console.error('❌ Failed to write audit log entry:', error.message);
+  }
+  return record;
+};
+
+// Record an action taken during a request. The actor defaults to the signed-in
+// user; pass `actor` for unauthenticated routes such as login.
+const logAudit = (req, action, { target = null, details = {}, actor } = {}) => {
+  const who = actor !== undefined ? actor : req.user;
+  return appendAuditEntry({
+    action,
+    actor: who ? { id: who.id || null, email: who.email, role: who.role || null } : null,
+    ip: req.ip,
+    target,
+    details
+  });
+};
+
+const readAuditEntries = () => {
+  if (!fs.existsSync(auditPath)) {
+    return [];
+  }
+  return fs.readFileSync(auditPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // skip a torn line rather than failing the whole read
+      }
+    })
+    .filter(Boolean);
+};
+
+// Newest first, filtered by action, actor email, free text and date range
+const queryAuditLog = ({ action, actor, search, from, to, limit = 200 } = {}) => {
+  const term = (search || '').trim().toLowerCase();
+  const actorTerm = (actor || '').trim().toLowerCase();
+  const fromTime = from ? new Date(from).getTime() : null;
+  // A bare date for `to` includes that whole day
+  const toTime = to ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 : 0) : null;
+
+  const entries = readAuditEntries()
+    .filter(e => !action || e.action === action)
+    .filter(e => !actorTerm || (e.actor && (e.actor.email || '').toLowerCase().includes(actorTerm)))
+    .filter(e => !fromTime || new Date(e.timestamp).getTime() >= fromTime)
+    .filter(e => !toTime || new Date(e.timestamp).getTime() < toTime)
+    .filter(e => !term || JSON.stringify([e.target, e.details, e.ip]).toLowerCase().includes(term))
+    .reverse();
+
+  return {
+    entries: entries.slice(0, Math.min(Number(limit) || 200, 1000)),
+    total: entries.length
+  };
+};
+
+// Every action name seen so far, for the viewer's filter list
+const listAuditActions = () => [...new Set(readAuditEntries().map(e => e.action))].sort();
+
+module.exports = { auditPath, appendAuditEntry, logAudit, queryAuditLog, listAuditActions };
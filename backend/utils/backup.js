@@ -0,0 +1,467 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const store = require('../storage');
+const { DEFAULT_SETTINGS, getSettings, updateSettings } = require('./settings');
+const { writeFileAtomic } = require('./atomicFile');
+const { saveQuestionSet } = require('./questionVersions');
+const { isValidSetKey } = require('./questionValidator');
+const { listExportDestinations } = require('../exports');
+const { saveAsset, assetPath, listAssets, isValidAssetName, detectImageType } = require('./questionAssets');
+
+const BACKUP_FORMAT = 'cbda-backup';
+// Version 2 added question images (assets/), version 3 settings and version
+// history; older archives still restore
+const BACKUP_VERSION = 3;
+// Point this at a persistent disk on hosts where the data directory is wiped on redeploy
+const backupDir = process.env.BACKUP_DIR || path.join(store.DATA_DIR, 'backups');
+
+const SNAPSHOT_NAME = /^snapshot-[\w-]+\.zip$/;
+// The key parts are checked with isValidSetKey, like the upload routes do
+const QUESTION_FILE = /^questions\/([^/_]+)_([^/_]+)\.json$/;
+const HISTORY_FILE = /^question-history\/([^/_]+)_([^/_]+)\.json$/;
+const ASSET_FILE = /^assets\/([^/]+)$/;
+const SCHEDULER_CHECK_MS = 10 * 60 * 1000;
+
+// Data left out of every archive on purpose. Listed in the manifest so nobody
+// takes a backup for a full copy of the data folder.
+const OMITTED = [
+  { name: 'audit log', reason: 'Stays on the server so a restore can never rewrite the record of who did what' },
+  { name: 'verification codes, password reset links and sign-in lockouts', reason: 'Short-lived; they expire long before a backup is restored' },
+  { name: 'result exports', reason: 'Kept at the export destination; results.json holds the same data' },
+  { name: 'snapshots', reason: 'Backups are not nested inside each other' }
+];
+
+// Problems with the archive itself (as opposed to server errors) are reported as 400s
+const invalidBackup = (message) => Object.assign(new Error(message), { status: 400 });
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Run a batch of writes in one transaction where the driver supports it
+const inTransaction = (fn) => (store.transaction ? store.transaction(fn) : fn());
+
+// Zip users, results, settings, every question set with its version history and the
+// images they use together with a manifest of SHA-256 checksums.
+// Reads go through the storage repositories, so this works the same for every driver.
+const createBackup = () => {
+  const zip = new AdmZip();
+  const files = {};
+
+  const addBuffer = (name, buffer) => {
+    zip.addFile(name, buffer);
+    files[name] = { sha256: sha256(buffer), bytes: buffer.length };
+  };
+
+  const addJson = (name, value) => {
+    const buffer = Buffer.from(JSON.stringify(value, null, 2));
+    addBuffer(name, buffer);
+  };
+
+  const users = store.users.list();
+  const results = store.results.list();
+  const questionSets = store.questionSets.list();
+  const assets = listAssets();
+  let versions = 0;
+
+  addJson('users.json', users);
+  addJson('results.json', results);
+  addJson('settings.json', getSettings());
+  questionSets.forEach(set => {
+    const key = `${set.testType}_${set.testId}`;
+    const history = store.questionVersions.list(set.testType, set.testId);
+    addJson(`questions/${key}.json`, store.questionSets.get(set.testType, set.testId));
+    if (history.length > 0) {
+      addJson(`question-history/${key}.json`, history);
+      versions += history.length;
+    }
+  });
+  assets.forEach(name => addBuffer(`assets/${name}`, fs.readFileSync(assetPath(name))));
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    storageDriver: store.driver,
+    counts: { users: users.length, results: results.length, questionSets: questionSets.length, versions, images: assets.length },
+    omitted: OMITTED,
+    files
+  };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  return { buffer: zip.toBuffer(), manifest };
+};
+
+// Unpack and check an archive. Throws with every problem found, so nothing is
+// restored from a damaged or foreign file.
+const readBackup = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw invalidBackup('Not a valid backup archive (could not open the zip file)');
+  }
+
+  const entries = {};
+  zip.getEntries().filter(e => !e.isDirectory).forEach(e => {
+    entries[e.entryName] = e.getData();
+  });
+
+  if (!entries['manifest.json']) {
+    throw invalidBackup('Not a valid backup archive (manifest.json is missing)');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(entries['manifest.json'].toString('utf8'));
+  } catch (error) {
+    throw invalidBackup('Not a valid backup archive (manifest.json is not valid JSON)');
+  }
+  if (manifest.format !== BACKUP_FORMAT || !manifest.files) {
+    throw invalidBackup('Not a CBDA backup archive');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw invalidBackup(`This backup was made by a newer version (format ${manifest.version}); update the app before restoring it`);
+  }
+
+  const problems = [];
+  const parsed = {};
+  const assets = [];
+  Object.entries(manifest.files).forEach(([name, meta]) => {
+    if (!entries[name]) {
+      return problems.push(`${name} is listed in the manifest but missing`);
+    }
+    if (sha256(entries[name]) !== meta.sha256) {
+      return problems.push(`${name} does not match its checksum`);
+    }
+    // Images are kept as they are; everything else is JSON
+    const asset = name.match(ASSET_FILE);
+    if (asset) {
+      if (!isValidAssetName(asset[1]) || !detectImageType(entries[name])) {
+        return problems.push(`${name} is not a valid question image`);
+      }
+      return assets.push({ name: asset[1], buffer: entries[name] });
+    }
+    try {
+      parsed[name] = JSON.parse(entries[name].toString('utf8'));
+    } catch (error) {
+      problems.push(`${name} is not valid JSON`);
+    }
+  });
+
+  const users = parsed['users.json'];
+  const results = parsed['results.json'];
+  if (!Array.isArray(users) || users.some(u => !u || !u.id || !u.email)) {
+    problems.push('users.json must be a list of users with an id and email');
+  }
+  if (!Array.isArray(results) || results.some(r => !r || !r.id)) {
+    problems.push('results.json must be a list of results with an id');
+  }
+
+  const questionSets = [];
+  Object.keys(parsed).filter(name => name.startsWith('questions/')).forEach(name => {
+    const match = name.match(QUESTION_FILE);
+    if (!match || !isValidSetKey(match[1], match[2])) {
+      return problems.push(`${name} is not named after a valid test type and ID`);
+    }
+    if (!Array.isArray(parsed[name])) {
+      return problems.push(`${name} is not a valid question set`);
+    }
+    questionSets.push({ testType: match[1], testId: match[2], questions: parsed[name] });
+  });
+
+  // Histories are restored with their version numbers, which results refer to
+  const histories = {};
+  Object.keys(parsed).filter(name => name.startsWith('question-history/')).forEach(name => {
+    const match = name.match(HISTORY_FILE);
+    if (!match || !isValidSetKey(match[1], match[2])) {
+      return problems.push(`${name} is not named after a valid test type and ID`);
+    }
+    if (!questionSets.some(set => set.testType === match[1] && set.testId === match[2])) {
+      return problems.push(`${name} has no question set in the backup`);
+    }
+    const versions = parsed[name];
+    if (!Array.isArray(versions) || versions.some((v, i) => !v || v.version !== i + 1 || !Array.isArray(v.questions))) {
+      return problems.push(`${name} must be a list of versions numbered from 1`);
+    }
+    histories[`${match[1]}_${match[2]}`] = versions;
+  });
+  questionSets.forEach(set => {
+    set.history = histories[`${set.testType}_${set.testId}`] || null;
+  });
+
+  // Backups made before version 3 have no settings
+  const settings = parsed['settings.json'] || null;
+  if (settings !== null && (typeof settings !== 'object' || Array.isArray(settings))) {
+    problems.push('settings.json must be an object');
+  }
+
+  if (problems.length > 0) {
+    throw invalidBackup(`Backup failed validation: ${problems.join('; ')}`);
+  }
+
+  return { manifest, users, results, settings, questionSets, assets };
+};
+
+// Settings from an archive that can be applied here. Unknown keys, values of the
+// wrong type and export destinations this server isn't configured for are left out.
+const restorableSettings = (settings) => {
+  const usable = {};
+  const ignored = [];
+  Object.entries(settings).forEach(([key, value]) => {
+    const known = key in DEFAULT_SETTINGS && typeof value === typeof DEFAULT_SETTINGS[key];
+    const reachable = key !== 'exportDestination' || listExportDestinations().some(d => d.name === value && d.configured);
+    if (known && reachable) {
+      usable[key] = value;
+    } else {
+      ignored.push(key);
+    }
+  });
+  return { usable, ignored };
+};
+
+// Put a question set back with its version history. Without a history (archives
+// from before version 3), or when this server already has one for the set, the
+// content is recorded as a new version so the existing history stays available.
+const restoreQuestionSet = (set, mode, summary) => {
+  if (set.history && mode === 'replace') {
+    store.questionVersions.remove(set.testType, set.testId);
+  }
+  if (!set.history || store.questionVersions.latest(set.testType, set.testId) !== null) {
+    saveQuestionSet(set.testType, set.testId, set.questions, { source: 'restore', note: 'Restored from a backup' });
+    if (set.history) {
+      summary.versions.skipped += set.history.length;
+    }
+    return;
+  }
+
+  set.history.forEach(({ version, testType, testId, ...record }) => store.questionVersions.add(set.testType, set.testId, record));
+  store.questionSets.save(set.testType, set.testId, set.questions);
+  summary.versions.added += set.history.length;
+};
+
+// Write a checked backup into storage (see restoreBackup for the modes)
+const applyBackup = (backup, mode) => {
+  const summary = {
+    users: { added: 0, skipped: 0 },
+    results: { added: 0, skipped: 0 },
+    questionSets: { added: 0, skipped: 0 },
+    versions: { added: 0, skipped: 0 },
+    images: { added: 0, skipped: 0 },
+    settings: { restored: false, ignored: [] }
+  };
+
+  inTransaction(() => {
+    if (mode === 'replace') {
+      store.users.list().forEach(u => store.users.remove(u.id));
+      store.results.list().forEach(r => store.results.remove(r.id));
+      store.questionSets.list().forEach(s => store.questionSets.remove(s.testType, s.testId));
+    }
+
+    backup.users.forEach(user => {
+      if (store.users.findById(user.id) || store.users.findByEmail(user.email)) {
+        summary.users.skipped++;
+        return;
+      }
+      store.users.insert(user);
+      summary.users.added++;
+    });
+
+    backup.results.forEach(result => {
+      if (store.results.findById(result.id)) {
+        summary.results.skipped++;
+        return;
+      }
+      store.results.insert(result);
+      summary.results.added++;
+    });
+
+    backup.questionSets.forEach(set => {
+      if (store.questionSets.get(set.testType, set.testId)) {
+        summary.questionSets.skipped++;
+        return;
+      }
+      restoreQuestionSet(set, mode, summary);
+      summary.questionSets.added++;
+    });
+  });
+
+  if (mode === 'replace' && backup.settings) {
+    const { usable, ignored } = restorableSettings(backup.settings);
+    updateSettings(usable);
+    summary.settings = { restored: true, ignored };
+  }
+
+  backup.assets.forEach(asset => {
+    if (fs.existsSync(assetPath(asset.name))) {
+      summary.images.skipped++;
+      return;
+    }
+    saveAsset(asset.buffer);
+    summary.images.added++;
+  });
+
+  return summary;
+};
+
+// Everything a replace-mode restore could change, so it can be put back as it was
+const captureCurrentData = () => ({
+  users: store.users.list(),
+  results: store.results.list(),
+  settings: getSettings(),
+  questionSets: store.questionSets.list().map(({ testType, testId }) => ({
+    testType,
+    testId,
+    questions: store.questionSets.get(testType, testId),
+    history: store.questionVersions.list(testType, testId)
+  }))
+});
+
+// Write captured data back exactly, without recording new versions
+const putBack = (previous) => {
+  store.users.list().forEach(u => store.users.remove(u.id));
+  store.results.list().forEach(r => store.results.remove(r.id));
+  store.questionSets.list().forEach(s => {
+    store.questionSets.remove(s.testType, s.testId);
+    store.questionVersions.remove(s.testType, s.testId);
+  });
+
+  previous.users.forEach(user => store.users.insert(user));
+  previous.results.forEach(result => store.results.insert(result));
+  previous.questionSets.forEach(set => {
+    store.questionVersions.remove(set.testType, set.testId);
+    set.history.forEach(({ version, testType, testId, ...record }) => store.questionVersions.add(set.testType, set.testId, record));
+    store.questionSets.save(set.testType, set.testId, set.questions);
+  });
+  updateSettings(previous.settings);
+};
+
+// Load a validated backup into storage.
+//   replace - everything currently stored is deleted first, and the archive's
+//             settings are applied
+//   merge   - only records that don't exist yet are added (users match on id or email,
+//             results on id, question sets on test); existing data and settings always win
+// Images are added in both modes and never removed: they are named after their
+// content, so an image already stored is the same file.
+//
+// Everything is checked before anything is deleted. SQLite restores in one
+// transaction; the JSON files can't, so the current data is kept in memory and
+// written back if the restore fails partway.
+const restoreBackup = (backup, mode) => {
+  if (mode === 'replace' && !backup.users.some(u => u.role === 'admin')) {
+    throw invalidBackup('This backup has no admin account; restoring it in replace mode would lock everyone out');
+  }
+  // Set keys end up in file names, so check them again for backups that didn't come through readBackup
+  const badSet = backup.questionSets.find(set => !isValidSetKey(set.testType, set.testId));
+  if (badSet) {
+    throw invalidBackup(`Invalid test type or ID in backup: ${badSet.testType}/${badSet.testId}`);
+  }
+
+  const previous = store.transaction ? null : captureCurrentData();
+  try {
+    return applyBackup(backup, mode);
+  } catch (error) {
+    if (previous) {
+      putBack(previous);
+      console.error('❌ Restore failed; the previous data was put back:', error.message);
+    }
+    throw error;
+  }
+};
+
+// ==================== SNAPSHOTS ====================
+
+const snapshotPath = (name) => {
+  if (!SNAPSHOT_NAME.test(name || '')) {
+    return null;
+  }
+  const filePath = path.join(backupDir, name);
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+// Newest first
+const listSnapshots = () => {
+  if (!fs.existsSync(backupDir)) {
+    return [];
+  }
+  return fs.readdirSync(backupDir)
+    .filter(name => SNAPSHOT_NAME.test(name))
+    .map(name => {
+      const stats = fs.statSync(path.join(backupDir, name));
+      return { name, bytes: stats.size, createdAt: stats.mtime.toISOString() };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.name.localeCompare(a.name));
+};
+
+// Keep only the newest `backupRetention` snapshots
+const pruneSnapshots = () => {
+  const { backupRetention } = getSettings();
+  const removed = listSnapshots().slice(backupRetention);
+  removed.forEach(s => fs.unlinkSync(path.join(backupDir, s.name)));
+  return removed.map(s => s.name);
+};
+
+// Write a backup to the snapshot folder. `reason` ends up in the file name
+// (manual, scheduled, pre-restore).
+const createSnapshot = (reason = 'manual') => {
+  const { buffer, manifest } = createBackup();
+  const stamp = manifest.createdAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const name = `snapshot-${stamp}-${crypto.randomBytes(2).toString('hex')}-${reason}.zip`;
+
+  writeFileAtomic(path.join(backupDir, name), buffer);
+  const pruned = pruneSnapshots();
+
+  return { name, manifest, pruned };
+};
+
+const deleteSnapshot = (name) => {
+  const filePath = snapshotPath(name);
+  if (!filePath) {
+    return false;
+  }
+  fs.unlinkSync(filePath);
+  return true;
+};
+
+// Take a snapshot whenever the newest one is older than `backupIntervalHours`
+// (0 turns scheduled snapshots off). Checked every few minutes so a settings
+// change takes effect without a restart.
+const runScheduledSnapshot = () => {
+  const { backupIntervalHours } = getSettings();
+  if (!backupIntervalHours) {
+    return null;
+  }
+
+  const [latest] = listSnapshots();
+  if (latest && Date.now() - new Date(latest.createdAt).getTime() < backupIntervalHours * 60 * 60 * 1000) {
+    return null;
+  }
+
+  const snapshot = createSnapshot('scheduled');
+  console.log(`💾 Scheduled snapshot saved: ${snapshot.name}`);
+  return snapshot;
+};
+
+const startSnapshotScheduler = () => {
+  const check = () => {
+    try {
+      runScheduledSnapshot();
+    } catch (error) {
+      console.error('❌ Scheduled snapshot failed:', error.message);
+    }
+  };
+  check();
+  setInterval(check, SCHEDULER_CHECK_MS).unref();
+};
+
+module.exports = {
+  backupDir,
+  createBackup,
+  readBackup,
+  restoreBackup,
+  listSnapshots,
+  snapshotPath,
+  createSnapshot,
+  deleteSnapshot,
+  startSnapshotScheduler
+};
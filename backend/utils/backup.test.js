@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-backup-test-'));
+process.env.STORAGE_DRIVER = 'json';
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const store = require('../storage');
+const { createBackup, readBackup, restoreBackup } = require('./backup');
+const { saveQuestionSet } = require('./questionVersions');
+const { getSettings, updateSettings } = require('./settings');
+
+const question = (id, text) => ({ id, type: 'single', question: text, options: ['A', 'B'], correctAnswer: 0, domain: 'General', difficulty: 'medium' });
+
+store.users.insert({ id: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'admin' });
+store.results.insert({ id: 'result-1', userId: 'admin-1', score: 80 });
+store.questionSets.save('chapter', '1', [question(1, 'One')]);
+
+// Rebuild an archive with some entries changed, keeping or refreshing the manifest
+const rewrite = (buffer, changes, { manifest } = {}) => {
+  const source = new AdmZip(buffer);
+  const zip = new AdmZip();
+  source.getEntries().forEach(entry => {
+    if (!(entry.entryName in changes)) {
+      zip.addFile(entry.entryName, entry.getData());
+    }
+  });
+  Object.entries(changes).forEach(([name, value]) => zip.addFile(name, Buffer.from(value)));
+  if (manifest) {
+    zip.deleteFile('manifest.json');
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest)));
+  }
+  return zip.toBuffer();
+};
+
+test('a backup lists a checksum for every file and reads back', () => {
+  const { buffer, manifest } = createBackup();
+  const backup = readBackup(buffer);
+
+  assert.ok(manifest.files['users.json'].sha256.match(/^[0-9a-f]{64}$/));
+  assert.ok(manifest.files['questions/chapter_1.json']);
+  assert.deepEqual(backup.questionSets, [{ testType: 'chapter', testId: '1', questions: [question(1, 'One')], history: null }]);
+});
+
+test('a file changed after the backup was made is rejected', () => {
+  const { buffer } = createBackup();
+  const tampered = rewrite(buffer, { 'results.json': '[]' });
+
+  assert.throws(() => readBackup(tampered), { status: 400, message: /results\.json does not match its checksum/ });
+});
+
+test('a question set named after an invalid test type or ID is rejected', () => {
+  const { buffer, manifest } = createBackup();
+  const contents = JSON.stringify([question(1, 'Sneaky')]);
+  const name = 'questions/chapter.._1.json';
+  const files = { ...manifest.files, [name]: { sha256: crypto.createHash('sha256').update(contents).digest('hex'), bytes: contents.length } };
+  const renamed = rewrite(buffer, { [name]: contents }, { manifest: { ...manifest, files } });
+
+  assert.throws(() => readBackup(renamed), { status: 400, message: /not named after a valid test type and ID/ });
+});
+
+test('restore refuses set keys that did not come through readBackup', () => {
+  const backup = readBackup(createBackup().buffer);
+  backup.questionSets.push({ testType: '..', testId: 'users', questions: [] });
+
+  assert.throws(() => restoreBackup(backup, 'merge'), { status: 400, message: /Invalid test type or ID/ });
+  assert.equal(store.questionSets.get('..', 'users'), null);
+});
+
+test('settings and version history are included, and omissions are listed', () => {
+  saveQuestionSet('practice', 'a', [question(1, 'First')], { source: 'upload' });
+  saveQuestionSet('practice', 'a', [question(1, 'Second')], { source: 'editor' });
+  updateSettings({ backupRetention: 12 });
+
+  const { manifest } = createBackup();
+  const backup = readBackup(createBackup().buffer);
+  const practice = backup.questionSets.find(set => set.testType === 'practice');
+
+  assert.equal(backup.settings.backupRetention, 12);
+  assert.deepEqual(practice.history.map(v => v.version), [1, 2]);
+  assert.equal(manifest.counts.versions, 2);
+  assert.ok(manifest.omitted.some(o => o.name === 'audit log'));
+});
+
+test('replace brings back settings and history with the same version numbers', () => {
+  const buffer = createBackup().buffer;
+  updateSettings({ backupRetention: 3 });
+  saveQuestionSet('practice', 'a', [question(1, 'Third')], { source: 'editor' });
+
+  const summary = restoreBackup(readBackup(buffer), 'replace');
+
+  assert.equal(getSettings().backupRetention, 12);
+  assert.deepEqual(summary.settings, { restored: true, ignored: [] });
+  assert.deepEqual(store.questionVersions.list('practice', 'a').map(v => v.version), [1, 2]);
+  assert.equal(store.questionVersions.latest('practice', 'a'), 2);
+  assert.equal(store.questionSets.get('practice', 'a')[0].question, 'Second');
+});
+
+test('merge keeps the current settings and history', () => {
+  const buffer = createBackup().buffer;
+  updateSettings({ backupRetention: 5 });
+  store.questionSets.remove('practice', 'a');
+
+  const summary = restoreBackup(readBackup(buffer), 'merge');
+
+  assert.equal(getSettings().backupRetention, 5);
+  assert.equal(summary.settings.restored, false);
+  assert.deepEqual(summary.versions, { added: 0, skipped: 2 });
+  assert.equal(store.questionVersions.latest('practice', 'a'), 3);
+});
+
+test('settings this server cannot use are ignored on restore', () => {
+  const backup = readBackup(createBackup().buffer);
+  backup.settings = { ...backup.settings, exportDestination: 's3', backupRetention: 'lots', unknown: true };
+
+  const summary = restoreBackup(backup, 'replace');
+
+  assert.deepEqual(summary.settings.ignored.sort(), ['backupRetention', 'exportDestination', 'unknown']);
+  assert.equal(getSettings().exportDestination, 'local');
+});
+
+test('a version history with gaps is rejected', () => {
+  const { buffer, manifest } = createBackup();
+  const name = 'question-history/practice_a.json';
+  const history = JSON.parse(new AdmZip(buffer).readAsText(name));
+  const contents = JSON.stringify([history[0], { ...history[1], version: 5 }]);
+  const files = { ...manifest.files, [name]: { sha256: crypto.createHash('sha256').update(contents).digest('hex'), bytes: contents.length } };
+
+  assert.throws(() => readBackup(rewrite(buffer, { [name]: contents }, { manifest: { ...manifest, files } })), {
+    status: 400,
+    message: /question-history\/practice_a\.json must be a list of versions numbered from 1/
+  });
+});
+
+test('a replace restore that fails partway puts the previous data back', (t) => {
+  const backup = readBackup(createBackup().buffer);
+  backup.users.push({ id: 'admin-2', email: 'second@example.com', name: 'Second', role: 'admin' });
+  backup.settings = { ...backup.settings, backupRetention: 30 };
+  const sets = () => store.questionSets.list().map(({ testType, testId }) => ({ testType, testId, questions: store.questionSets.get(testType, testId) }));
+  const before = { users: store.users.list(), results: store.results.list(), sets: sets(), settings: getSettings() };
+  const versions = () => ['chapter/1', 'practice/a'].map(key => store.questionVersions.list(...key.split('/')));
+  const history = versions();
+
+  const insert = store.results.insert;
+  let failed = false;
+  t.mock.method(store.results, 'insert', (result) => {
+    if (!failed) {
+      failed = true;
+      throw new Error('Disk full');
+    }
+    return insert(result);
+  });
+  t.mock.method(console, 'error', () => {});
+
+  assert.throws(() => restoreBackup(backup, 'replace'), { message: 'Disk full' });
+  assert.deepEqual(store.users.list(), before.users);
+  assert.deepEqual(store.results.list(), before.results);
+  assert.deepEqual(sets(), before.sets);
+  assert.deepEqual(getSettings(), before.settings);
+  assert.deepEqual(versions(), history);
+});
@@ -0,0 +1,55 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+// newlines inside quotes. Returns an array of rows (arrays of strings).
+// Blank lines are dropped unless `keepBlankRows` is set, which keeps row
+// numbers in step with the file's lines when they are reported back.
+const parseCSV = (text, { keepBlankRows = false } = {}) => {
+  const input = text.replace(/^\uFEFF/, ''); // strip BOM left by Excel
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  if (keepBlankRows) {
+    return rows;
+  }
+
+  // Ignore blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+module.exports = { parseCSV };
@@ -0,0 +1,56 @@
+const nodemailer = require('nodemailer');
+const { SMTP_CONFIG, EMAIL_TEMPLATES } = require('../config/emailConfig');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter && SMTP_CONFIG.host) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_CONFIG.host,
+      port: SMTP_CONFIG.port,
+      secure: SMTP_CONFIG.secure,
+      auth: SMTP_CONFIG.user ? { user: SMTP_CONFIG.user, pass: SMTP_CONFIG.pass } : undefined
+    });
+  }
+  return transporter;
+};
+
+// Send one of EMAIL_TEMPLATES, e.g. sendTemplate(email, 'verification', name, code)
+const sendTemplate = async (to, templateName, ...args) => {
+  const template = EMAIL_TEMPLATES[templateName];
+  if (!template) {
+    return { success: false, error: `Unknown email template: ${templateName}` };
+  }
+
+  const body = template.getBody(...args).replace(/^ {6}/gm, '').trim();
+
+  try {
+    const mailer = getTransporter();
+
+    // Without SMTP nothing is sent, and the body (codes, reset and invite
+    // links) is never logged. EMAIL_DEV_MODE=true lets local development carry
+    // on as if the email went out.
+    if (!mailer) {
+      if (process.env.EMAIL_DEV_MODE !== 'true') {
+        console.error(`❌ Email not configured - set SMTP_HOST to send emails (${templateName} email to ${to} not sent)`);
+        return { success: false, error: 'Email service not configured' };
+      }
+      console.log(`⚠️  SMTP not configured (EMAIL_DEV_MODE), ${templateName} email to ${to} not sent`);
+      return { success: true, delivered: false };
+    }
+
+    await mailer.sendMail({
+      from: SMTP_CONFIG.from,
+      to,
+      subject: template.subject,
+      text: body
+    });
+
+    return { success: true, delivered: true };
+  } catch (error) {
+    console.error('❌ Email send error:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = { sendTemplate };
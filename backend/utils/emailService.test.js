@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sendTemplate } = require('./emailService');
+const { SMTP_CONFIG } = require('../config/emailConfig');
+
+// These cover running without SMTP; a configured SMTP_HOST would really send
+const withoutSmtp = { skip: SMTP_CONFIG.host ? 'SMTP_HOST is set' : false };
+
+// Capture console output while `fn` runs
+const captureLogs = async (fn) => {
+  const lines = [];
+  const { log, error } = console;
+  console.log = (...args) => lines.push(args.join(' '));
+  console.error = (...args) => lines.push(args.join(' '));
+  try {
+    return { result: await fn(), output: lines.join('\n') };
+  } finally {
+    Object.assign(console, { log, error });
+  }
+};
+
+test('without SMTP, sending fails and the code is not logged', withoutSmtp, async () => {
+  delete process.env.EMAIL_DEV_MODE;
+  const { result, output } = await captureLogs(() => sendTemplate('sam@example.com', 'verification', 'Sam', '482913'));
+
+  assert.equal(result.success, false);
+  assert.match(output, /sam@example\.com/);
+  assert.doesNotMatch(output, /482913/);
+});
+
+test('EMAIL_DEV_MODE treats the email as sent but logs only the recipient and template', withoutSmtp, async () => {
+  process.env.EMAIL_DEV_MODE = 'true';
+  try {
+    const link = 'http://localhost:3000/reset-password?token=secret-token-value';
+    const { result, output } = await captureLogs(() => sendTemplate('sam@example.com', 'passwordReset', 'Sam', link));
+
+    assert.deepEqual(result, { success: true, delivered: false });
+    assert.match(output, /passwordReset email to sam@example\.com/);
+    assert.doesNotMatch(output, /secret-token-value/);
+  } finally {
+    delete process.env.EMAIL_DEV_MODE;
+  }
+});
+
+test('an unknown template is an error', async () => {
+  const result = await sendTemplate('sam@example.com', 'nope');
+  assert.equal(result.success, false);
+});
@@ -0,0 +1,8 @@
+const crypto = require('crypto');
+
+// Record IDs like "result_1718000000000_9f2c4a1b": the timestamp keeps them
+// roughly sortable, the random suffix keeps two requests in the same
+// millisecond from colliding
+const generateId = (prefix) => `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+module.exports = { generateId };
@@ -0,0 +1,159 @@
+const path = require('path');
+const { appendAuditEntry } = require('./auditLog');
+const { updateJsonFile } = require('./atomicFile');
+const { DATA_DIR } = require('../config/paths');
+
+const eventsPath = path.join(DATA_DIR, 'lockout_events.json');
+
+// Per-account policy (counters live on the user record so they survive restarts)
+const ACCOUNT_BACKOFF_AFTER = 3;   // failures before delays start
+const ACCOUNT_LOCKOUT_AFTER = 10;  // failures before a temporary lockout
+// Per-IP policy (kept in memory)
+const IP_BACKOFF_AFTER = 10;
+const IP_LOCKOUT_AFTER = 50;
+
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+// An IP's failures are forgotten once it has been quiet this long and isn't blocked
+const IP_FAILURE_WINDOW_MS = LOCKOUT_MS;
+const IP_SWEEP_MS = 60 * 1000;
+// Only the newest lockouts are kept here; the audit log has all of them
+const MAX_LOCKOUT_EVENTS = 1000;
+
+const ipFailures = new Map();
+// Password reset requests per IP. Counted apart from sign-in failures, so a
+// shared IP (a school network) asking for many links can still sign in.
+const resetRequests = new Map();
+let lastIpSweep = 0;
+
+// 1s, 2s, 4s, ... once `threshold` failures have been reached
+const backoffMs = (failures, threshold) => {
+  if (failures < threshold) {
+    return 0;
+  }
+  return Math.min(1000 * 2 ** (failures - threshold), MAX_BACKOFF_MS);
+};
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+// Lockouts go to their own history and to the audit log.
+// `actor` is the admin responsible, for events such as an unlock.
+const recordLockoutEvent = (event, actor = null) => {
+  const entry = { ...event, timestamp: new Date().toISOString() };
+  updateJsonFile(eventsPath, [], events => [...events, entry].slice(-MAX_LOCKOUT_EVENTS));
+  appendAuditEntry({
+    action: `auth.${event.type}`,
+    actor: actor ? { id: actor.id, email: actor.email, role: actor.role } : null,
+    ip: event.ip,
+    target: event.email || event.ip,
+    details: event.until ? { until: event.until } : {}
+  });
+  console.log(`🔒 ${event.type}: ${event.email || event.ip}`);
+};
+
+// ----- IP -----
+
+const isIpEntryExpired = (entry, now) => entry.blockedUntil <= now && now - entry.lastFailureAt >= IP_FAILURE_WINDOW_MS;
+
+// Drop IPs that are neither blocked nor counting any more, so the maps don't
+// grow with every address that ever failed. Runs at most once a minute.
+const sweepIpCounters = (now) => {
+  if (now - lastIpSweep < IP_SWEEP_MS) {
+    return;
+  }
+  lastIpSweep = now;
+  [ipFailures, resetRequests].forEach(counters => counters.forEach((entry, ip) => {
+    if (isIpEntryExpired(entry, now)) {
+      counters.delete(ip);
+    }
+  }));
+};
+
+// Seconds the IP must wait in `counters` before trying again, or 0
+const ipRetryAfter = (counters, ip) => {
+  const entry = counters.get(ip);
+  if (!entry || entry.blockedUntil <= Date.now()) {
+    return 0;
+  }
+  return secondsUntil(entry.blockedUntil);
+};
+
+// Count one attempt from the IP in `counters`; `lockoutType` names the lockout event
+const recordIpAttempt = (counters, ip, lockoutType) => {
+  const now = Date.now();
+  sweepIpCounters(now);
+  const existing = counters.get(ip);
+  const entry = existing && !isIpEntryExpired(existing, now) ? existing : { failures: 0, blockedUntil: 0 };
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+
+  if (entry.failures >= IP_LOCKOUT_AFTER) {
+    entry.blockedUntil = now + LOCKOUT_MS;
+    entry.failures = 0;
+    recordLockoutEvent({ type: lockoutType, ip, until: new Date(entry.blockedUntil).toISOString() });
+  } else {
+    entry.blockedUntil = now + backoffMs(entry.failures, IP_BACKOFF_AFTER);
+  }
+
+  counters.set(ip, entry);
+};
+
+const getIpRetryAfter = (ip) => ipRetryAfter(ipFailures, ip);
+
+const recordIpFailure = (ip) => recordIpAttempt(ipFailures, ip, 'ip_locked');
+
+const clearIpFailures = (ip) => {
+  ipFailures.delete(ip);
+};
+
+// Same limits for "Forgot password?" requests, on their own counter
+const getResetRequestRetryAfter = (ip) => ipRetryAfter(resetRequests, ip);
+
+const recordResetRequest = (ip) => recordIpAttempt(resetRequests, ip, 'reset_ip_locked');
+
+// ----- Account -----
+
+// Seconds the account must wait before trying again, or 0
+const getAccountRetryAfter = (user) => {
+  const lockedUntil = user.lockedUntil ? new Date(user.lockedUntil).getTime() : 0;
+  if (lockedUntil > Date.now()) {
+    return secondsUntil(lockedUntil);
+  }
+
+  const failures = user.failedLoginAttempts || 0;
+  const lastFailure = user.lastFailedLoginAt ? new Date(user.lastFailedLoginAt).getTime() : 0;
+  const nextAllowed = lastFailure + backoffMs(failures, ACCOUNT_BACKOFF_AFTER);
+  return nextAllowed > Date.now() ? secondsUntil(nextAllowed) : 0;
+};
+
+// Update the user's counters after a wrong password. Returns true if this locked the account.
+const recordAccountFailure = (user, ip) => {
+  user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+  user.lastFailedLoginAt = new Date().toISOString();
+
+  if (user.failedLoginAttempts >= ACCOUNT_LOCKOUT_AFTER) {
+    user.lockedUntil = new Date(Date.now() + LOCKOUT_MS).toISOString();
+    user.failedLoginAttempts = 0;
+    recordLockoutEvent({ type: 'account_locked', userId: user.id, email: user.email, ip, until: user.lockedUntil });
+    return true;
+  }
+  return false;
+};
+
+const clearAccountFailures = (user) => {
+  delete user.failedLoginAttempts;
+  delete user.lastFailedLoginAt;
+  delete user.lockedUntil;
+};
+
+module.exports = {
+  getIpRetryAfter,
+  recordIpFailure,
+  clearIpFailures,
+  getResetRequestRetryAfter,
+  recordResetRequest,
+  getAccountRetryAfter,
+  recordAccountFailure,
+  clearAccountFailures,
+  recordLockoutEvent
+};
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-throttle-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const {
+  getIpRetryAfter, recordIpFailure, clearIpFailures, getResetRequestRetryAfter, recordResetRequest,
+  getAccountRetryAfter, recordAccountFailure, clearAccountFailures
+} = require('./loginThrottle');
+
+const lockoutEvents = () => JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'lockout_events.json'), 'utf8'));
+
+test('an account waits 1s, 2s, 4s ... from the third failure', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+  const user = { id: 'u1', email: 'student@example.com' };
+
+  recordAccountFailure(user, '10.0.0.1');
+  recordAccountFailure(user, '10.0.0.1');
+  assert.equal(getAccountRetryAfter(user), 0);
+
+  recordAccountFailure(user, '10.0.0.1');
+  assert.equal(getAccountRetryAfter(user), 1);
+  recordAccountFailure(user, '10.0.0.1');
+  assert.equal(getAccountRetryAfter(user), 2);
+  recordAccountFailure(user, '10.0.0.1');
+  assert.equal(getAccountRetryAfter(user), 4);
+});
+
+test('the tenth failure locks the account for 15 minutes and is logged', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+  const user = { id: 'u2', email: 'locked@example.com' };
+
+  const locked = Array.from({ length: 10 }, () => recordAccountFailure(user, '10.0.0.2'));
+
+  assert.deepEqual(locked.map((value, i) => value === (i === 9)), Array(10).fill(true));
+  assert.equal(getAccountRetryAfter(user), 15 * 60);
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.ok(lockoutEvents().some(e => e.type === 'account_locked' && e.email === 'locked@example.com'));
+});
+
+test('a lockout ends on its own and clearing resets the counters', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+  const user = { id: 'u3', email: 'later@example.com' };
+  Array.from({ length: 10 }, () => recordAccountFailure(user, '10.0.0.3'));
+
+  t.mock.timers.tick(15 * 60 * 1000);
+  assert.equal(getAccountRetryAfter(user), 0);
+
+  recordAccountFailure(user, '10.0.0.3');
+  clearAccountFailures(user);
+  assert.deepEqual(user, { id: 'u3', email: 'later@example.com' });
+});
+
+test('an IP backs off after 10 failures and is blocked after 50', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+  const ip = '203.0.113.9';
+
+  Array.from({ length: 9 }, () => recordIpFailure(ip));
+  assert.equal(getIpRetryAfter(ip), 0);
+  recordIpFailure(ip);
+  assert.equal(getIpRetryAfter(ip), 1);
+
+  Array.from({ length: 40 }, () => recordIpFailure(ip));
+  assert.equal(getIpRetryAfter(ip), 15 * 60);
+  assert.ok(lockoutEvents().some(e => e.type === 'ip_locked' && e.ip === ip));
+
+  clearIpFailures(ip);
+  assert.equal(getIpRetryAfter(ip), 0);
+});
+
+test('IP counters are kept apart', () => {
+  Array.from({ length: 10 }, () => recordIpFailure('198.51.100.1'));
+
+  assert.ok(getIpRetryAfter('198.51.100.1') > 0);
+  assert.equal(getIpRetryAfter('198.51.100.2'), 0);
+});
+
+test('reset requests and sign-in failures are counted apart', () => {
+  const ip = '192.0.2.44';
+  Array.from({ length: 10 }, () => recordResetRequest(ip));
+
+  assert.ok(getResetRequestRetryAfter(ip) > 0);
+  assert.equal(getIpRetryAfter(ip), 0);
+
+  // A good sign-in doesn't reset the reset-request limit
+  clearIpFailures(ip);
+  assert.ok(getResetRequestRetryAfter(ip) > 0);
+});
+
+test('an IP that stays quiet for 15 minutes starts counting from zero again', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+  const ip = '192.0.2.77';
+  Array.from({ length: 9 }, () => recordIpFailure(ip));
+
+  t.mock.timers.tick(15 * 60 * 1000);
+  recordIpFailure(ip);
+  assert.equal(getIpRetryAfter(ip), 0);
+});
+
+test('only the newest 1000 lockout events are kept', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+  const eventsPath = path.join(process.env.DATA_DIR, 'lockout_events.json');
+  fs.writeFileSync(eventsPath, JSON.stringify(Array.from({ length: 1000 }, (_, i) => ({ type: 'ip_locked', ip: `old-${i}` }))));
+
+  const user = { id: 'u9', email: 'newest@example.com' };
+  Array.from({ length: 10 }, () => recordAccountFailure(user, '10.0.0.9'));
+
+  const events = lockoutEvents();
+  assert.equal(events.length, 1000);
+  assert.equal(events[0].ip, 'old-1');
+  assert.equal(events[999].email, 'newest@example.com');
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./atomicFile');
+const { DATA_DIR } = require('../config/paths');
+
+const resetsPath = path.join(DATA_DIR, 'password_resets.json');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const loadResets = () => {
+  if (!fs.existsSync(resetsPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(resetsPath, 'utf8')).filter(r => r.expiresAt > Date.now());
+};
+
+const saveResets = (resets) => {
+  writeJsonAtomic(resetsPath, resets);
+};
+
+// Create a single-use reset token for a user. Any earlier token for the user stops working.
+// Only the SHA-256 hash is stored; the raw token goes into the emailed link.
+const issueResetToken = (userId, ttlMs = RESET_TOKEN_TTL_MS) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  saveResets([
+    ...loadResets().filter(r => r.userId !== userId),
+    {
+      userId,
+      tokenHash: hashToken(token),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ttlMs
+    }
+  ]);
+
+  return token;
+};
+
+// True while the user's last link is less than a minute old, so "Forgot
+// password?" can't be used to flood an inbox
+const isResetCoolingDown = (userId) => loadResets()
+  .some(r => r.userId === userId && Date.now() - r.createdAt < RESEND_COOLDOWN_MS);
+
+// Redeem a reset token, returning the user it belongs to
+const consumeResetToken = (token) => {
+  const resets = loadResets();
+  const tokenHash = hashToken(String(token || ''));
+  const entry = resets.find(r => r.tokenHash === tokenHash);
+
+  if (!entry) {
+    return { success: false, error: 'This reset link is invalid or has expired' };
+  }
+
+  saveResets(resets.filter(r => r !== entry));
+  return { success: true, userId: entry.userId };
+};
+
+const buildResetLink = (token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl.replace(/\/$/, '')}/?resetToken=${token}`;
+};
+
+module.exports = { issueResetToken, isResetCoolingDown, consumeResetToken, buildResetLink };
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const store = require('../storage');
+const { writeFileAtomic } = require('./atomicFile');
+
+// Images used in questions and options. Question text refers to them as
+// ![alt](/api/assets/<name>). Files are named after a hash of their content,
+// so uploading the same image twice (e.g. re-importing a Word file) stores it
+// once, and a name never points at different content.
+
+const assetDir = process.env.ASSET_DIR || path.join(store.DATA_DIR, 'assets');
+const ASSET_URL_PREFIX = '/api/assets/';
+const ASSET_NAME = /^[a-f0-9]{32}\.(png|jpg|gif|webp)$/;
+
+// Only raster formats, recognised by their first bytes. SVG is left out on
+// purpose: it can carry scripts.
+const IMAGE_TYPES = [
+  { ext: 'png', contentType: 'image/png', matches: (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: 'jpg', contentType: 'image/jpeg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: 'gif', contentType: 'image/gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.slice(0, 6).toString('ascii')) },
+  { ext: 'webp', contentType: 'image/webp', matches: (b) => b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP' }
+];
+
+const detectImageType = (buffer) => IMAGE_TYPES.find(type => buffer.length > 12 && type.matches(buffer)) || null;
+
+const isValidAssetName = (name) => ASSET_NAME.test(name || '');
+
+const assetPath = (name) => {
+  if (!isValidAssetName(name)) {
+    return null;
+  }
+  return path.join(assetDir, name);
+};
+
+const contentTypeFor = (name) => {
+  const ext = path.extname(name).slice(1);
+  return (IMAGE_TYPES.find(type => type.ext === ext) || {}).contentType;
+};
+
+// The name and URL an image is (or would be) stored under; null when it is
+// not a supported image
+const describeAsset = (buffer) => {
+  const type = detectImageType(buffer);
+  if (!type) {
+    return null;
+  }
+  const name = `${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32)}.${type.ext}`;
+  return { name, url: `${ASSET_URL_PREFIX}${name}`, bytes: buffer.length };
+};
+
+// Store an image and return its name and the URL to use in question text
+const saveAsset = (buffer) => {
+  const asset = describeAsset(buffer);
+  if (!asset) {
+    throw Object.assign(new Error('Only PNG, JPEG, GIF and WebP images can be used in questions'), { status: 400 });
+  }
+
+  const filePath = path.join(assetDir, asset.name);
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(assetDir, { recursive: true });
+    writeFileAtomic(filePath, buffer);
+  }
+
+  return asset;
+};
+
+// Every stored asset name (used by backups)
+const listAssets = () => {
+  if (!fs.existsSync(assetDir)) {
+    return [];
+  }
+  return fs.readdirSync(assetDir).filter(isValidAssetName);
+};
+
+module.exports = {
+  ASSET_URL_PREFIX,
+  isValidAssetName,
+  assetPath,
+  contentTypeFor,
+  detectImageType,
+  describeAsset,
+  saveAsset,
+  listAssets
+};
@@ -0,0 +1,150 @@
+// Rules for a single question. src/utils/questionValidator.js applies the same
+// rules in the editor; keep the two in step.
+//
+//   single     one correct option: `correctAnswer` is its index
+//   multiple   "select N": `correctAnswers` lists every correct index, and
+//              `scoring` is 'all-or-nothing' (default) or 'partial'
+//   truefalse  two options (True, False) and a `correctAnswer`
+//
+// Questions saved before types existed have no `type` and are single-answer.
+// `explanation` and `reference` are optional and shown in the post-test review.
+
+const QUESTION_TYPES = ['single', 'multiple', 'truefalse'];
+const SCORING_MODES = ['all-or-nothing', 'partial'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const SET_KEY = /^[A-Za-z0-9-]+$/;
+
+const optionLetter = (index) => String.fromCharCode(65 + index);
+
+const isOptionIndex = (value, optionCount) => Number.isInteger(value) && value >= 0 && value < optionCount;
+
+// Every problem with a question, as readable messages (empty when valid)
+const validateQuestion = (q) => {
+  if (!q || typeof q !== 'object' || Array.isArray(q)) {
+    return ['Question must be an object'];
+  }
+
+  const errors = [];
+  const type = q.type || 'single';
+
+  if (!QUESTION_TYPES.includes(type)) {
+    errors.push(`Type must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+
+  if (typeof q.question !== 'string' || !q.question.trim()) {
+    errors.push('Question text is required');
+  }
+
+  const optionCount = Array.isArray(q.options) ? q.options.length : 0;
+  if (!Array.isArray(q.options)) {
+    errors.push('Options must be a list');
+  } else if (type === 'truefalse' && optionCount !== 2) {
+    errors.push('True/false questions have exactly 2 options');
+  } else if (optionCount < MIN_OPTIONS || optionCount > MAX_OPTIONS) {
+    errors.push(`Between ${MIN_OPTIONS} and ${MAX_OPTIONS} options are required`);
+  } else {
+    q.options.forEach((option, i) => {
+      if (typeof option !== 'string' || !option.trim()) {
+        errors.push(`Option ${optionLetter(i)} is empty`);
+      }
+    });
+    const trimmed = q.options.map(o => String(o).trim().toLowerCase()).filter(Boolean);
+    if (new Set(trimmed).size !== trimmed.length) {
+      errors.push('Options must be different from each other');
+    }
+  }
+
+  if (type === 'multiple') {
+    const answers = q.correctAnswers;
+    if (!Array.isArray(answers) || answers.length < 2) {
+      errors.push('Multiple-response questions need at least 2 correct answers in correctAnswers');
+    } else if (!answers.every(a => isOptionIndex(a, optionCount)) || new Set(answers).size !== answers.length) {
+      errors.push(`correctAnswers must be different option numbers from 0 to ${Math.max(optionCount - 1, 0)}`);
+    }
+    if (q.scoring !== undefined && !SCORING_MODES.includes(q.scoring)) {
+      errors.push(`Scoring must be one of: ${SCORING_MODES.join(', ')}`);
+    }
+  } else if (!isOptionIndex(q.correctAnswer, optionCount)) {
+    errors.push(`correctAnswer must be a number from 0 to ${Math.max(optionCount - 1, 0)}`);
+  }
+
+  if (q.difficulty !== undefined && q.difficulty !== '' && !DIFFICULTIES.includes(q.difficulty)) {
+    errors.push(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  if (q.domain !== undefined && typeof q.domain !== 'string') {
+    errors.push('Domain must be text');
+  }
+
+  ['explanation', 'reference'].forEach(field => {
+    if (q[field] !== undefined && q[field] !== null && typeof q[field] !== 'string') {
+      errors.push(`${field[0].toUpperCase()}${field.slice(1)} must be text`);
+    }
+  });
+
+  return errors;
+};
+
+// Problems with a whole set: each question's, prefixed with its index, plus missing or duplicate IDs
+const validateQuestionSet = (questions) => {
+  if (!Array.isArray(questions)) {
+    return ['Questions must be an array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  questions.forEach((q, i) => {
+    validateQuestion(q).forEach(error => errors.push(`Question at index ${i}: ${error}`));
+    if (q && (q.id === undefined || q.id === null || q.id === '')) {
+      errors.push(`Question at index ${i}: id is required`);
+    } else if (q && seen.has(String(q.id))) {
+      errors.push(`Question at index ${i}: duplicate id ${q.id}`);
+    }
+    if (q) {
+      seen.add(String(q.id));
+    }
+  });
+
+  return errors;
+};
+
+// The stored shape of an edited question: known fields only, text trimmed, and
+// only the answer fields its type uses. Empty explanations/references are left out.
+const normalizeQuestion = (input, id) => {
+  const type = input.type || 'single';
+  const answer = type === 'multiple'
+    ? { correctAnswers: [...input.correctAnswers].sort((a, b) => a - b), scoring: input.scoring || 'all-or-nothing' }
+    : { correctAnswer: input.correctAnswer };
+  const explanation = (input.explanation || '').trim();
+  const reference = (input.reference || '').trim();
+
+  return {
+    id,
+    type,
+    question: input.question.trim(),
+    options: input.options.map(o => o.trim()),
+    ...answer,
+    domain: (input.domain || '').trim(),
+    difficulty: input.difficulty || 'medium',
+    ...(explanation && { explanation }),
+    ...(reference && { reference })
+  };
+};
+
+// testType/testId end up in file names, so keep them to letters, digits and dashes
+const isValidSetKey = (testType, testId) => SET_KEY.test(String(testType)) && SET_KEY.test(String(testId));
+
+module.exports = {
+  QUESTION_TYPES,
+  SCORING_MODES,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  DIFFICULTIES,
+  validateQuestion,
+  validateQuestionSet,
+  normalizeQuestion,
+  isValidSetKey
+};
@@ -0,0 +1,147 @@
+const store = require('../storage');
+
+// Every save of a question set is kept as a numbered version with who made it,
+// when, and what changed, so a bad upload can be rolled back. A rollback is
+// itself a new version; history is never rewritten.
+
+const FIELDS_COMPARED = ['type', 'question', 'options', 'correctAnswer', 'correctAnswers', 'scoring', 'domain', 'difficulty', 'explanation', 'reference'];
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const describeActor = (actor) => (actor ? { id: actor.id, name: actor.name, email: actor.email } : null);
+
+// Fields that differ between two versions of the same question
+const changedFields = (before, after) => {
+  const keys = new Set([...FIELDS_COMPARED, ...Object.keys(before), ...Object.keys(after)]);
+  keys.delete('id');
+  return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+};
+
+// Counts of added/removed/changed questions (matched by ID) and whether the kept ones moved
+const summarizeChanges = (before, after) => {
+  const beforeById = new Map(before.map(q => [String(q.id), q]));
+  const afterIds = new Set(after.map(q => String(q.id)));
+
+  const added = after.filter(q => !beforeById.has(String(q.id))).length;
+  const removed = before.filter(q => !afterIds.has(String(q.id))).length;
+  const changed = after.filter(q => {
+    const old = beforeById.get(String(q.id));
+    return old && changedFields(old, q).length > 0;
+  }).length;
+
+  const keptBefore = before.map(q => String(q.id)).filter(id => afterIds.has(id));
+  const keptAfter = after.map(q => String(q.id)).filter(id => beforeById.has(id));
+  const reordered = keptBefore.some((id, i) => id !== keptAfter[i]);
+
+  return { added, removed, changed, reordered };
+};
+
+// Sets uploaded before history was kept get their current content recorded as version 1
+const ensureBaseline = (testType, testId) => {
+  if (store.questionVersions.latest(testType, testId) !== null) {
+    return;
+  }
+  const questions = store.questionSets.get(testType, testId);
+  if (!questions) {
+    return;
+  }
+  const set = store.questionSets.list().find(s => s.testType === String(testType) && s.testId === String(testId));
+  store.questionVersions.add(testType, testId, {
+    questions,
+    questionCount: questions.length,
+    createdAt: set ? set.updatedAt : new Date().toISOString(),
+    createdBy: null,
+    source: 'existing',
+    note: 'Content from before version history was kept',
+    changes: null
+  });
+};
+
+// Save a question set and record it as a new version. `source` says where it came
+// from ('upload', 'editor', 'rollback', 'restore'); `note` is shown in the history.
+const saveQuestionSet = (testType, testId, questions, { actor = null, source, note = '' }) => {
+  ensureBaseline(testType, testId);
+  const previous = store.questionSets.get(testType, testId) || [];
+
+  store.questionSets.save(testType, testId, questions);
+  return store.questionVersions.add(testType, testId, {
+    questions,
+    questionCount: questions.length,
+    createdAt: new Date().toISOString(),
+    createdBy: describeActor(actor),
+    source,
+    note,
+    changes: summarizeChanges(previous, questions)
+  });
+};
+
+// Version summaries (without the questions), newest first
+const listVersions = (testType, testId) => {
+  ensureBaseline(testType, testId);
+  return store.questionVersions.list(testType, testId)
+    .map(({ questions, ...summary }) => summary)
+    .reverse();
+};
+
+const getVersion = (testType, testId, version) => {
+  ensureBaseline(testType, testId);
+  const found = store.questionVersions.get(testType, testId, version);
+  if (!found) {
+    throw notFound(`Version ${version} not found`);
+  }
+  return found;
+};
+
+// The version students get right now, or null if the set doesn't exist.
+// Called on every test start, so it reads only the latest version number.
+const currentVersion = (testType, testId) => {
+  if (!store.questionSets.get(testType, testId)) {
+    return null;
+  }
+  ensureBaseline(testType, testId);
+  return store.questionVersions.latest(testType, testId);
+};
+
+// Two versions side by side: one row per question ID, in the newer version's
+// order with removed questions after it
+const compareVersions = (testType, testId, fromVersion, toVersion) => {
+  const from = getVersion(testType, testId, fromVersion);
+  const to = getVersion(testType, testId, toVersion);
+  const fromById = new Map(from.questions.map(q => [String(q.id), q]));
+  const toIds = new Set(to.questions.map(q => String(q.id)));
+
+  const rows = to.questions.map(after => {
+    const before = fromById.get(String(after.id)) || null;
+    if (!before) {
+      return { id: after.id, status: 'added', before: null, after, fields: [] };
+    }
+    const fields = changedFields(before, after);
+    return { id: after.id, status: fields.length > 0 ? 'changed' : 'unchanged', before, after, fields };
+  });
+  from.questions
+    .filter(q => !toIds.has(String(q.id)))
+    .forEach(before => rows.push({ id: before.id, status: 'removed', before, after: null, fields: [] }));
+
+  const { questions: fromQuestions, ...fromSummary } = from;
+  const { questions: toQuestions, ...toSummary } = to;
+  return { from: fromSummary, to: toSummary, changes: summarizeChanges(fromQuestions, toQuestions), rows };
+};
+
+// Make an old version current again by saving its questions as a new version
+const rollbackQuestionSet = (testType, testId, version, actor) => {
+  const target = getVersion(testType, testId, version);
+  return saveQuestionSet(testType, testId, target.questions, {
+    actor,
+    source: 'rollback',
+    note: `Rolled back to version ${target.version}`
+  });
+};
+
+module.exports = {
+  saveQuestionSet,
+  listVersions,
+  getVersion,
+  currentVersion,
+  compareVersions,
+  rollbackQuestionSet
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-versions-test-'));
+process.env.STORAGE_DRIVER = 'json';
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const store = require('../storage');
+const { saveQuestionSet, listVersions, currentVersion, rollbackQuestionSet } = require('./questionVersions');
+
+const question = (id, text) => ({ id, type: 'single', question: text, options: ['A', 'B'], correctAnswer: 0, domain: 'General', difficulty: 'medium' });
+
+test('each save is a new version and the latest is current', () => {
+  saveQuestionSet('chapter', '1', [question(1, 'One')], { source: 'upload' });
+  saveQuestionSet('chapter', '1', [question(1, 'One, edited')], { source: 'editor' });
+
+  assert.equal(currentVersion('chapter', '1'), 2);
+  assert.deepEqual(listVersions('chapter', '1').map(v => v.version), [2, 1]);
+  assert.deepEqual(listVersions('chapter', '1')[0].changes, { added: 0, removed: 0, changed: 1, reordered: false });
+});
+
+test('a rollback is saved as a new version', () => {
+  const saved = rollbackQuestionSet('chapter', '1', 1, null);
+
+  assert.equal(saved.version, 3);
+  assert.equal(currentVersion('chapter', '1'), 3);
+  assert.equal(store.questionSets.get('chapter', '1')[0].question, 'One');
+});
+
+test('currentVersion does not read the version history', (t) => {
+  t.mock.method(store.questionVersions, 'list', () => {
+    throw new Error('The history was read');
+  });
+  t.mock.method(store.questionVersions, 'get', () => {
+    throw new Error('The history was read');
+  });
+
+  assert.equal(currentVersion('chapter', '1'), 3);
+});
+
+test('a set saved before history was kept gets its content as version 1', () => {
+  store.questionSets.save('mock', '1', [question(1, 'Old')]);
+
+  assert.equal(currentVersion('mock', '1'), 1);
+  assert.equal(listVersions('mock', '1')[0].source, 'existing');
+});
+
+test('a set that does not exist has no version, and no history is written for it', () => {
+  assert.equal(currentVersion('mock', '404'), null);
+  assert.equal(fs.existsSync(path.join(process.env.DATA_DIR, 'question-history', 'mock_404.json')), false);
+});
@@ -0,0 +1,107 @@
+const store = require('../storage');
+const { getSettings } = require('./settings');
+const { appendAuditEntry } = require('./auditLog');
+
+const PURGE_CHECK_MS = 60 * 60 * 1000;
+
+// Deleting a result only stamps it with `deletedAt`/`deletedBy`; it stays in
+// storage (and in backups) until it is purged from the trash
+const isTrashed = (result) => Boolean(result.deletedAt);
+
+const listActiveResults = (filter) => store.results.list(filter).filter(r => !isTrashed(r));
+
+// Newest deletions first, with the date each one will be purged automatically
+const listTrashedResults = () => {
+  const { trashRetentionDays } = getSettings();
+  return store.results.list()
+    .filter(isTrashed)
+    .map(r => ({
+      ...r,
+      purgeAt: trashRetentionDays
+        ? new Date(new Date(r.deletedAt).getTime() + trashRetentionDays * 24 * 60 * 60 * 1000).toISOString()
+        : null
+    }))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+};
+
+// Move results to the trash, returning the ones that were moved
+const trashResults = (resultIds, actor) => {
+  const deletedAt = new Date().toISOString();
+  const deletedBy = { id: actor.id, name: actor.name, email: actor.email };
+
+  return resultIds
+    .map(id => store.results.findById(id))
+    .filter(r => r && !isTrashed(r))
+    .map(r => store.results.update({ ...r, deletedAt, deletedBy }));
+};
+
+const restoreResults = (resultIds) => resultIds
+  .map(id => store.results.findById(id))
+  .filter(r => r && isTrashed(r))
+  .map(r => {
+    const { deletedAt, deletedBy, ...restored } = r;
+    return store.results.update(restored);
+  });
+
+// Permanently remove trashed results. Results that aren't in the trash are left alone.
+const purgeResults = (resultIds) => resultIds
+  .map(id => store.results.findById(id))
+  .filter(r => r && isTrashed(r))
+  .filter(r => store.results.remove(r.id));
+
+// What the audit log keeps about a deleted result
+const describeResult = (r) => ({
+  id: r.id,
+  userName: r.userName,
+  userEmail: r.userEmail,
+  testName: r.testName,
+  score: r.score,
+  takenAt: r.timestamp
+});
+
+// Purge everything that has been in the trash longer than `trashRetentionDays`
+// (0 keeps trashed results until an admin purges them)
+const purgeExpiredTrash = () => {
+  const { trashRetentionDays } = getSettings();
+  if (!trashRetentionDays) {
+    return [];
+  }
+
+  const now = new Date().toISOString();
+  const expired = listTrashedResults().filter(r => r.purgeAt <= now);
+  const purged = purgeResults(expired.map(r => r.id));
+
+  if (purged.length > 0) {
+    appendAuditEntry({
+      action: 'result.purge',
+      actor: null,
+      target: `${purged.length} result(s)`,
+      details: { reason: `In the trash for more than ${trashRetentionDays} days`, results: purged.map(describeResult) }
+    });
+    console.log(`🧹 Purged ${purged.length} result(s) from the trash`);
+  }
+  return purged;
+};
+
+const startTrashPurge = () => {
+  const check = () => {
+    try {
+      purgeExpiredTrash();
+    } catch (error) {
+      console.error('❌ Trash purge failed:', error.message);
+    }
+  };
+  check();
+  setInterval(check, PURGE_CHECK_MS).unref();
+};
+
+module.exports = {
+  listActiveResults,
+  listTrashedResults,
+  trashResults,
+  restoreResults,
+  purgeResults,
+  describeResult,
+  purgeExpiredTrash,
+  startTrashPurge
+};
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-trash-test-'));
+process.env.STORAGE_DRIVER = 'json';
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const store = require('../storage');
+const { updateSettings } = require('./settings');
+const {
+  listActiveResults, listTrashedResults, trashResults, restoreResults, purgeResults, purgeExpiredTrash
+} = require('./resultTrash');
+
+const admin = { id: 'admin-1', name: 'Admin', email: 'admin@example.com' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('a trashed result can be restored as it was', () => {
+  const original = store.results.insert({ id: 'r-restore', userId: 'u1', testName: 'Chapter 1', score: 75 });
+
+  const [trashed] = trashResults(['r-restore', 'missing'], admin);
+  assert.deepEqual(trashed.deletedBy, admin);
+  assert.equal(listActiveResults().some(r => r.id === 'r-restore'), false);
+  assert.equal(listTrashedResults()[0].id, 'r-restore');
+
+  assert.equal(restoreResults(['r-restore']).length, 1);
+  assert.deepEqual(store.results.findById('r-restore'), original);
+  // Restoring twice does nothing
+  assert.deepEqual(restoreResults(['r-restore']), []);
+});
+
+test('purging removes a trashed result for good and leaves active ones alone', () => {
+  store.results.insert({ id: 'r-purge', userId: 'u1', score: 10 });
+  store.results.insert({ id: 'r-active', userId: 'u1', score: 20 });
+  trashResults(['r-purge'], admin);
+
+  const purged = purgeResults(['r-purge', 'r-active']);
+
+  assert.deepEqual(purged.map(r => r.id), ['r-purge']);
+  assert.equal(store.results.findById('r-purge'), null);
+  assert.ok(store.results.findById('r-active'));
+  assert.deepEqual(restoreResults(['r-purge']), []);
+});
+
+test('trash retention purges old results, and 0 keeps them', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T00:00:00.000Z') });
+  store.results.insert({ id: 'r-old', userId: 'u1', score: 30 });
+  trashResults(['r-old'], admin);
+  t.mock.timers.tick(31 * DAY_MS);
+  store.results.insert({ id: 'r-new', userId: 'u1', score: 40 });
+  trashResults(['r-new'], admin);
+
+  updateSettings({ trashRetentionDays: 0 });
+  assert.deepEqual(purgeExpiredTrash(), []);
+  assert.equal(listTrashedResults().find(r => r.id === 'r-old').purgeAt, null);
+
+  updateSettings({ trashRetentionDays: 30 });
+  assert.deepEqual(purgeExpiredTrash().map(r => r.id), ['r-old']);
+  assert.equal(store.results.findById('r-old'), null);
+  assert.equal(listTrashedResults().find(r => r.id === 'r-new').purgeAt, '2026-05-01T00:00:00.000Z');
+});
@@ -0,0 +1,28 @@
+// What a client may say about a test it took. Everything else on a result
+// (id, timestamp, who took it, trash stamps) belongs to the server.
+const SUBMITTED_RESULT_FIELDS = [
+  'testName',
+  'testType',
+  'testId',
+  'questionSetVersion',
+  'score',
+  'date',
+  'timeTaken',
+  'totalQuestions',
+  'correctAnswers',
+  'points'
+];
+
+// A result from a submitted body, always recorded against the signed-in user
+const resultFromSubmission = (body, user) => {
+  const result = {};
+  SUBMITTED_RESULT_FIELDS.forEach(field => {
+    if (body && body[field] !== undefined) {
+      result[field] = body[field];
+    }
+  });
+
+  return { ...result, userId: user.id, userName: user.name, userEmail: user.email };
+};
+
+module.exports = { SUBMITTED_RESULT_FIELDS, resultFromSubmission };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resultFromSubmission } = require('./results');
+
+const student = { id: 'user_1', name: 'Sam Student', email: 'sam@example.com' };
+
+test('a submitted deletedAt and deletedBy are ignored', () => {
+  const result = resultFromSubmission({
+    testName: 'Chapter 1',
+    score: 80,
+    deletedAt: '2024-01-01T00:00:00.000Z',
+    deletedBy: { id: 'admin_1', name: 'Admin', email: 'admin@example.com' }
+  }, student);
+
+  assert.equal(result.deletedAt, undefined);
+  assert.equal(result.deletedBy, undefined);
+  assert.equal(result.score, 80);
+});
+
+test('server-owned fields are not taken from the body', () => {
+  const result = resultFromSubmission({
+    testName: 'Chapter 1',
+    score: 80,
+    id: 'result_forged',
+    timestamp: '2000-01-01T00:00:00.000Z',
+    version: 7
+  }, student);
+
+  assert.deepEqual(Object.keys(result).sort(), ['score', 'testName', 'userEmail', 'userId', 'userName']);
+});
+
+test('the result is recorded against the signed-in user', () => {
+  const result = resultFromSubmission({
+    testName: 'Chapter 1',
+    score: 80,
+    userId: 'user_2',
+    userName: 'Someone Else',
+    userEmail: 'else@example.com'
+  }, student);
+
+  assert.equal(result.userId, 'user_1');
+  assert.equal(result.userName, 'Sam Student');
+  assert.equal(result.userEmail, 'sam@example.com');
+});
+
+test('the test fields the client sends are kept', () => {
+  const body = {
+    testName: 'Mock Exam 1',
+    testType: 'mock',
+    testId: 1,
+    questionSetVersion: 3,
+    score: 75,
+    date: '1/2/2024',
+    timeTaken: '45:00',
+    totalQuestions: 4,
+    correctAnswers: 3,
+    points: 3
+  };
+
+  assert.deepEqual(resultFromSubmission(body, student), {
+    ...body, userId: 'user_1', userName: 'Sam Student', userEmail: 'sam@example.com'
+  });
+});
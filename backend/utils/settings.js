@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./atomicFile');
+const { DATA_DIR } = require('../config/paths');
+const { isFirebaseConfigured } = require('../config/firebase-storage');
+
+const settingsPath = path.join(DATA_DIR, 'settings.json');
+
+// App-wide settings admins can change at runtime
+const DEFAULT_SETTINGS = {
+  enforceAdmin2FA: false,
+  backupIntervalHours: 0, // 0 = no scheduled snapshots
+  backupRetention: 7,
+  // local | s3 | firebase. Deployments that already exported to Firebase keep
+  // doing so until an admin picks another destination.
+  exportDestination: isFirebaseConfigured() ? 'firebase' : 'local',
+  exportRetentionDays: 0, // 0 = keep exports forever; admins opt in to deleting them
+  trashRetentionDays: 30 // 0 = keep trashed results until purged by hand
+};
+
+const getSettings = () => {
+  if (!fs.existsSync(settingsPath)) {
+    return { ...DEFAULT_SETTINGS };
+  }
+  return { ...DEFAULT_SETTINGS, ...JSON.parse(fs.readFileSync(settingsPath, 'utf8')) };
+};
+
+// Merge known keys into the stored settings and return the result
+const updateSettings = (changes) => {
+  const settings = getSettings();
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (changes[key] !== undefined) {
+      settings[key] = changes[key];
+    }
+  });
+  writeJsonAtomic(settingsPath, settings);
+  return settings;
+};
+
+module.exports = { DEFAULT_SETTINGS, getSettings, updateSettings };
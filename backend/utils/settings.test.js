@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-settings-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// settings.js reads the Firebase credentials when it is loaded
+const loadSettings = (env) => {
+  const saved = { FIREBASE_PROJECT_ID: process.env.FIREBASE_PROJECT_ID };
+  Object.assign(process.env, env);
+  if (env.FIREBASE_PROJECT_ID === undefined) delete process.env.FIREBASE_PROJECT_ID;
+  try {
+    delete require.cache[require.resolve('./settings')];
+    return require('./settings');
+  } finally {
+    if (saved.FIREBASE_PROJECT_ID === undefined) delete process.env.FIREBASE_PROJECT_ID;
+    else process.env.FIREBASE_PROJECT_ID = saved.FIREBASE_PROJECT_ID;
+  }
+};
+
+const hasServiceAccountFile = fs.existsSync(path.join(__dirname, '..', 'firebase-service-account.json'));
+
+test('exports default to Firebase when Firebase is configured', () => {
+  const { getSettings } = loadSettings({ FIREBASE_PROJECT_ID: 'cbda-test' });
+  assert.equal(getSettings().exportDestination, 'firebase');
+});
+
+test('exports default to the server disk otherwise', { skip: hasServiceAccountFile && 'firebase-service-account.json is present' }, () => {
+  const { getSettings } = loadSettings({ FIREBASE_PROJECT_ID: undefined });
+  assert.equal(getSettings().exportDestination, 'local');
+});
+
+test('a destination an admin picked is kept', () => {
+  const { getSettings, updateSettings } = loadSettings({ FIREBASE_PROJECT_ID: 'cbda-test' });
+  updateSettings({ exportDestination: 'local' });
+  assert.equal(getSettings().exportDestination, 'local');
+});
+
+test('exports are kept until an admin turns retention on', () => {
+  const { getSettings } = loadSettings({ FIREBASE_PROJECT_ID: 'cbda-test' });
+  assert.equal(getSettings().exportRetentionDays, 0);
+});
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s steps),
+// the defaults every authenticator app understands.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, as recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP value for one time step
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 2 ** 32), 0);
+  counter.writeUInt32BE(step % 2 ** 32, 4);
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(binary).padStart(DIGITS, '0');
+};
+
+// Returns the matching time step (to block replays), or null.
+// `window` allows for clock drift of that many steps either side.
+const verifyCode = (secret, code, window = 1) => {
+  const value = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(value)) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(value))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from the QR code
+const buildOtpauthUrl = (secret, accountName, issuer = 'CBDA Exam Simulator') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = { generateSecret, generateCode, verifyCode, buildOtpauthUrl };
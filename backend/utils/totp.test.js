@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, generateCode, verifyCode, buildOtpauthUrl } = require('./totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  assert.equal(generateCode(RFC_SECRET, stepAt(59)), '287082');
+  assert.equal(generateCode(RFC_SECRET, stepAt(1111111109)), '081804');
+  assert.equal(generateCode(RFC_SECRET, stepAt(20000000000)), '353130');
+});
+
+test('a code is accepted one step either side and returns its step', (t) => {
+  t.mock.method(Date, 'now', () => 1111111109 * 1000);
+  const now = stepAt(1111111109);
+
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now)), now);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 1)), now - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + 1)), now + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 2)), null);
+});
+
+test('malformed codes are rejected', () => {
+  ['', '12345', '1234567', 'abcdef', null].forEach(code => assert.equal(verifyCode(RFC_SECRET, code), null));
+});
+
+test('secrets are 160-bit base32 and go into the otpauth URL', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+
+  const url = new URL(buildOtpauthUrl(secret, 'admin@example.com'));
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.searchParams.get('secret'), secret);
+  assert.equal(url.searchParams.get('period'), '30');
+});
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp');
+const { getSettings } = require('./settings');
+
+const BACKUP_CODE_COUNT = 10;
+
+const isTwoFactorEnabled = (user) => Boolean(user.twoFactor && user.twoFactor.enabled);
+
+// Admins must enrol before they get a session once enforcement is switched on
+const mustEnrollTwoFactor = (user) => user.role === 'admin' && getSettings().enforceAdmin2FA && !isTwoFactorEnabled(user);
+
+// Start (or restart) enrolment. The secret only becomes active once a code is confirmed.
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactor = { ...(user.twoFactor || {}), pendingSecret: secret };
+
+  const otpauthUrl = buildOtpauthUrl(secret, user.email);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+// One-time codes like "a1b2-c3d4". Only bcrypt hashes are stored.
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(code => bcrypt.hashSync(code, 10)) };
+};
+
+// Confirm the pending secret and switch 2FA on. Returns the backup codes, or null for a wrong code.
+const completeEnrollment = (user, code) => {
+  const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+  const step = pendingSecret ? verifyCode(pendingSecret, code) : null;
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: pendingSecret,
+    backupCodes: hashes,
+    lastUsedStep: step,
+    enabledAt: new Date().toISOString()
+  };
+  return codes;
+};
+
+// Check an authenticator code or an unused backup code. Updates the user record
+// so neither can be replayed; returns 'totp', 'backup' or null.
+const checkSecondFactor = (user, code) => {
+  if (!isTwoFactorEnabled(user)) {
+    return null;
+  }
+
+  const value = String(code || '').trim().toLowerCase();
+  const step = verifyCode(user.twoFactor.secret, value);
+  if (step !== null) {
+    if (user.twoFactor.lastUsedStep !== undefined && step <= user.twoFactor.lastUsedStep) {
+      return null;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const backupCodes = user.twoFactor.backupCodes || [];
+  const index = backupCodes.findIndex(hash => bcrypt.compareSync(value, hash));
+  if (index !== -1) {
+    user.twoFactor.backupCodes = backupCodes.filter((_, i) => i !== index);
+    return 'backup';
+  }
+  return null;
+};
+
+// New set of backup codes, replacing the old ones
+const regenerateBackupCodes = (user) => {
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactor.backupCodes = hashes;
+  return codes;
+};
+
+const disableTwoFactor = (user) => {
+  delete user.twoFactor;
+};
+
+module.exports = {
+  isTwoFactorEnabled,
+  mustEnrollTwoFactor,
+  beginEnrollment,
+  completeEnrollment,
+  checkSecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+};
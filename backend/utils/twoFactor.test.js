@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cbda-2fa-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { generateCode } = require('./totp');
+const { beginEnrollment, completeEnrollment, checkSecondFactor, isTwoFactorEnabled } = require('./twoFactor');
+
+const currentStep = () => Math.floor(Date.now() / 30000);
+
+const enrolledUser = async () => {
+  const user = { id: 'u1', email: 'admin@example.com', role: 'admin' };
+  const { secret } = await beginEnrollment(user);
+  // Confirm with the previous step's code so the current one is still unused
+  const backupCodes = completeEnrollment(user, generateCode(secret, currentStep() - 1));
+  return { user, secret, backupCodes };
+};
+
+test('enrolment only completes with a code for the pending secret', async () => {
+  const user = { id: 'u1', email: 'admin@example.com', role: 'admin' };
+  await beginEnrollment(user);
+
+  assert.equal(completeEnrollment(user, generateCode(user.twoFactor.pendingSecret, currentStep() + 5)), null);
+  assert.equal(isTwoFactorEnabled(user), false);
+
+  const codes = completeEnrollment(user, generateCode(user.twoFactor.pendingSecret));
+  assert.equal(codes.length, 10);
+  assert.equal(isTwoFactorEnabled(user), true);
+  assert.equal(user.twoFactor.pendingSecret, undefined);
+});
+
+test('an authenticator code works once', async () => {
+  const { user, secret } = await enrolledUser();
+  const code = generateCode(secret);
+
+  assert.equal(checkSecondFactor(user, code), 'totp');
+  assert.equal(checkSecondFactor(user, code), null);
+});
+
+test('a code older than the last one used is refused', async () => {
+  const { user, secret } = await enrolledUser();
+
+  assert.equal(checkSecondFactor(user, generateCode(secret, currentStep() + 1)), 'totp');
+  assert.equal(checkSecondFactor(user, generateCode(secret)), null);
+});
+
+test('backup codes are single use', async () => {
+  const { user, backupCodes } = await enrolledUser();
+
+  assert.equal(checkSecondFactor(user, backupCodes[0].toUpperCase()), 'backup');
+  assert.equal(checkSecondFactor(user, backupCodes[0]), null);
+  assert.equal(user.twoFactor.backupCodes.length, 9);
+});
+
+test('no code is accepted when two-factor is off', () => {
+  assert.equal(checkSecondFactor({ id: 'u2' }, '123456'), null);
+});
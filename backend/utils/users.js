@@ -0,0 +1,8 @@
+// Strip secrets before a user record leaves the server
+const toPublicUser = ({ password, tokenVersion, twoFactor, ...user }) => ({
+  ...user,
+  twoFactorEnabled: Boolean(twoFactor && twoFactor.enabled),
+  ...(twoFactor && twoFactor.enabled ? { backupCodesRemaining: (twoFactor.backupCodes || []).length } : {})
+});
+
+module.exports = { toPublicUser };
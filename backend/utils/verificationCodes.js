@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { writeJsonAtomic } = require('./atomicFile');
+const { DATA_DIR } = require('../config/paths');
+
+const codesPath = path.join(DATA_DIR, 'verification_codes.json');
+
+const CODE_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const loadCodes = () => {
+  if (!fs.existsSync(codesPath)) {
+    return [];
+  }
+  // Drop expired entries whenever the file is read
+  return JSON.parse(fs.readFileSync(codesPath, 'utf8')).filter(c => c.expiresAt > Date.now());
+};
+
+const saveCodes = (codes) => {
+  writeJsonAtomic(codesPath, codes);
+};
+
+const matches = (entry, email, purpose) =>
+  entry.email.toLowerCase() === email.toLowerCase() && entry.purpose === purpose;
+
+// Create a new 6-digit code for (email, purpose), replacing any previous one.
+// `data` is stored alongside the code and handed back by checkCode.
+const issueCode = (email, purpose, data = {}) => {
+  const codes = loadCodes();
+  const existing = codes.find(c => matches(c, email, purpose));
+
+  if (existing && Date.now() - existing.issuedAt < RESEND_COOLDOWN_MS) {
+    return { success: false, error: 'Please wait a minute before requesting another code' };
+  }
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  saveCodes([
+    ...codes.filter(c => !matches(c, email, purpose)),
+    {
+      email,
+      purpose,
+      data,
+      codeHash: bcrypt.hashSync(code, 10),
+      attempts: 0,
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + CODE_TTL_MS
+    }
+  ]);
+
+  return { success: true, code };
+};
+
+// Check a code. Codes are single use and burn out after MAX_ATTEMPTS wrong guesses.
+const checkCode = (email, purpose, code) => {
+  const codes = loadCodes();
+  const entry = codes.find(c => matches(c, email, purpose));
+
+  if (!entry) {
+    return { success: false, error: 'Invalid or expired verification code' };
+  }
+
+  if (!bcrypt.compareSync(String(code || ''), entry.codeHash)) {
+    entry.attempts += 1;
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      saveCodes(codes.filter(c => c !== entry));
+      return { success: false, error: 'Too many incorrect attempts. Please request a new code' };
+    }
+    saveCodes(codes);
+    return { success: false, error: 'Invalid or expired verification code' };
+  }
+
+  saveCodes(codes.filter(c => c !== entry));
+  return { success: true, data: entry.data };
+};
+
+module.exports = { issueCode, checkCode };
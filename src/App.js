@@ -4,32 +4,54 @@ import Login from './components/Login';
 //import Login from './components/LoginSimple'; // Change this line
 import StudentDashboard from './components/StudentDashboard';
 import AdminDashboard from './components/AdminDashboard';
+import { authFetch, getSession, saveSession, clearSession, setSessionExpiredHandler } from './utils/api';
 
 const App = () => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    setSessionExpiredHandler(() => {
+      setUser(null);
+      localStorage.removeItem('cbda_user');
+      clearSession();
+    });
+
     // Check for stored user on mount
     const storedUser = localStorage.getItem('cbda_user');
-    if (storedUser) {
+    if (storedUser && getSession()) {
       try {
         setUser(JSON.parse(storedUser));
       } catch (error) {
         localStorage.removeItem('cbda_user');
       }
+
+      // Confirm the stored session is still valid and pick up server-side changes
+      authFetch('/api/auth/me')
+        .then(response => response.json())
+        .then(data => {
+          if (data.success) {
+            setUser(data.user);
+            localStorage.setItem('cbda_user', JSON.stringify(data.user));
+          }
+        })
+        .catch(error => console.error('Error restoring session:', error));
+    } else {
+      localStorage.removeItem('cbda_user');
     }
     setLoading(false);
   }, []);
 
-  const handleLogin = (userData) => {
+  const handleLogin = (userData, session) => {
     setUser(userData);
     localStorage.setItem('cbda_user', JSON.stringify(userData));
+    saveSession(session);
   };
 
   const handleLogout = () => {
     setUser(null);
     localStorage.removeItem('cbda_user');
+    clearSession();
   };
 
   if (loading) {
@@ -54,4 +76,4 @@ const App = () => {
   return <StudentDashboard user={user} onLogout={handleLogout} />;
 };
 
-export default App;
\ No newline at end of file
+export default App;
@@ -1,32 +1,70 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   LogOut, Menu, X, Users, FileText, BarChart3, 
-  Download, Trash2, CheckCircle, AlertCircle, User, Target, Cloud
+  Download, Trash2, CheckCircle, AlertCircle, User, Target, Cloud, UserX, ArrowLeft, Edit, History
 } from 'lucide-react';
-import mammoth from 'mammoth';
+import { authFetch, downloadFile } from '../utils/api';
+import UserManagement from './UserManagement';
+import ChangePasswordForm from './ChangePasswordForm';
+import AuditLog from './AuditLog';
+import AdminSettings from './AdminSettings';
+import BackupRestore from './BackupRestore';
+import ResultsTrash from './ResultsTrash';
+import QuestionEditor from './QuestionEditor';
+import QuestionHistory from './QuestionHistory';
+import ImportReport from './ImportReport';
+import ColumnMapping from './ColumnMapping';
+import QuestionBankExport from './QuestionBankExport';
+import TwoFactorSettings from './TwoFactorSettings';
 
 const AdminDashboard = ({ user, onLogout }) => {
   const [currentPage, setCurrentPage] = useState('dashboard');
   const [menuOpen, setMenuOpen] = useState(false);
   const [stats, setStats] = useState({});
   const [allResults, setAllResults] = useState([]);
-  const [users, setUsers] = useState([]);
   const [availableTests, setAvailableTests] = useState([]);
   const [uploadStatus, setUploadStatus] = useState(null);
   const [loading, setLoading] = useState(false);
   const [cloudFiles, setCloudFiles] = useState([]);
   const [showCloudFiles, setShowCloudFiles] = useState(false);
+  const [exportDestination, setExportDestination] = useState(null);
+  const [selectedResults, setSelectedResults] = useState([]);
+  // The question set open in the editor or history: { testType, testId, name }
+  const [editingSet, setEditingSet] = useState(null);
+  // A Word document, spreadsheet or question bank read in a dry run, waiting for the admin to confirm:
+  // { format: 'word'|'spreadsheet'|'bank', file, testType, testId, name, report }, plus
+  // { headers, fields, mapping } for spreadsheets and { formatLabel } (GIFT, Moodle XML, ...) for banks
+  const [pendingImport, setPendingImport] = useState(null);
+  // Set by the Trash page and the question editor/history; reloading while they are open would remount them and lose their state
+  const trashChanged = useRef(false);
+  const questionsChanged = useRef(false);
 
   useEffect(() => {
     loadStats();
     loadAllResults();
-    loadUsers();
     loadAvailableTests();
   }, []);
 
+  useEffect(() => {
+    if (currentPage !== 'trash' && trashChanged.current) {
+      trashChanged.current = false;
+      loadStats();
+      loadAllResults();
+    }
+    if (currentPage !== 'question-editor' && currentPage !== 'question-history' && questionsChanged.current) {
+      questionsChanged.current = false;
+      loadAvailableTests();
+    }
+  }, [currentPage]);
+
+  const openQuestionSet = (page, testType, testId, name) => {
+    setEditingSet({ testType, testId: testId.toString(), name });
+    setCurrentPage(page);
+  };
+
   const loadStats = async () => {
     try {
-      const response = await fetch('/api/admin/stats');
+      const response = await authFetch('/api/admin/stats');
       const data = await response.json();
       if (data.success) {
         setStats(data.stats);
@@ -38,31 +76,20 @@ const AdminDashboard = ({ user, onLogout }) => {
 
   const loadAllResults = async () => {
     try {
-      const response = await fetch('/api/results/admin/all');
+      const response = await authFetch('/api/results/admin/all');
       const data = await response.json();
       if (data.success) {
         setAllResults(data.results);
+        setSelectedResults(selected => selected.filter(id => data.results.some(r => r.id === id)));
       }
     } catch (error) {
       console.error('Error loading results:', error);
     }
   };
 
-  const loadUsers = async () => {
-    try {
-      const response = await fetch('/api/admin/users');
-      const data = await response.json();
-      if (data.success) {
-        setUsers(data.users);
-      }
-    } catch (error) {
-      console.error('Error loading users:', error);
-    }
-  };
-
   const loadAvailableTests = async () => {
     try {
-      const response = await fetch('/api/questions/available');
+      const response = await authFetch('/api/questions/available');
       const data = await response.json();
       if (data.success) {
         setAvailableTests(data.tests);
@@ -74,114 +101,139 @@ const AdminDashboard = ({ user, onLogout }) => {
 
   const loadCloudFiles = async () => {
     try {
-      const response = await fetch('/api/results/csv-files');
+      const response = await authFetch('/api/results/csv-files');
       const data = await response.json();
       if (data.success) {
         setCloudFiles(data.files);
+        setExportDestination(data.destination);
+      } else {
+        setCloudFiles([]);
+        setUploadStatus({ type: 'error', message: data.error });
       }
     } catch (error) {
       console.error('Error loading cloud files:', error);
     }
   };
 
-  const convertWordToJSON = async (file) => {
+  // Word documents and spreadsheets are read on the server; a dry run returns the report without saving
+  const sendImport = async (format, file, testType, testId, { dryRun, mapping }) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(dryRun));
+    if (mapping) {
+      formData.append('mapping', JSON.stringify(mapping));
+    }
+
+    const response = await authFetch(`/api/admin/questions/${testType}/${testId}/import/${format}`, {
+      method: 'POST',
+      body: formData
+    });
+    return response.json();
+  };
+
+  const handleConfirmImport = async () => {
+    const { format, file, testType, testId, mapping } = pendingImport;
+    setLoading(true);
     try {
-      const arrayBuffer = await file.arrayBuffer();
-      const result = await mammoth.extractRawText({ arrayBuffer });
-      const text = result.value;
-
-      const questionBlocks = text.split(/Question \d+:/i).filter(block => block.trim());
-      const questions = [];
-
-      questionBlocks.forEach((block, index) => {
-        const lines = block.split('\n').map(l => l.trim()).filter(l => l);
-        
-        if (lines.length < 6) return; // Skip incomplete questions
-
-        const questionText = lines[0];
-        const options = [];
-        let correctAnswer = 0;
-        let domain = 'General';
-        let difficulty = 'medium';
-
-        lines.forEach((line) => {
-          if (line.match(/^[A-D]\)/i)) {
-            options.push(line.substring(2).trim());
-          }
-          if (line.toLowerCase().startsWith('answer:')) {
-            const answer = line.split(':')[1].trim().toUpperCase();
-            correctAnswer = answer.charCodeAt(0) - 'A'.charCodeAt(0);
-          }
-          if (line.toLowerCase().startsWith('domain:')) {
-            domain = line.split(':')[1].trim();
-          }
-          if (line.toLowerCase().startsWith('difficulty:')) {
-            difficulty = line.split(':')[1].trim().toLowerCase();
-          }
-        });
+      const data = await sendImport(format, file, testType, testId, { dryRun: false, mapping });
 
-        if (options.length === 4 && questionText) {
-          questions.push({
-            id: index + 1,
-            question: questionText,
-            options,
-            correctAnswer,
-            domain,
-            difficulty
-          });
-        }
-      });
+      if (data.success) {
+        setUploadStatus({ type: 'success', message: `${data.message} from ${file.name}.` });
+        setPendingImport(null);
+        loadAvailableTests();
+        loadStats();
+      } else {
+        setUploadStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setUploadStatus({ type: 'error', message: 'Import failed. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Every change to the column mapping checks the rows again
+  const handleMappingChange = async (mapping) => {
+    const { file, testType, testId } = pendingImport;
+    setPendingImport({ ...pendingImport, mapping });
+    setLoading(true);
+    try {
+      const data = await sendImport('spreadsheet', file, testType, testId, { dryRun: true, mapping });
 
-      return questions;
+      if (data.success) {
+        setPendingImport(current => (current && current.file === file
+          ? { ...current, report: data.report, mapping: data.mapping }
+          : current));
+      } else {
+        setUploadStatus({ type: 'error', message: data.error });
+      }
     } catch (error) {
-      console.error('Error converting Word to JSON:', error);
-      throw error;
+      setUploadStatus({ type: 'error', message: 'Could not check the sheet. Please try again.' });
+    } finally {
+      setLoading(false);
     }
   };
 
-  const handleQuestionUpload = async (e, testType, testId) => {
+  const handleQuestionUpload = async (e, testType, testId, name) => {
     const file = e.target.files[0];
     if (!file) return;
 
     setLoading(true);
     setUploadStatus(null);
+    setPendingImport(null);
 
     try {
-      let questions;
-
-      if (file.name.endsWith('.docx') || file.name.endsWith('.doc')) {
-        setUploadStatus({ type: 'info', message: 'Converting Word document to JSON...' });
-        questions = await convertWordToJSON(file);
-        
-        if (questions.length === 0) {
-          throw new Error('No valid questions found in document');
-        }
+      const fileName = file.name.toLowerCase();
 
-        const jsonBlob = new Blob([JSON.stringify(questions)], { type: 'application/json' });
-        const jsonFile = new File([jsonBlob], file.name.replace(/\.docx?$/, '.json'), { type: 'application/json' });
-        
-        const formData = new FormData();
-        formData.append('file', jsonFile);
+      if (fileName.endsWith('.docx')) {
+        setUploadStatus({ type: 'info', message: 'Reading Word document...' });
+        const data = await sendImport('word', file, testType, testId, { dryRun: true });
 
-        const response = await fetch(`/api/questions/upload/${testType}/${testId}`, {
-          method: 'POST',
-          body: formData
-        });
+        if (data.success) {
+          setUploadStatus(null);
+          setPendingImport({ format: 'word', file, testType, testId, name, report: data.report });
+        } else {
+          setUploadStatus({ type: 'error', message: data.error });
+        }
+      } else if (fileName.endsWith('.csv') || fileName.endsWith('.xlsx')) {
+        setUploadStatus({ type: 'info', message: 'Reading spreadsheet...' });
+        const data = await sendImport('spreadsheet', file, testType, testId, { dryRun: true });
 
-        const data = await response.json();
+        if (data.success) {
+          setUploadStatus(null);
+          setPendingImport({
+            format: 'spreadsheet',
+            file,
+            testType,
+            testId,
+            name,
+            report: data.report,
+            headers: data.headers,
+            fields: data.fields,
+            mapping: data.mapping
+          });
+        } else {
+          setUploadStatus({ type: 'error', message: data.error });
+        }
+      } else if (/\.(gift|txt|xml|zip)$/.test(fileName)) {
+        setUploadStatus({ type: 'info', message: 'Reading question bank...' });
+        const data = await sendImport('bank', file, testType, testId, { dryRun: true });
 
         if (data.success) {
-          setUploadStatus({ type: 'success', message: `${data.count} questions uploaded successfully from Word document!` });
-          loadAvailableTests();
-          loadStats();
+          setUploadStatus(null);
+          setPendingImport({ format: 'bank', file, testType, testId, name, report: data.report, formatLabel: data.format });
         } else {
           setUploadStatus({ type: 'error', message: data.error });
         }
-      } else if (file.name.endsWith('.json')) {
+      } else if (fileName.endsWith('.xls')) {
+        setUploadStatus({ type: 'error', message: 'Old .xls files cannot be read. Open the file in Excel and save it as .xlsx or .csv.' });
+      } else if (fileName.endsWith('.doc')) {
+        setUploadStatus({ type: 'error', message: 'Old .doc files cannot be read. Open the file in Word and save it as .docx.' });
+      } else if (fileName.endsWith('.json')) {
         const formData = new FormData();
         formData.append('file', file);
 
-        const response = await fetch(`/api/questions/upload/${testType}/${testId}`, {
+        const response = await authFetch(`/api/questions/upload/${testType}/${testId}`, {
           method: 'POST',
           body: formData
         });
@@ -196,7 +248,7 @@ const AdminDashboard = ({ user, onLogout }) => {
           setUploadStatus({ type: 'error', message: data.error });
         }
       } else {
-        setUploadStatus({ type: 'error', message: 'Please upload a JSON or Word document (.docx)' });
+        setUploadStatus({ type: 'error', message: 'Please upload a JSON file, a Word document (.docx), a spreadsheet (.csv, .xlsx) or a GIFT, Moodle XML or QTI file' });
       }
     } catch (error) {
       setUploadStatus({ type: 'error', message: error.message || 'Upload failed. Please try again.' });
@@ -206,24 +258,28 @@ const AdminDashboard = ({ user, onLogout }) => {
     }
   };
 
-  const handleExportCSV = () => {
-    window.open('/api/results/export/csv', '_blank');
+  const handleExportCSV = async () => {
+    try {
+      await downloadFile('/api/results/export/csv', `cbda-results-${Date.now()}.csv`);
+    } catch (error) {
+      setUploadStatus({ type: 'error', message: error.message });
+    }
   };
 
   const handleExportToCloud = async () => {
     setLoading(true);
     try {
-      const response = await fetch('/api/results/export/csv-cloud');
+      const response = await authFetch('/api/results/export/csv-cloud');
       const data = await response.json();
       
       if (data.success) {
         setUploadStatus({ 
           type: 'success', 
-          message: `CSV uploaded to cloud! Access it anytime from View Cloud Files.` 
+          message: `${data.message}! Access it anytime from View Cloud Files.` 
         });
         loadCloudFiles();
       } else {
-        setUploadStatus({ type: 'error', message: 'Cloud upload failed. File downloaded locally.' });
+        setUploadStatus({ type: 'error', message: data.error });
       }
     } catch (error) {
       setUploadStatus({ type: 'error', message: 'Export failed.' });
@@ -233,17 +289,42 @@ const AdminDashboard = ({ user, onLogout }) => {
   };
 
   const handleDeleteResult = async (resultId) => {
-    if (!window.confirm('Are you sure you want to delete this result?')) return;
+    if (!window.confirm('Move this result to the trash? It can be restored from Trash until it is purged.')) return;
 
     try {
-      const response = await fetch(`/api/results/${resultId}`, {
+      const response = await authFetch(`/api/results/${resultId}`, {
         method: 'DELETE'
       });
 
       const data = await response.json();
 
       if (data.success) {
-        setUploadStatus({ type: 'success', message: 'Result deleted successfully!' });
+        setUploadStatus({ type: 'success', message: 'Result moved to trash' });
+        loadAllResults();
+        loadStats();
+      } else {
+        setUploadStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setUploadStatus({ type: 'error', message: 'Delete failed.' });
+    }
+  };
+
+  // Bulk deletes go to the trash too. `body` is { resultIds } or { userId }.
+  const handleBulkDelete = async (body, description) => {
+    if (!window.confirm(`Move ${description} to the trash?`)) return;
+
+    try {
+      const response = await authFetch('/api/results/bulk-delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setUploadStatus({ type: 'success', message: data.message });
+        setSelectedResults([]);
         loadAllResults();
         loadStats();
       } else {
@@ -254,11 +335,45 @@ const AdminDashboard = ({ user, onLogout }) => {
     }
   };
 
+  const toggleResultSelection = (resultId) => {
+    setSelectedResults(selected => (selected.includes(resultId)
+      ? selected.filter(id => id !== resultId)
+      : [...selected, resultId]));
+  };
+
+  const handleDownloadCloudFile = async (filename) => {
+    try {
+      await downloadFile(`/api/results/csv-files/${encodeURIComponent(filename)}`, filename);
+    } catch (error) {
+      setUploadStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  // Copy a private link that expires after a few minutes, for sharing a single export
+  const handleCopyCloudLink = async (filename) => {
+    try {
+      const response = await authFetch(`/api/results/csv-files/${encodeURIComponent(filename)}/link`, { method: 'POST' });
+      const data = await response.json();
+
+      if (data.success) {
+        await navigator.clipboard.writeText(new URL(data.url, window.location.origin).href);
+        setUploadStatus({
+          type: 'success',
+          message: `Link copied. It stops working at ${new Date(data.expiresAt).toLocaleTimeString()}.`
+        });
+      } else {
+        setUploadStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setUploadStatus({ type: 'error', message: 'Could not create a download link' });
+    }
+  };
+
   const handleDeleteCloudFile = async (filename) => {
     if (!window.confirm('Delete this file from cloud storage?')) return;
     
     try {
-      const response = await fetch(`/api/results/csv-cloud/${filename}`, {
+      const response = await authFetch(`/api/results/csv-cloud/${encodeURIComponent(filename)}`, {
         method: 'DELETE'
       });
       const data = await response.json();
@@ -266,6 +381,8 @@ const AdminDashboard = ({ user, onLogout }) => {
       if (data.success) {
         setUploadStatus({ type: 'success', message: 'File deleted from cloud' });
         loadCloudFiles();
+      } else {
+        setUploadStatus({ type: 'error', message: data.error });
       }
     } catch (error) {
       setUploadStatus({ type: 'error', message: 'Delete failed' });
@@ -308,6 +425,18 @@ const AdminDashboard = ({ user, onLogout }) => {
             <button onClick={() => setCurrentPage('students')} className="hover:text-purple-200 transition">
               Students
             </button>
+            <button onClick={() => setCurrentPage('audit')} className="hover:text-purple-200 transition">
+              Audit Log
+            </button>
+            <button onClick={() => setCurrentPage('backups')} className="hover:text-purple-200 transition">
+              Backups
+            </button>
+            <button onClick={() => setCurrentPage('settings')} className="hover:text-purple-200 transition">
+              Settings
+            </button>
+            <button onClick={() => setCurrentPage('profile')} className="hover:text-purple-200 transition">
+              Profile
+            </button>
             <button onClick={onLogout} className="hover:text-purple-200 transition flex items-center space-x-2">
               <LogOut size={20} />
               <span>Logout</span>
@@ -325,6 +454,10 @@ const AdminDashboard = ({ user, onLogout }) => {
             <button onClick={() => { setCurrentPage('questions'); setMenuOpen(false); }} className="block w-full text-left py-2 hover:bg-purple-700 px-4 rounded">Manage Questions</button>
             <button onClick={() => { setCurrentPage('results'); setMenuOpen(false); }} className="block w-full text-left py-2 hover:bg-purple-700 px-4 rounded">View Results</button>
             <button onClick={() => { setCurrentPage('students'); setMenuOpen(false); }} className="block w-full text-left py-2 hover:bg-purple-700 px-4 rounded">Students</button>
+            <button onClick={() => { setCurrentPage('audit'); setMenuOpen(false); }} className="block w-full text-left py-2 hover:bg-purple-700 px-4 rounded">Audit Log</button>
+            <button onClick={() => { setCurrentPage('backups'); setMenuOpen(false); }} className="block w-full text-left py-2 hover:bg-purple-700 px-4 rounded">Backups</button>
+            <button onClick={() => { setCurrentPage('settings'); setMenuOpen(false); }} className="block w-full text-left py-2 hover:bg-purple-700 px-4 rounded">Settings</button>
+            <button onClick={() => { setCurrentPage('profile'); setMenuOpen(false); }} className="block w-full text-left py-2 hover:bg-purple-700 px-4 rounded">Profile</button>
             <button onClick={() => { onLogout(); setMenuOpen(false); }} className="block w-full text-left py-2 hover:bg-purple-700 px-4 rounded">Logout</button>
           </div>
         )}
@@ -437,6 +570,27 @@ const AdminDashboard = ({ user, onLogout }) => {
             </div>
           )}
 
+          {pendingImport && (
+            <ImportReport
+              fileName={pendingImport.formatLabel ? `${pendingImport.file.name} (${pendingImport.formatLabel})` : pendingImport.file.name}
+              setName={pendingImport.name}
+              report={pendingImport.report}
+              busy={loading}
+              onConfirm={handleConfirmImport}
+              onCancel={() => setPendingImport(null)}
+            >
+              {pendingImport.format === 'spreadsheet' && (
+                <ColumnMapping
+                  fields={pendingImport.fields}
+                  headers={pendingImport.headers}
+                  mapping={pendingImport.mapping}
+                  disabled={loading}
+                  onChange={handleMappingChange}
+                />
+              )}
+            </ImportReport>
+          )}
+
           {/* Chapter Tests */}
           <div className="mb-8">
             <h3 className="text-2xl font-bold text-gray-800 mb-4">Chapter-wise Tests</h3>
@@ -462,12 +616,38 @@ const AdminDashboard = ({ user, onLogout }) => {
                       </div>
                       <input
                         type="file"
-                        accept=".json,.docx,.doc"
-                        onChange={(e) => handleQuestionUpload(e, 'chapter', chapter.id)}
+                        accept=".json,.docx,.doc,.csv,.xlsx,.xls,.gift,.txt,.xml,.zip"
+                        onChange={(e) => handleQuestionUpload(e, 'chapter', chapter.id, chapter.name)}
                         disabled={loading}
                         className="block w-full text-xs text-gray-500 file:mr-2 file:py-1 file:px-3 file:rounded file:border-0 file:text-xs file:font-semibold file:bg-blue-600 file:text-white hover:file:bg-blue-700 transition disabled:opacity-50"
                       />
-                      <p className="text-xs text-gray-500 mt-1">JSON or Word (.docx)</p>
+                      <p className="text-xs text-gray-500 mt-1">JSON, Word, CSV, Excel, GIFT, Moodle XML or QTI</p>
+                      <div className="mt-3 flex items-center space-x-4">
+                        <button
+                          onClick={() => openQuestionSet('question-editor', 'chapter', chapter.id, chapter.name)}
+                          className="text-sm text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+                        >
+                          <Edit size={14} />
+                          <span>{test ? 'Edit questions' : 'Write questions'}</span>
+                        </button>
+                        {test && (
+                          <button
+                            onClick={() => openQuestionSet('question-history', 'chapter', chapter.id, chapter.name)}
+                            className="text-sm text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+                          >
+                            <History size={14} />
+                            <span>History</span>
+                          </button>
+                        )}
+                        {test && (
+                          <QuestionBankExport
+                            testType="chapter"
+                            testId={chapter.id}
+                            className="text-blue-600 hover:text-blue-800"
+                            onError={(message) => setUploadStatus({ type: 'error', message })}
+                          />
+                        )}
+                      </div>
                     </div>
                   );
                 })}
@@ -493,12 +673,38 @@ const AdminDashboard = ({ user, onLogout }) => {
                     </div>
                     <input
                       type="file"
-                      accept=".json,.docx,.doc"
-                      onChange={(e) => handleQuestionUpload(e, 'mock', mockId)}
+                      accept=".json,.docx,.doc,.csv,.xlsx,.xls,.gift,.txt,.xml,.zip"
+                      onChange={(e) => handleQuestionUpload(e, 'mock', mockId, `Mock Exam ${mockId}`)}
                       disabled={loading}
                       className="block w-full text-xs text-gray-500 file:mr-2 file:py-1 file:px-3 file:rounded file:border-0 file:text-xs file:font-semibold file:bg-purple-600 file:text-white hover:file:bg-purple-700 transition disabled:opacity-50"
                     />
-                    <p className="text-xs text-gray-500 mt-1">JSON or Word (.docx)</p>
+                    <p className="text-xs text-gray-500 mt-1">JSON, Word, CSV, Excel, GIFT, Moodle XML or QTI</p>
+                    <div className="mt-3 flex items-center space-x-4">
+                      <button
+                        onClick={() => openQuestionSet('question-editor', 'mock', mockId, `Mock Exam ${mockId}`)}
+                        className="text-sm text-purple-600 hover:text-purple-800 flex items-center space-x-1"
+                      >
+                        <Edit size={14} />
+                        <span>{test ? 'Edit questions' : 'Write questions'}</span>
+                      </button>
+                      {test && (
+                        <button
+                          onClick={() => openQuestionSet('question-history', 'mock', mockId, `Mock Exam ${mockId}`)}
+                          className="text-sm text-purple-600 hover:text-purple-800 flex items-center space-x-1"
+                        >
+                          <History size={14} />
+                          <span>History</span>
+                        </button>
+                      )}
+                      {test && (
+                        <QuestionBankExport
+                          testType="mock"
+                          testId={mockId}
+                          className="text-purple-600 hover:text-purple-800"
+                          onError={(message) => setUploadStatus({ type: 'error', message })}
+                        />
+                      )}
+                    </div>
                   </div>
                 );
               })}
@@ -520,19 +726,79 @@ D) Encrypting data
 Answer: B
 Domain: Data Governance
 Difficulty: medium
+Explanation: Governance sets the policies that keep data accurate, secure and compliant.
+Reference: https://example.com/cbda-guide/governance
 
-Question 2: What does ETL stand for?
-A) Extract, Transform, Load
-B) Evaluate, Test, Launch
-C) Execute, Track, Log
-D) Estimate, Transfer, Link
-Answer: A
+Question 2: Which TWO are data quality dimensions? (Select two)
+A) Accuracy
+B) Color
+C) Completeness
+D) Font size
+E) Price
+Answer: A, C
+Scoring: partial
 Domain: Data Analysis
+Difficulty: easy
+
+Question 3: A data lake only stores structured data.
+Type: true/false
+Answer: False
+Domain: Data Strategy
 Difficulty: easy`}
             </pre>
             <p className="text-sm text-gray-600 mt-3">
               <strong>Format Requirements:</strong> Each question must have: Question number, Question text,
-              4 options (A-D), Answer (A/B/C/D), Domain, and Difficulty (easy/medium/hard)
+              2 to 6 options (A-F), Answer, Domain, and Difficulty (easy/medium/hard). Give several letters
+              (e.g. <code>Answer: A, C</code>) for a multiple-response question, scored all-or-nothing unless it
+              has <code>Scoring: partial</code>. True/false questions can use <code>Type: true/false</code> and
+              <code>Answer: True</code> or <code>False</code> instead of options. <code>Explanation:</code> (which can
+              run over several paragraphs) and <code>Reference:</code> are optional and shown to students when they
+              review their answers. Charts, screenshots and tables placed between the question and its options
+              (or right under an option) are imported with the question; images must be PNG, JPEG, GIF or WebP.
+              Bold, italics, lists and tables are kept as Markdown (a table's first row becomes its header).
+              Variants such as <code>A.</code>, <code>(a)</code> and <code>Correct answer:</code> also work, and a
+              report of every question, including any that can't be read and why, is shown before anything is saved.
+            </p>
+          </div>
+
+          {/* Spreadsheet Format Guide */}
+          <div className="bg-green-50 rounded-xl p-6 border-2 border-green-200 mb-6">
+            <h3 className="text-lg font-bold text-gray-800 mb-3 flex items-center space-x-2">
+              <FileText size={20} className="text-green-600" />
+              <span>Spreadsheet Format (.csv, .xlsx)</span>
+            </h3>
+            <pre className="bg-white p-4 rounded-lg overflow-x-auto text-xs">
+              {`Question,Option A,Option B,Option C,Option D,Answer,Domain,Difficulty,Explanation
+What is data governance?,Storing data,Managing data quality and compliance,Deleting data,Encrypting data,B,Data Governance,medium,Governance sets the policies...
+Which TWO are data quality dimensions?,Accuracy,Color,Completeness,Font size,"A, C",Data Analysis,easy,
+A data lake only stores structured data.,,,,,False,Data Strategy,easy,`}
+            </pre>
+            <p className="text-sm text-gray-600 mt-3">
+              <strong>Format Requirements:</strong> One question per row under a header row. The columns are matched
+              by their headings and can be changed before importing; only the question and answer columns are required.
+              The answer is the option letter, several letters (e.g. <code>A, C</code>) for a multiple-response question,
+              or <code>True</code>/<code>False</code> (the option columns can then stay empty). Up to six options
+              (A-F) are read. Empty domains become <em>General</em> and empty difficulties <em>medium</em>. Only the
+              first worksheet of an Excel file is read, and every row that can't be imported is listed with its row
+              number before anything is saved.
+            </p>
+          </div>
+
+          {/* Question Bank Formats Guide */}
+          <div className="bg-sky-50 rounded-xl p-6 border-2 border-sky-200 mb-6">
+            <h3 className="text-lg font-bold text-gray-800 mb-3 flex items-center space-x-2">
+              <FileText size={20} className="text-sky-600" />
+              <span>Moodle and LMS Question Banks (GIFT, Moodle XML, QTI 2.1)</span>
+            </h3>
+            <p className="text-sm text-gray-600">
+              Upload a GIFT file (<code>.gift</code> or <code>.txt</code>), a Moodle XML file (<code>.xml</code>) or a
+              QTI 2.1 package (<code>.zip</code>) to import it, and use <strong>Export</strong> on a set to download it in
+              any of these formats. Multiple choice, multiple response and true/false questions are converted; other types
+              (essay, matching, numerical, short answer, ...) are listed in the report and skipped. Each question's domain
+              becomes its category (its keyword in QTI) and a tag, and its difficulty a <code>difficulty-easy</code>,
+              <code>-medium</code> or <code>-hard</code> tag. On import, the last category level is used as the domain.
+              Moodle scores multiple-response questions with partial credit, so all-or-nothing ones come back as partial
+              credit from GIFT and Moodle XML.
             </p>
           </div>
 
@@ -599,6 +865,13 @@ Difficulty: easy`}
                 <Cloud size={20} />
                 <span>View Cloud Files</span>
               </button>
+              <button
+                onClick={() => setCurrentPage('trash')}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition flex items-center space-x-2"
+              >
+                <Trash2 size={20} />
+                <span>Trash</span>
+              </button>
             </div>
           </div>
 
@@ -622,6 +895,11 @@ Difficulty: easy`}
                 <Cloud size={24} className="text-purple-600" />
                 <span>Cloud Storage Files</span>
               </h3>
+              {exportDestination && (
+                <p className="text-sm text-gray-600 -mt-2 mb-4">
+                  {exportDestination.label} · {exportDestination.detail} (change it in Settings)
+                </p>
+              )}
               {cloudFiles.length === 0 ? (
                 <p className="text-gray-600">No files in cloud storage yet. Upload results to get started!</p>
               ) : (
@@ -629,22 +907,27 @@ Difficulty: easy`}
                   {cloudFiles.map((file, idx) => (
                     <div key={idx} className="flex items-center justify-between bg-white p-4 rounded-lg border border-purple-200">
                       <div>
-                        <p className="font-medium text-gray-800">{file.name.replace('exports/', '')}</p>
+                        <p className="font-medium text-gray-800">{file.name}</p>
                         <p className="text-sm text-gray-500">
                           {new Date(file.created).toLocaleString()} • {Math.round(file.size / 1024)} KB
                         </p>
                       </div>
                       <div className="flex gap-2">
-                        <a
-                          href={file.url}
-                          target="_blank"
-                          rel="noopener noreferrer"
+                        <button
+                          onClick={() => handleDownloadCloudFile(file.name)}
                           className="bg-blue-100 text-blue-700 px-3 py-1 rounded hover:bg-blue-200 transition text-sm font-medium"
                         >
                           Download
-                        </a>
+                        </button>
                         <button
-                          onClick={() => handleDeleteCloudFile(file.name.replace('exports/', ''))}
+                          onClick={() => handleCopyCloudLink(file.name)}
+                          className="bg-purple-100 text-purple-700 px-3 py-1 rounded hover:bg-purple-200 transition text-sm font-medium"
+                          title="Copy a private link that expires in 15 minutes"
+                        >
+                          Copy Link
+                        </button>
+                        <button
+                          onClick={() => handleDeleteCloudFile(file.name)}
                           className="bg-red-100 text-red-700 px-3 py-1 rounded hover:bg-red-200 transition text-sm font-medium"
                         >
                           Delete
@@ -657,6 +940,27 @@ Difficulty: easy`}
             </div>
           )}
 
+          {selectedResults.length > 0 && (
+            <div className="mb-4 flex items-center justify-between bg-red-50 border border-red-200 rounded-lg px-4 py-3">
+              <span className="text-sm text-red-700">{selectedResults.length} result(s) selected</span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setSelectedResults([])}
+                  className="text-sm text-gray-600 hover:text-gray-800 px-3 py-1"
+                >
+                  Clear
+                </button>
+                <button
+                  onClick={() => handleBulkDelete({ resultIds: selectedResults }, `${selectedResults.length} selected result(s)`)}
+                  className="bg-red-600 hover:bg-red-700 text-white text-sm px-3 py-1 rounded-lg transition flex items-center space-x-1"
+                >
+                  <Trash2 size={16} />
+                  <span>Move to Trash</span>
+                </button>
+              </div>
+            </div>
+          )}
+
           {allResults.length === 0 ? (
             <div className="text-center py-12">
               <BarChart3 size={64} className="text-gray-300 mx-auto mb-4" />
@@ -667,6 +971,14 @@ Difficulty: easy`}
               <table className="w-full">
                 <thead>
                   <tr className="bg-gray-100 border-b">
+                    <th className="px-4 py-3 text-left">
+                      <input
+                        type="checkbox"
+                        checked={selectedResults.length === allResults.length}
+                        onChange={(e) => setSelectedResults(e.target.checked ? allResults.map(r => r.id) : [])}
+                        title="Select all"
+                      />
+                    </th>
                     <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Student</th>
                     <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Test Name</th>
                     <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Score</th>
@@ -679,11 +991,21 @@ Difficulty: easy`}
                 <tbody>
                   {allResults.map((result, index) => (
                     <tr key={index} className="border-b hover:bg-gray-50">
+                      <td className="px-4 py-3">
+                        <input
+                          type="checkbox"
+                          checked={selectedResults.includes(result.id)}
+                          onChange={() => toggleResultSelection(result.id)}
+                        />
+                      </td>
                       <td className="px-4 py-3 text-sm">
                         <div className="font-medium text-gray-800">{result.userName}</div>
                         <div className="text-xs text-gray-500">{result.userEmail}</div>
                       </td>
-                      <td className="px-4 py-3 text-sm text-gray-800">{result.testName}</td>
+                      <td className="px-4 py-3 text-sm text-gray-800">
+                        {result.testName}
+                        {result.questionSetVersion && <div className="text-xs text-gray-500">Question set v{result.questionSetVersion}</div>}
+                      </td>
                       <td className="px-4 py-3">
                         <span
                           className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-semibold ${
@@ -697,13 +1019,22 @@ Difficulty: easy`}
                       <td className="px-4 py-3 text-sm text-gray-600">{result.timeTaken}</td>
                       <td className="px-4 py-3 text-sm text-gray-600">{result.correctAnswers}/{result.totalQuestions}</td>
                       <td className="px-4 py-3">
-                        <button
-                          onClick={() => handleDeleteResult(result.id)}
-                          className="text-red-600 hover:text-red-800 transition"
-                          title="Delete result"
-                        >
-                          <Trash2 size={18} />
-                        </button>
+                        <div className="flex space-x-3">
+                          <button
+                            onClick={() => handleDeleteResult(result.id)}
+                            className="text-red-600 hover:text-red-800 transition"
+                            title="Move result to trash"
+                          >
+                            <Trash2 size={18} />
+                          </button>
+                          <button
+                            onClick={() => handleBulkDelete({ userId: result.userId }, `every result by ${result.userName}`)}
+                            className="text-red-600 hover:text-red-800 transition"
+                            title={`Move every result by ${result.userName} to trash`}
+                          >
+                            <UserX size={18} />
+                          </button>
+                        </div>
                       </td>
                     </tr>
                   ))}
@@ -716,65 +1047,167 @@ Difficulty: easy`}
     </div>
   );
 
+  const TrashPage = () => (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-indigo-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-white rounded-2xl shadow-xl p-6 md:p-8">
+          <button
+            onClick={() => setCurrentPage('results')}
+            className="text-purple-600 hover:text-purple-800 flex items-center space-x-1 mb-4"
+          >
+            <ArrowLeft size={18} />
+            <span>Back to results</span>
+          </button>
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">Trash</h2>
+          <p className="text-gray-600 mb-6">Deleted results stay here until they are purged. Restoring puts them back everywhere, including student history.</p>
+          <ResultsTrash onChange={() => { trashChanged.current = true; }} />
+        </div>
+      </div>
+    </div>
+  );
+
+  const QuestionEditorPage = () => (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-indigo-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-white rounded-2xl shadow-xl p-6 md:p-8">
+          <button
+            onClick={() => setCurrentPage('questions')}
+            className="text-purple-600 hover:text-purple-800 flex items-center space-x-1 mb-4"
+          >
+            <ArrowLeft size={18} />
+            <span>Back to questions</span>
+          </button>
+          <div className="flex items-center justify-between mb-2 flex-wrap gap-3">
+            <h2 className="text-3xl font-bold text-gray-800">{editingSet.name}</h2>
+            <button
+              onClick={() => setCurrentPage('question-history')}
+              className="text-purple-600 hover:text-purple-800 flex items-center space-x-1"
+            >
+              <History size={18} />
+              <span>Version history</span>
+            </button>
+          </div>
+          <p className="text-gray-600 mb-6">Changes are saved one question at a time and students see them on their next attempt. Every save is kept in the version history.</p>
+          <QuestionEditor
+            testType={editingSet.testType}
+            testId={editingSet.testId}
+            onChange={() => { questionsChanged.current = true; }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+
+  const QuestionHistoryPage = () => (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-indigo-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-white rounded-2xl shadow-xl p-6 md:p-8">
+          <div className="flex items-center space-x-6 mb-4">
+            <button
+              onClick={() => setCurrentPage('questions')}
+              className="text-purple-600 hover:text-purple-800 flex items-center space-x-1"
+            >
+              <ArrowLeft size={18} />
+              <span>Back to questions</span>
+            </button>
+            <button
+              onClick={() => setCurrentPage('question-editor')}
+              className="text-purple-600 hover:text-purple-800 flex items-center space-x-1"
+            >
+              <Edit size={18} />
+              <span>Open editor</span>
+            </button>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">{editingSet.name}: Version History</h2>
+          <p className="text-gray-600 mb-6">Every upload, edit and rollback is kept. Results record the version each student took.</p>
+          <QuestionHistory
+            testType={editingSet.testType}
+            testId={editingSet.testId}
+            onChange={() => { questionsChanged.current = true; }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+
   const StudentsPage = () => (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 to-indigo-100">
       <Header />
       <div className="container mx-auto px-4 py-8">
         <div className="bg-white rounded-2xl shadow-xl p-6 md:p-8">
-          <h2 className="text-3xl font-bold text-gray-800 mb-6">Registered Students</h2>
-          {users.length === 0 ? (
-            <div className="text-center py-12">
-              <Users size={64} className="text-gray-300 mx-auto mb-4" />
-              <p className="text-gray-600 text-lg">No students registered yet.</p>
-            </div>
-          ) : (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {users
-                .filter((u) => u.role === 'student')
-                .map((student, index) => {
-                  const studentResults = allResults.filter((r) => r.userId === student.id);
-                  const avgScore =
-                    studentResults.length > 0
-                      ? Math.round(
-                          studentResults.reduce((acc, r) => acc + r.score, 0) / studentResults.length
-                        )
-                      : 0;
+          <h2 className="text-3xl font-bold text-gray-800 mb-6">Users</h2>
+          <UserManagement results={allResults} currentUser={user} />
+        </div>
+      </div>
+    </div>
+  );
 
-                  return (
-                    <div
-                      key={index}
-                      className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-xl p-6 border-2 border-blue-200 hover:shadow-lg transition"
-                    >
-                      <div className="flex items-center space-x-3 mb-4">
-                        <div className="w-12 h-12 bg-blue-600 rounded-full flex items-center justify-center">
-                          <User className="text-white" size={24} />
-                        </div>
-                        <div>
-                          <h3 className="font-semibold text-gray-800">{student.name}</h3>
-                          <p className="text-xs text-gray-600">{student.email}</p>
-                        </div>
-                      </div>
-                      <div className="space-y-2">
-                        <div className="flex justify-between text-sm">
-                          <span className="text-gray-600">Tests Taken:</span>
-                          <span className="font-semibold text-gray-800">{studentResults.length}</span>
-                        </div>
-                        <div className="flex justify-between text-sm">
-                          <span className="text-gray-600">Avg Score:</span>
-                          <span className={`font-semibold ${avgScore >= 70 ? 'text-green-600' : 'text-orange-600'}`}>
-                            {avgScore}%
-                          </span>
-                        </div>
-                        <div className="flex justify-between text-sm">
-                          <span className="text-gray-600">Joined:</span>
-                          <span className="text-xs text-gray-500">{new Date(student.createdAt).toLocaleDateString()}</span>
-                        </div>
-                      </div>
-                    </div>
-                  );
-                })}
+  const AuditPage = () => (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-indigo-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-white rounded-2xl shadow-xl p-6 md:p-8">
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">Audit Log</h2>
+          <p className="text-gray-600 mb-6">Every admin and security-relevant action, with who did it, when and from where.</p>
+          <AuditLog />
+        </div>
+      </div>
+    </div>
+  );
+
+  const BackupsPage = () => (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-indigo-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-white rounded-2xl shadow-xl p-6 md:p-8 max-w-4xl mx-auto">
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">Backups</h2>
+          <p className="text-gray-600 mb-6">Download or restore everything in one archive, and keep automatic snapshots on the server.</p>
+          <BackupRestore />
+        </div>
+      </div>
+    </div>
+  );
+
+  const SettingsPage = () => (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-indigo-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-white rounded-2xl shadow-xl p-6 md:p-8 max-w-3xl mx-auto">
+          <h2 className="text-3xl font-bold text-gray-800 mb-6">Settings</h2>
+          <AdminSettings />
+        </div>
+      </div>
+    </div>
+  );
+
+  const ProfilePage = () => (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-indigo-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-white rounded-2xl shadow-xl p-6 md:p-8 max-w-2xl mx-auto">
+          <div className="text-center mb-8">
+            <div className="w-24 h-24 bg-gradient-to-r from-purple-600 to-indigo-600 rounded-full mx-auto mb-4 flex items-center justify-center">
+              <User size={48} className="text-white" />
             </div>
-          )}
+            <h2 className="text-3xl font-bold text-gray-800">{user.name}</h2>
+            <p className="text-gray-600">{user.email}</p>
+            <span className="inline-block mt-2 bg-purple-100 text-purple-700 px-4 py-1 rounded-full text-sm font-semibold">
+              Administrator
+            </span>
+          </div>
+
+          <div className="border-t pt-6">
+            <h3 className="text-lg font-bold text-gray-800">Change Password</h3>
+            <ChangePasswordForm accent="purple" />
+          </div>
+
+          <div className="border-t pt-6 mt-6">
+            <h3 className="text-lg font-bold text-gray-800">Two-Factor Authentication</h3>
+            <TwoFactorSettings />
+          </div>
         </div>
       </div>
     </div>
@@ -785,7 +1218,14 @@ Difficulty: easy`}
       {currentPage === 'dashboard' && <DashboardPage />}
       {currentPage === 'questions' && <QuestionsPage />}
       {currentPage === 'results' && <ResultsPage />}
+      {currentPage === 'trash' && <TrashPage />}
+      {currentPage === 'question-editor' && editingSet && <QuestionEditorPage />}
+      {currentPage === 'question-history' && editingSet && <QuestionHistoryPage />}
       {currentPage === 'students' && <StudentsPage />}
+      {currentPage === 'audit' && <AuditPage />}
+      {currentPage === 'backups' && <BackupsPage />}
+      {currentPage === 'settings' && <SettingsPage />}
+      {currentPage === 'profile' && <ProfilePage />}
     </div>
   );
 };
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, AlertCircle } from 'lucide-react';
+import { authFetch } from '../utils/api';
+
+// App-wide settings, kept out of AdminDashboard so edits survive its re-renders
+const AdminSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [exportDestinations, setExportDestinations] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [retentionDays, setRetentionDays] = useState('');
+  const [trashDays, setTrashDays] = useState('');
+
+  useEffect(() => {
+    authFetch('/api/admin/settings')
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          setSettings(data.settings);
+          setExportDestinations(data.exportDestinations);
+          setRetentionDays(String(data.settings.exportRetentionDays));
+          setTrashDays(String(data.settings.trashRetentionDays));
+        }
+      })
+      .catch(error => console.error('Error loading settings:', error));
+  }, []);
+
+  const saveSettings = async (changes) => {
+    setSaving(true);
+    try {
+      const response = await authFetch('/api/admin/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSettings(data.settings);
+        setExportDestinations(data.exportDestinations);
+        setStatus({ type: 'success', message: data.message });
+      } else {
+        setStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Failed to save settings' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnforce2FA = (enabled) => {
+    if (enabled && !window.confirm('Require two-factor authentication for every admin? Admins without it are signed out and must set it up at their next sign-in.')) {
+      return;
+    }
+    saveSettings({ enforceAdmin2FA: enabled });
+  };
+
+  if (!settings) {
+    return <div className="spinner mx-auto"></div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {status && (
+        <div className={`p-4 rounded-lg flex items-center space-x-2 ${
+          status.type === 'success' ? 'bg-green-50 text-green-700 border border-green-200' : 'bg-red-50 text-red-700 border border-red-200'
+        }`}>
+          {status.type === 'success' ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+          <span>{status.message}</span>
+        </div>
+      )}
+
+      <div className="border-2 border-gray-200 rounded-xl p-4">
+        <h3 className="text-lg font-bold text-gray-800 mb-1">Security</h3>
+        <label className="flex items-start space-x-3 mt-3">
+          <input
+            type="checkbox"
+            checked={settings.enforceAdmin2FA}
+            onChange={(e) => handleEnforce2FA(e.target.checked)}
+            disabled={saving}
+            className="mt-1"
+          />
+          <span>
+            <span className="font-medium text-gray-800">Require two-factor authentication for admins</span>
+            <span className="block text-sm text-gray-600">
+              Admin accounts must use an authenticator app to sign in. Turn it on for your own account first from your Profile.
+            </span>
+          </span>
+        </label>
+      </div>
+
+      <div className="border-2 border-gray-200 rounded-xl p-4">
+        <h3 className="text-lg font-bold text-gray-800 mb-1">Result Exports</h3>
+        <p className="text-sm text-gray-600 mb-3">Where "Upload to Cloud" saves CSV exports and where View Cloud Files looks.</p>
+        <div className="space-y-2">
+          {exportDestinations.map(destination => (
+            <label key={destination.name} className={`flex items-start space-x-3 ${destination.configured ? '' : 'opacity-60'}`}>
+              <input
+                type="radio"
+                name="export-destination"
+                checked={settings.exportDestination === destination.name}
+                onChange={() => saveSettings({ exportDestination: destination.name })}
+                disabled={saving || !destination.configured}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-medium text-gray-800">{destination.label}</span>
+                <span className="block text-sm text-gray-600">{destination.detail}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            saveSettings({ exportRetentionDays: Number(retentionDays) });
+          }}
+          className="flex items-end gap-3 flex-wrap mt-4"
+        >
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">Delete exports after (days, 0 = never)</span>
+            <input
+              type="number"
+              min="0"
+              max="3650"
+              value={retentionDays}
+              onChange={(e) => setRetentionDays(e.target.value)}
+              className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-white border-2 border-purple-600 text-purple-600 hover:bg-purple-50 px-4 py-2 rounded-lg transition disabled:opacity-50"
+          >
+            Save
+          </button>
+        </form>
+      </div>
+
+      <div className="border-2 border-gray-200 rounded-xl p-4">
+        <h3 className="text-lg font-bold text-gray-800 mb-1">Deleted Results</h3>
+        <p className="text-sm text-gray-600 mb-3">Deleted results wait in the Trash (on the results page) before they are removed for good.</p>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            saveSettings({ trashRetentionDays: Number(trashDays) });
+          }}
+          className="flex items-end gap-3 flex-wrap"
+        >
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">Purge trash after (days, 0 = never)</span>
+            <input
+              type="number"
+              min="0"
+              max="3650"
+              value={trashDays}
+              onChange={(e) => setTrashDays(e.target.value)}
+              className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-white border-2 border-purple-600 text-purple-600 hover:bg-purple-50 px-4 py-2 rounded-lg transition disabled:opacity-50"
+          >
+            Save
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AdminSettings;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, MinusCircle, Lightbulb, BookOpen } from 'lucide-react';
+import { optionLetter, isWebLink } from '../utils/questionValidator';
+import { correctOptions, isAnswered, scoreQuestion } from '../utils/scoring';
+import RichText from './RichText';
+
+const STATUS_STYLES = {
+  correct: { label: 'Correct', icon: CheckCircle, className: 'bg-green-100 text-green-700' },
+  partial: { label: 'Partly correct', icon: MinusCircle, className: 'bg-amber-100 text-amber-700' },
+  incorrect: { label: 'Incorrect', icon: XCircle, className: 'bg-red-100 text-red-700' },
+  unanswered: { label: 'Not answered', icon: MinusCircle, className: 'bg-gray-100 text-gray-600' }
+};
+
+const answerStatus = (question, answer) => {
+  if (!isAnswered(answer)) return 'unanswered';
+  const points = scoreQuestion(question, answer);
+  return points === 1 ? 'correct' : points > 0 ? 'partial' : 'incorrect';
+};
+
+// Every question from a finished test with the student's answer, the correct
+// one, and the question's explanation and reference
+const AnswerReview = ({ questions, answers }) => {
+  const [onlyMistakes, setOnlyMistakes] = useState(false);
+
+  const reviewed = questions.map((question, index) => ({
+    question,
+    number: index + 1,
+    picked: [].concat(answers[question.id] ?? []),
+    status: answerStatus(question, answers[question.id])
+  }));
+  const visible = onlyMistakes ? reviewed.filter(item => item.status !== 'correct') : reviewed;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-4 md:p-8 max-w-4xl mx-auto mt-6">
+      <div className="flex items-center justify-between mb-6 flex-wrap gap-3">
+        <h3 className="text-2xl font-bold text-gray-800">Review Answers</h3>
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+          <input type="checkbox" checked={onlyMistakes} onChange={(e) => setOnlyMistakes(e.target.checked)} />
+          <span>Only show questions I got wrong</span>
+        </label>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-center text-gray-600 py-8">Every question was answered correctly. 🎉</p>
+      ) : (
+        <div className="space-y-6">
+          {visible.map(({ question, number, picked, status }) => {
+            const correct = correctOptions(question);
+            const badge = STATUS_STYLES[status];
+            const BadgeIcon = badge.icon;
+
+            return (
+              <div key={question.id} className="border-2 border-gray-100 rounded-xl p-4 md:p-6">
+                <div className="flex items-center justify-between mb-3 gap-3">
+                  <span className="text-sm font-semibold text-gray-500">Question {number}</span>
+                  <span className={`text-xs px-2 py-1 rounded-full flex items-center space-x-1 ${badge.className}`}>
+                    <BadgeIcon size={14} />
+                    <span>{badge.label}</span>
+                  </span>
+                </div>
+                <div className="text-lg font-semibold text-gray-800 mb-4"><RichText text={question.question} /></div>
+
+                <div className="space-y-2 mb-4">
+                  {question.options.map((option, index) => {
+                    const isCorrect = correct.includes(index);
+                    const isPicked = picked.includes(index);
+                    return (
+                      <div
+                        key={index}
+                        className={`p-3 rounded-lg border-2 flex items-center justify-between gap-3 ${
+                          isCorrect ? 'border-green-500 bg-green-50' : isPicked ? 'border-red-400 bg-red-50' : 'border-gray-200'
+                        }`}
+                      >
+                        <div className="text-sm md:text-base text-gray-800 min-w-0 flex">
+                          <span className="font-semibold mr-2">{optionLetter(index)})</span>
+                          <div className="min-w-0"><RichText text={option} /></div>
+                        </div>
+                        <span className="flex items-center space-x-2 text-xs font-semibold flex-shrink-0">
+                          {isPicked && <span className="text-gray-600">Your answer</span>}
+                          {isCorrect && <CheckCircle size={18} className="text-green-600" />}
+                          {isPicked && !isCorrect && <XCircle size={18} className="text-red-500" />}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                {question.explanation && (
+                  <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-3">
+                    <p className="text-sm font-semibold text-blue-800 mb-1 flex items-center space-x-1">
+                      <Lightbulb size={16} />
+                      <span>Explanation</span>
+                    </p>
+                    <div className="text-sm text-gray-700"><RichText text={question.explanation} /></div>
+                  </div>
+                )}
+
+                {question.reference && (
+                  <p className="text-sm text-gray-600 flex items-start space-x-1">
+                    <BookOpen size={16} className="flex-shrink-0 mt-0.5" />
+                    <span>
+                      Reference:{' '}
+                      {isWebLink(question.reference) ? (
+                        <a href={question.reference.trim()} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline break-all">
+                          {question.reference.trim()}
+                        </a>
+                      ) : question.reference}
+                    </span>
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnswerReview;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { Search, RefreshCw, Shield } from 'lucide-react';
+import { authFetch } from '../utils/api';
+
+const emptyFilters = { action: '', actor: '', search: '', from: '', to: '' };
+
+// Compact one-line rendering of an entry's details
+const formatDetails = (details = {}) => Object.entries(details)
+  .map(([key, value]) => {
+    if (value && typeof value === 'object' && 'from' in value) {
+      return `${key}: ${value.from ?? '—'} → ${value.to ?? '—'}`;
+    }
+    return `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`;
+  })
+  .join(' · ');
+
+// Kept out of AdminDashboard so its filters survive dashboard re-renders
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [actions, setActions] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadEntries = async (activeFilters = filters) => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams();
+      Object.entries(activeFilters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const response = await authFetch(`/api/admin/audit-log?${params.toString()}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setEntries(data.entries);
+        setTotal(data.total);
+        setActions(data.actions);
+      } else {
+        setError(data.error || 'Failed to load the audit log');
+      }
+    } catch (err) {
+      setError('Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries(emptyFilters);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    loadEntries();
+  };
+
+  const handleClear = () => {
+    setFilters(emptyFilters);
+    loadEntries(emptyFilters);
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 text-sm';
+
+  return (
+    <div>
+      <form onSubmit={handleSubmit} className="mb-6 grid grid-cols-1 md:grid-cols-6 gap-3">
+        <select
+          value={filters.action}
+          onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">All actions</option>
+          {actions.map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.actor}
+          onChange={(e) => setFilters({ ...filters, actor: e.target.value })}
+          placeholder="Done by (email)"
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+          placeholder="Target, student, test, IP..."
+          className={inputClass}
+        />
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+          className={inputClass}
+          title="From"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+          className={inputClass}
+          title="To"
+        />
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={loading}
+            className="flex-1 bg-purple-600 hover:bg-purple-700 text-white px-3 py-2 rounded-lg transition flex items-center justify-center space-x-1 disabled:opacity-50"
+          >
+            <Search size={16} />
+            <span>Filter</span>
+          </button>
+          <button
+            type="button"
+            onClick={handleClear}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg transition"
+            title="Clear filters and reload"
+          >
+            <RefreshCw size={16} />
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="mb-6 p-4 rounded-lg bg-red-50 text-red-700 border border-red-200">{error}</div>
+      )}
+
+      {entries.length === 0 ? (
+        <div className="text-center py-12">
+          <Shield size={64} className="text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600 text-lg">{loading ? 'Loading...' : 'No audit entries match.'}</p>
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-3">
+            Showing {entries.length} of {total} matching entries, newest first
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="bg-gray-100 border-b">
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">When</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Action</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Done by</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Target</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Details</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">IP</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id} className="border-b hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 text-xs text-gray-600 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className="bg-purple-100 text-purple-700 px-2 py-1 rounded-full text-xs font-semibold">{entry.action}</span>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-800">{entry.actor ? entry.actor.email : '—'}</td>
+                    <td className="px-4 py-3 text-sm text-gray-800">{entry.target || '—'}</td>
+                    <td className="px-4 py-3 text-xs text-gray-600">{formatDetails(entry.details)}</td>
+                    <td className="px-4 py-3 text-xs text-gray-500">{entry.ip || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import { Download, Upload, Archive, RotateCcw, Trash2, CheckCircle, AlertCircle } from 'lucide-react';
+import { authFetch, downloadFile } from '../utils/api';
+
+const INTERVAL_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 6, label: 'Every 6 hours' },
+  { value: 12, label: 'Every 12 hours' },
+  { value: 24, label: 'Daily' },
+  { value: 168, label: 'Weekly' }
+];
+
+const formatBytes = (bytes) => (bytes < 1024 * 1024
+  ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+  : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+// "3 users added, 1 skipped · 40 results added ..." from a restore summary
+const formatSummary = (summary) => Object.entries({ users: 'users', results: 'results', questionSets: 'question sets', versions: 'versions', images: 'images' })
+  .map(([key, label]) => `${summary[key].added} ${label} added, ${summary[key].skipped} skipped`)
+  .concat(summary.settings.restored ? ['settings restored'] : [])
+  .join(' · ');
+
+// Download/restore archives and manage snapshots; kept out of AdminDashboard
+// so the chosen file and mode survive its re-renders
+const BackupRestore = () => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadSnapshots = async () => {
+    try {
+      const response = await authFetch('/api/admin/backups');
+      const data = await response.json();
+      if (data.success) {
+        setSnapshots(data.snapshots);
+      }
+    } catch (error) {
+      console.error('Error loading snapshots:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadSnapshots();
+    authFetch('/api/admin/settings')
+      .then(response => response.json())
+      .then(data => data.success && setSchedule({
+        backupIntervalHours: data.settings.backupIntervalHours,
+        backupRetention: data.settings.backupRetention
+      }))
+      .catch(error => console.error('Error loading settings:', error));
+  }, []);
+
+  const confirmRestore = (source) => {
+    const warning = mode === 'replace'
+      ? `Replace ALL users, results and question sets with the contents of ${source}? Anything not in the backup is deleted (a snapshot of the current data is saved first).`
+      : `Merge ${source} into the current data? Only records that don't exist yet are added.`;
+    return window.confirm(warning);
+  };
+
+  // Both restore routes answer with the same summary
+  const runRestore = async (url, options, source) => {
+    setBusy(true);
+    try {
+      const response = await authFetch(url, options);
+      const data = await response.json();
+
+      if (data.success) {
+        setStatus({ type: 'success', message: `Restored ${source}: ${formatSummary(data.summary)}. Previous data saved as ${data.safetySnapshot}.` });
+        loadSnapshots();
+      } else {
+        setStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Restore failed. Please try again.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUploadRestore = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !confirmRestore(file.name)) return;
+
+    const formData = new FormData();
+    formData.append('mode', mode);
+    formData.append('backup', file);
+    runRestore('/api/admin/restore', { method: 'POST', body: formData }, file.name);
+  };
+
+  const handleSnapshotRestore = (name) => {
+    if (!confirmRestore(name)) return;
+    runRestore(`/api/admin/backups/${encodeURIComponent(name)}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mode })
+    }, name);
+  };
+
+  const handleDownload = async (url, fallbackName) => {
+    try {
+      await downloadFile(url, fallbackName);
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const handleSnapshotNow = async () => {
+    setBusy(true);
+    try {
+      const response = await authFetch('/api/admin/backups', { method: 'POST' });
+      const data = await response.json();
+
+      if (data.success) {
+        setSnapshots(data.snapshots);
+        setStatus({ type: 'success', message: data.message });
+      } else {
+        setStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Failed to take a snapshot' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (name) => {
+    if (!window.confirm(`Delete snapshot ${name}? This cannot be undone.`)) return;
+
+    try {
+      const response = await authFetch(`/api/admin/backups/${encodeURIComponent(name)}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (data.success) {
+        setSnapshots(data.snapshots);
+      } else {
+        setStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Failed to delete snapshot' });
+    }
+  };
+
+  const handleSaveSchedule = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await authFetch('/api/admin/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(schedule)
+      });
+      const data = await response.json();
+
+      setStatus(data.success
+        ? { type: 'success', message: 'Snapshot schedule saved' }
+        : { type: 'error', message: data.error });
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Failed to save the schedule' });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {status && (
+        <div className={`p-4 rounded-lg flex items-center space-x-2 ${
+          status.type === 'success' ? 'bg-green-50 text-green-700 border border-green-200' : 'bg-red-50 text-red-700 border border-red-200'
+        }`}>
+          {status.type === 'success' ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+          <span>{status.message}</span>
+        </div>
+      )}
+
+      <div className="border-2 border-gray-200 rounded-xl p-4">
+        <h3 className="text-lg font-bold text-gray-800 mb-1">Backup</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          One .zip with every user, result and question set, plus a manifest with checksums.
+        </p>
+        <button
+          onClick={() => handleDownload('/api/admin/backup', 'cbda-backup.zip')}
+          className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition flex items-center space-x-2"
+        >
+          <Download size={20} />
+          <span>Download Backup</span>
+        </button>
+      </div>
+
+      <div className="border-2 border-gray-200 rounded-xl p-4">
+        <h3 className="text-lg font-bold text-gray-800 mb-1">Restore</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          The archive is checked before anything changes, and the current data is saved as a snapshot first.
+          The mode also applies to restoring a snapshot below.
+        </p>
+        <div className="space-y-2 mb-4">
+          <label className="flex items-start space-x-3">
+            <input type="radio" name="restore-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} className="mt-1" />
+            <span>
+              <span className="font-medium text-gray-800">Merge</span>
+              <span className="block text-sm text-gray-600">Add users, results and question sets that don't exist yet; keep everything already here.</span>
+            </span>
+          </label>
+          <label className="flex items-start space-x-3">
+            <input type="radio" name="restore-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} className="mt-1" />
+            <span>
+              <span className="font-medium text-gray-800">Replace</span>
+              <span className="block text-sm text-gray-600">Delete the current data and load the backup exactly. Sessions of accounts not in the backup end.</span>
+            </span>
+          </label>
+        </div>
+        <label className={`inline-flex bg-white border-2 border-purple-600 text-purple-600 hover:bg-purple-50 px-4 py-2 rounded-lg transition items-center space-x-2 cursor-pointer ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+          <Upload size={20} />
+          <span>Restore from File</span>
+          <input type="file" accept=".zip,application/zip" onChange={handleUploadRestore} className="hidden" />
+        </label>
+      </div>
+
+      <div className="border-2 border-gray-200 rounded-xl p-4">
+        <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+          <h3 className="text-lg font-bold text-gray-800">Snapshots</h3>
+          <button
+            onClick={handleSnapshotNow}
+            disabled={busy}
+            className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Archive size={20} />
+            <span>Take Snapshot Now</span>
+          </button>
+        </div>
+
+        {schedule && (
+          <form onSubmit={handleSaveSchedule} className="flex items-end gap-3 flex-wrap mb-4">
+            <label className="text-sm text-gray-700">
+              <span className="block mb-1">Scheduled snapshots</span>
+              <select
+                value={schedule.backupIntervalHours}
+                onChange={(e) => setSchedule({ ...schedule, backupIntervalHours: Number(e.target.value) })}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+              >
+                {INTERVAL_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              <span className="block mb-1">Keep newest</span>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={schedule.backupRetention}
+                onChange={(e) => setSchedule({ ...schedule, backupRetention: Number(e.target.value) })}
+                className="w-24 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+              />
+            </label>
+            <button type="submit" className="bg-white border-2 border-purple-600 text-purple-600 hover:bg-purple-50 px-4 py-2 rounded-lg transition">
+              Save Schedule
+            </button>
+          </form>
+        )}
+
+        {snapshots.length === 0 ? (
+          <p className="text-gray-500 text-sm">No snapshots yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-100 border-b">
+                  <th className="px-3 py-2 text-left font-semibold text-gray-700">Snapshot</th>
+                  <th className="px-3 py-2 text-left font-semibold text-gray-700">Taken</th>
+                  <th className="px-3 py-2 text-left font-semibold text-gray-700">Size</th>
+                  <th className="px-3 py-2 text-right font-semibold text-gray-700">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {snapshots.map(snapshot => (
+                  <tr key={snapshot.name} className="border-b">
+                    <td className="px-3 py-2 text-gray-800 font-mono text-xs">{snapshot.name}</td>
+                    <td className="px-3 py-2 text-gray-600">{new Date(snapshot.createdAt).toLocaleString()}</td>
+                    <td className="px-3 py-2 text-gray-600">{formatBytes(snapshot.bytes)}</td>
+                    <td className="px-3 py-2">
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          onClick={() => handleDownload(`/api/admin/backups/${encodeURIComponent(snapshot.name)}`, snapshot.name)}
+                          className="text-purple-600 hover:text-purple-800"
+                          title="Download"
+                        >
+                          <Download size={18} />
+                        </button>
+                        <button
+                          onClick={() => handleSnapshotRestore(snapshot.name)}
+                          disabled={busy}
+                          className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                          title={`Restore (${mode})`}
+                        >
+                          <RotateCcw size={18} />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(snapshot.name)}
+                          className="text-red-600 hover:text-red-800"
+                          title="Delete"
+                        >
+                          <Trash2 size={18} />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BackupRestore;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { Lock } from 'lucide-react';
+import { authFetch, saveSession } from '../utils/api';
+
+const describePolicy = (policy) => {
+  const parts = [`at least ${policy.minLength} characters`];
+  if (policy.requireUppercase) parts.push('an uppercase letter');
+  if (policy.requireLowercase) parts.push('a lowercase letter');
+  if (policy.requireNumber) parts.push('a number');
+  if (policy.requireSymbol) parts.push('a symbol');
+  return `Use ${parts.join(', ')}.`;
+};
+
+// Full class names so Tailwind keeps them in the build
+const ACCENTS = {
+  blue: {
+    panel: 'bg-blue-50',
+    input: 'focus:ring-blue-500',
+    button: 'bg-blue-600 hover:bg-blue-700'
+  },
+  purple: {
+    panel: 'bg-purple-50',
+    input: 'focus:ring-purple-500',
+    button: 'bg-purple-600 hover:bg-purple-700'
+  }
+};
+
+const ChangePasswordForm = ({ accent = 'blue' }) => {
+  const [policy, setPolicy] = useState(null);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetch('/api/auth/password-policy')
+      .then(response => response.json())
+      .then(data => data.success && setPolicy(data.policy))
+      .catch(error => console.error('Error loading password policy:', error));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (newPassword !== confirmPassword) {
+      setMessage({ type: 'error', text: 'New passwords do not match' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await authFetch('/api/auth/change-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword, newPassword })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        // Old tokens were revoked along with every other session
+        saveSession(data.session);
+        setCurrentPassword('');
+        setNewPassword('');
+        setConfirmPassword('');
+        setMessage({ type: 'success', text: `${data.message}. Other devices have been signed out.` });
+      } else {
+        setMessage({ type: 'error', text: data.error || 'Failed to change password' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Connection error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const colors = ACCENTS[accent] || ACCENTS.blue;
+  const inputClass = `w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 ${colors.input}`;
+
+  return (
+    <form onSubmit={handleSubmit} className={`mt-4 ${colors.panel} rounded-xl p-4 space-y-3`}>
+      {message && (
+        <div className={`p-3 rounded-lg text-sm ${
+          message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+        }`}>
+          {message.text}
+        </div>
+      )}
+      <input
+        type="password"
+        value={currentPassword}
+        onChange={(e) => setCurrentPassword(e.target.value)}
+        placeholder="Current password"
+        className={inputClass}
+        required
+      />
+      <input
+        type="password"
+        value={newPassword}
+        onChange={(e) => setNewPassword(e.target.value)}
+        placeholder="New password"
+        className={inputClass}
+        required
+      />
+      <input
+        type="password"
+        value={confirmPassword}
+        onChange={(e) => setConfirmPassword(e.target.value)}
+        placeholder="Confirm new password"
+        className={inputClass}
+        required
+      />
+      {policy && <p className="text-xs text-gray-600">{describePolicy(policy)}</p>}
+      <button
+        type="submit"
+        disabled={saving}
+        className={`w-full ${colors.button} text-white px-4 py-2 rounded-lg transition flex items-center justify-center space-x-2 disabled:opacity-50`}
+      >
+        <Lock size={18} />
+        <span>Change Password</span>
+      </button>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
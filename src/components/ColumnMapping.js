@@ -0,0 +1,50 @@
+import React from 'react';
+import { Columns } from 'lucide-react';
+
+// Which spreadsheet column fills which question field. `fields` and `headers`
+// come from the server's dry run; `mapping` is { field: column index }.
+const ColumnMapping = ({ fields, headers, mapping, disabled, onChange }) => {
+  const setColumn = (key, value) => {
+    const next = { ...mapping };
+    if (value === '') {
+      delete next[key];
+    } else {
+      next[key] = Number(value);
+    }
+    onChange(next);
+  };
+
+  return (
+    <div className="mb-4 bg-white rounded-lg p-4">
+      <p className="text-sm font-semibold text-gray-700 mb-1 flex items-center space-x-2">
+        <Columns size={16} />
+        <span>Columns</span>
+      </p>
+      <p className="text-xs text-gray-500 mb-3">
+        Matched from the header row. Change a column and the rows are checked again; fields marked * are required.
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        {fields.map(field => (
+          <label key={field.key} className="text-sm text-gray-700">
+            <span className="block mb-1">{field.label}{field.required && ' *'}</span>
+            <select
+              value={mapping[field.key] === undefined ? '' : String(mapping[field.key])}
+              onChange={(e) => setColumn(field.key, e.target.value)}
+              disabled={disabled}
+              className={`w-full px-2 py-1 border rounded-lg bg-white focus:ring-2 focus:ring-purple-500 ${
+                field.required && mapping[field.key] === undefined ? 'border-red-400' : 'border-gray-300'
+              }`}
+            >
+              <option value="">Not in the sheet</option>
+              {headers.map((header, column) => (
+                <option key={column} value={String(column)}>{header || `Column ${column + 1}`}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapping;
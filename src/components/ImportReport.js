@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { CheckCircle, AlertTriangle, XCircle, Upload, X, Info } from 'lucide-react';
+
+const STATUS_STYLES = {
+  imported: { label: 'Ready', icon: CheckCircle, className: 'bg-green-100 text-green-700' },
+  suspicious: { label: 'Check', icon: AlertTriangle, className: 'bg-amber-100 text-amber-700' },
+  skipped: { label: 'Skipped', icon: XCircle, className: 'bg-red-100 text-red-700' }
+};
+
+// What an importer found in a document (see backend/importers/), shown before
+// the questions are saved. `onConfirm` imports them, `onCancel` discards.
+// `children` (e.g. the spreadsheet column mapping) go above the findings.
+const ImportReport = ({ fileName, setName, report, busy, onConfirm, onCancel, children }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  const visible = showAll ? report.items : report.items.filter(item => item.status !== 'imported');
+
+  return (
+    <div className="mb-6 rounded-xl border-2 border-purple-200 bg-purple-50 p-4 md:p-6">
+      <div className="flex items-start justify-between gap-3 flex-wrap mb-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-800">Import {fileName} into {setName}</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {report.total} question(s) found: {report.imported} can be imported
+            {report.suspicious > 0 && ` (${report.suspicious} worth checking)`}, {report.skipped} will be skipped.
+            {(report.images.stored > 0 || report.images.unsupported > 0) && (
+              ` ${report.images.stored} image(s)${report.images.unsupported > 0 ? `, ${report.images.unsupported} in an unsupported format` : ''}.`
+            )}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onConfirm}
+            disabled={busy || report.imported === 0}
+            className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Upload size={18} />
+            <span>{busy ? 'Importing...' : `Import ${report.imported} question(s)`}</span>
+          </button>
+          <button
+            onClick={onCancel}
+            disabled={busy}
+            className="bg-white hover:bg-gray-100 text-gray-800 px-4 py-2 rounded-lg border border-gray-300 transition flex items-center space-x-2"
+          >
+            <X size={18} />
+            <span>Cancel</span>
+          </button>
+        </div>
+      </div>
+
+      {children}
+
+      {report.imported > 0 && (
+        <p className="text-sm text-gray-600 mb-4">Importing replaces the questions in this set. The current ones stay in its version history.</p>
+      )}
+
+      {report.notes.length > 0 && (
+        <ul className="mb-4 space-y-1">
+          {report.notes.map(note => (
+            <li key={note} className="text-sm text-blue-800 flex items-start space-x-2">
+              <Info size={16} className="flex-shrink-0 mt-0.5" />
+              <span>{note}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-semibold text-gray-700">
+          {showAll ? 'Every question' : 'Questions that need attention'}
+        </p>
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+          <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+          <span>Show all questions</span>
+        </label>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-sm text-gray-600 bg-white rounded-lg p-4">Every question was read without problems.</p>
+      ) : (
+        <div className="bg-white rounded-lg divide-y max-h-96 overflow-y-auto">
+          {visible.map((item, index) => {
+            const badge = STATUS_STYLES[item.status];
+            const BadgeIcon = badge.icon;
+            return (
+              <div key={`${item.number}-${index}`} className="p-3">
+                <div className="flex items-center gap-3">
+                  <span className={`text-xs px-2 py-1 rounded-full flex items-center space-x-1 flex-shrink-0 ${badge.className}`}>
+                    <BadgeIcon size={14} />
+                    <span>{badge.label}</span>
+                  </span>
+                  <span className="text-sm font-semibold text-gray-700 flex-shrink-0">{item.label}</span>
+                  <span className="text-sm text-gray-600 truncate">{item.excerpt}</span>
+                </div>
+                {item.messages.length > 0 && (
+                  <ul className="mt-2 ml-2 space-y-1">
+                    {item.messages.map(message => (
+                      <li key={message} className="text-sm text-gray-700">• {message}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportReport;
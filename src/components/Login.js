@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
-import { Mail, Lock, User, Eye, EyeOff, LogIn, UserPlus, Shield } from 'lucide-react';
-import emailService from '../utils/emailService';
+import { Mail, Lock, User, Eye, EyeOff, LogIn, UserPlus, Shield, KeyRound, Smartphone } from 'lucide-react';
+import TwoFactorSetup from './TwoFactorSetup';
 
 const Login = ({ onLogin }) => {
   const [isLogin, setIsLogin] = useState(true);
@@ -12,7 +12,16 @@ const Login = ({ onLogin }) => {
   const [loading, setLoading] = useState(false);
   const [verificationStep, setVerificationStep] = useState(false);
   const [verificationCode, setVerificationCode] = useState('');
-  const [pendingUser, setPendingUser] = useState(null);
+  const [pendingEmail, setPendingEmail] = useState('');
+  const [notice, setNotice] = useState('');
+  const [forgotStep, setForgotStep] = useState(false);
+  const [resetToken, setResetToken] = useState(
+    () => new URLSearchParams(window.location.search).get('resetToken')
+  );
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [setupToken, setSetupToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -20,41 +29,27 @@ const Login = ({ onLogin }) => {
     setLoading(true);
 
     try {
-      if (isLogin) {
-        // Login
-        const response = await fetch('/api/auth/login', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email, password })
-        });
-
-        const data = await response.json();
-
-        if (data.success) {
-          if (!data.user.verified) {
-            setError('Please verify your email first. Check your inbox for verification code.');
-            setVerificationStep(true);
-            setPendingUser(data.user);
-          } else {
-            localStorage.setItem('isVerified', 'true');
-            onLogin(data.user);
-          }
-        } else {
-          setError(data.error || 'Authentication failed');
-        }
+      const response = await fetch(isLogin ? '/api/auth/login' : '/api/auth/register', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(isLogin ? { email, password } : { name, email, password })
+      });
+
+      const data = await response.json();
+
+      if (data.requiresVerification) {
+        // The backend has emailed a verification code
+        setPendingEmail(data.email);
+        setVerificationStep(true);
+        setError(isLogin ? data.error : '');
+      } else if (data.requiresTwoFactor) {
+        setChallengeToken(data.challengeToken);
+      } else if (data.requiresTwoFactorSetup) {
+        setSetupToken(data.setupToken);
+      } else if (data.success) {
+        onLogin(data.user, data.session);
       } else {
-        // Register - send verification email
-        const code = emailService.generateVerificationCode();
-        const emailResult = await emailService.sendVerificationEmail(email, name, code);
-
-        if (emailResult.success) {
-          emailService.storeVerificationCode(email, code);
-          setPendingUser({ name, email, password });
-          setVerificationStep(true);
-          setError('');
-        } else {
-          setError('Failed to send verification email. Please try again.');
-        }
+        setError(data.error || 'Authentication failed');
       }
     } catch (error) {
       setError('Connection error. Please ensure the backend is running.');
@@ -69,38 +64,18 @@ const Login = ({ onLogin }) => {
     setError('');
 
     try {
-      const isValid = emailService.verifyCode(pendingUser.email, verificationCode);
+      const response = await fetch('/api/auth/verification/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: pendingEmail, code: verificationCode })
+      });
 
-      if (!isValid) {
-        setError('Invalid or expired verification code');
-        setLoading(false);
-        return;
-      }
+      const data = await response.json();
 
-      if (isLogin) {
-        onLogin({ ...pendingUser, verified: true });
-        localStorage.setItem('isVerified', 'true');
+      if (data.success) {
+        onLogin(data.user, data.session);
       } else {
-        // Complete registration
-        const response = await fetch('/api/auth/register', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            name: pendingUser.name,
-            email: pendingUser.email,
-            password: pendingUser.password,
-            verified: true
-          })
-        });
-
-        const data = await response.json();
-
-        if (data.success) {
-          onLogin(data.user);
-          localStorage.setItem('isVerified', 'true');
-        } else {
-          setError(data.error || 'Registration failed');
-        }
+        setError(data.error || 'Invalid or expired verification code');
       }
     } catch (error) {
       setError('Verification failed. Please try again.');
@@ -111,23 +86,377 @@ const Login = ({ onLogin }) => {
 
   const resendCode = async () => {
     setLoading(true);
-    const code = emailService.generateVerificationCode();
-    const emailResult = await emailService.sendVerificationEmail(
-      pendingUser.email,
-      pendingUser.name,
-      code
-    );
+    try {
+      const response = await fetch('/api/auth/verification/resend', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: pendingEmail })
+      });
 
-    if (emailResult.success) {
-      emailService.storeVerificationCode(pendingUser.email, code);
-      setError('');
-      alert('New verification code sent!');
-    } else {
+      const data = await response.json();
+
+      if (data.success) {
+        setError('');
+        alert('New verification code sent!');
+      } else {
+        setError(data.error || 'Failed to resend code');
+      }
+    } catch (error) {
       setError('Failed to resend code');
+    } finally {
+      setLoading(false);
     }
-    setLoading(false);
   };
 
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/auth/2fa/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeToken, code: twoFactorCode })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        if (data.backupCodesRemaining !== undefined && data.backupCodesRemaining <= 3) {
+          alert(`You have ${data.backupCodesRemaining} backup codes left. Generate new ones from your Profile.`);
+        }
+        onLogin(data.user, data.session);
+      } else {
+        setError(data.error || 'Invalid authentication code');
+      }
+    } catch (error) {
+      setError('Connection error. Please ensure the backend is running.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const backToLogin = () => {
+    setChallengeToken(null);
+    setSetupToken(null);
+    setTwoFactorCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/auth/forgot-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setForgotStep(false);
+        setNotice(data.message);
+      } else {
+        setError(data.error || 'Failed to send reset link');
+      }
+    } catch (error) {
+      setError('Connection error. Please ensure the backend is running.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: resetToken, password })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        // Drop the token from the address bar so it isn't reused or bookmarked
+        window.history.replaceState({}, document.title, window.location.pathname);
+        setResetToken(null);
+        setPassword('');
+        setConfirmPassword('');
+        setIsLogin(true);
+        setNotice(data.message);
+      } else {
+        setError(data.error || 'Password reset failed');
+      }
+    } catch (error) {
+      setError('Connection error. Please ensure the backend is running.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (resetToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-md">
+          <div className="text-center mb-8">
+            <div className="bg-blue-600 text-white p-4 rounded-full w-16 h-16 flex items-center justify-center mx-auto mb-4">
+              <KeyRound size={32} />
+            </div>
+            <h1 className="text-3xl font-bold text-gray-800">Choose a New Password</h1>
+            <p className="text-gray-600 mt-2">Enter and confirm your new password</p>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-2xl p-8">
+            <form onSubmit={handleResetPassword} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  New Password
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                    placeholder="••••••••"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Confirm Password
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                    placeholder="••••••••"
+                    required
+                  />
+                </div>
+              </div>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-3 rounded-lg transition flex items-center justify-center space-x-2 shadow-lg disabled:opacity-50"
+              >
+                {loading ? (
+                  <div className="spinner border-white"></div>
+                ) : (
+                  <>
+                    <KeyRound size={20} />
+                    <span>Reset Password</span>
+                  </>
+                )}
+              </button>
+
+              <div className="text-center">
+                <button
+                  type="button"
+                  onClick={() => {
+                    window.history.replaceState({}, document.title, window.location.pathname);
+                    setResetToken(null);
+                    setError('');
+                  }}
+                  className="text-sm text-gray-600 hover:text-gray-800 transition"
+                >
+                  Back to login
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (setupToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-md">
+          <div className="text-center mb-8">
+            <div className="bg-blue-600 text-white p-4 rounded-full w-16 h-16 flex items-center justify-center mx-auto mb-4">
+              <Shield size={32} />
+            </div>
+            <h1 className="text-3xl font-bold text-gray-800">Set Up Two-Factor Authentication</h1>
+            <p className="text-gray-600 mt-2">Admin accounts need an authenticator app to sign in</p>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-2xl p-8">
+            <TwoFactorSetup
+              setupToken={setupToken}
+              onComplete={(data) => onLogin(data.user, data.session)}
+              onCancel={backToLogin}
+            />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-md">
+          <div className="text-center mb-8">
+            <div className="bg-blue-600 text-white p-4 rounded-full w-16 h-16 flex items-center justify-center mx-auto mb-4">
+              <Smartphone size={32} />
+            </div>
+            <h1 className="text-3xl font-bold text-gray-800">Two-Factor Authentication</h1>
+            <p className="text-gray-600 mt-2">Enter the 6-digit code from your authenticator app, or one of your backup codes</p>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-2xl p-8">
+            <form onSubmit={handleTwoFactor} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Authentication Code
+                </label>
+                <input
+                  type="text"
+                  autoComplete="one-time-code"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition text-center text-2xl tracking-widest"
+                  placeholder="000000"
+                  maxLength="9"
+                  autoFocus
+                  required
+                />
+              </div>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading || !twoFactorCode.trim()}
+                className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-3 rounded-lg transition flex items-center justify-center space-x-2 shadow-lg disabled:opacity-50"
+              >
+                {loading ? (
+                  <div className="spinner border-white"></div>
+                ) : (
+                  <>
+                    <Shield size={20} />
+                    <span>Verify & Sign In</span>
+                  </>
+                )}
+              </button>
+
+              <div className="text-center">
+                <button type="button" onClick={backToLogin} className="text-sm text-gray-600 hover:text-gray-800 transition">
+                  Back to login
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (forgotStep) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-md">
+          <div className="text-center mb-8">
+            <div className="bg-blue-600 text-white p-4 rounded-full w-16 h-16 flex items-center justify-center mx-auto mb-4">
+              <KeyRound size={32} />
+            </div>
+            <h1 className="text-3xl font-bold text-gray-800">Forgot Password?</h1>
+            <p className="text-gray-600 mt-2">We'll email you a link to reset it</p>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-2xl p-8">
+            <form onSubmit={handleForgotPassword} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                    placeholder="you@example.com"
+                    required
+                  />
+                </div>
+              </div>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-3 rounded-lg transition flex items-center justify-center space-x-2 shadow-lg disabled:opacity-50"
+              >
+                {loading ? (
+                  <div className="spinner border-white"></div>
+                ) : (
+                  <>
+                    <Mail size={20} />
+                    <span>Send Reset Link</span>
+                  </>
+                )}
+              </button>
+
+              <div className="text-center">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setForgotStep(false);
+                    setError('');
+                  }}
+                  className="text-sm text-gray-600 hover:text-gray-800 transition"
+                >
+                  Back to login
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (verificationStep) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 flex items-center justify-center p-4">
@@ -139,7 +468,7 @@ const Login = ({ onLogin }) => {
             <h1 className="text-3xl font-bold text-gray-800">Check Your Email</h1>
             <p className="text-gray-600 mt-2">
               We sent a verification code to<br />
-              <strong>{pendingUser.email}</strong>
+              <strong>{pendingEmail}</strong>
             </p>
           </div>
 
@@ -198,7 +527,7 @@ const Login = ({ onLogin }) => {
                   onClick={() => {
                     setVerificationStep(false);
                     setVerificationCode('');
-                    setPendingUser(null);
+                    setPendingEmail('');
                   }}
                   className="text-sm text-gray-600 hover:text-gray-800 transition"
                 >
@@ -296,8 +625,29 @@ const Login = ({ onLogin }) => {
                   {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
                 </button>
               </div>
+              {isLogin && (
+                <div className="text-right mt-2">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setForgotStep(true);
+                      setError('');
+                      setNotice('');
+                    }}
+                    className="text-sm text-blue-600 hover:text-blue-700 transition"
+                  >
+                    Forgot password?
+                  </button>
+                </div>
+              )}
             </div>
 
+            {notice && (
+              <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+                {notice}
+              </div>
+            )}
+
             {error && (
               <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
                 {error}
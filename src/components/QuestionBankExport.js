@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { downloadFile } from '../utils/api';
+
+// Formats of GET /api/admin/questions/:testType/:testId/export/:format
+const EXPORT_FORMATS = [
+  { value: 'gift', label: 'GIFT (.txt)' },
+  { value: 'moodle', label: 'Moodle XML (.xml)' },
+  { value: 'qti', label: 'QTI 2.1 (.zip)' }
+];
+
+// Download a question set for Moodle or another LMS. Errors go to `onError`.
+const QuestionBankExport = ({ testType, testId, className, onError }) => {
+  const [busy, setBusy] = useState(false);
+
+  const handleChange = async (e) => {
+    const format = e.target.value;
+    e.target.value = '';
+    if (!format) return;
+
+    setBusy(true);
+    try {
+      await downloadFile(`/api/admin/questions/${testType}/${testId}/export/${format}`, `cbda-${testType}-${testId}-${format}`);
+    } catch (error) {
+      onError(error.message || 'Export failed. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <label className={`text-sm flex items-center space-x-1 ${className}`}>
+      <Download size={14} />
+      <select
+        defaultValue=""
+        onChange={handleChange}
+        disabled={busy}
+        className="bg-transparent cursor-pointer focus:outline-none disabled:opacity-50"
+        title="Download this set for Moodle or another LMS"
+      >
+        <option value="">{busy ? 'Exporting...' : 'Export'}</option>
+        {EXPORT_FORMATS.map(format => (
+          <option key={format.value} value={format.value}>{format.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default QuestionBankExport;
@@ -0,0 +1,556 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Edit, Trash2, ArrowUp, ArrowDown, Save, X, CheckCircle, AlertCircle, Check, Lightbulb, BookOpen, Image } from 'lucide-react';
+import { authFetch, uploadQuestionImage } from '../utils/api';
+import {
+  QUESTION_TYPES, SCORING_MODES, MIN_OPTIONS, MAX_OPTIONS, DIFFICULTIES, optionLetter, isWebLink, validateQuestion
+} from '../utils/questionValidator';
+import { correctOptions, isMultipleResponse } from '../utils/scoring';
+import RichText from './RichText';
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+const emptyQuestion = () => ({
+  type: 'single',
+  question: '',
+  options: Array(4).fill(''),
+  correctAnswer: null,
+  correctAnswers: [],
+  scoring: 'all-or-nothing',
+  domain: '',
+  difficulty: 'medium',
+  explanation: '',
+  reference: ''
+});
+
+// Keep the answer fields in step when the type changes
+const changeType = (draft, type) => {
+  const answers = correctOptions(draft).filter(index => Number.isInteger(index));
+  const changed = { ...draft, type, correctAnswer: answers.length > 0 ? answers[0] : null, correctAnswers: answers };
+
+  if (type === 'truefalse') {
+    return { ...changed, options: [...TRUE_FALSE_OPTIONS], correctAnswer: answers[0] < 2 ? answers[0] : null };
+  }
+  if (draft.type === 'truefalse') {
+    return { ...changed, options: [...draft.options, '', ''] };
+  }
+  return changed;
+};
+
+// Drop an option and shift the correct answers that pointed past it
+const removeOption = (draft, removed) => {
+  const shift = (index) => (index > removed ? index - 1 : index);
+  return {
+    ...draft,
+    options: draft.options.filter((o, i) => i !== removed),
+    correctAnswer: draft.correctAnswer === removed ? null : shift(draft.correctAnswer),
+    correctAnswers: draft.correctAnswers.filter(i => i !== removed).map(shift)
+  };
+};
+
+// Picks an image, uploads it and hands back its markup
+const ImageButton = ({ onInsert, onError, label }) => {
+  const [uploading, setUploading] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      onInsert(await uploadQuestionImage(file));
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <label
+      className={`text-sm text-purple-600 hover:text-purple-800 flex items-center space-x-1 cursor-pointer ${uploading ? 'opacity-50' : ''}`}
+      title="Insert image"
+    >
+      <Image size={14} />
+      {label && <span>{uploading ? 'Uploading...' : label}</span>}
+      <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={handleFile} disabled={uploading} className="hidden" />
+    </label>
+  );
+};
+
+// The question as students see it during a test, with the correct answers selected
+const QuestionPreview = ({ question }) => {
+  const multiple = isMultipleResponse(question);
+  const correct = correctOptions(question);
+
+  return (
+    <div className="bg-blue-50 rounded-xl p-4 md:p-6">
+      <h3 className="text-lg md:text-xl font-semibold text-gray-800 mb-4">
+        {question.question.trim() ? <RichText text={question.question} /> : <span className="text-gray-400">Question text</span>}
+      </h3>
+      {multiple && (
+        <p className="text-sm font-medium text-blue-700 mb-3">Select {question.correctAnswers.length}.</p>
+      )}
+      <div className="space-y-3">
+        {question.options.map((option, index) => (
+          <div
+            key={index}
+            className={`w-full text-left p-4 rounded-lg border-2 ${
+              correct.includes(index) ? 'border-blue-600 bg-blue-50' : 'border-gray-200 bg-white'
+            }`}
+          >
+            <div className="flex items-center space-x-3">
+              <div className={`w-6 h-6 ${multiple ? 'rounded-md' : 'rounded-full'} border-2 flex items-center justify-center flex-shrink-0 ${
+                correct.includes(index) ? 'border-blue-600 bg-blue-600' : 'border-gray-300'
+              }`}>
+                {correct.includes(index) && (multiple
+                  ? <Check size={16} className="text-white" />
+                  : <div className="w-3 h-3 bg-white rounded-full" />)}
+              </div>
+              <span className="text-gray-800 text-sm md:text-base min-w-0">
+                {option.trim() ? <RichText text={option} /> : <span className="text-gray-400">Option {optionLetter(index)}</span>}
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Edit one question set question by question. `onChange` is called after any
+// save so the dashboard can refresh its question counts.
+const QuestionEditor = ({ testType, testId, onChange }) => {
+  const [questions, setQuestions] = useState([]);
+  // The question being edited: { id, ...fields }, with id null for a new one
+  const [draft, setDraft] = useState(null);
+  const [serverErrors, setServerErrors] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const baseUrl = `/api/admin/questions/${testType}/${testId}`;
+
+  const loadQuestions = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch(baseUrl);
+      const data = await response.json();
+
+      if (data.success) {
+        setQuestions(data.questions);
+      } else {
+        setStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Failed to load questions' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQuestions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Send a change and take the updated set from the response
+  const runAction = async (url, method, body) => {
+    try {
+      const response = await authFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setQuestions(data.questions);
+        setStatus({ type: 'success', message: data.message });
+        onChange();
+      } else {
+        setStatus({ type: 'error', message: data.error });
+      }
+      return data;
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Action failed. Please try again.' });
+      return { success: false };
+    }
+  };
+
+  const startEditing = (question) => {
+    setServerErrors([]);
+    setStatus(null);
+    setDraft(question
+      ? { ...emptyQuestion(), ...question, options: [...question.options] }
+      : { id: null, ...emptyQuestion() });
+  };
+
+  const updateDraft = (changes) => {
+    setServerErrors([]);
+    setDraft(current => ({ ...current, ...changes }));
+  };
+
+  const updateOption = (index, value) => {
+    setServerErrors([]);
+    setDraft(current => ({ ...current, options: current.options.map((o, i) => (i === index ? value : o)) }));
+  };
+
+  // Images go on a line of their own in the question and explanation, and
+  // after the text in an option
+  const appendImage = (field, markup) => {
+    const join = (text) => (text.trim() ? `${text.trimEnd()}${typeof field === 'number' ? ' ' : '\n'}${markup}` : markup);
+    setServerErrors([]);
+    setDraft(current => (typeof field === 'number'
+      ? { ...current, options: current.options.map((o, i) => (i === field ? join(o) : o)) }
+      : { ...current, [field]: join(current[field]) }));
+  };
+
+  const showUploadError = (message) => setStatus({ type: 'error', message });
+
+  const toggleCorrect = (index) => {
+    setServerErrors([]);
+    setDraft(current => ({
+      ...current,
+      correctAnswers: current.correctAnswers.includes(index)
+        ? current.correctAnswers.filter(i => i !== index)
+        : [...current.correctAnswers, index]
+    }));
+  };
+
+  const handleSave = async () => {
+    const { id, ...fields } = draft;
+    setSaving(true);
+    const data = id === null
+      ? await runAction(baseUrl, 'POST', fields)
+      : await runAction(`${baseUrl}/${id}`, 'PUT', fields);
+    setSaving(false);
+
+    if (data.success) {
+      setDraft(null);
+    } else if (data.errors) {
+      setServerErrors(data.errors);
+    }
+  };
+
+  const handleDelete = (question) => {
+    if (!window.confirm(`Delete this question?\n\n${question.question}`)) return;
+    if (draft && draft.id === question.id) {
+      setDraft(null);
+    }
+    runAction(`${baseUrl}/${question.id}`, 'DELETE');
+  };
+
+  const handleMove = (index, offset) => {
+    const order = questions.map(q => q.id);
+    [order[index], order[index + offset]] = [order[index + offset], order[index]];
+    runAction(`${baseUrl}/reorder`, 'POST', { order });
+  };
+
+  const errors = draft ? [...validateQuestion(draft), ...serverErrors] : [];
+
+  return (
+    <div>
+      {status && (
+        <div className={`mb-6 p-4 rounded-lg flex items-center space-x-2 ${
+          status.type === 'success' ? 'bg-green-50 text-green-700 border border-green-200' : 'bg-red-50 text-red-700 border border-red-200'
+        }`}>
+          {status.type === 'success' ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+          <span>{status.message}</span>
+        </div>
+      )}
+
+      {draft && (
+        <div className="bg-gray-50 rounded-xl p-4 md:p-6 border-2 border-gray-200 mb-6">
+          <h3 className="text-xl font-bold text-gray-800 mb-4">
+            {draft.id === null ? 'New Question' : `Edit Question ${questions.findIndex(q => q.id === draft.id) + 1}`}
+          </h3>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="space-y-4">
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="block text-sm font-medium text-gray-700">Question</label>
+                  <ImageButton label="Insert image" onInsert={(markup) => appendImage('question', markup)} onError={showUploadError} />
+                </div>
+                <textarea
+                  value={draft.question}
+                  onChange={(e) => updateDraft({ question: e.target.value })}
+                  rows={3}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent font-mono text-sm"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Markdown works in questions, options and explanations: {'**bold**, *italic*, `code`, ``` code blocks ```, lists and | tables |'}.
+                </p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select
+                    value={draft.type}
+                    onChange={(e) => { setServerErrors([]); setDraft(current => changeType(current, e.target.value)); }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  >
+                    {QUESTION_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {isMultipleResponse(draft) && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Scoring</label>
+                    <select
+                      value={draft.scoring}
+                      onChange={(e) => updateDraft({ scoring: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    >
+                      {SCORING_MODES.map(mode => (
+                        <option key={mode.value} value={mode.value}>{mode.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Options ({isMultipleResponse(draft) ? 'tick every correct answer' : 'select the correct answer'})
+                </label>
+                <div className="space-y-2">
+                  {draft.options.map((option, index) => (
+                    <div key={index} className="flex items-center space-x-2">
+                      {isMultipleResponse(draft) ? (
+                        <input
+                          type="checkbox"
+                          checked={draft.correctAnswers.includes(index)}
+                          onChange={() => toggleCorrect(index)}
+                          title="Correct answer"
+                        />
+                      ) : (
+                        <input
+                          type="radio"
+                          name="correctAnswer"
+                          checked={draft.correctAnswer === index}
+                          onChange={() => updateDraft({ correctAnswer: index })}
+                          title="Correct answer"
+                        />
+                      )}
+                      <span className="text-sm font-semibold text-gray-600 w-5">{optionLetter(index)})</span>
+                      <input
+                        type="text"
+                        value={option}
+                        onChange={(e) => updateOption(index, e.target.value)}
+                        disabled={draft.type === 'truefalse'}
+                        className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent disabled:bg-gray-100"
+                      />
+                      {draft.type !== 'truefalse' && (
+                        <ImageButton onInsert={(markup) => appendImage(index, markup)} onError={showUploadError} />
+                      )}
+                      {draft.type !== 'truefalse' && (
+                        <button
+                          onClick={() => { setServerErrors([]); setDraft(current => removeOption(current, index)); }}
+                          disabled={draft.options.length <= MIN_OPTIONS}
+                          className="text-gray-400 hover:text-red-600 transition disabled:opacity-30"
+                          title="Remove option"
+                        >
+                          <X size={18} />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {draft.type !== 'truefalse' && draft.options.length < MAX_OPTIONS && (
+                  <button
+                    onClick={() => updateDraft({ options: [...draft.options, ''] })}
+                    className="mt-2 text-sm text-purple-600 hover:text-purple-800 flex items-center space-x-1"
+                  >
+                    <Plus size={14} />
+                    <span>Add option</span>
+                  </button>
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Domain</label>
+                  <input
+                    type="text"
+                    value={draft.domain}
+                    onChange={(e) => updateDraft({ domain: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Difficulty</label>
+                  <select
+                    value={draft.difficulty}
+                    onChange={(e) => updateDraft({ difficulty: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  >
+                    {DIFFICULTIES.map(level => (
+                      <option key={level} value={level}>{level}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="block text-sm font-medium text-gray-700">Explanation (optional)</label>
+                  <ImageButton label="Insert image" onInsert={(markup) => appendImage('explanation', markup)} onError={showUploadError} />
+                </div>
+                <textarea
+                  value={draft.explanation}
+                  onChange={(e) => updateDraft({ explanation: e.target.value })}
+                  rows={3}
+                  placeholder="Why the correct answer is right, shown to students after the test"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent font-mono text-sm"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reference (optional)</label>
+                <input
+                  type="text"
+                  value={draft.reference}
+                  onChange={(e) => updateDraft({ reference: e.target.value })}
+                  placeholder="https://... or e.g. CBDA Guide, chapter 3"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                />
+              </div>
+
+              {errors.length > 0 && (
+                <ul className="bg-red-50 text-red-700 border border-red-200 rounded-lg p-3 text-sm space-y-1">
+                  {errors.map(error => (
+                    <li key={error} className="flex items-center space-x-2">
+                      <AlertCircle size={14} className="flex-shrink-0" />
+                      <span>{error}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="flex gap-2">
+                <button
+                  onClick={handleSave}
+                  disabled={saving || errors.length > 0}
+                  className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition flex items-center space-x-2 disabled:opacity-50"
+                >
+                  <Save size={18} />
+                  <span>{saving ? 'Saving...' : 'Save Question'}</span>
+                </button>
+                <button
+                  onClick={() => setDraft(null)}
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg transition flex items-center space-x-2"
+                >
+                  <X size={18} />
+                  <span>Cancel</span>
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-1">Student preview</p>
+              <QuestionPreview question={draft} />
+              {(draft.explanation.trim() || draft.reference.trim()) && (
+                <div className="bg-white border-2 border-blue-100 rounded-xl p-4 mt-4 text-sm">
+                  <p className="text-xs text-gray-500 mb-2">Shown in the review after the test</p>
+                  {draft.explanation.trim() && (
+                    <p className="text-gray-700 mb-2 flex items-start space-x-1">
+                      <Lightbulb size={16} className="text-blue-700 flex-shrink-0 mt-0.5" />
+                      <span className="min-w-0"><RichText text={draft.explanation.trim()} /></span>
+                    </p>
+                  )}
+                  {draft.reference.trim() && (
+                    <p className="text-gray-600 flex items-start space-x-1">
+                      <BookOpen size={16} className="flex-shrink-0 mt-0.5" />
+                      <span className={isWebLink(draft.reference) ? 'text-blue-600 underline break-all' : ''}>{draft.reference.trim()}</span>
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-sm text-gray-600">
+          {loading ? 'Loading...' : `${questions.length} question(s). Students get them shuffled; this order is the one used in exports and backups.`}
+        </p>
+        <button
+          onClick={() => startEditing(null)}
+          disabled={draft !== null}
+          className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition flex items-center space-x-2 disabled:opacity-50"
+        >
+          <Plus size={18} />
+          <span>Add Question</span>
+        </button>
+      </div>
+
+      {questions.length === 0 && !loading ? (
+        <div className="text-center py-12">
+          <Edit size={64} className="text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600 text-lg">No questions in this set yet.</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {questions.map((question, index) => (
+            <div
+              key={question.id}
+              className={`flex items-start gap-3 p-3 rounded-lg border-2 ${
+                draft && draft.id === question.id ? 'border-purple-400 bg-purple-50' : 'border-gray-200'
+              }`}
+            >
+              <span className="text-sm font-semibold text-gray-500 w-8 flex-shrink-0">{index + 1}.</span>
+              <div className="flex-1 min-w-0">
+                <div className="text-gray-800"><RichText text={question.question} /></div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {QUESTION_TYPES.find(t => t.value === (question.type || 'single')).label}
+                  {' · '}Answer: {correctOptions(question).map(optionLetter).join(', ')}
+                  {isMultipleResponse(question) && question.scoring === 'partial' && ' (partial credit)'}
+                  {question.domain && ` · ${question.domain}`}
+                  {question.difficulty && ` · ${question.difficulty}`}
+                </p>
+              </div>
+              <div className="flex space-x-2 flex-shrink-0">
+                <button
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  className="text-gray-600 hover:text-gray-800 transition disabled:opacity-30"
+                  title="Move up"
+                >
+                  <ArrowUp size={18} />
+                </button>
+                <button
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === questions.length - 1}
+                  className="text-gray-600 hover:text-gray-800 transition disabled:opacity-30"
+                  title="Move down"
+                >
+                  <ArrowDown size={18} />
+                </button>
+                <button
+                  onClick={() => startEditing(question)}
+                  className="text-purple-600 hover:text-purple-800 transition"
+                  title="Edit"
+                >
+                  <Edit size={18} />
+                </button>
+                <button
+                  onClick={() => handleDelete(question)}
+                  className="text-red-600 hover:text-red-800 transition"
+                  title="Delete"
+                >
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionEditor;
@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react';
+import { RotateCcw, GitCompare, CheckCircle, AlertCircle, RefreshCw } from 'lucide-react';
+import { authFetch } from '../utils/api';
+import { optionLetter } from '../utils/questionValidator';
+import { correctOptions } from '../utils/scoring';
+import RichText from './RichText';
+
+const SOURCE_LABELS = {
+  existing: 'Existing set',
+  upload: 'Upload',
+  editor: 'Editor',
+  rollback: 'Rollback',
+  restore: 'Backup restore'
+};
+
+const ROW_STYLES = {
+  added: 'border-green-200 bg-green-50',
+  removed: 'border-red-200 bg-red-50',
+  changed: 'border-amber-200 bg-amber-50',
+  unchanged: 'border-gray-200'
+};
+
+const describeChanges = (changes) => {
+  if (!changes) return '—';
+  const parts = [];
+  if (changes.added) parts.push(`+${changes.added} added`);
+  if (changes.removed) parts.push(`−${changes.removed} removed`);
+  if (changes.changed) parts.push(`${changes.changed} changed`);
+  if (changes.reordered) parts.push('reordered');
+  return parts.length > 0 ? parts.join(', ') : 'No changes';
+};
+
+// One side of a comparison row
+const QuestionSummary = ({ question, fields = [] }) => {
+  if (!question) {
+    return <p className="text-sm text-gray-400 italic">Not in this version</p>;
+  }
+  const highlight = (...names) => (names.some(name => fields.includes(name)) ? 'bg-amber-200 rounded px-1' : '');
+  const correct = correctOptions(question);
+
+  return (
+    <div className="text-sm">
+      <div className={`font-medium text-gray-800 mb-2 ${highlight('question')}`}><RichText text={question.question} /></div>
+      {question.type === 'multiple' && (
+        <p className={`text-xs text-gray-500 mb-1 ${highlight('type', 'scoring')}`}>
+          Multiple response, {question.scoring === 'partial' ? 'partial credit' : 'all or nothing'}
+        </p>
+      )}
+      <ul className={`space-y-1 mb-2 ${highlight('options')}`}>
+        {question.options.map((option, index) => (
+          <li
+            key={index}
+            className={`flex space-x-1 ${correct.includes(index) ? `text-green-700 font-semibold ${highlight('correctAnswer', 'correctAnswers')}` : 'text-gray-700'}`}
+          >
+            <span>{optionLetter(index)})</span>
+            <div className="min-w-0"><RichText text={option} /></div>
+            {correct.includes(index) && <span>✓</span>}
+          </li>
+        ))}
+      </ul>
+      {question.explanation && (
+        <p className={`text-xs text-gray-600 mb-1 ${highlight('explanation')}`}>Explanation: {question.explanation}</p>
+      )}
+      {question.reference && (
+        <p className={`text-xs text-gray-600 mb-1 break-all ${highlight('reference')}`}>Reference: {question.reference}</p>
+      )}
+      <p className="text-xs text-gray-500">
+        <span className={highlight('domain')}>{question.domain || 'No domain'}</span>
+        {' · '}
+        <span className={highlight('difficulty')}>{question.difficulty || 'no difficulty'}</span>
+      </p>
+    </div>
+  );
+};
+
+// Saved versions of one question set, with side-by-side comparison and rollback.
+// `onChange` is called after a rollback so the dashboard can refresh its counts.
+const QuestionHistory = ({ testType, testId, onChange }) => {
+  const [versions, setVersions] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const baseUrl = `/api/admin/questions/${testType}/${testId}/versions`;
+
+  const loadVersions = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch(baseUrl);
+      const data = await response.json();
+
+      if (data.success) {
+        setVersions(data.versions);
+        setCurrent(data.current);
+        // Compare the two newest versions by default
+        setToVersion(data.versions.length > 0 ? data.versions[0].version : null);
+        setFromVersion(data.versions.length > 1 ? data.versions[1].version : null);
+        setComparison(null);
+      } else {
+        setStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Failed to load version history' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadVersions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleCompare = async () => {
+    try {
+      const response = await authFetch(`${baseUrl}/compare?from=${fromVersion}&to=${toVersion}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setComparison(data);
+      } else {
+        setStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Failed to compare versions' });
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Make version ${version} the live question set? The current questions stay in the history.`)) return;
+
+    try {
+      const response = await authFetch(`${baseUrl}/${version}/rollback`, { method: 'POST' });
+      const data = await response.json();
+
+      setStatus({ type: data.success ? 'success' : 'error', message: data.success ? data.message : data.error });
+      if (data.success) {
+        onChange();
+        loadVersions();
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Rollback failed. Please try again.' });
+    }
+  };
+
+  const visibleRows = comparison
+    ? comparison.rows.filter(row => showUnchanged || row.status !== 'unchanged')
+    : [];
+
+  return (
+    <div>
+      {status && (
+        <div className={`mb-6 p-4 rounded-lg flex items-center space-x-2 ${
+          status.type === 'success' ? 'bg-green-50 text-green-700 border border-green-200' : 'bg-red-50 text-red-700 border border-red-200'
+        }`}>
+          {status.type === 'success' ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+          <span>{status.message}</span>
+        </div>
+      )}
+
+      {versions.length === 0 ? (
+        <div className="text-center py-12">
+          <GitCompare size={64} className="text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600 text-lg">{loading ? 'Loading...' : 'This set has no saved versions yet.'}</p>
+        </div>
+      ) : (
+        <>
+          <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+            <p className="text-sm text-gray-600">Pick two versions to compare them side by side.</p>
+            <div className="flex gap-2">
+              <button
+                onClick={loadVersions}
+                className="text-gray-600 hover:text-gray-800 px-3 py-2 flex items-center space-x-1"
+                title="Refresh"
+              >
+                <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+              </button>
+              <button
+                onClick={handleCompare}
+                disabled={!fromVersion || !toVersion || fromVersion === toVersion}
+                className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition flex items-center space-x-2 disabled:opacity-50"
+              >
+                <GitCompare size={18} />
+                <span>Compare v{fromVersion} → v{toVersion}</span>
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto mb-8">
+            <table className="w-full">
+              <thead>
+                <tr className="bg-gray-100 border-b">
+                  <th className="px-3 py-3 text-left text-sm font-semibold text-gray-700">From</th>
+                  <th className="px-3 py-3 text-left text-sm font-semibold text-gray-700">To</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Version</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Saved</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Source</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Questions</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Changes</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {versions.map(version => (
+                  <tr key={version.version} className="border-b hover:bg-gray-50">
+                    <td className="px-3 py-3">
+                      <input type="radio" name="fromVersion" checked={fromVersion === version.version} onChange={() => setFromVersion(version.version)} />
+                    </td>
+                    <td className="px-3 py-3">
+                      <input type="radio" name="toVersion" checked={toVersion === version.version} onChange={() => setToVersion(version.version)} />
+                    </td>
+                    <td className="px-4 py-3 text-sm font-semibold text-gray-800">
+                      v{version.version}
+                      {version.version === current && (
+                        <span className="ml-2 bg-green-100 text-green-700 text-xs px-2 py-1 rounded-full">Live</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {new Date(version.createdAt).toLocaleString()}
+                      <div className="text-xs text-gray-500">{version.createdBy ? version.createdBy.email : 'System'}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {SOURCE_LABELS[version.source] || version.source}
+                      {version.note && <div className="text-xs text-gray-500">{version.note}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-800">{version.questionCount}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{describeChanges(version.changes)}</td>
+                    <td className="px-4 py-3">
+                      {version.version !== current && (
+                        <button
+                          onClick={() => handleRollback(version.version)}
+                          className="text-purple-600 hover:text-purple-800 transition flex items-center space-x-1 text-sm"
+                          title="Roll back to this version"
+                        >
+                          <RotateCcw size={16} />
+                          <span>Roll back</span>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {comparison && (
+        <div>
+          <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+            <h3 className="text-xl font-bold text-gray-800">
+              v{comparison.from.version} → v{comparison.to.version}: {describeChanges(comparison.changes)}
+            </h3>
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+              <span>Show unchanged questions</span>
+            </label>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4 mb-2 text-sm font-semibold text-gray-700">
+            <div>Version {comparison.from.version} ({comparison.from.questionCount} questions)</div>
+            <div>Version {comparison.to.version} ({comparison.to.questionCount} questions)</div>
+          </div>
+
+          {visibleRows.length === 0 ? (
+            <p className="text-gray-600 text-center py-8">No question differs between these versions.</p>
+          ) : (
+            <div className="space-y-3">
+              {visibleRows.map(row => (
+                <div key={`${row.status}-${row.id}`} className={`rounded-lg border-2 p-3 ${ROW_STYLES[row.status]}`}>
+                  <p className="text-xs font-semibold uppercase text-gray-500 mb-2">
+                    Question {row.id} · {row.status}
+                    {row.fields.length > 0 && ` (${row.fields.join(', ')})`}
+                  </p>
+                  <div className="grid grid-cols-2 gap-4">
+                    <QuestionSummary question={row.before} fields={row.fields} />
+                    <QuestionSummary question={row.after} fields={row.fields} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionHistory;
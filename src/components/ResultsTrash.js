@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { RotateCcw, Trash2, RefreshCw, CheckCircle, AlertCircle } from 'lucide-react';
+import { authFetch } from '../utils/api';
+
+// Trashed results with restore and permanent delete. `onChange` is called after
+// anything is restored or purged so the dashboard can refresh its results.
+const ResultsTrash = ({ onChange }) => {
+  const [results, setResults] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(0);
+  const [selected, setSelected] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadTrash = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch('/api/results/trash');
+      const data = await response.json();
+
+      if (data.success) {
+        setResults(data.results);
+        setRetentionDays(data.retentionDays);
+        setSelected(current => current.filter(id => data.results.some(r => r.id === id)));
+      } else {
+        setStatus({ type: 'error', message: data.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Failed to load the trash' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const runAction = async (url, body) => {
+    try {
+      const response = await authFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      setStatus({ type: data.success ? 'success' : 'error', message: data.success ? data.message : data.error });
+      if (data.success) {
+        setSelected([]);
+        onChange();
+        loadTrash();
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Action failed. Please try again.' });
+    }
+  };
+
+  const handleRestore = (resultIds) => runAction('/api/results/trash/restore', { resultIds });
+
+  const handlePurge = (resultIds) => {
+    if (!window.confirm(`Permanently delete ${resultIds.length} result(s)? This cannot be undone.`)) return;
+    runAction('/api/results/trash/purge', { resultIds });
+  };
+
+  const handleEmptyTrash = () => {
+    if (!window.confirm(`Permanently delete all ${results.length} result(s) in the trash? This cannot be undone.`)) return;
+    runAction('/api/results/trash/purge', { all: true });
+  };
+
+  const toggle = (resultId) => {
+    setSelected(current => (current.includes(resultId)
+      ? current.filter(id => id !== resultId)
+      : [...current, resultId]));
+  };
+
+  return (
+    <div>
+      {status && (
+        <div className={`mb-6 p-4 rounded-lg flex items-center space-x-2 ${
+          status.type === 'success' ? 'bg-green-50 text-green-700 border border-green-200' : 'bg-red-50 text-red-700 border border-red-200'
+        }`}>
+          {status.type === 'success' ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+          <span>{status.message}</span>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+        <p className="text-sm text-gray-600">
+          {retentionDays
+            ? `Results are permanently deleted ${retentionDays} days after they were moved here (change this in Settings).`
+            : 'Automatic purging is off; results stay here until they are deleted by hand.'}
+        </p>
+        <div className="flex gap-2 flex-wrap">
+          <button
+            onClick={loadTrash}
+            className="text-gray-600 hover:text-gray-800 px-3 py-2 flex items-center space-x-1"
+            title="Refresh"
+          >
+            <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+          </button>
+          <button
+            onClick={() => handleRestore(selected)}
+            disabled={selected.length === 0}
+            className="bg-white border-2 border-purple-600 text-purple-600 hover:bg-purple-50 px-4 py-2 rounded-lg transition flex items-center space-x-2 disabled:opacity-50"
+          >
+            <RotateCcw size={18} />
+            <span>Restore ({selected.length})</span>
+          </button>
+          <button
+            onClick={() => handlePurge(selected)}
+            disabled={selected.length === 0}
+            className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg transition flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Trash2 size={18} />
+            <span>Delete Forever ({selected.length})</span>
+          </button>
+          <button
+            onClick={handleEmptyTrash}
+            disabled={results.length === 0}
+            className="bg-white border-2 border-red-600 text-red-600 hover:bg-red-50 px-4 py-2 rounded-lg transition disabled:opacity-50"
+          >
+            Empty Trash
+          </button>
+        </div>
+      </div>
+
+      {results.length === 0 ? (
+        <div className="text-center py-12">
+          <Trash2 size={64} className="text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600 text-lg">The trash is empty.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="bg-gray-100 border-b">
+                <th className="px-4 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    checked={selected.length === results.length}
+                    onChange={(e) => setSelected(e.target.checked ? results.map(r => r.id) : [])}
+                    title="Select all"
+                  />
+                </th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Student</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Test Name</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Score</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Deleted</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Purged On</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => (
+                <tr key={result.id} className="border-b hover:bg-gray-50">
+                  <td className="px-4 py-3">
+                    <input type="checkbox" checked={selected.includes(result.id)} onChange={() => toggle(result.id)} />
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="font-medium text-gray-800">{result.userName}</div>
+                    <div className="text-xs text-gray-500">{result.userEmail}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-800">
+                    {result.testName}
+                    <div className="text-xs text-gray-500">{new Date(result.timestamp).toLocaleString()}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-800">{result.score}%</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {new Date(result.deletedAt).toLocaleString()}
+                    <div className="text-xs text-gray-500">by {result.deletedBy ? result.deletedBy.email : 'unknown'}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {result.purgeAt ? new Date(result.purgeAt).toLocaleDateString() : '—'}
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex space-x-3">
+                      <button
+                        onClick={() => handleRestore([result.id])}
+                        className="text-purple-600 hover:text-purple-800 transition"
+                        title="Restore"
+                      >
+                        <RotateCcw size={18} />
+                      </button>
+                      <button
+                        onClick={() => handlePurge([result.id])}
+                        className="text-red-600 hover:text-red-800 transition"
+                        title="Delete forever"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResultsTrash;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkBreaks from 'remark-breaks';
+import { X, ZoomIn, ZoomOut } from 'lucide-react';
+
+// Uploaded question images, or images on another https/http site; anything
+// else (javascript:, data:, ...) is dropped
+const isAllowedImageUrl = (url) => /^\/api\/assets\/[\w.-]+$/.test(url) || /^https?:\/\/\S+$/i.test(url);
+
+// Full-screen view of an image. Clicks are stopped here so they never reach
+// the answer option the image sits in.
+const Lightbox = ({ src, alt, onClose }) => {
+  const [actualSize, setActualSize] = useState(false);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const stop = (e) => e.stopPropagation();
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-80 z-50 flex flex-col"
+      onClick={(e) => { stop(e); onClose(); }}
+      role="dialog"
+      aria-label={alt || 'Image'}
+    >
+      <div className="flex justify-end gap-2 p-3" onClick={stop}>
+        <button
+          type="button"
+          onClick={() => setActualSize(!actualSize)}
+          className="bg-white bg-opacity-20 hover:bg-opacity-30 text-white p-2 rounded-lg transition"
+          title={actualSize ? 'Fit to screen' : 'Actual size'}
+        >
+          {actualSize ? <ZoomOut size={20} /> : <ZoomIn size={20} />}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="bg-white bg-opacity-20 hover:bg-opacity-30 text-white p-2 rounded-lg transition"
+          title="Close (Esc)"
+        >
+          <X size={20} />
+        </button>
+      </div>
+      <div className={`flex-1 overflow-auto p-4 ${actualSize ? '' : 'flex items-center justify-center'}`}>
+        <img
+          src={src}
+          alt={alt}
+          onClick={stop}
+          className={actualSize ? 'max-w-none bg-white' : 'max-w-full max-h-full object-contain bg-white'}
+        />
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+const ZoomableImage = ({ src, alt }) => {
+  const [zoomed, setZoomed] = useState(false);
+
+  const open = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    setZoomed(true);
+  };
+
+  return (
+    <span className="block my-3">
+      <img
+        src={src}
+        alt={alt}
+        loading="lazy"
+        onClick={open}
+        title="Click to enlarge"
+        className="max-w-full h-auto max-h-96 rounded-lg border border-gray-200 bg-white cursor-zoom-in"
+      />
+      {zoomed && <Lightbox src={src} alt={alt} onClose={() => setZoomed(false)} />}
+    </span>
+  );
+};
+
+// The Markdown that question, option and explanation text may use. Anything
+// else (raw HTML, headings, links, ...) is shown as its plain text.
+const ALLOWED_ELEMENTS = [
+  'p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'ul', 'ol', 'li',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'img'
+];
+
+const components = {
+  p: ({ node, ...props }) => <p className="my-2 first:mt-0 last:mb-0" {...props} />,
+  ul: ({ node, ordered, depth, ...props }) => <ul className="list-disc pl-6 my-2" {...props} />,
+  ol: ({ node, ordered, depth, ...props }) => <ol className="list-decimal pl-6 my-2" {...props} />,
+  pre: ({ node, ...props }) => (
+    <pre className="bg-gray-900 text-gray-100 text-sm rounded-lg p-3 my-2 overflow-x-auto text-left font-normal" {...props} />
+  ),
+  code: ({ node, inline, className, ...props }) => (inline
+    ? <code className="bg-gray-100 text-pink-700 rounded px-1 py-0.5 text-[0.9em] font-mono" {...props} />
+    : <code className="font-mono" {...props} />),
+  table: ({ node, ...props }) => (
+    <div className="overflow-x-auto my-2">
+      <table className="border-collapse text-sm font-normal" {...props} />
+    </div>
+  ),
+  th: ({ node, isHeader, ...props }) => <th className="border border-gray-300 bg-gray-100 px-3 py-1 text-left font-semibold" {...props} />,
+  td: ({ node, isHeader, ...props }) => <td className="border border-gray-300 bg-white px-3 py-1" {...props} />,
+  img: ({ node, src, alt }) => (src ? <ZoomableImage src={src} alt={alt} /> : null)
+};
+
+// Only uploaded question images and http(s) images are loaded
+const transformImageUri = (uri) => (isAllowedImageUrl(uri) ? uri : '');
+
+// Question, option or explanation text rendered from a safe Markdown subset:
+// emphasis, inline code, code blocks, lists, tables and images. Raw HTML is
+// never rendered, and single line breaks are kept as typed.
+const RichText = ({ text }) => (
+  <div className="rich-text break-words">
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm, remarkBreaks]}
+      allowedElements={ALLOWED_ELEMENTS}
+      unwrapDisallowed
+      transformImageUri={transformImageUri}
+      components={components}
+    >
+      {text || ''}
+    </ReactMarkdown>
+  </div>
+);
+
+export default RichText;
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { BookOpen, Clock, BarChart3, User, LogOut, Menu, X, Trophy, Target, TrendingUp, CheckCircle, Play, ArrowLeft, ArrowRight, Settings } from 'lucide-react';
-import emailService from '../utils/emailService';
+import { BookOpen, Clock, BarChart3, User, LogOut, Menu, X, Trophy, Target, TrendingUp, CheckCircle, Play, ArrowLeft, ArrowRight, Settings, Lock, Check } from 'lucide-react';
+import { authFetch } from '../utils/api';
+import { isMultipleResponse, isAnswered, scoreTest } from '../utils/scoring';
+import ChangePasswordForm from './ChangePasswordForm';
+import AnswerReview from './AnswerReview';
+import RichText from './RichText';
 
 const StudentDashboard = ({ user, onLogout }) => {
   const [currentPage, setCurrentPage] = useState('home');
@@ -35,7 +39,7 @@ const StudentDashboard = ({ user, onLogout }) => {
   useEffect(() => {
   const loadResults = async () => {
     try {
-      const response = await fetch(`/api/results/user/${user.id}`);
+      const response = await authFetch(`/api/results/user/${user.id}`);
       const data = await response.json();
       if (data.success) {
         setTestResults(data.results);
@@ -67,7 +71,7 @@ const StudentDashboard = ({ user, onLogout }) => {
 
   const loadUserResults = async () => {
     try {
-      const response = await fetch(`/api/results/user/${user.id}`);
+      const response = await authFetch(`/api/results/user/${user.id}`);
       const data = await response.json();
       if (data.success) {
         setTestResults(data.results);
@@ -84,30 +88,26 @@ const StudentDashboard = ({ user, onLogout }) => {
   };
 
   const handleAutoSubmit = () => {
-  let correctCount = 0;
-  questions.forEach(q => {
-    if (answers[q.id] === q.correctAnswer) {
-      correctCount++;
-    }
-  });
-
-const finalScore = Math.round((correctCount / questions.length) * 100);
+  const { score: finalScore, correctCount, points } = scoreTest(questions, answers);
   setScore(finalScore);
 
   const result = {
     testName: currentTest.name,
     testType: currentTest.type,
+    testId: currentTest.id,
+    questionSetVersion: currentTest.questionSetVersion,
     score: finalScore,
     date: new Date().toLocaleDateString(),
     timeTaken: formatTime((currentTest.type === 'mock' ? 7200 : 3600) - timeRemaining),
     totalQuestions: questions.length,
     correctAnswers: correctCount,
+    points,
     userId: user.id,
     userName: user.name,
     userEmail: user.email
   };
 
-  fetch('/api/results', {
+  authFetch('/api/results', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(result)
@@ -122,11 +122,11 @@ const finalScore = Math.round((correctCount / questions.length) * 100);
   const startTest = async (test, type) => {
     setLoading(true);
     try {
-      const response = await fetch(`/api/questions/${type}/${test.id}`);
+      const response = await authFetch(`/api/questions/${type}/${test.id}`);
       const data = await response.json();
 
       if (data.success && data.questions.length > 0) {
-        setCurrentTest({ ...test, type });
+        setCurrentTest({ ...test, type, questionSetVersion: data.version });
         setQuestions(data.questions);
         setCurrentQuestion(0);
         setAnswers({});
@@ -144,36 +144,51 @@ const finalScore = Math.round((correctCount / questions.length) * 100);
     }
   };
 
-  const handleAnswer = (questionId, answerIndex) => {
-    setAnswers(prev => ({ ...prev, [questionId]: answerIndex }));
-  };
-
-  const submitTest = async () => {
-    let correctCount = 0;
-    questions.forEach(q => {
-      if (answers[q.id] === q.correctAnswer) {
-        correctCount++;
+  const handleAnswer = (question, answerIndex) => {
+    if (!isMultipleResponse(question)) {
+      setAnswers(prev => ({ ...prev, [question.id]: answerIndex }));
+      return;
+    }
+    // "Select N": toggle the option, but never pick more than N
+    setAnswers(prev => {
+      const picked = prev[question.id] || [];
+      if (picked.includes(answerIndex)) {
+        return { ...prev, [question.id]: picked.filter(i => i !== answerIndex) };
       }
+      if (picked.length >= question.correctAnswers.length) {
+        return prev;
+      }
+      return { ...prev, [question.id]: [...picked, answerIndex] };
     });
+  };
 
-    const finalScore = Math.round((correctCount / questions.length) * 100);
+  const isSelected = (question, answerIndex) => {
+    const answer = answers[question.id];
+    return Array.isArray(answer) ? answer.includes(answerIndex) : answer === answerIndex;
+  };
+
+  const submitTest = async () => {
+    const { score: finalScore, correctCount, points } = scoreTest(questions, answers);
     setScore(finalScore);
 
     const result = {
       testName: currentTest.name,
       testType: currentTest.type,
+      testId: currentTest.id,
+      questionSetVersion: currentTest.questionSetVersion,
       score: finalScore,
       date: new Date().toLocaleDateString(),
       timeTaken: formatTime((currentTest.type === 'mock' ? 7200 : 3600) - timeRemaining),
       totalQuestions: questions.length,
       correctAnswers: correctCount,
+      points,
       userId: user.id,
       userName: user.name,
       userEmail: user.email
     };
 
     try {
-      await fetch('/api/results', {
+      await authFetch('/api/results', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(result)
@@ -386,43 +401,46 @@ const finalScore = Math.round((correctCount / questions.length) * 100);
         <Header />
         <div className="container mx-auto px-4 py-8">
           {showResults ? (
-            <div className="bg-white rounded-2xl shadow-xl p-8 max-w-2xl mx-auto">
-              <div className="text-center">
-                <div className={`inline-block p-4 rounded-full mb-4 ${score >= 70 ? 'bg-green-100' : 'bg-orange-100'}`}>
-                  {score >= 70 ? <CheckCircle className="text-green-600" size={64} /> : <Target className="text-orange-600" size={64} />}
-                </div>
-                <h2 className="text-3xl font-bold text-gray-800 mb-2">Test Completed!</h2>
-                <p className="text-gray-600 mb-6">{currentTest.name}</p>
-
-                <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl p-6 mb-6">
-                  <div className="text-6xl font-bold text-blue-600 mb-2">{score}%</div>
-                  <div className="text-gray-600">Your Score</div>
-                  <div className={`mt-2 text-lg font-semibold ${score >= 70 ? 'text-green-600' : 'text-orange-600'}`}>
-                    {score >= 70 ? '✓ Pass' : '✗ Did not pass (70% required)'}
+            <>
+              <div className="bg-white rounded-2xl shadow-xl p-8 max-w-2xl mx-auto">
+                <div className="text-center">
+                  <div className={`inline-block p-4 rounded-full mb-4 ${score >= 70 ? 'bg-green-100' : 'bg-orange-100'}`}>
+                    {score >= 70 ? <CheckCircle className="text-green-600" size={64} /> : <Target className="text-orange-600" size={64} />}
                   </div>
-                </div>
-
-                <div className="grid grid-cols-2 gap-4 mb-6">
-                  <div className="bg-gray-50 rounded-lg p-4">
-                    <div className="text-2xl font-bold text-gray-800">{Object.keys(answers).length}/{questions.length}</div>
-                    <div className="text-sm text-gray-600">Questions Answered</div>
+                  <h2 className="text-3xl font-bold text-gray-800 mb-2">Test Completed!</h2>
+                  <p className="text-gray-600 mb-6">{currentTest.name}</p>
+
+                  <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl p-6 mb-6">
+                    <div className="text-6xl font-bold text-blue-600 mb-2">{score}%</div>
+                    <div className="text-gray-600">Your Score</div>
+                    <div className={`mt-2 text-lg font-semibold ${score >= 70 ? 'text-green-600' : 'text-orange-600'}`}>
+                      {score >= 70 ? '✓ Pass' : '✗ Did not pass (70% required)'}
+                    </div>
                   </div>
-                  <div className="bg-gray-50 rounded-lg p-4">
-                    <div className="text-2xl font-bold text-gray-800">{formatTime((currentTest.type === 'mock' ? 7200 : 3600) - timeRemaining)}</div>
-                    <div className="text-sm text-gray-600">Time Taken</div>
+
+                  <div className="grid grid-cols-2 gap-4 mb-6">
+                    <div className="bg-gray-50 rounded-lg p-4">
+                      <div className="text-2xl font-bold text-gray-800">{Object.values(answers).filter(isAnswered).length}/{questions.length}</div>
+                      <div className="text-sm text-gray-600">Questions Answered</div>
+                    </div>
+                    <div className="bg-gray-50 rounded-lg p-4">
+                      <div className="text-2xl font-bold text-gray-800">{formatTime((currentTest.type === 'mock' ? 7200 : 3600) - timeRemaining)}</div>
+                      <div className="text-sm text-gray-600">Time Taken</div>
+                    </div>
                   </div>
-                </div>
 
-                <div className="space-y-3">
-                  <button onClick={() => setCurrentPage('home')} className="w-full bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg transition font-medium">
-                    Back to Dashboard
-                  </button>
-                  <button onClick={() => setCurrentPage('performance')} className="w-full bg-gray-100 hover:bg-gray-200 text-gray-800 px-6 py-3 rounded-lg transition font-medium">
-                    View Performance
-                  </button>
+                  <div className="space-y-3">
+                    <button onClick={() => setCurrentPage('home')} className="w-full bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg transition font-medium">
+                      Back to Dashboard
+                    </button>
+                    <button onClick={() => setCurrentPage('performance')} className="w-full bg-gray-100 hover:bg-gray-200 text-gray-800 px-6 py-3 rounded-lg transition font-medium">
+                      View Performance
+                    </button>
+                  </div>
                 </div>
               </div>
-            </div>
+              <AnswerReview questions={questions} answers={answers} />
+            </>
           ) : (
             <div className="bg-white rounded-2xl shadow-xl p-4 md:p-8 max-w-4xl mx-auto">
               <div className="flex items-center justify-between mb-6 flex-wrap gap-4">
@@ -454,27 +472,32 @@ const finalScore = Math.round((correctCount / questions.length) * 100);
               {currentQ && (
                 <div>
                   <div className="bg-blue-50 rounded-xl p-4 md:p-6 mb-6">
-                    <h3 className="text-lg md:text-xl font-semibold text-gray-800 mb-4">{currentQ.question}</h3>
+                    <h3 className="text-lg md:text-xl font-semibold text-gray-800 mb-4"><RichText text={currentQ.question} /></h3>
+                    {isMultipleResponse(currentQ) && (
+                      <p className="text-sm font-medium text-blue-700 mb-3">Select {currentQ.correctAnswers.length}.</p>
+                    )}
                     <div className="space-y-3">
                       {currentQ.options.map((option, index) => (
                         <button 
                           key={index} 
-                          onClick={() => handleAnswer(currentQ.id, index)} 
+                          onClick={() => handleAnswer(currentQ, index)} 
                           className={`w-full text-left p-4 rounded-lg border-2 transition ${
-                            answers[currentQ.id] === index 
+                            isSelected(currentQ, index) 
                               ? 'border-blue-600 bg-blue-50' 
                               : 'border-gray-200 hover:border-blue-300 bg-white'
                           }`}
                         >
                           <div className="flex items-center space-x-3">
-                            <div className={`w-6 h-6 rounded-full border-2 flex items-center justify-center flex-shrink-0 ${
-                              answers[currentQ.id] === index 
+                            <div className={`w-6 h-6 ${isMultipleResponse(currentQ) ? 'rounded-md' : 'rounded-full'} border-2 flex items-center justify-center flex-shrink-0 ${
+                              isSelected(currentQ, index) 
                                 ? 'border-blue-600 bg-blue-600' 
                                 : 'border-gray-300'
                             }`}>
-                              {answers[currentQ.id] === index && <div className="w-3 h-3 bg-white rounded-full" />}
+                              {isSelected(currentQ, index) && (isMultipleResponse(currentQ)
+                                ? <Check size={16} className="text-white" />
+                                : <div className="w-3 h-3 bg-white rounded-full" />)}
                             </div>
-                            <span className="text-gray-800 text-sm md:text-base">{option}</span>
+                            <span className="text-gray-800 text-sm md:text-base min-w-0"><RichText text={option} /></span>
                           </div>
                         </button>
                       ))}
@@ -520,7 +543,7 @@ const finalScore = Math.round((correctCount / questions.length) * 100);
                           className={`w-10 h-10 rounded-lg font-medium transition ${
                             idx === currentQuestion
                               ? 'bg-blue-600 text-white'
-                              : answers[questions[idx].id] !== undefined
+                              : isAnswered(answers[questions[idx].id])
                               ? 'bg-green-100 text-green-700 border border-green-300'
                               : 'bg-white text-gray-600 border border-gray-300 hover:border-blue-400'
                           }`}
@@ -598,54 +621,59 @@ const finalScore = Math.round((correctCount / questions.length) * 100);
 
   const ProfilePage = () => {
     const [showEmailChange, setShowEmailChange] = useState(false);
+    const [showPasswordChange, setShowPasswordChange] = useState(false);
     const [newEmail, setNewEmail] = useState('');
+    const [emailPassword, setEmailPassword] = useState('');
     const [verificationCode, setVerificationCode] = useState('');
     const [emailVerificationSent, setEmailVerificationSent] = useState(false);
     const [message, setMessage] = useState(null);
 
+    // The server emails the code to the new address and checks it
     const handleEmailChangeRequest = async () => {
       if (!newEmail || newEmail === user.email) {
         setMessage({ type: 'error', text: 'Please enter a different email' });
         return;
       }
 
-      const code = emailService.generateVerificationCode();
-      const result = await emailService.sendVerificationEmail(newEmail, user.name, code);
-
-      if (result.success) {
-        emailService.storeVerificationCode(newEmail, code);
-        setEmailVerificationSent(true);
-        setMessage({ type: 'success', text: 'Verification code sent to new email!' });
-      } else {
-        setMessage({ type: 'error', text: 'Failed to send verification email' });
+      try {
+        const response = await authFetch('/api/auth/change-email/request', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ newEmail, password: emailPassword })
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+          setEmailPassword('');
+          setEmailVerificationSent(true);
+          setMessage({ type: 'success', text: data.message });
+        } else {
+          setMessage({ type: 'error', text: data.error || 'Failed to send verification email' });
+        }
+      } catch (error) {
+        setMessage({ type: 'error', text: 'Connection error' });
       }
     };
 
     const handleEmailChangeVerify = async () => {
-      const isValid = emailService.verifyCode(newEmail, verificationCode);
-
-      if (isValid) {
-        // Update email in backend
-        try {
-          const response = await fetch('/api/auth/change-email', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userId: user.id, newEmail })
-          });
-
-          const data = await response.json();
-
-          if (data.success) {
-            setMessage({ type: 'success', text: 'Email changed successfully!' });
-            setTimeout(() => window.location.reload(), 2000);
-          } else {
-            setMessage({ type: 'error', text: 'Failed to update email' });
-          }
-        } catch (error) {
-          setMessage({ type: 'error', text: 'Connection error' });
+      try {
+        const response = await authFetch('/api/auth/change-email/confirm', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code: verificationCode })
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+          setMessage({ type: 'success', text: 'Email changed successfully!' });
+          setTimeout(() => window.location.reload(), 2000);
+        } else {
+          setMessage({ type: 'error', text: data.error || 'Invalid verification code' });
         }
-      } else {
-        setMessage({ type: 'error', text: 'Invalid verification code' });
+      } catch (error) {
+        setMessage({ type: 'error', text: 'Connection error' });
       }
     };
     return (
@@ -716,6 +744,13 @@ Student
                     placeholder="Enter new email"
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
                   />
+                  <input
+                    type="password"
+                    value={emailPassword}
+                    onChange={(e) => setEmailPassword(e.target.value)}
+                    placeholder="Current password"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  />
                   <button
                     onClick={handleEmailChangeRequest}
                     className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition"
@@ -746,6 +781,19 @@ Student
             </div>
           )}
         </div>
+
+        {/* Password Change Section */}
+        <div className="border-t pt-6 mt-6">
+          <button
+            onClick={() => setShowPasswordChange(!showPasswordChange)}
+            className="flex items-center space-x-2 text-blue-600 hover:text-blue-700 font-medium"
+          >
+            <Lock size={20} />
+            <span>Change Password</span>
+          </button>
+
+          {showPasswordChange && <ChangePasswordForm />}
+        </div>
       </div>
     </div>
   </div>
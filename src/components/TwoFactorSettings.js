@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldOff } from 'lucide-react';
+import { authFetch } from '../utils/api';
+import TwoFactorSetup, { BackupCodes } from './TwoFactorSetup';
+
+// Profile section to turn 2FA on or off and replace backup codes
+const TwoFactorSettings = () => {
+  const [account, setAccount] = useState(null);
+  const [mode, setMode] = useState(null); // 'setup' | 'disable' | 'regenerate'
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [newCodes, setNewCodes] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadAccount = async () => {
+    try {
+      const response = await authFetch('/api/auth/me');
+      const data = await response.json();
+      if (data.success) {
+        setAccount(data.user);
+      }
+    } catch (error) {
+      console.error('Error loading account:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadAccount();
+  }, []);
+
+  const resetForm = () => {
+    setMode(null);
+    setPassword('');
+    setCode('');
+  };
+
+  const submit = async (url, body) => {
+    setSaving(true);
+    try {
+      const response = await authFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setAccount(data.user);
+        resetForm();
+      } else {
+        setMessage({ type: 'error', text: data.error });
+      }
+      return data;
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Connection error' });
+      return {};
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    const data = await submit('/api/auth/2fa/disable', { password, code });
+    if (data.success) {
+      setMessage({ type: 'success', text: data.message });
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    const data = await submit('/api/auth/2fa/backup-codes', { code });
+    if (data.success) {
+      setNewCodes(data.backupCodes);
+      setMessage(null);
+    }
+  };
+
+  if (!account) {
+    return null;
+  }
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500';
+
+  return (
+    <div className="mt-4 space-y-4">
+      {message && (
+        <div className={`p-3 rounded-lg text-sm ${
+          message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="flex items-center space-x-3">
+        {account.twoFactorEnabled ? (
+          <>
+            <ShieldCheck size={24} className="text-green-600" />
+            <div>
+              <p className="font-semibold text-gray-800">Two-factor authentication is on</p>
+              <p className="text-xs text-gray-500">{account.backupCodesRemaining} backup codes left</p>
+            </div>
+          </>
+        ) : (
+          <>
+            <ShieldOff size={24} className="text-gray-400" />
+            <p className="font-semibold text-gray-800">Two-factor authentication is off</p>
+          </>
+        )}
+      </div>
+
+      {newCodes && <BackupCodes codes={newCodes} onDone={() => setNewCodes(null)} />}
+
+      {mode === 'setup' && (
+        <div className="bg-purple-50 rounded-xl p-4">
+          <TwoFactorSetup
+            onComplete={(data) => {
+              setAccount(data.user);
+              setMode(null);
+              setMessage({ type: 'success', text: data.message });
+            }}
+            onCancel={() => setMode(null)}
+          />
+        </div>
+      )}
+
+      {mode === 'disable' && (
+        <form onSubmit={handleDisable} className="bg-purple-50 rounded-xl p-4 space-y-3">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Current password"
+            className={inputClass}
+            required
+          />
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Authenticator or backup code"
+            className={inputClass}
+            required
+          />
+          <div className="flex gap-2">
+            <button type="submit" disabled={saving} className="flex-1 bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg transition disabled:opacity-50">
+              Turn Off
+            </button>
+            <button type="button" onClick={resetForm} className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg transition">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="bg-purple-50 rounded-xl p-4 space-y-3">
+          <p className="text-sm text-gray-600">Your old backup codes will stop working.</p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Authenticator or backup code"
+            className={inputClass}
+            required
+          />
+          <div className="flex gap-2">
+            <button type="submit" disabled={saving} className="flex-1 bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition disabled:opacity-50">
+              Generate New Codes
+            </button>
+            <button type="button" onClick={resetForm} className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg transition">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {!mode && !newCodes && (
+        <div className="flex gap-2 flex-wrap">
+          {account.twoFactorEnabled ? (
+            <>
+              <button
+                onClick={() => { setMode('regenerate'); setMessage(null); }}
+                className="bg-purple-100 text-purple-700 px-4 py-2 rounded-lg hover:bg-purple-200 transition"
+              >
+                New Backup Codes
+              </button>
+              <button
+                onClick={() => { setMode('disable'); setMessage(null); }}
+                className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition"
+              >
+                Turn Off
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => { setMode('setup'); setMessage(null); }}
+              className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition"
+            >
+              Set Up Two-Factor Authentication
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
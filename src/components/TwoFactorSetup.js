@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { Smartphone, Shield, Copy } from 'lucide-react';
+import { authFetch } from '../utils/api';
+
+// Shown once after enrolment or regeneration - the server only keeps hashes
+export const BackupCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch (error) {
+      console.error('Clipboard unavailable:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm">
+        Save these backup codes somewhere safe. Each one works once if you lose your phone,
+        and they will not be shown again.
+      </div>
+      <div className="grid grid-cols-2 gap-2 bg-gray-50 rounded-lg p-4 font-mono text-center">
+        {codes.map(code => (
+          <span key={code} className="text-gray-800">{code}</span>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={copyCodes}
+        className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 py-2 rounded-lg transition flex items-center justify-center space-x-2"
+      >
+        <Copy size={18} />
+        <span>{copied ? 'Copied!' : 'Copy codes'}</span>
+      </button>
+      {onDone && (
+        <button
+          type="button"
+          onClick={onDone}
+          className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-3 rounded-lg transition"
+        >
+          I've saved my backup codes
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Enrolment: scan the QR code, confirm a code, then keep the backup codes.
+// `setupToken` is used during a sign-in that requires enrolment; otherwise the
+// current session is used. `onComplete` receives the enable response.
+const TwoFactorSetup = ({ setupToken, onComplete, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const request = (url, body = {}) => {
+    const options = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(setupToken ? { ...body, setupToken } : body)
+    };
+    return setupToken ? fetch(url, options) : authFetch(url, options);
+  };
+
+  useEffect(() => {
+    request('/api/auth/2fa/setup')
+      .then(response => response.json())
+      .then(data => (data.success ? setEnrollment(data) : setError(data.error)))
+      .catch(() => setError('Could not start two-factor setup. Please try again.'));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await request('/api/auth/2fa/enable', { code });
+      const data = await response.json();
+
+      if (data.success) {
+        setResult(data);
+      } else {
+        setError(data.error || 'Invalid code');
+      }
+    } catch (err) {
+      setError('Connection error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return <BackupCodes codes={result.backupCodes} onDone={() => onComplete(result)} />;
+  }
+
+  return (
+    <form onSubmit={handleEnable} className="space-y-4">
+      <div className="flex items-start space-x-3 text-sm text-gray-700">
+        <Smartphone size={20} className="text-blue-600 flex-shrink-0 mt-0.5" />
+        <p>
+          Scan this QR code with an authenticator app (Google Authenticator, Microsoft
+          Authenticator, 1Password...), then enter the 6-digit code it shows.
+        </p>
+      </div>
+
+      {enrollment ? (
+        <div className="text-center">
+          <img src={enrollment.qrCode} alt="Two-factor QR code" className="mx-auto w-48 h-48" />
+          <p className="text-xs text-gray-500 mt-2">Can't scan it? Enter this key instead:</p>
+          <p className="font-mono text-sm text-gray-800 break-all">{enrollment.secret}</p>
+        </div>
+      ) : (
+        !error && <div className="spinner mx-auto"></div>
+      )}
+
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition text-center text-2xl tracking-widest"
+        placeholder="000000"
+        maxLength="6"
+        required
+      />
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={loading || !enrollment || code.length !== 6}
+        className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-3 rounded-lg transition flex items-center justify-center space-x-2 disabled:opacity-50"
+      >
+        <Shield size={20} />
+        <span>Turn On Two-Factor Authentication</span>
+      </button>
+
+      {onCancel && (
+        <div className="text-center">
+          <button type="button" onClick={onCancel} className="text-sm text-gray-600 hover:text-gray-800 transition">
+            Cancel
+          </button>
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
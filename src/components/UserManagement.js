@@ -0,0 +1,483 @@
+import React, { useState, useEffect } from 'react';
+import { UserPlus, Edit2, Trash2, Save, X, Users, CheckCircle, AlertCircle, Upload } from 'lucide-react';
+import { authFetch } from '../utils/api';
+
+const emptyForm = { name: '', email: '', role: 'student', password: '', verified: false, cohort: '' };
+
+// Kept out of AdminDashboard so its form state survives dashboard re-renders
+const UserManagement = ({ results, currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [roleFilter, setRoleFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newUser, setNewUser] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({ name: '', email: '', cohort: '' });
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+
+  const loadUsers = async () => {
+    try {
+      const response = await authFetch('/api/admin/users');
+      const data = await response.json();
+      if (data.success) {
+        setUsers(data.users);
+      }
+    } catch (error) {
+      console.error('Error loading users:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  // Run an admin request and report the outcome
+  const runAction = async (url, options = {}) => {
+    setBusy(true);
+    try {
+      const response = await authFetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+        body: options.body ? JSON.stringify(options.body) : undefined
+      });
+      const data = await response.json();
+
+      setStatus({ type: data.success ? 'success' : 'error', message: data.success ? data.message : data.error });
+      if (data.success) {
+        loadUsers();
+      }
+      return data.success;
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Request failed. Please try again.' });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await runAction('/api/admin/users', { method: 'POST', body: newUser })) {
+      setNewUser(emptyForm);
+      setShowAddForm(false);
+    }
+  };
+
+  const handleSaveEdit = async (user) => {
+    if (await runAction(`/api/admin/users/${user.id}`, { method: 'PUT', body: editForm })) {
+      setEditingId(null);
+    }
+  };
+
+  const handleRoleChange = (user, role) => {
+    if (!window.confirm(`Change ${user.email} to ${role}?`)) return;
+    runAction(`/api/admin/users/${user.id}`, { method: 'PUT', body: { role } });
+  };
+
+  const handleToggleActive = (user) => {
+    const activate = user.active === false;
+    if (!activate && !window.confirm(`Deactivate ${user.email}? They will be signed out immediately.`)) return;
+    runAction(`/api/admin/users/${user.id}`, { method: 'PUT', body: { active: activate } });
+  };
+
+  const handleDelete = (user) => {
+    if (!window.confirm(`Permanently delete ${user.email}? Their test results are kept.`)) return;
+    runAction(`/api/admin/users/${user.id}`, { method: 'DELETE' });
+  };
+
+  const handlePasswordReset = (user, force) => {
+    const prompt = force
+      ? `Force a password reset for ${user.email}? Their current password stops working now.`
+      : `Email a password reset link to ${user.email}?`;
+    if (!window.confirm(prompt)) return;
+    runAction(`/api/admin/users/${user.id}/reset-password`, { method: 'POST', body: { force } });
+  };
+
+  const handleReset2FA = (user) => {
+    if (!window.confirm(`Remove two-factor authentication from ${user.email}? Use this when they have lost their device.`)) return;
+    runAction(`/api/admin/users/${user.id}/reset-2fa`, { method: 'POST' });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    setBusy(true);
+    try {
+      const response = await authFetch('/api/admin/users/import', {
+        method: 'POST',
+        body: formData
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        const { created, skipped, errors } = data.summary;
+        setStatus({ type: 'success', message: `Imported ${file.name}: ${created} created, ${skipped} skipped, ${errors} errors` });
+        setImportReport(data.report);
+        loadUsers();
+      } else {
+        setStatus({ type: 'error', message: data.error });
+        setImportReport(null);
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: 'Import failed. Please try again.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const filteredUsers = users
+    .filter(u => roleFilter === 'all' || u.role === roleFilter)
+    .filter(u => {
+      const term = search.trim().toLowerCase();
+      return !term || u.name.toLowerCase().includes(term) || u.email.toLowerCase().includes(term)
+        || (u.cohort || '').toLowerCase().includes(term);
+    });
+
+  return (
+    <div>
+      {status && (
+        <div className={`mb-6 p-4 rounded-lg flex items-center space-x-2 ${
+          status.type === 'success' ? 'bg-green-50 text-green-700 border border-green-200' : 'bg-red-50 text-red-700 border border-red-200'
+        }`}>
+          {status.type === 'success' ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+          <span>{status.message}</span>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-6 flex-wrap gap-3">
+        <div className="flex gap-3 flex-wrap">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name, email or cohort"
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+          />
+          <select
+            value={roleFilter}
+            onChange={(e) => setRoleFilter(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+          >
+            <option value="all">All roles</option>
+            <option value="student">Students</option>
+            <option value="admin">Admins</option>
+          </select>
+        </div>
+        <div className="flex gap-3">
+          <label
+            className={`bg-white border-2 border-purple-600 text-purple-600 hover:bg-purple-50 px-4 py-2 rounded-lg transition flex items-center space-x-2 cursor-pointer ${busy ? 'opacity-50 pointer-events-none' : ''}`}
+            title="CSV with name, email and optional cohort columns"
+          >
+            <Upload size={20} />
+            <span>Import CSV</span>
+            <input type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+          </label>
+          <button
+            onClick={() => setShowAddForm(!showAddForm)}
+            className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition flex items-center space-x-2"
+          >
+            <UserPlus size={20} />
+            <span>Add User</span>
+          </button>
+        </div>
+      </div>
+
+      {importReport && (
+        <div className="mb-6 border-2 border-gray-200 rounded-xl p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-gray-800">Import report</h3>
+            <button onClick={() => setImportReport(null)} className="text-gray-500 hover:text-gray-700" title="Dismiss">
+              <X size={18} />
+            </button>
+          </div>
+          <div className="max-h-64 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-100 border-b">
+                  <th className="px-3 py-2 text-left font-semibold text-gray-700">Row</th>
+                  <th className="px-3 py-2 text-left font-semibold text-gray-700">Email</th>
+                  <th className="px-3 py-2 text-left font-semibold text-gray-700">Result</th>
+                  <th className="px-3 py-2 text-left font-semibold text-gray-700">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {importReport.map(entry => (
+                  <tr key={entry.row} className="border-b">
+                    <td className="px-3 py-2 text-gray-600">{entry.row}</td>
+                    <td className="px-3 py-2 text-gray-800">{entry.email || '—'}</td>
+                    <td className="px-3 py-2">
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                        entry.status === 'created' ? 'bg-green-100 text-green-700'
+                          : entry.status === 'skipped' ? 'bg-gray-200 text-gray-700'
+                            : 'bg-red-100 text-red-700'
+                      }`}>
+                        {entry.status}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-gray-600">{entry.reason || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {showAddForm && (
+        <form onSubmit={handleCreate} className="mb-6 bg-purple-50 border-2 border-purple-200 rounded-xl p-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+          <input
+            type="text"
+            value={newUser.name}
+            onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+            placeholder="Full name"
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            required
+          />
+          <input
+            type="email"
+            value={newUser.email}
+            onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+            placeholder="Email"
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            required
+          />
+          <select
+            value={newUser.role}
+            onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="student">Student</option>
+            <option value="admin">Admin</option>
+          </select>
+          <input
+            type="password"
+            value={newUser.password}
+            onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+            placeholder="Password (leave blank to email a set-password link)"
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={newUser.verified}
+              onChange={(e) => setNewUser({ ...newUser, verified: e.target.checked })}
+            />
+            <span>Email already verified</span>
+          </label>
+          <input
+            type="text"
+            value={newUser.cohort}
+            onChange={(e) => setNewUser({ ...newUser, cohort: e.target.value })}
+            placeholder="Cohort (optional)"
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition disabled:opacity-50"
+          >
+            Create User
+          </button>
+        </form>
+      )}
+
+      {filteredUsers.length === 0 ? (
+        <div className="text-center py-12">
+          <Users size={64} className="text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600 text-lg">No users match.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="bg-gray-100 border-b">
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">User</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Role</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Status</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Tests</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Avg Score</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Joined</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredUsers.map(u => {
+                const userResults = results.filter(r => r.userId === u.id);
+                const avgScore = userResults.length > 0
+                  ? Math.round(userResults.reduce((acc, r) => acc + r.score, 0) / userResults.length)
+                  : 0;
+                const isSelf = u.id === currentUser.id;
+                const isLocked = u.lockedUntil && new Date(u.lockedUntil) > new Date();
+
+                return (
+                  <tr key={u.id} className={`border-b hover:bg-gray-50 ${u.active === false ? 'opacity-60' : ''}`}>
+                    <td className="px-4 py-3 text-sm">
+                      {editingId === u.id ? (
+                        <div className="space-y-2">
+                          <input
+                            type="text"
+                            value={editForm.name}
+                            onChange={(e) => setEditForm({ ...editForm, name: e.target.value })}
+                            className="w-full px-2 py-1 border border-gray-300 rounded"
+                          />
+                          <input
+                            type="email"
+                            value={editForm.email}
+                            onChange={(e) => setEditForm({ ...editForm, email: e.target.value })}
+                            className="w-full px-2 py-1 border border-gray-300 rounded"
+                          />
+                          <input
+                            type="text"
+                            value={editForm.cohort}
+                            onChange={(e) => setEditForm({ ...editForm, cohort: e.target.value })}
+                            placeholder="Cohort"
+                            className="w-full px-2 py-1 border border-gray-300 rounded"
+                          />
+                        </div>
+                      ) : (
+                        <>
+                          <div className="font-medium text-gray-800">{u.name}{isSelf && ' (you)'}</div>
+                          <div className="text-xs text-gray-500">{u.email}</div>
+                          {u.cohort && <div className="text-xs text-purple-600">{u.cohort}</div>}
+                        </>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <select
+                        value={u.role}
+                        onChange={(e) => handleRoleChange(u, e.target.value)}
+                        disabled={isSelf || busy}
+                        className="px-2 py-1 border border-gray-300 rounded text-sm disabled:opacity-50"
+                      >
+                        <option value="student">Student</option>
+                        <option value="admin">Admin</option>
+                      </select>
+                    </td>
+                    <td className="px-4 py-3 text-xs space-y-1">
+                      <div>
+                        <span className={`px-2 py-1 rounded-full font-semibold ${u.active === false ? 'bg-gray-200 text-gray-700' : 'bg-green-100 text-green-700'}`}>
+                          {u.active === false ? 'Deactivated' : 'Active'}
+                        </span>
+                      </div>
+                      <div>
+                        <span className={`px-2 py-1 rounded-full font-semibold ${u.verified ? 'bg-blue-100 text-blue-700' : 'bg-orange-100 text-orange-700'}`}>
+                          {u.verified ? 'Verified' : 'Unverified'}
+                        </span>
+                      </div>
+                      {u.twoFactorEnabled && (
+                        <div>
+                          <span className="px-2 py-1 rounded-full font-semibold bg-purple-100 text-purple-700">2FA</span>
+                        </div>
+                      )}
+                      {isLocked && (
+                        <div>
+                          <span className="px-2 py-1 rounded-full font-semibold bg-red-100 text-red-700">
+                            Locked until {new Date(u.lockedUntil).toLocaleTimeString()}
+                          </span>
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{userResults.length}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`font-semibold ${avgScore >= 70 ? 'text-green-600' : 'text-orange-600'}`}>{avgScore}%</span>
+                    </td>
+                    <td className="px-4 py-3 text-xs text-gray-500">{new Date(u.createdAt).toLocaleDateString()}</td>
+                    <td className="px-4 py-3">
+                      <div className="flex flex-wrap gap-2 text-xs font-medium">
+                        {editingId === u.id ? (
+                          <>
+                            <button onClick={() => handleSaveEdit(u)} disabled={busy} className="text-green-600 hover:text-green-800" title="Save">
+                              <Save size={18} />
+                            </button>
+                            <button onClick={() => setEditingId(null)} className="text-gray-600 hover:text-gray-800" title="Cancel">
+                              <X size={18} />
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => {
+                              setEditingId(u.id);
+                              setEditForm({ name: u.name, email: u.email, cohort: u.cohort || '' });
+                            }}
+                            className="text-blue-600 hover:text-blue-800"
+                            title="Edit name, email and cohort"
+                          >
+                            <Edit2 size={18} />
+                          </button>
+                        )}
+                        {!u.verified && (
+                          <button
+                            onClick={() => runAction(`/api/admin/users/${u.id}/verify`, { method: 'POST' })}
+                            disabled={busy}
+                            className="bg-blue-100 text-blue-700 px-2 py-1 rounded hover:bg-blue-200 transition"
+                          >
+                            Mark Verified
+                          </button>
+                        )}
+                        {isLocked && (
+                          <button
+                            onClick={() => runAction(`/api/admin/users/${u.id}/unlock`, { method: 'POST' })}
+                            disabled={busy}
+                            className="bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700 transition"
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        {u.twoFactorEnabled && !isSelf && (
+                          <button
+                            onClick={() => handleReset2FA(u)}
+                            disabled={busy}
+                            className="bg-purple-100 text-purple-700 px-2 py-1 rounded hover:bg-purple-200 transition"
+                          >
+                            Reset 2FA
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handlePasswordReset(u, false)}
+                          disabled={busy}
+                          className="bg-blue-100 text-blue-700 px-2 py-1 rounded hover:bg-blue-200 transition"
+                        >
+                          Reset Link
+                        </button>
+                        <button
+                          onClick={() => handlePasswordReset(u, true)}
+                          disabled={busy}
+                          className="bg-orange-100 text-orange-700 px-2 py-1 rounded hover:bg-orange-200 transition"
+                        >
+                          Force Reset
+                        </button>
+                        {!isSelf && (
+                          <>
+                            <button
+                              onClick={() => handleToggleActive(u)}
+                              disabled={busy}
+                              className="bg-gray-100 text-gray-700 px-2 py-1 rounded hover:bg-gray-200 transition"
+                            >
+                              {u.active === false ? 'Activate' : 'Deactivate'}
+                            </button>
+                            <button onClick={() => handleDelete(u)} disabled={busy} className="text-red-600 hover:text-red-800" title="Delete user">
+                              <Trash2 size={18} />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserManagement;
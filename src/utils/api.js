@@ -0,0 +1,123 @@
+const SESSION_KEY = 'cbda_session';
+
+let sessionExpiredHandler = () => {};
+let pendingRefresh = null;
+
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+// Called when the session can no longer be refreshed (App logs the user out)
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// Swap the refresh token for a new session. Concurrent callers share one request.
+const refreshSession = () => {
+  const session = getSession();
+  if (!session || !session.refreshToken) {
+    return Promise.resolve(false);
+  }
+
+  if (!pendingRefresh) {
+    pendingRefresh = fetch('/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: session.refreshToken })
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          saveSession(data.session);
+          return true;
+        }
+        return false;
+      })
+      .catch(() => false)
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  return pendingRefresh;
+};
+
+// fetch() that sends the session token and retries once after refreshing it.
+// 403 responses are returned as-is so callers can show the server's error message.
+export const authFetch = async (url, options = {}) => {
+  const send = () => {
+    const session = getSession();
+    const headers = { ...(options.headers || {}) };
+    if (session && session.accessToken) {
+      headers.Authorization = `Bearer ${session.accessToken}`;
+    }
+    return fetch(url, { ...options, headers });
+  };
+
+  let response = await send();
+
+  if (response.status === 401 && await refreshSession()) {
+    response = await send();
+  }
+
+  if (response.status === 401) {
+    sessionExpiredHandler();
+  }
+
+  return response;
+};
+
+// Download a protected file (window.open cannot send the Authorization header)
+export const downloadFile = async (url, fallbackName) => {
+  const response = await authFetch(url);
+
+  if (!response.ok) {
+    let message = 'Download failed';
+    try {
+      const data = await response.json();
+      message = data.error || message;
+    } catch (error) {
+      // Non-JSON error body
+    }
+    throw new Error(message);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  const blob = await response.blob();
+  const objectUrl = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+};
+
+// Store an image for use in question text; resolves to the ![alt](url) markup to insert
+export const uploadQuestionImage = async (file, fileName = file.name) => {
+  const formData = new FormData();
+  formData.append('image', file, fileName);
+
+  const response = await authFetch('/api/admin/assets', { method: 'POST', body: formData });
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.error || 'Image upload failed');
+  }
+  return data.markup;
+};
@@ -0,0 +1,67 @@
+// Editor-side copy of backend/utils/questionValidator.js so problems show up
+// while typing. The server checks again on save; keep the two in step.
+
+export const QUESTION_TYPES = [
+  { value: 'single', label: 'Single answer' },
+  { value: 'multiple', label: 'Multiple response (select N)' },
+  { value: 'truefalse', label: 'True / False' }
+];
+export const SCORING_MODES = [
+  { value: 'all-or-nothing', label: 'All or nothing' },
+  { value: 'partial', label: 'Partial credit' }
+];
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 6;
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export const optionLetter = (index) => String.fromCharCode(65 + index);
+
+// References are either a web link or plain text such as a book chapter; only
+// http(s) references are ever rendered as links
+export const isWebLink = (reference) => /^https?:\/\/\S+$/i.test((reference || '').trim());
+
+const isOptionIndex = (value, optionCount) => Number.isInteger(value) && value >= 0 && value < optionCount;
+
+// Every problem with a question, as readable messages (empty when valid)
+export const validateQuestion = (q) => {
+  const errors = [];
+  const type = q.type || 'single';
+
+  if (typeof q.question !== 'string' || !q.question.trim()) {
+    errors.push('Question text is required');
+  }
+
+  const optionCount = Array.isArray(q.options) ? q.options.length : 0;
+  if (type === 'truefalse' && optionCount !== 2) {
+    errors.push('True/false questions have exactly 2 options');
+  } else if (optionCount < MIN_OPTIONS || optionCount > MAX_OPTIONS) {
+    errors.push(`Between ${MIN_OPTIONS} and ${MAX_OPTIONS} options are required`);
+  } else {
+    q.options.forEach((option, i) => {
+      if (typeof option !== 'string' || !option.trim()) {
+        errors.push(`Option ${optionLetter(i)} is empty`);
+      }
+    });
+    const trimmed = q.options.map(o => String(o).trim().toLowerCase()).filter(Boolean);
+    if (new Set(trimmed).size !== trimmed.length) {
+      errors.push('Options must be different from each other');
+    }
+  }
+
+  if (type === 'multiple') {
+    const answers = q.correctAnswers || [];
+    if (answers.length < 2) {
+      errors.push('Tick at least 2 correct answers');
+    } else if (!answers.every(a => isOptionIndex(a, optionCount))) {
+      errors.push('A correct answer points at an option that no longer exists');
+    }
+  } else if (!isOptionIndex(q.correctAnswer, optionCount)) {
+    errors.push('Pick the correct answer');
+  }
+
+  if (q.difficulty && !DIFFICULTIES.includes(q.difficulty)) {
+    errors.push(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  return errors;
+};
@@ -0,0 +1,50 @@
+// Marking for every question type. An answer is an option index for
+// single/true-false questions and an array of indexes for multiple-response ones.
+
+export const isMultipleResponse = (question) => question.type === 'multiple';
+
+// Indexes of the correct options, whatever the question type
+export const correctOptions = (question) => (
+  isMultipleResponse(question) ? question.correctAnswers : [question.correctAnswer]
+);
+
+export const isAnswered = (answer) => (Array.isArray(answer) ? answer.length > 0 : answer !== undefined);
+
+// Points for one question, from 0 to 1. Multiple-response questions scored
+// 'partial' earn a share for each correct pick, minus one for each wrong pick
+// (never below 0); otherwise the selection has to match exactly.
+export const scoreQuestion = (question, answer) => {
+  if (!isMultipleResponse(question)) {
+    return answer === question.correctAnswer ? 1 : 0;
+  }
+
+  const picked = Array.isArray(answer) ? answer : [];
+  const correct = question.correctAnswers;
+  const right = picked.filter(index => correct.includes(index)).length;
+  const wrong = picked.length - right;
+
+  if (question.scoring === 'partial') {
+    return Math.max(0, right - wrong) / correct.length;
+  }
+  return right === correct.length && wrong === 0 ? 1 : 0;
+};
+
+// Percentage score, fully correct question count and points for a finished test
+export const scoreTest = (questions, answers) => {
+  let points = 0;
+  let correctCount = 0;
+
+  questions.forEach(q => {
+    const earned = scoreQuestion(q, answers[q.id]);
+    points += earned;
+    if (earned === 1) {
+      correctCount++;
+    }
+  });
+
+  return {
+    score: questions.length > 0 ? Math.round((points / questions.length) * 100) : 0,
+    correctCount,
+    points: Math.round(points * 100) / 100
+  };
+};
@@ -0,0 +1,35 @@
+import { scoreQuestion, scoreTest } from './scoring';
+
+const single = { id: 1, type: 'single', options: ['A', 'B', 'C', 'D'], correctAnswer: 2 };
+const allOrNothing = { id: 2, type: 'multiple', options: ['A', 'B', 'C', 'D'], correctAnswers: [0, 1], scoring: 'all-or-nothing' };
+const partial = { ...allOrNothing, id: 3, scoring: 'partial' };
+
+test('single-answer questions need the correct option', () => {
+  expect(scoreQuestion(single, 2)).toBe(1);
+  expect(scoreQuestion(single, 1)).toBe(0);
+  expect(scoreQuestion(single, undefined)).toBe(0);
+});
+
+test('all-or-nothing needs exactly the correct options', () => {
+  expect(scoreQuestion(allOrNothing, [1, 0])).toBe(1);
+  expect(scoreQuestion(allOrNothing, [0])).toBe(0);
+  expect(scoreQuestion(allOrNothing, [0, 1, 2])).toBe(0);
+});
+
+test('a multiple-response question without a scoring mode is all-or-nothing', () => {
+  const { scoring, ...unscored } = allOrNothing;
+  expect(scoreQuestion(unscored, [0])).toBe(0);
+});
+
+test('partial credit gives a share per correct pick and takes one off per wrong pick', () => {
+  expect(scoreQuestion(partial, [0, 1])).toBe(1);
+  expect(scoreQuestion(partial, [0])).toBe(0.5);
+  expect(scoreQuestion(partial, [0, 2])).toBe(0);
+  expect(scoreQuestion(partial, [2, 3])).toBe(0);
+  expect(scoreQuestion(partial, undefined)).toBe(0);
+});
+
+test('a test score adds up partial points but only counts full marks as correct', () => {
+  expect(scoreTest([single, allOrNothing, partial], { 1: 2, 2: [0], 3: [1] })).toEqual({ score: 50, correctCount: 1, points: 1.5 });
+  expect(scoreTest([], {})).toEqual({ score: 0, correctCount: 0, points: 0 });
+});